@@ -0,0 +1,517 @@
+/**
+ * Login Authenticators for PigeonIdP
+ *
+ * An authenticator is any object with an `authenticate(credentials)` method that
+ * resolves to a user ({ id, username, attributes }) or null when the credentials
+ * are wrong. The server picks one by the login form's `method` field.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// Hash checked for unknown usernames; no password matches it
+const DUMMY_HASH = `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(SCRYPT_KEY_LENGTH).toString('base64')}`;
+
+/**
+ * Local username/password store with scrypt password hashes
+ */
+export class LocalUserStore {
+  /**
+   * Create a local user store
+   * @param {Object} [options] - Store options
+   * @param {string} [options.filePath] - JSON file to persist users to (in-memory if omitted)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.users = new Map();
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.load();
+    }
+  }
+
+  /**
+   * Add a user
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @param {Object} [attributes] - Attributes released in assertions (email, name, roles, ...)
+   * @returns {Promise<Object>} The user, without the password hash
+   */
+  async addUser(username, password, attributes = {}) {
+    if (typeof username !== 'string' || username.trim() === '') {
+      throw new Error('Username is required');
+    }
+
+    if (this.users.has(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+
+    this.users.set(username, {
+      username,
+      passwordHash: await hashPassword(password),
+      attributes,
+      created: Date.now()
+    });
+    this.save();
+
+    return this.getUser(username);
+  }
+
+  /**
+   * Change a user's password
+   * @param {string} username - Username
+   * @param {string} password - New password
+   * @returns {Promise<void>}
+   */
+  async setPassword(username, password) {
+    const user = this.requireUser(username);
+    user.passwordHash = await hashPassword(password);
+    this.save();
+  }
+
+  /**
+   * Replace a user's attributes
+   * @param {string} username - Username
+   * @param {Object} attributes - New attributes
+   * @returns {Object} The user, without the password hash
+   */
+  setAttributes(username, attributes) {
+    this.requireUser(username).attributes = attributes;
+    this.save();
+    return this.getUser(username);
+  }
+
+  /**
+   * Remove a user
+   * @param {string} username - Username
+   * @returns {boolean} True if the user existed
+   */
+  removeUser(username) {
+    const removed = this.users.delete(username);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Get a user
+   * @param {string} username - Username
+   * @returns {Object|null} User without the password hash, or null if unknown
+   */
+  getUser(username) {
+    const user = this.users.get(username);
+    if (!user) {
+      return null;
+    }
+
+    const { passwordHash, ...publicFields } = user;
+    return publicFields;
+  }
+
+  /**
+   * List all users
+   * @returns {Array<Object>} Users without password hashes
+   */
+  listUsers() {
+    return Array.from(this.users.keys()).map((username) => this.getUser(username));
+  }
+
+  /**
+   * Check a username and password
+   * @param {Object} credentials - Login form fields
+   * @param {string} credentials.username - Username
+   * @param {string} credentials.password - Password
+   * @returns {Promise<Object|null>} User ({ id, username, attributes }) or null
+   */
+  async authenticate(credentials) {
+    const { username, password } = credentials;
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return null;
+    }
+
+    const user = this.users.get(username);
+
+    // Hash anyway for unknown users so response times don't reveal which usernames exist
+    const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+    if (!user || !valid) {
+      return null;
+    }
+
+    return {
+      id: user.username,
+      username: user.username,
+      attributes: { ...user.attributes }
+    };
+  }
+
+  /**
+   * Helper: Get the stored record for a user or throw
+   */
+  requireUser(username) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error(`User ${username} not found`);
+    }
+    return user;
+  }
+
+  /**
+   * Load users from the store file
+   * @returns {void}
+   */
+  load() {
+    const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    this.users = new Map(entries.map((user) => [user.username, user]));
+  }
+
+  /**
+   * Persist users to the store file (no-op for in-memory stores)
+   * @returns {void}
+   */
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.users.values()), null, 2), { mode: 0o600 });
+  }
+}
+
+/**
+ * Key-based (passwordless) login: the browser signs a server challenge with a PigeonIdP identity
+ */
+export class KeyAuthenticator {
+  /**
+   * Create a key authenticator
+   * @param {Object} options - Authenticator options
+   * @param {PigeonIdP} options.idp - PigeonIdP instance used to verify signatures and resolve identities
+   * @param {string} [options.issuer] - IdP entity ID included in challenges
+   * @param {number} [options.challengeLifetime=300] - Seconds a challenge stays valid
+   * @param {number} [options.maxChallenges=10000] - Outstanding challenges kept; the oldest are dropped beyond this
+   * @param {boolean} [options.requireRegistered=true] - Only accept keys registered with registerIdentity
+   * @param {Function} [options.mapIdentity] - Maps (identity, publicKey) to a user; defaults to
+   *   the public key as subject and the registered profile as attributes
+   */
+  constructor(options) {
+    this.idp = options.idp;
+    this.issuer = options.issuer || null;
+    this.challengeLifetime = options.challengeLifetime || 300;
+    this.maxChallenges = options.maxChallenges || 10000;
+    this.requireRegistered = options.requireRegistered ?? true;
+    this.mapIdentity = options.mapIdentity || mapIdentityToUser;
+    this.challenges = new Map();
+  }
+
+  /**
+   * Issue a single-use challenge to be signed by the user's identity
+   * @param {Object} [binding] - Login the challenge is bound to
+   * @param {string} [binding.requestId] - AuthnRequest ID (null for IdP-initiated SSO)
+   * @param {string} [binding.audience] - Service provider entity ID
+   * @returns {Object} Challenge with properties:
+   *   - nonce: string - Sent back with the signature
+   *   - challenge: string - Exact string to sign with PigeonIdP.sign
+   *   - expires: number - Expiry timestamp (ms)
+   */
+  issueChallenge(binding = null) {
+    this.pruneChallenges();
+
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const expires = Date.now() + this.challengeLifetime * 1000;
+    const normalizedBinding = binding
+      ? { requestId: binding.requestId || null, audience: binding.audience || null }
+      : null;
+
+    // Signing the whole context (not just the nonce) makes the signature meaningless elsewhere
+    const challenge = JSON.stringify({
+      type: 'pigeonidp-login',
+      nonce,
+      idp: this.issuer,
+      sp: normalizedBinding?.audience || null,
+      request: normalizedBinding?.requestId || null,
+      exp: Math.floor(expires / 1000)
+    });
+
+    this.challenges.set(nonce, { challenge, binding: normalizedBinding, expires });
+    return { nonce, challenge, expires };
+  }
+
+  /**
+   * Check a signed challenge
+   * @param {Object} credentials - Login form fields
+   * @param {string} credentials.publicKey - PigeonIdP public key (`pub`)
+   * @param {string} credentials.nonce - Nonce from issueChallenge
+   * @param {string} credentials.signature - Signature of the challenge made with PigeonIdP.sign
+   * @param {Object} [context] - Login being completed: { requestId, audience };
+   *   must match the binding the challenge was issued for
+   * @returns {Promise<Object|null>} User identified by the public key, or null
+   */
+  async authenticate(credentials, context = null) {
+    const { publicKey, nonce, signature } = credentials;
+    if (!publicKey || !nonce || !signature) {
+      return null;
+    }
+
+    // Challenges are single-use, whether or not the signature checks out
+    const stored = this.challenges.get(nonce);
+    this.challenges.delete(nonce);
+    if (!stored || stored.expires < Date.now()) {
+      return null;
+    }
+
+    if (!bindingMatches(stored.binding, context)) {
+      return null;
+    }
+
+    let valid = false;
+    try {
+      valid = await this.idp.verify(stored.challenge, signature, publicKey);
+    } catch (error) {
+      valid = false;
+    }
+
+    if (!valid) {
+      return null;
+    }
+
+    let identity = null;
+    try {
+      identity = await this.idp.lookupIdentity(publicKey);
+    } catch (error) {
+      // Tampered identity records are treated as unregistered
+      identity = null;
+    }
+
+    if (!identity && this.requireRegistered) {
+      return null;
+    }
+
+    // lookupIdentity follows rotations; a rotated-out key must not log in as its successor
+    if (identity && identity.pub !== publicKey) {
+      return null;
+    }
+
+    return this.mapIdentity(identity, publicKey);
+  }
+
+  /**
+   * Drop expired challenges, and the oldest ones beyond maxChallenges
+   * Every login page render issues a challenge, so the map must not grow with traffic.
+   * @returns {void}
+   */
+  pruneChallenges() {
+    const now = Date.now();
+    for (const [nonce, stored] of this.challenges) {
+      if (stored.expires < now || this.challenges.size >= this.maxChallenges) {
+        this.challenges.delete(nonce);
+      }
+    }
+  }
+}
+
+/**
+ * Default identity mapping: public key as subject, registered profile as attributes
+ * @param {Object|null} identity - Identity from lookupIdentity
+ * @param {string} publicKey - Verified public key
+ * @returns {Object} User ({ id, username, attributes })
+ */
+export function mapIdentityToUser(identity, publicKey) {
+  const profile = identity?.profile || {};
+
+  // SAML attribute values are strings; skip nested objects
+  const attributes = {};
+  for (const [name, value] of Object.entries(profile)) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.every((v) => ['string', 'number', 'boolean'].includes(typeof v))) {
+      attributes[name] = value;
+    }
+  }
+  attributes.publicKey = publicKey;
+
+  return {
+    id: publicKey,
+    username: profile.username || profile.name || publicKey,
+    attributes
+  };
+}
+
+/**
+ * Failed login tracking with temporary lockout
+ * Failures are counted per account and client, so a client guessing or sending
+ * bad signatures for an account does not lock its owner out elsewhere.
+ */
+export class LoginLockout {
+  /**
+   * Create a lockout tracker
+   * @param {Object} [options] - Lockout options
+   * @param {number} [options.maxAttempts=5] - Failures allowed before locking
+   * @param {number} [options.lockoutSeconds=900] - Lock duration, also the window failures are counted in
+   * @param {number} [options.maxEntries=10000] - Tracked account/client pairs; beyond this the least
+   *   recently failed are dropped, unlocked ones before locked ones
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 5;
+    this.lockoutSeconds = options.lockoutSeconds || 900;
+    this.maxEntries = options.maxEntries || 10000;
+    this.failures = new Map();
+  }
+
+  /**
+   * Check whether an account is locked for a client
+   * @param {string} key - Account key (e.g. username or public key)
+   * @param {string} [client] - Client the attempt comes from (e.g. IP address)
+   * @returns {boolean} True if further attempts must be refused
+   */
+  isLocked(key, client) {
+    const entry = this.getEntry(entryKey(key, client));
+    return Boolean(entry?.lockedUntil && entry.lockedUntil > Date.now());
+  }
+
+  /**
+   * Record a failed login
+   * @param {string} key - Account key
+   * @param {string} [client] - Client the attempt came from
+   * @returns {boolean} True if the account is now locked for the client
+   */
+  recordFailure(key, client) {
+    const now = Date.now();
+    const id = entryKey(key, client);
+    const entry = this.getEntry(id) || { count: 0, first: now, lockedUntil: null };
+
+    entry.count++;
+    if (entry.count >= this.maxAttempts) {
+      entry.lockedUntil = now + this.lockoutSeconds * 1000;
+    }
+    // Re-inserted so the Map's order stays least recently failed first
+    this.failures.delete(id);
+    this.prune();
+    this.failures.set(id, entry);
+
+    return entry.lockedUntil !== null;
+  }
+
+  /**
+   * Clear failures after a successful login
+   * @param {string} key - Account key
+   * @param {string} [client] - Client to clear; every client of the account if omitted
+   * @returns {void}
+   */
+  reset(key, client) {
+    if (client !== undefined) {
+      this.failures.delete(entryKey(key, client));
+      return;
+    }
+
+    for (const id of Array.from(this.failures.keys())) {
+      if (id === key || id.startsWith(`${key}\n`)) {
+        this.failures.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Drop entries whose window has passed, then make room below maxEntries
+   * Unlocked entries go first, so a flood of failures from new clients cannot
+   * end an active lockout; locked ones are only dropped once none are left.
+   * @returns {void}
+   */
+  prune() {
+    for (const id of Array.from(this.failures.keys())) {
+      this.getEntry(id);
+    }
+
+    const now = Date.now();
+    for (const dropLocked of [false, true]) {
+      for (const [id, entry] of Array.from(this.failures)) {
+        if (this.failures.size < this.maxEntries) {
+          return;
+        }
+        if (Boolean(entry.lockedUntil && entry.lockedUntil > now) === dropLocked) {
+          this.failures.delete(id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Helper: Get the failure entry for a key, dropping it once the window has passed
+   */
+  getEntry(key) {
+    const entry = this.failures.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    const windowEnd = Math.max(entry.first + this.lockoutSeconds * 1000, entry.lockedUntil || 0);
+    if (windowEnd <= Date.now()) {
+      this.failures.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+}
+
+/**
+ * Helper: Failure map key of an account and client
+ */
+function entryKey(key, client) {
+  return client === undefined ? key : `${key}\n${client}`;
+}
+
+/**
+ * Helper: Compare a challenge binding with the login it is used for
+ */
+function bindingMatches(binding, context) {
+  if (!binding || !context) {
+    return !binding && !context;
+  }
+
+  return binding.requestId === (context.requestId || null) &&
+    binding.audience === (context.audience || null);
+}
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Password
+ * @returns {Promise<string>} Encoded hash: scrypt$N$r$p$salt$hash
+ */
+export async function hashPassword(password) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('Password is required');
+  }
+
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - Password
+ * @param {string} encoded - Encoded hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, encoded) {
+  const [scheme, N, r, p, salt, hash] = String(encoded).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,358 @@
+/**
+ * Verifiable Credentials for PigeonIdP
+ *
+ * W3C Verifiable Credentials and Presentations in the JWT encoding (VC-JWT):
+ * an issuer attests claims about a subject's public key, and the holder wraps
+ * credentials in a presentation signed with their own key for a verifier.
+ * Credentials are ES256 JWS like PigeonIdP auth tokens (`iss` and `sub` are
+ * public keys), so key rotation and revocation (revokeToken) apply to them.
+ */
+
+import { jwkThumbprint, base64UrlEncode, bytesToBase64Url } from './encoding.js';
+
+export const CREDENTIALS_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+
+// Seconds a verifier's presentation nonce stays usable
+const DEFAULT_NONCE_LIFETIME = 300;
+
+/**
+ * PigeonIdP Verifiable Credentials extension
+ */
+export class PigeonIdPCredentials {
+  /**
+   * Create Verifiable Credentials extension for PigeonIdP
+   * @param {PigeonIdP} idp - PigeonIdP instance (issuer, holder or verifier)
+   * @param {Object} [config] - Credentials configuration
+   * @param {number} [config.presentationLifetime=300] - Default presentation lifetime in seconds
+   * @param {number} [config.nonceLifetime=300] - Seconds a nonce from issueNonce stays usable
+   * @param {number} [config.maxNonces=10000] - Outstanding nonces kept; the oldest are dropped beyond this
+   */
+  constructor(idp, config = {}) {
+    this.idp = idp;
+    this.config = config;
+    this.nonces = new Map(); // nonce -> expiry time
+  }
+
+  /**
+   * Issue a credential about a subject (issuer)
+   * @param {string} subjectPub - Subject's public key
+   * @param {Object} claims - Claims about the subject (credentialSubject)
+   * @param {string|Array<string>} [type] - Credential type(s) besides VerifiableCredential,
+   *   e.g. 'EmployeeCredential'
+   * @param {Object} [options] - Issuance options
+   * @param {number} [options.expiresIn] - Lifetime in seconds (no expiry if omitted)
+   * @param {string} [options.alias] - Wallet identity to issue as (defaults to the active identity)
+   * @returns {Promise<string>} Credential as a compact JWS (`vc+jwt`)
+   */
+  async issueCredential(subjectPub, claims = {}, type = [], options = {}) {
+    if (!subjectPub) {
+      throw new Error('Credential subject is required');
+    }
+
+    const issuer = this.idp.getPublicKeys(options.alias);
+    if (!issuer) {
+      throw new Error('No identity loaded. Create or load an identity first');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      jti: `urn:uuid:${globalThis.crypto.randomUUID()}`,
+      iss: issuer.pub,
+      sub: subjectPub,
+      nbf: now,
+      iat: now,
+      ...(options.expiresIn ? { exp: now + options.expiresIn } : {}),
+      vc: {
+        '@context': [CREDENTIALS_CONTEXT],
+        type: ['VerifiableCredential', ...[].concat(type).filter((t) => t !== 'VerifiableCredential')],
+        credentialSubject: claims
+      }
+    };
+
+    return await this.sign({ alg: 'ES256', typ: 'vc+jwt', kid: await jwkThumbprint(issuer.pub) }, payload, options.alias);
+  }
+
+  /**
+   * Verify a credential
+   * Checks the issuer's signature, validity period, issuer key rotation and revocation.
+   * @param {string} credential - Credential from issueCredential
+   * @param {Object} [options] - Verification options
+   * @param {Array<string>} [options.trustedIssuers] - Accept only these issuer public keys
+   * @param {string} [options.type] - Require this credential type
+   * @param {string} [options.subject] - Require this subject public key
+   * @returns {Promise<Object>} { valid, credential } or { valid: false, error }, where credential is
+   *   { id, issuer, subject, type, claims, issued, expires }
+   */
+  async verifyCredential(credential, options = {}) {
+    if (typeof credential !== 'string') {
+      return { valid: false, error: 'Invalid credential format' };
+    }
+
+    const result = await this.idp.verifyJwsToken(credential, { type: 'vc+jwt' });
+    if (!result.valid) {
+      return result;
+    }
+
+    const claims = result.claims;
+    if (!Array.isArray(claims.vc?.type) || !claims.vc.type.includes('VerifiableCredential') || typeof claims.sub !== 'string') {
+      return { valid: false, error: 'Not a verifiable credential' };
+    }
+
+    if (claims.nbf && claims.nbf > Math.floor(Date.now() / 1000)) {
+      return { valid: false, error: 'Credential not yet valid' };
+    }
+
+    if (options.trustedIssuers && !options.trustedIssuers.includes(claims.iss)) {
+      return { valid: false, error: 'Untrusted issuer' };
+    }
+
+    if (options.type && !claims.vc.type.includes(options.type)) {
+      return { valid: false, error: `Credential is not of type ${options.type}` };
+    }
+
+    if (options.subject && claims.sub !== options.subject) {
+      return { valid: false, error: 'Credential subject mismatch' };
+    }
+
+    return {
+      valid: true,
+      credential: {
+        id: claims.jti || null,
+        issuer: claims.iss,
+        subject: claims.sub,
+        type: claims.vc.type,
+        claims: claims.vc.credentialSubject || {},
+        issued: claims.iat || null,
+        expires: claims.exp || null
+      }
+    };
+  }
+
+  /**
+   * Revoke a credential issued by the loaded identity
+   * @param {string} credential - Credential from issueCredential
+   * @param {Object} [options] - Revocation options ({ reason })
+   * @returns {Promise<Object>} Revocation entry (see revokeToken)
+   */
+  async revokeCredential(credential, options = {}) {
+    return await this.idp.revokeToken(credential, options);
+  }
+
+  /**
+   * Wrap credentials in a presentation signed by the holder
+   * The holder must be the subject of every credential.
+   * @param {Array<string>} credentials - Credentials held by the loaded identity
+   * @param {Object} [options] - Presentation options
+   * @param {string} [options.audience] - Verifier the presentation is meant for (`aud`)
+   * @param {string} [options.nonce] - Verifier's challenge, prevents replay
+   * @param {number} [options.expiresIn] - Lifetime in seconds (config.presentationLifetime by default)
+   * @param {string} [options.alias] - Wallet identity presenting (defaults to the active identity)
+   * @returns {Promise<string>} Presentation as a compact JWS (`vp+jwt`)
+   */
+  async createPresentation(credentials, options = {}) {
+    const holder = this.idp.getPublicKeys(options.alias);
+    if (!holder) {
+      throw new Error('No identity loaded. Create or load an identity first');
+    }
+
+    if (!Array.isArray(credentials) || credentials.length === 0) {
+      throw new Error('A presentation needs at least one credential');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      jti: `urn:uuid:${globalThis.crypto.randomUUID()}`,
+      iss: holder.pub,
+      ...(options.audience ? { aud: options.audience } : {}),
+      ...(options.nonce ? { nonce: options.nonce } : {}),
+      iat: now,
+      exp: now + (options.expiresIn || this.config.presentationLifetime || 300),
+      vp: {
+        '@context': [CREDENTIALS_CONTEXT],
+        type: ['VerifiablePresentation'],
+        verifiableCredential: credentials
+      }
+    };
+
+    return await this.sign({ alg: 'ES256', typ: 'vp+jwt', kid: await jwkThumbprint(holder.pub) }, payload, options.alias);
+  }
+
+  /**
+   * Verify a presentation and the credentials in it
+   * @param {string} presentation - Presentation from createPresentation
+   * @param {Object} [options] - Verification options
+   * @param {string} [options.audience] - Required audience (the verifier)
+   * @param {string} [options.nonce] - Required nonce (the verifier's challenge)
+   * @param {Array<string>} [options.trustedIssuers] - Accept only credentials from these issuers
+   * @param {string} [options.type] - Require every credential to be of this type
+   * @returns {Promise<Object>} { valid, holder, credentials } or { valid: false, error }
+   */
+  async verifyPresentation(presentation, options = {}) {
+    if (typeof presentation !== 'string') {
+      return { valid: false, error: 'Invalid presentation format' };
+    }
+
+    const result = await this.idp.verifyJwsToken(presentation, { type: 'vp+jwt' });
+    if (!result.valid) {
+      return result;
+    }
+
+    const claims = result.claims;
+    const credentials = claims.vp?.verifiableCredential;
+    if (!Array.isArray(claims.vp?.type) || !claims.vp.type.includes('VerifiablePresentation') || !Array.isArray(credentials)) {
+      return { valid: false, error: 'Not a verifiable presentation' };
+    }
+
+    if (options.audience && claims.aud !== options.audience) {
+      return { valid: false, error: 'Presentation audience mismatch' };
+    }
+
+    if (options.nonce && claims.nonce !== options.nonce) {
+      return { valid: false, error: 'Presentation nonce mismatch' };
+    }
+
+    const verified = [];
+    for (let i = 0; i < credentials.length; i++) {
+      const credentialResult = await this.verifyCredential(credentials[i], {
+        trustedIssuers: options.trustedIssuers,
+        type: options.type,
+        subject: claims.iss // The holder can only present credentials about themselves
+      });
+      if (!credentialResult.valid) {
+        return { valid: false, error: `Credential ${i}: ${credentialResult.error}` };
+      }
+      verified.push(credentialResult.credential);
+    }
+
+    return { valid: true, holder: claims.iss, credentials: verified };
+  }
+
+  /**
+   * Issue a single-use nonce for a holder to put in a presentation (verifier)
+   * @returns {Object} { nonce, expires }
+   */
+  issueNonce() {
+    this.pruneNonces();
+
+    const nonce = bytesToBase64Url(globalThis.crypto.getRandomValues(new Uint8Array(32)));
+    const expires = Date.now() + (this.config.nonceLifetime || DEFAULT_NONCE_LIFETIME) * 1000;
+    this.nonces.set(nonce, expires);
+    return { nonce, expires };
+  }
+
+  /**
+   * Use up a nonce from issueNonce
+   * Consume the nonce before verifying the presentation, so a presentation that is
+   * replayed, or fails verification, cannot be tried again with the same nonce.
+   * @param {string} nonce - Nonce named by the holder
+   * @returns {boolean} True if the nonce was issued here, unused and not expired
+   */
+  consumeNonce(nonce) {
+    const expires = this.nonces.get(nonce);
+    if (!expires) {
+      return false;
+    }
+    this.nonces.delete(nonce);
+    return expires >= Date.now();
+  }
+
+  /**
+   * Drop expired nonces, and the oldest ones beyond maxNonces
+   * @returns {void}
+   */
+  pruneNonces() {
+    const now = Date.now();
+    const maxNonces = this.config.maxNonces || 10000;
+    for (const [nonce, expires] of this.nonces) {
+      if (expires < now || this.nonces.size >= maxNonces) {
+        this.nonces.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * Publish a credential about the loaded identity in the DHT
+   * The holder's credential list is public: only store credentials meant to be discoverable.
+   * @param {string} credential - Credential whose subject is the loaded identity
+   * @returns {Promise<Array<string>>} The stored credential list
+   */
+  async storeCredential(credential) {
+    const holder = this.idp.getPublicKeys();
+    if (!holder) {
+      throw new Error('No identity loaded. Create or load an identity first');
+    }
+
+    const result = await this.verifyCredential(credential, { subject: holder.pub });
+    if (!result.valid) {
+      throw new Error(`Cannot store credential: ${result.error}`);
+    }
+
+    const credentials = await this.readCredentialList(holder.pub);
+    if (!credentials.includes(credential)) {
+      credentials.push(credential);
+    }
+
+    const list = {
+      holder: holder.pub,
+      namespace: this.idp.namespace,
+      credentials,
+      updated: Date.now()
+    };
+    list.signature = await this.idp.sign(JSON.stringify(list));
+
+    await this.idp.webDHT.put(`credentials:${holder.pub}:${this.idp.namespace}`, list);
+    return credentials;
+  }
+
+  /**
+   * Get the credentials a holder published in the DHT
+   * Credentials that no longer verify (expired, revoked, ...) are left out.
+   * @param {string} holderPub - Holder's public key
+   * @param {Object} [options] - Options passed to verifyCredential (trustedIssuers, type)
+   * @returns {Promise<Array<Object>>} Verified credentials: { jwt, id, issuer, subject, type, claims, issued, expires }
+   */
+  async getStoredCredentials(holderPub, options = {}) {
+    const credentials = await this.readCredentialList(holderPub);
+
+    const verified = [];
+    for (const jwt of credentials) {
+      const result = await this.verifyCredential(jwt, { ...options, subject: holderPub });
+      if (result.valid) {
+        verified.push({ jwt, ...result.credential });
+      }
+    }
+    return verified;
+  }
+
+  /**
+   * Read a holder's signed credential list from the DHT
+   * @param {string} holderPub - Holder's public key
+   * @returns {Promise<Array<string>>} Credentials, empty if missing or not signed by the holder
+   */
+  async readCredentialList(holderPub) {
+    if (!this.idp.initialized) {
+      throw new Error('IdP must be initialized before using the DHT');
+    }
+
+    const data = await this.idp.webDHT.get(`credentials:${holderPub}:${this.idp.namespace}`);
+    if (!data || data.holder !== holderPub || !Array.isArray(data.credentials) || typeof data.signature !== 'string') {
+      return [];
+    }
+
+    const { signature, ...list } = data;
+    const valid = await this.idp.verify(JSON.stringify(list), signature, holderPub);
+    return valid ? [...list.credentials] : [];
+  }
+
+  /**
+   * Sign a JWS with a wallet identity
+   * @param {Object} header - JOSE header
+   * @param {Object} payload - JWT claims
+   * @param {string} [alias] - Wallet identity (defaults to the active identity)
+   * @returns {Promise<string>} Compact JWS
+   */
+  async sign(header, payload, alias) {
+    const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+    return `${signingInput}.${await this.idp.sign(signingInput, alias)}`;
+  }
+}
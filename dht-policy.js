@@ -0,0 +1,354 @@
+/**
+ * Write policy for DHT records relayed by the PigeonIdP server
+ *
+ * Writes must come in a request signed by a PigeonIdP identity. Each key prefix
+ * has a rule naming the only identity allowed to write it (e.g. the owner of
+ * `pub` for `user:${pub}:*`), a size limit and the fields its record needs.
+ * Records must also carry their writer's own signature, so what readers verify
+ * is exactly what the policy checked. Records PigeonIdP writes with putRecord are
+ * envelopes whose version must be newer than the one already stored.
+ */
+
+// Seconds a signed write request stays valid
+const DEFAULT_MAX_CLOCK_SKEW = 300;
+
+// Seconds PigeonIdP keeps mailbox messages, and slots in a mailbox index
+const MAILBOX_LIFETIME = 7 * 24 * 3600;
+const MAILBOX_SLOTS = 256;
+
+/**
+ * Rules for the records PigeonIdP writes, by key prefix
+ * `parse` splits the rest of the key into { writer, namespace }, where writer is the public key
+ * allowed to write (or null when `writer(record, key, idp)` names the key or keys); `fields` maps
+ * required fields to types. With `envelope`, the value is a putRecord envelope and fields and
+ * checks apply to its payload; `maxLifetime` (seconds) then requires it to expire that soon.
+ * With `slot`, a key holding a live record can only be written again by its writer or by the
+ * key's recipient, which frees it.
+ */
+export const DHT_WRITE_RULES = {
+  user: {
+    maxSize: 8 * 1024,
+    parse: (parts) => ({ writer: parts[0], namespace: parts.slice(1).join(':') }),
+    fields: { pub: 'string', epub: 'string', profile: 'object', namespace: 'string', registered: 'number' },
+    envelope: true,
+    check: (value, key) => value.pub === key.writer
+  },
+  identity: {
+    maxSize: 2 * 1024,
+    parse: (parts) => ({ alias: parts[0], writer: null, namespace: parts.slice(1).join(':') }),
+    fields: { alias: 'string', pub: 'string', epub: 'string', namespace: 'string', created: 'number' },
+    envelope: true,
+    writer: (value) => value.pub,
+    check: (value, key) => value.alias === key.alias
+  },
+  succession: {
+    maxSize: 2 * 1024,
+    parse: (parts) => ({ previous: parts[0], writer: null, namespace: parts.slice(1).join(':') }),
+    fields: {
+      previous: 'string',
+      next: 'string',
+      epub: 'string',
+      namespace: 'string',
+      rotated: 'number',
+      nextSignature: 'string'
+    },
+    envelope: true,
+    // The old key, or the recovery key it committed to, signs the envelope; the new key
+    // accepts the succession in the payload
+    writer: async (value, key, idp) => [key.previous, await idp.getRecoveryKey(key.previous, key.namespace)].filter(Boolean),
+    check: async (value, key, idp) => {
+      const { nextSignature, ...record } = value;
+      return value.previous === key.previous &&
+        await verifySignature(idp, JSON.stringify(record), nextSignature, value.next);
+    }
+  },
+  revocations: {
+    maxSize: 64 * 1024,
+    parse: (parts) => ({ writer: parts[0], namespace: parts.slice(1).join(':') }),
+    fields: { issuer: 'string', namespace: 'string', entries: 'array', updated: 'number' },
+    envelope: true,
+    check: (value, key) => value.issuer === key.writer
+  },
+  credentials: {
+    maxSize: 64 * 1024,
+    parse: (parts) => ({ writer: parts[0], namespace: parts.slice(1).join(':') }),
+    fields: { holder: 'string', namespace: 'string', credentials: 'array', updated: 'number' },
+    check: (value, key) => value.holder === key.writer
+  },
+  did: {
+    maxSize: 16 * 1024, // room for handovers
+    parse: (parts) => ({ id: parts[0], writer: null, namespace: parts.slice(1).join(':') }),
+    fields: { did: 'string', origin: 'string', pub: 'string', epub: 'string', namespace: 'string', updated: 'number' },
+    writer: (value) => value.pub,
+    check: (value, key) => value.did.endsWith(`:${key.id}`)
+  },
+  recovery: {
+    maxSize: 64 * 1024,
+    parse: (parts) => ({ writer: parts[0], namespace: parts.slice(1).join(':') }),
+    fields: { owner: 'string', namespace: 'string', recoveryKey: 'string', threshold: 'number', guardians: 'array' },
+    envelope: true,
+    check: (value, key) => value.owner === key.writer && value.recoveryKey !== key.writer
+  },
+  'recovery-request': {
+    maxSize: 4 * 1024,
+    // recovery-request:${owner}:${requester}:${namespace}; anyone may ask the guardians to recover
+    // an identity, each under the new key it asks for
+    parse: (parts) => ({ owner: parts[0], writer: parts[1], namespace: parts.slice(2).join(':') }),
+    fields: { id: 'string', owner: 'string', next: 'string', epub: 'string', namespace: 'string' },
+    envelope: true,
+    check: (value, key) => value.owner === key.owner && value.next === key.writer
+  },
+  'recovery-approval': {
+    maxSize: 8 * 1024,
+    parse: (parts) => ({ owner: parts[0], writer: parts[1], namespace: parts.slice(2).join(':') }),
+    fields: { owner: 'string', guardian: 'string', request: 'string', next: 'string', share: 'object' },
+    envelope: true,
+    check: (value, key) => value.owner === key.owner && value.guardian === key.writer
+  },
+  mailbox: {
+    maxSize: 32 * 1024,
+    // mailbox:${recipient}:${namespace}:${sender}:${number}; any identity may leave messages under
+    // its own key, numbered from 1
+    parse: (parts) => ({
+      recipient: parts[0],
+      writer: parts[parts.length - 2],
+      namespace: parts.slice(1, -2).join(':'),
+      id: parts[parts.length - 1]
+    }),
+    fields: { from: 'string', to: 'string', sealed: 'object' },
+    envelope: true,
+    maxLifetime: MAILBOX_LIFETIME,
+    check: (value, key) => value.to === key.recipient && value.from === key.writer && /^[1-9]\d*$/.test(key.id)
+  },
+  'mailbox-index': {
+    maxSize: 2 * 1024,
+    // mailbox-index:${recipient}:${namespace}:${slot}; a sender's slot holds the number of its newest message
+    parse: (parts) => ({ recipient: parts[0], writer: null, namespace: parts.slice(1, -1).join(':'), slot: parts[parts.length - 1] }),
+    fields: { from: 'string', to: 'string', last: 'number' },
+    envelope: true,
+    maxLifetime: MAILBOX_LIFETIME,
+    // A live slot belongs to its sender until it expires or the recipient clears it
+    slot: true,
+    writer: (value, key) => [value.from, key.recipient],
+    check: (value, key) => value.to === key.recipient && Number.isSafeInteger(value.last) && value.last >= 0 &&
+      /^\d+$/.test(key.slot) && Number(key.slot) < MAILBOX_SLOTS
+  },
+  auth: {
+    maxSize: 4 * 1024,
+    // auth:${hubNamespace}:${pub}:${timestamp}
+    parse: (parts) => ({ writer: parts[parts.length - 2], namespace: parts.slice(0, -2).join(':') }),
+    fields: { publicKey: 'string', namespace: 'string', timestamp: 'number', credentials: 'object' },
+    envelope: true,
+    check: (value, key) => value.publicKey === key.writer
+  }
+};
+
+/**
+ * Sign a DHT write request for the server's `/api/dht/put`
+ * @param {PigeonIdP} idp - PigeonIdP instance holding the writer identity
+ * @param {string} key - DHT key
+ * @param {Object} value - Record to store (already signed by the writer: a putRecord envelope where the rule says so)
+ * @param {string} [alias] - Wallet identity to sign as (defaults to the active identity)
+ * @returns {Promise<Object>} Request body: { key, value, publicKey, timestamp, signature }
+ */
+export async function signDHTWrite(idp, key, value, alias) {
+  const keys = idp.getPublicKeys(alias);
+  if (!keys) {
+    throw new Error('No identity loaded. Create or load an identity first');
+  }
+
+  const request = { key, value, publicKey: keys.pub, timestamp: Date.now() };
+  request.signature = await idp.sign(JSON.stringify(request), alias);
+  return request;
+}
+
+/**
+ * Checks signed DHT write requests against per-key rules
+ */
+export class DHTWritePolicy {
+  /**
+   * Create a DHT write policy
+   * @param {Object} options - Policy options
+   * @param {PigeonIdP} options.idp - Initialized PigeonIdP instance (verifies signatures, reads alias claims)
+   * @param {Object} [options.rules=DHT_WRITE_RULES] - Rules by key prefix; prefixes without a rule are rejected
+   * @param {number} [options.maxClockSkew=300] - Seconds a signed request stays valid
+   */
+  constructor(options) {
+    this.idp = options.idp;
+    this.rules = options.rules || DHT_WRITE_RULES;
+    this.maxClockSkew = options.maxClockSkew ?? DEFAULT_MAX_CLOCK_SKEW;
+    this.seen = new Map(); // request signature -> expiry, to refuse replays
+  }
+
+  /**
+   * Check a write request
+   * Errors carry a `code`: 'invalid_request', 'invalid_signature', 'forbidden',
+   * 'payload_too_large' or 'conflict'.
+   * @param {Object} request - Request from signDHTWrite: { key, value, publicKey, timestamp, signature }
+   * @returns {Promise<Object>} { key, value, writer } once the write is allowed
+   */
+  async authorize(request) {
+    const { key, value, publicKey, timestamp, signature } = request || {};
+
+    if (typeof key !== 'string' || !key || !isObject(value)) {
+      throw policyError('invalid_request', 'Missing key or value');
+    }
+    if (typeof publicKey !== 'string' || typeof signature !== 'string' || typeof timestamp !== 'number') {
+      throw policyError('invalid_signature', 'Writes must be signed: publicKey, timestamp and signature are required');
+    }
+
+    const now = Date.now();
+    if (Math.abs(now - timestamp) > this.maxClockSkew * 1000) {
+      throw policyError('invalid_signature', 'Write request expired; sign it again');
+    }
+    if (!(await verifySignature(this.idp, JSON.stringify({ key, value, publicKey, timestamp }), signature, publicKey))) {
+      throw policyError('invalid_signature', 'Invalid write request signature');
+    }
+
+    this.pruneSeen(now);
+    if (this.seen.has(signature)) {
+      throw policyError('invalid_signature', 'Write request already used');
+    }
+
+    const [prefix, ...parts] = key.split(':');
+    const rule = Object.prototype.hasOwnProperty.call(this.rules, prefix) ? this.rules[prefix] : null;
+    if (!rule) {
+      throw policyError('forbidden', `Writes to '${prefix}:' keys are not allowed`);
+    }
+
+    const size = new TextEncoder().encode(JSON.stringify(value)).length;
+    if (size > rule.maxSize) {
+      throw policyError('payload_too_large', `'${prefix}:' records are limited to ${rule.maxSize} bytes`);
+    }
+
+    const parsed = rule.parse(parts);
+    if (!parsed.namespace || parts.some((part) => !part)) {
+      throw policyError('invalid_request', `Malformed '${prefix}:' key`);
+    }
+
+    const record = rule.envelope ? value.payload : value;
+    if (rule.envelope && (!isObject(record) || !Number.isSafeInteger(value.seq) || value.seq < 1 ||
+      typeof value.timestamp !== 'number' || (value.expires !== null && typeof value.expires !== 'number'))) {
+      throw policyError('invalid_request', `'${prefix}:' records must be record envelopes with a payload, seq, timestamp and expires`);
+    }
+    if (rule.maxLifetime && (value.expires === null || value.expires > now + rule.maxLifetime * 1000)) {
+      throw policyError('invalid_request', `'${prefix}:' records must expire within ${rule.maxLifetime} seconds`);
+    }
+
+    for (const [field, type] of Object.entries(rule.fields)) {
+      const actual = Array.isArray(record[field]) ? 'array' : record[field] === null ? 'null' : typeof record[field];
+      if (actual !== type) {
+        throw policyError('invalid_request', `'${prefix}:' records need a ${type} '${field}'`);
+      }
+    }
+    if (typeof record.namespace === 'string' && record.namespace !== parsed.namespace) {
+      throw policyError('invalid_request', 'Record namespace does not match the key');
+    }
+
+    const writers = [].concat(parsed.writer || await rule.writer(record, parsed, this.idp));
+    if (!writers.includes(publicKey)) {
+      throw policyError('forbidden', `Only ${writers.join(' or ')} may write ${key}`);
+    }
+    const writer = publicKey;
+
+    const { signature: recordSignature, ...signed } = value;
+    if ((rule.envelope && signed.signer !== writer) || typeof recordSignature !== 'string' ||
+      !(await verifySignature(this.idp, JSON.stringify(signed), recordSignature, writer))) {
+      throw policyError('invalid_signature', 'Record must be signed by its writer');
+    }
+
+    if (rule.check && !(await rule.check(record, parsed, this.idp))) {
+      throw policyError('invalid_request', `Record does not match its key ${key}`);
+    }
+
+    if (rule.slot && writer !== parsed.recipient) {
+      const current = await this.readCurrent(key, null);
+      if (current && current.signer !== writer && (current.expires === null || current.expires > now)) {
+        throw policyError('conflict', `${key} is already taken`);
+      }
+    }
+
+    if (rule.envelope) {
+      const current = await this.readCurrent(key, writer);
+      if (current && value.seq <= current.seq) {
+        throw policyError('conflict', `Record version ${value.seq} is not newer than the stored version ${current.seq}`);
+      }
+    }
+
+    if (prefix === 'succession') {
+      // Rotation is permanent: a recovery key cannot redirect a key that already moved on
+      const next = await this.idp.getSuccessor(parsed.previous, true, parsed.namespace);
+      if (next && next !== record.next) {
+        throw policyError('conflict', `${parsed.previous} has already been rotated`);
+      }
+    }
+
+    if (prefix === 'identity') {
+      // First claim wins: only the owner, or a key it was rotated to, may update an alias
+      const existing = await this.idp.readAliasClaim(parsed.alias, parsed.namespace);
+      if (existing) {
+        const chain = await this.idp.resolveKeyChain(existing.pub, parsed.namespace);
+        if (chain[chain.length - 1] !== writer) {
+          throw policyError('conflict', `Alias '${parsed.alias}' is already claimed in namespace ${parsed.namespace}`);
+        }
+      }
+    }
+
+    this.seen.set(signature, timestamp + this.maxClockSkew * 1000);
+    return { key, value, writer };
+  }
+
+  /**
+   * Read the stored envelope a write would replace
+   * @param {string} key - DHT key
+   * @param {string|null} writer - Public key allowed to have written it, or null for any
+   * @returns {Promise<Object|null>} Stored envelope, or null if missing or unreadable
+   */
+  async readCurrent(key, writer) {
+    try {
+      return await this.idp.openRecord(key, await this.idp.webDHT.get(key), writer, true);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Forget request signatures that can no longer be replayed
+   * @param {number} now - Current time in milliseconds
+   * @returns {void}
+   */
+  pruneSeen(now) {
+    for (const [signature, expires] of this.seen) {
+      if (expires < now) {
+        this.seen.delete(signature);
+      }
+    }
+  }
+}
+
+/**
+ * Helper: Plain object check
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Helper: Verify a signature, treating malformed keys or signatures as invalid
+ */
+async function verifySignature(idp, message, signature, publicKey) {
+  try {
+    return await idp.verify(message, signature, publicKey);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Helper: Error carrying a policy error code
+ */
+function policyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
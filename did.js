@@ -0,0 +1,261 @@
+/**
+ * DID method for PigeonIdP identities
+ *
+ * `did:pigeon:<namespace>:<pub-hash>`, where pub-hash is the RFC 7638 thumbprint
+ * of the identity's first signing key (the `kid` of its tokens). DID documents
+ * are published in the DHT next to `user:` records, signed by the identity, and
+ * keep resolving after key rotation by following succession records. A key that
+ * is replaced without a succession (a planned rotation that keeps the old key
+ * valid for a while) can hand the DID over to the new key with a signed handover
+ * kept in the DID record.
+ */
+
+import { signMessage } from 'unsea';
+import { jwkThumbprint, publicKeyJwk } from './encoding.js';
+
+export const DID_CONTEXT = [
+  'https://www.w3.org/ns/did/v1',
+  'https://w3id.org/security/suites/jws-2020/v1'
+];
+
+/**
+ * Build the DID of a public key
+ * @param {string} pub - Signing public key the identity was created with
+ * @param {string} namespace - PigeonIdP namespace
+ * @returns {Promise<string>} DID
+ */
+export async function createDID(pub, namespace) {
+  return `did:pigeon:${namespace}:${await jwkThumbprint(pub)}`;
+}
+
+/**
+ * Split a PigeonIdP DID into its parts
+ * @param {string} did - DID
+ * @returns {Object} { namespace, id }
+ */
+export function parseDID(did) {
+  const match = /^did:pigeon:((?:[A-Za-z0-9._-]+:)*[A-Za-z0-9._-]+):([A-Za-z0-9_-]{43})$/.exec(did || '');
+  if (!match) {
+    const error = new Error(`Invalid PigeonIdP DID: ${did}`);
+    error.code = 'invalidDid';
+    throw error;
+  }
+  return { namespace: match[1], id: match[2] };
+}
+
+/**
+ * Generate a DID document
+ * The signing key is used for authentication and assertions, the encryption key for key agreement.
+ * @param {string} did - DID
+ * @param {Object} keys - Current public keys { pub, epub }
+ * @returns {Promise<Object>} DID document
+ */
+export async function generateDIDDocument(did, keys) {
+  const signing = `${did}#${await jwkThumbprint(keys.pub)}`;
+  const agreement = `${did}#${await jwkThumbprint(keys.epub)}`;
+
+  return {
+    '@context': DID_CONTEXT,
+    id: did,
+    verificationMethod: [
+      { id: signing, type: 'JsonWebKey2020', controller: did, publicKeyJwk: publicKeyJwk(keys.pub) },
+      { id: agreement, type: 'JsonWebKey2020', controller: did, publicKeyJwk: publicKeyJwk(keys.epub) }
+    ],
+    authentication: [signing],
+    assertionMethod: [signing],
+    keyAgreement: [agreement]
+  };
+}
+
+/**
+ * PigeonIdP DID extension
+ */
+export class PigeonIdPDID {
+  /**
+   * Create DID extension for PigeonIdP
+   * @param {PigeonIdP} idp - Initialized PigeonIdP instance
+   */
+  constructor(idp) {
+    this.idp = idp;
+  }
+
+  /**
+   * Publish the DID document of an identity in the DHT
+   * After rotateKeys, pass the DID the identity was created with to publish the new keys under it.
+   * To move a DID to a key that is not a successor of its current key, also pass the current
+   * key as `handoverKeys`; it signs a handover to the published identity.
+   * @param {Object} [options] - Publication options
+   * @param {string} [options.alias] - Wallet identity to publish (defaults to the active identity)
+   * @param {string} [options.did] - Existing DID to update (defaults to the DID of the current key)
+   * @param {Object} [options.handoverKeys] - Keypair that controls the DID now, handing it over
+   * @returns {Promise<Object>} { did, didDocument }
+   */
+  async publishDID(options = {}) {
+    this.requireInitialized();
+
+    const keys = this.idp.getPublicKeys(options.alias);
+    if (!keys) {
+      throw new Error('No identity loaded. Create or load an identity first');
+    }
+
+    const did = options.did || await createDID(keys.pub, this.idp.namespace);
+    const { namespace, id } = parseDID(did);
+    if (namespace !== this.idp.namespace) {
+      throw new Error(`DID belongs to namespace ${namespace}`);
+    }
+
+    let origin = keys.pub;
+    let created = Date.now();
+    let handovers = [];
+    if (options.did) {
+      const existing = await this.readRecord(did);
+      if (!existing) {
+        throw new Error(`DID ${did} has not been published`);
+      }
+      const chains = await this.controllerChains(existing);
+      const chain = chains[chains.length - 1];
+      const controller = chain[chain.length - 1];
+      handovers = existing.handovers || [];
+      if (controller !== keys.pub) {
+        if (options.handoverKeys?.pub !== controller) {
+          throw new Error('The identity does not control this DID');
+        }
+        const handover = { from: controller, to: keys.pub };
+        handover.signature = await signMessage(JSON.stringify({ did, ...handover }), options.handoverKeys.priv);
+        handovers = [...handovers, handover];
+      }
+      origin = existing.origin;
+      created = existing.created;
+    } else if (await jwkThumbprint(keys.pub) !== id) {
+      throw new Error('The identity does not control this DID');
+    }
+
+    const record = {
+      did,
+      origin,
+      pub: keys.pub,
+      epub: keys.epub,
+      namespace,
+      created,
+      updated: Date.now(),
+      ...(handovers.length > 0 ? { handovers } : {})
+    };
+    record.signature = await this.idp.sign(JSON.stringify(record), options.alias);
+
+    await this.idp.webDHT.put(`did:${id}:${namespace}`, record);
+
+    return { did, didDocument: await generateDIDDocument(did, keys) };
+  }
+
+  /**
+   * Resolve a DID to its DID document
+   * The document must be signed by the DID's key, a key it was rotated or handed over to;
+   * rotations published after the document are followed to the current keys.
+   * @param {string} did - DID
+   * @returns {Promise<Object|null>} { didDocument, didDocumentMetadata }, or null if not found
+   * @throws {Error} If the document or the succession records it relies on do not verify
+   */
+  async resolveDID(did) {
+    this.requireInitialized();
+
+    const { namespace } = parseDID(did);
+    if (namespace !== this.idp.namespace) {
+      const error = new Error(`DID namespace ${namespace} is not served by this resolver`);
+      error.code = 'notFound';
+      throw error;
+    }
+
+    const record = await this.readRecord(did);
+    if (!record) {
+      return null;
+    }
+
+    const chains = await this.controllerChains(record);
+    const chain = chains[chains.length - 1];
+    if (!chain.includes(record.pub)) {
+      throw new Error('DID document signature verification failed');
+    }
+
+    const current = chain[chain.length - 1];
+    let keys = { pub: record.pub, epub: record.epub };
+    let updated = record.updated;
+    if (current !== record.pub) {
+      // Rotated since publication: the succession record (signed by both keys) carries the new epub
+      const previousKey = chain[chain.length - 2];
+      const succession = await this.idp.readSuccession(previousKey, namespace);
+      if (!succession) {
+        throw new Error(`Succession record of ${previousKey} could not be read`);
+      }
+      keys = { pub: current, epub: succession.epub };
+      updated = Math.max(updated, succession.rotated);
+    }
+
+    const didDocumentMetadata = {
+      created: new Date(record.created).toISOString(),
+      updated: new Date(updated).toISOString()
+    };
+    const allKeys = chains.flat();
+    if (allKeys.length > 1) {
+      didDocumentMetadata.previousKeys = allKeys.slice(0, -1);
+    }
+
+    return { didDocument: await generateDIDDocument(did, keys), didDocumentMetadata };
+  }
+
+  /**
+   * Keys that have controlled a DID, following rotations and handovers
+   * @param {Object} record - DID record from readRecord
+   * @returns {Promise<Array<Array<string>>>} One key chain per controller, oldest first; the
+   *   last key of the last chain controls the DID now
+   * @throws {Error} If a handover is not signed by a key that controlled the DID
+   */
+  async controllerChains(record) {
+    const chains = [await this.idp.resolveKeyChain(record.origin)];
+    for (const handover of record.handovers || []) {
+      const { from, to, signature } = handover || {};
+      const valid = typeof to === 'string' && typeof signature === 'string' &&
+        chains[chains.length - 1].includes(from) &&
+        await this.idp.verify(JSON.stringify({ did: record.did, from, to }), signature, from);
+      if (!valid) {
+        throw new Error('DID handover signature verification failed');
+      }
+      chains.push(await this.idp.resolveKeyChain(to));
+    }
+    return chains;
+  }
+
+  /**
+   * Read and verify a DID record from the DHT
+   * @param {string} did - DID
+   * @returns {Promise<Object|null>} Record without its signature, or null if missing
+   */
+  async readRecord(did) {
+    const { namespace, id } = parseDID(did);
+    const data = await this.idp.webDHT.get(`did:${id}:${namespace}`);
+    if (!data) {
+      return null;
+    }
+
+    const { signature, ...record } = data;
+    const valid = record.did === did && typeof record.pub === 'string' && typeof record.epub === 'string' &&
+      typeof record.origin === 'string' && typeof signature === 'string' &&
+      await jwkThumbprint(record.origin) === id &&
+      await this.idp.verify(JSON.stringify(record), signature, record.pub);
+
+    if (!valid) {
+      throw new Error('DID document signature verification failed');
+    }
+
+    return record;
+  }
+
+  /**
+   * Fail unless the IdP is connected to the DHT
+   * @returns {void}
+   */
+  requireInitialized() {
+    if (!this.idp.initialized) {
+      throw new Error('IdP must be initialized before using DIDs');
+    }
+  }
+}
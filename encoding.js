@@ -0,0 +1,78 @@
+/**
+ * Encoding helpers shared by the PigeonIdP modules
+ *
+ * Base64url and JWK conversions of UnSEA keys (`x.y`, the base64url P-256
+ * coordinates). Only Web APIs are used, so this works in browsers and Node.js.
+ */
+
+/**
+ * P-256 JWK of an UnSEA public key
+ * @param {string} pub - UnSEA public key (`x.y`)
+ * @returns {Object} { kty, crv, x, y }
+ */
+export function publicKeyJwk(pub) {
+  const [x, y] = pub.split('.');
+  return { kty: 'EC', crv: 'P-256', x, y };
+}
+
+/**
+ * RFC 7638 thumbprint input of an EC JWK
+ * @param {Object} jwk - EC public JWK
+ * @returns {string} Required members only, in lexicographic order
+ */
+export function thumbprintInput(jwk) {
+  return JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+}
+
+/**
+ * RFC 7638 JWK thumbprint of an UnSEA public key
+ * @param {string} pub - UnSEA public key (`x.y`)
+ * @returns {Promise<string>} base64url SHA-256 thumbprint
+ */
+export async function jwkThumbprint(pub) {
+  const canonical = thumbprintInput(publicKeyJwk(pub));
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return bytesToBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * Base64url-encode a UTF-8 string
+ * @param {string} value - Text
+ * @returns {string} Unpadded base64url
+ */
+export function base64UrlEncode(value) {
+  return bytesToBase64Url(new TextEncoder().encode(value));
+}
+
+/**
+ * Decode base64url to a UTF-8 string
+ * @param {string} value - Base64url, with or without padding
+ * @returns {string} Text
+ */
+export function base64UrlDecode(value) {
+  return new TextDecoder().decode(base64UrlToBytes(value));
+}
+
+/**
+ * Base64url-encode bytes
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Unpadded base64url
+ */
+export function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url to bytes
+ * @param {string} value - Base64url, with or without padding
+ * @returns {Uint8Array} Bytes
+ */
+export function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
@@ -23,7 +23,7 @@ async function basicExample() {
   await idp.init();
   console.log('   ✓ IdP initialized\n');
 
-  // Create a new identity (without password in Node.js - browser can use password for encrypted storage)
+  // Create a new identity (pass a password to persist it; Node.js needs a keyStore from keystore.js)
   console.log('2. Creating new identity...');
   const keys = await idp.createIdentity('alice');
   console.log('   ✓ Identity created');
@@ -6,6 +6,7 @@
  */
 
 import { PigeonIdP } from '../index.js';
+import { PigeonHubAuthority } from '../hub.js';
 
 async function pigeonHubExample() {
   console.log('=== PigeonIdP + PigeonHub Integration Example ===\n');
@@ -22,7 +23,7 @@ async function pigeonHubExample() {
   await idp.init();
   console.log('   ✓ IdP initialized\n');
 
-  // Create identity for user (without password in Node.js)
+  // Create identity for user (not persisted without a password and keyStore)
   console.log('2. Creating user identity...');
   const keys = await idp.createIdentity('bob');
   console.log('   ✓ Identity created for Bob');
@@ -38,29 +39,45 @@ async function pigeonHubExample() {
   });
   console.log('   ✓ Identity registered in namespace\n');
 
+  // The hub answers authentication requests for its namespace
+  const hub = new PigeonIdP({
+    namespace: hubNamespace,
+    signalingServers: ['wss://pigeonhub.fli.dev']
+  });
+  await hub.init();
+  hub.webDHT = idp.webDHT; // Same node here; a real hub receives requests over the mesh
+  const hubKeys = await hub.createIdentity('hub');
+  const authority = new PigeonHubAuthority(hub, {
+    pollInterval: 1,
+    admit: async (request) => ({ username: request.credentials.username })
+  });
+  authority.start();
+
   // Authenticate with PigeonHub
   console.log('4. Authenticating with PigeonHub...');
   const authResult = await idp.authenticateWithHub(hubNamespace, {
-    username: 'bob',
-    timestamp: Date.now()
-  });
-  console.log('   ✓ Authentication request created');
+    username: 'bob'
+  }, { hubKey: hubKeys.pub });
+  console.log('   ✓ Admitted by the hub:', authResult.success);
   console.log('   Request Key:', authResult.requestKey);
   console.log('   Token Claims:', JSON.stringify(authResult.token.claims, null, 2), '\n');
+  authority.stop();
 
   // Verify the authentication token
   console.log('5. Verifying authentication token...');
   const verification = await idp.verifyAuthToken(authResult.token);
   console.log('   ✓ Token verified:', verification.valid);
+  console.log('   Issued by hub:', verification.claims.iss === hubKeys.pub);
   console.log('   User:', verification.claims.username, '\n');
 
   // Simulate a second user in the same namespace
   console.log('6. Creating second user in same namespace...');
   const idp2 = new PigeonIdP({
-    namespace: hubNamespace,
+    namespace: idp.namespace,
     signalingServers: ['wss://pigeonhub.fli.dev']
   });
   await idp2.init();
+  idp2.webDHT = idp.webDHT; // Same node here, as for the hub
   const keys2 = await idp2.createIdentity('carol');
   await idp2.registerIdentity({
     username: 'carol',
@@ -75,19 +92,20 @@ async function pigeonHubExample() {
   console.log('   ✓ Found Carol\'s identity');
   console.log('   Profile:', carolIdentity.profile, '\n');
 
-  // Bob sends encrypted message to Carol
-  console.log('8. Bob encrypting message for Carol...');
-  const message = 'Hello Carol, welcome to the namespace!';
-  const encrypted = await idp.encrypt(message, keys2);
-  console.log('   ✓ Message encrypted');
-  console.log('   Encrypted ciphertext:', encrypted.ciphertext.substring(0, 50) + '...\n');
-
-  // Carol decrypts the message
-  console.log('9. Carol decrypting Bob\'s message...');
-  const decrypted = await idp2.decrypt(encrypted);
-  console.log('   ✓ Message decrypted');
-  console.log('   Message:', decrypted);
-  console.log('   From:', encrypted.sender.substring(0, 50) + '...\n');
+  // Bob sends an encrypted message to Carol
+  console.log('8. Bob sending an encrypted message to Carol...');
+  const sent = await idp.sendEncrypted(keys2.pub, { text: 'Hello Carol, welcome to the namespace!' });
+  console.log('   ✓ Message sent via', sent.delivery, '\n');
+
+  // Carol receives it, with Bob's signature checked
+  console.log('9. Carol receiving Bob\'s message...');
+  const stopReceiving = idp2.onMessage((message) => {
+    console.log('   ✓ Message decrypted');
+    console.log('   Message:', message.payload.text);
+    console.log('   From:', message.from.substring(0, 50) + '...\n');
+  });
+  await idp2.checkMailbox();
+  stopReceiving();
 
   // Cross-namespace example
   console.log('10. Creating separate namespace...');
@@ -105,13 +123,15 @@ async function pigeonHubExample() {
   await idp.disconnect();
   await idp2.disconnect();
   await idp3.disconnect();
+  await hub.disconnect();
   console.log('   ✓ All connections closed\n');
 
   console.log('=== PigeonHub integration example completed! ===');
   console.log('\nKey Features Demonstrated:');
   console.log('- Namespace-specific identity management');
+  console.log('- Hub-granted membership tokens');
   console.log('- Cross-user authentication and discovery');
-  console.log('- Encrypted messaging between users');
+  console.log('- Signed, end-to-end encrypted messaging between users');
   console.log('- Multiple namespaces for different hubs');
 }
 
@@ -64,7 +64,7 @@ async function samlExample() {
   console.log('SAML Assertion (first 500 chars):');
   console.log(assertionResult.assertion.substring(0, 500) + '...');
   console.log('Assertion ID:', assertionResult.assertionId);
-  console.log('Signature:', assertionResult.signature.substring(0, 50) + '...\n');
+  console.log('Signed:', assertionResult.assertion.includes('<ds:Signature'), '\n');
 
   // 6. Generate complete SAML Response
   console.log('6. Generating complete SAML Response...');
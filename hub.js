@@ -0,0 +1,270 @@
+/**
+ * PigeonHub authority for PigeonIdP
+ *
+ * Members ask to join a hub namespace with authenticateWithHub, which stores a
+ * signed `auth:${hubNamespace}:${pub}:${timestamp}` request in the DHT. The hub
+ * runs a PigeonHubAuthority that picks those requests up, checks the signature
+ * and age, applies its admission policy, and answers with a grant record at
+ * `auth-grant:${hubNamespace}:${pub}:${timestamp}` signed by the hub key. An
+ * admitted member's grant carries a token issued by the hub, so membership can
+ * be checked by anyone who trusts the hub key.
+ *
+ * The hub learns of a request from an encrypted message the client sends to the
+ * hub key (authenticateWithHub with `hubKey`), or from submit() when the key
+ * reaches the hub some other way.
+ */
+
+// Payload type of the messages that hand a request key to the hub
+export const HUB_REQUEST_MESSAGE = 'pigeonidp-hub-request';
+
+// Seconds an authentication request can wait for the hub
+const DEFAULT_MAX_REQUEST_AGE = 300;
+
+// Seconds between polls once started
+const DEFAULT_POLL_INTERVAL = 5;
+
+/**
+ * Processes PigeonHub authentication requests for a hub namespace
+ */
+export class PigeonHubAuthority {
+  /**
+   * Create a hub authority
+   * @param {PigeonIdP} idp - Initialized PigeonIdP instance holding the hub identity
+   * @param {Object} config - Authority configuration
+   * @param {string} [config.namespace] - Hub namespace to serve (defaults to the IdP namespace)
+   * @param {Array<string>} [config.allow] - Public keys admitted without further checks
+   * @param {Function} [config.admit] - async (request) => true or extra token claims to admit,
+   *   false to deny; a thrown error denies with its message. `request` is
+   *   { requestKey, publicKey, namespace, timestamp, credentials }.
+   * @param {number} [config.maxRequestAge=300] - Seconds after which a request is too old to answer
+   * @param {number} [config.tokenExpiresIn=3600] - Lifetime of issued tokens in seconds
+   * @param {string} [config.tokenFormat='object'] - 'object' or 'jws', as for generateAuthToken
+   * @param {number} [config.pollInterval=5] - Seconds between polls after start()
+   */
+  constructor(idp, config = {}) {
+    if (!config.allow && !config.admit) {
+      throw new Error('PigeonHubAuthority needs an admission policy: allow or admit');
+    }
+
+    this.idp = idp;
+    this.config = config;
+    this.namespace = config.namespace || idp.namespace;
+    this.submitted = new Set(); // request keys from submit() and request messages
+    this.processed = new Map(); // request key -> time it can be forgotten
+    this.timer = null;
+    this.unsubscribe = null; // Removes the onMessage handler added by start()
+  }
+
+  /**
+   * Queue a request key for the next poll
+   * @param {string} requestKey - Key returned by authenticateWithHub
+   * @returns {void}
+   */
+  submit(requestKey) {
+    if (!this.parseRequestKey(requestKey)) {
+      throw new Error(`Not an authentication request for hub ${this.namespace}: ${requestKey}`);
+    }
+    this.submitted.add(requestKey);
+  }
+
+  /**
+   * Queue the request key carried by a message to the hub identity
+   * Other messages, and request keys for another sender or hub, are ignored.
+   * @param {Object} message - Message from onMessage or checkMailbox
+   * @returns {boolean} Whether a request key was queued
+   */
+  receive(message) {
+    const { type, requestKey } = message?.payload || {};
+    if (type !== HUB_REQUEST_MESSAGE || this.parseRequestKey(requestKey)?.publicKey !== message.from) {
+      return false;
+    }
+    this.submitted.add(requestKey);
+    return true;
+  }
+
+  /**
+   * Answer every pending authentication request
+   * @returns {Promise<Array<Object>>} Grants written in this poll
+   */
+  async poll() {
+    if (!this.idp.initialized) {
+      throw new Error('IdP must be initialized before processing hub requests');
+    }
+
+    const now = Date.now();
+    for (const [requestKey, forget] of this.processed) {
+      if (forget < now) {
+        this.processed.delete(requestKey);
+      }
+    }
+
+    for (const message of await this.idp.checkMailbox()) {
+      this.receive(message);
+    }
+
+    const grants = [];
+    for (const requestKey of Array.from(this.submitted)) {
+      this.submitted.delete(requestKey);
+      if (this.processed.has(requestKey)) {
+        continue;
+      }
+
+      try {
+        const grant = await this.processRequest(requestKey);
+        if (!grant) {
+          // Not visible here yet: try again while the request is fresh
+          if (now - this.parseRequestKey(requestKey).timestamp < this.maxRequestAge() * 1000) {
+            this.submitted.add(requestKey);
+            continue;
+          }
+        } else {
+          grants.push(grant);
+        }
+      } catch (error) {
+        this.idp.reportError(`Ignoring hub authentication request ${requestKey}: ${error.message}`, error);
+      }
+      this.processed.set(requestKey, now + this.maxRequestAge() * 2000);
+    }
+
+    return grants;
+  }
+
+  /**
+   * Check one authentication request and write the hub's answer
+   * Requests that are forged, expired, too old or from a rotated key get no
+   * answer; requests the admission policy refuses get a denial.
+   * @param {string} requestKey - `auth:${namespace}:${pub}:${timestamp}` DHT key
+   * @returns {Promise<Object|null>} Grant: { request, publicKey, namespace, granted, token?, reason?, issued },
+   *   or null if the request is missing or expired
+   * @throws {Error} If the request cannot be answered
+   */
+  async processRequest(requestKey) {
+    const parsed = this.parseRequestKey(requestKey);
+    if (!parsed) {
+      throw new Error('Not an authentication request for this hub');
+    }
+
+    const record = await this.idp.getRecord(requestKey, parsed.publicKey);
+    if (!record) {
+      return null;
+    }
+
+    const { publicKey, namespace, timestamp, credentials } = record.payload;
+    if (publicKey !== parsed.publicKey || namespace !== this.namespace ||
+      typeof timestamp !== 'number' || typeof credentials !== 'object' || credentials === null) {
+      throw new Error('Request does not match its key');
+    }
+    if (Math.abs(Date.now() - timestamp) > this.maxRequestAge() * 1000) {
+      throw new Error('Request is too old');
+    }
+    if (await this.idp.getSuccessor(publicKey, true)) {
+      throw new Error('Requesting key has been rotated');
+    }
+
+    const grant = { request: requestKey, publicKey, namespace, granted: false };
+    const request = { requestKey, publicKey, namespace, timestamp, credentials };
+    let admitted = false;
+    try {
+      admitted = await this.admit(request);
+    } catch (error) {
+      grant.reason = error.message;
+    }
+
+    const expiresIn = this.config.tokenExpiresIn || 3600;
+    if (admitted) {
+      const claims = typeof admitted === 'object' ? admitted : {};
+      grant.granted = true;
+      grant.token = await this.idp.generateAuthToken(
+        { ...claims, sub: publicKey, hub: namespace },
+        expiresIn,
+        { format: this.config.tokenFormat || 'object' }
+      );
+    } else if (!grant.reason) {
+      grant.reason = 'Not admitted to this hub';
+    }
+    grant.issued = Date.now();
+
+    await this.idp.putRecord(`auth-grant:${requestKey.slice('auth:'.length)}`, grant, { expiresIn });
+    return grant;
+  }
+
+  /**
+   * Apply the admission policy
+   * @param {Object} request - { requestKey, publicKey, namespace, timestamp, credentials }
+   * @returns {Promise<boolean|Object>} false to deny, true or extra token claims to admit
+   */
+  async admit(request) {
+    if (this.config.allow?.includes(request.publicKey)) {
+      return true;
+    }
+    if (!this.config.admit) {
+      return false;
+    }
+    return await this.config.admit(request);
+  }
+
+  /**
+   * Split a request key for this hub
+   * @param {string} requestKey - DHT key
+   * @returns {Object|null} { publicKey, timestamp }, or null for other keys
+   */
+  parseRequestKey(requestKey) {
+    const prefix = `auth:${this.namespace}:`;
+    if (typeof requestKey !== 'string' || !requestKey.startsWith(prefix)) {
+      return null;
+    }
+
+    const parts = requestKey.slice(prefix.length).split(':');
+    if (parts.length !== 2 || !parts[0] || !/^\d+$/.test(parts[1])) {
+      return null;
+    }
+    return { publicKey: parts[0], timestamp: Number(parts[1]) };
+  }
+
+  /**
+   * Poll for requests every `pollInterval` seconds until stop()
+   * Request messages arriving over the mesh are queued as they come in.
+   * @returns {void}
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.unsubscribe = this.idp.onMessage((message) => this.receive(message));
+
+    let polling = false;
+    this.timer = setInterval(async () => {
+      if (polling) {
+        return;
+      }
+      polling = true;
+      try {
+        await this.poll();
+      } catch (error) {
+        this.idp.reportError(`Hub authority poll failed: ${error.message}`, error);
+      } finally {
+        polling = false;
+      }
+    }, (this.config.pollInterval || DEFAULT_POLL_INTERVAL) * 1000);
+  }
+
+  /**
+   * Stop polling
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Seconds a request stays answerable
+   * @returns {number}
+   */
+  maxRequestAge() {
+    return this.config.maxRequestAge || DEFAULT_MAX_REQUEST_AGE;
+  }
+}
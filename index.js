@@ -18,6 +18,40 @@ import {
   exportToJWK,
   importFromJWK
 } from 'unsea';
+import { publicKeyJwk, jwkThumbprint, base64UrlEncode, base64UrlDecode, bytesToBase64Url } from './encoding.js';
+import { HUB_REQUEST_MESSAGE } from './hub.js';
+
+// Longest key succession chain lookupIdentity will follow
+const MAX_SUCCESSION_DEPTH = 32;
+
+// Seconds a PigeonHub authentication request stays in the DHT
+const HUB_REQUEST_LIFETIME = 300;
+
+// Mesh message type of encrypted direct messages
+const DIRECT_MESSAGE_TYPE = 'pigeonidp-message';
+
+// Seconds an undelivered message waits in the recipient's DHT mailbox, and default age
+// after which a message is refused
+const MAILBOX_LIFETIME = 7 * 24 * 3600;
+
+// Slots in a mailbox index, one per sender
+const MAILBOX_SLOTS = 256;
+
+// Free slots a sender tries before giving up on a full mailbox index
+const MAILBOX_CLAIM_ATTEMPTS = 8;
+
+// Newest messages of each sender read from a mailbox; older ones are dropped
+const MAILBOX_MESSAGES_PER_SENDER = 64;
+
+// Seconds a message may be dated ahead of the recipient's clock
+const MESSAGE_CLOCK_SKEW = 300;
+
+// Default key store: UnSEA's browser storage (IndexedDB or localStorage)
+const UNSEA_KEY_STORE = {
+  save: saveKeys,
+  load: loadKeys,
+  delete: clearKeys
+};
 
 /**
  * PigeonIdP - Identity Provider for P2P networks
@@ -29,16 +63,53 @@ export class PigeonIdP {
    * @param {string} [options.namespace='default'] - Custom namespace for the IdP
    * @param {Array<string>} [options.signalingServers] - Array of signaling server URLs
    * @param {Object} [options.meshOptions] - Additional options for PeerPigeonMesh
+   * @param {number} [options.revocationCacheTtl=60] - Seconds a fetched revocation list is trusted
+   *   before verifyAuthToken checks the DHT again
+   * @param {number} [options.successionCacheTtl=60] - Seconds a key is trusted not to have been
+   *   rotated before the DHT is checked again
+   * @param {Object} [options.keyStore] - Where password-protected identities are kept: an object with
+   *   async save(alias, keys, password), load(alias, password) and delete(alias) (see keystore.js).
+   *   Defaults to UnSEA's browser storage
+   * @param {number} [options.mailboxInterval=30] - Seconds between DHT mailbox checks while
+   *   onMessage handlers are registered (0 to only check on checkMailbox())
+   * @param {number} [options.maxMessageAge=604800] - Seconds after which a received message is refused
+   * @param {boolean} [options.clearReadMessages=false] - Free mailbox slots once their messages are read
+   * @param {Object} [options.mailboxCursor] - Cursor from getMailboxCursor of an earlier instance
+   * @param {Function} [options.onError] - Called with an Error for every problem the IdP works
+   *   around without failing the call (ignored records, failed background checks); unset, they
+   *   are dropped
    */
   constructor(options = {}) {
     this.namespace = options.namespace || 'default';
     this.signalingServers = options.signalingServers || ['wss://pigeonhub.fli.dev'];
     this.meshOptions = options.meshOptions || {};
+    this.revocationCacheTtl = options.revocationCacheTtl ?? 60;
+    this.successionCacheTtl = options.successionCacheTtl ?? 60;
+    this.keyStore = options.keyStore || UNSEA_KEY_STORE;
+    this.mailboxInterval = options.mailboxInterval ?? 30;
+    this.maxMessageAge = options.maxMessageAge ?? MAILBOX_LIFETIME;
+    this.clearReadMessages = options.clearReadMessages ?? false;
+    this.onError = options.onError || null;
     
     this.mesh = null;
     this.webDHT = null;
-    this.keys = null;
+    this.keys = null; // Active identity
+    this.identities = new Map(); // alias -> keypair
+    this.activeAlias = null;
     this.initialized = false;
+    this.revocations = new Map(); // issuer pub -> { entries: Map<jti, entry>, fetched }
+    this.successions = new Map(); // `${pub}:${namespace}` -> { next, fetched }
+    this.aliasClaims = new Map(); // `${alias}:${namespace}` -> first claim seen
+    this.records = new Map(); // `${signer} ${key}` -> newest record envelope seen from that signer
+    this.peerAuth = null; // Running PigeonIdPPeerAuth (peer-auth.js), for finding recipients on the mesh
+    this.messageHandlers = []; // onMessage callbacks
+    this.messageListener = null;
+    this.mailboxTimer = null;
+    this.seenMessages = new Map(); // `${from}:${id}` -> time sent, for messages already delivered
+    this.mailboxSlots = new Map(); // `${sender}:${recipient}` -> { slot, last } index slot and newest message number sent
+    this.mailboxSends = new Map(); // `${sender}:${recipient}` -> mailbox write in progress, so sends take turns
+    this.mailboxRead = new Map(); // `${recipient}:${sender}` -> newest message number read
+    this.setMailboxCursor(options.mailboxCursor);
   }
 
   /**
@@ -68,39 +139,57 @@ export class PigeonIdP {
 
   /**
    * Create a new identity with cryptographic keypair
+   * The identity is added to the wallet under its alias and becomes the active identity.
    * @param {string} [alias='default'] - Alias for the identity
-   * @param {string} [password] - Optional password for encrypted storage
+   * @param {string} [password] - Optional password for encrypted storage in the key store
+   * @param {Object} [options] - Creation options
+   * @param {boolean} [options.claim=true] - Claim the alias in the namespace (see claimAlias);
+   *   pass false for wallet-only aliases
    * @returns {Promise<Object>} The generated keypair
+   * @throws {Error} If the alias is claimed by another key or cannot be claimed; the
+   *   identity is then neither kept in the wallet nor stored
    */
-  async createIdentity(alias = 'default', password = null) {
+  async createIdentity(alias = 'default', password = null, options = {}) {
     if (!this.initialized) {
       throw new Error('IdP must be initialized before creating identity');
     }
 
     // Generate new cryptographic keypair using UnSEA
-    this.keys = await generateRandomPair();
+    const keys = await generateRandomPair();
+    const previous = { keys: this.keys, alias: this.activeAlias, aliased: this.identities.get(alias) };
+    this.addIdentity(alias, keys);
+
+    // Claim the alias in the DHT for discovery; an alias another key owns stays with it
+    if (options.claim !== false) {
+      try {
+        await this.claimAlias(alias, alias);
+      } catch (error) {
+        if (this.identities.get(alias) === keys) {
+          if (previous.aliased) {
+            this.identities.set(alias, previous.aliased);
+          } else {
+            this.identities.delete(alias);
+          }
+        }
+        if (this.keys === keys) {
+          this.keys = previous.keys;
+          this.activeAlias = previous.alias;
+        }
+        throw error;
+      }
+    }
 
     // Store keys securely if password provided
     if (password) {
-      await saveKeys(alias, this.keys, password);
+      await this.keyStore.save(alias, keys, password);
     }
 
-    // Store public key in DHT for discovery
-    const publicKeyData = {
-      pub: this.keys.pub,
-      epub: this.keys.epub,
-      alias,
-      namespace: this.namespace,
-      created: Date.now()
-    };
-
-    await this.webDHT.put(`identity:${alias}:${this.namespace}`, publicKeyData);
-
-    return this.keys;
+    return keys;
   }
 
   /**
-   * Load an existing identity from encrypted storage
+   * Load an existing identity from the key store
+   * The identity is added to the wallet under its alias and becomes the active identity.
    * @param {string} alias - Alias of the identity to load
    * @param {string} password - Password to decrypt the keys
    * @returns {Promise<Object>} The loaded keypair
@@ -110,26 +199,258 @@ export class PigeonIdP {
       throw new Error('IdP must be initialized before loading identity');
     }
 
-    this.keys = await loadKeys(alias, password);
+    const keys = await this.keyStore.load(alias, password);
     
-    if (!this.keys) {
+    if (!keys) {
       throw new Error(`Identity with alias '${alias}' not found`);
     }
 
-    return this.keys;
+    this.addIdentity(alias, keys);
+    return keys;
+  }
+
+  /**
+   * List the identities held by this instance
+   * @returns {Array<Object>} { alias, pub, epub, active } for each identity in the wallet
+   */
+  listIdentities() {
+    return Array.from(this.identities.entries()).map(([alias, keys]) => ({
+      alias,
+      pub: keys.pub,
+      epub: keys.epub,
+      active: alias === this.activeAlias && keys === this.keys
+    }));
+  }
+
+  /**
+   * Make a wallet identity the active identity
+   * Methods called without an `alias` use the active identity.
+   * @param {string} alias - Alias of a created, loaded or imported identity
+   * @returns {Object} The identity's keypair
+   */
+  useIdentity(alias) {
+    const keys = this.getIdentityKeys(alias);
+    this.keys = keys;
+    this.activeAlias = alias;
+    return keys;
+  }
+
+  /**
+   * Replace an identity's keypair with a new one
+   * Publishes a succession record signed by both the old and the new key, so
+   * lookupIdentity follows the old key to the new one and verifyAuthToken stops
+   * trusting the old key. A registered profile is re-published under the new key.
+   * The wallet entries of the old key, and the active identity if it was the one
+   * rotated, move to the new key. An identity whose keys are lost can still be
+   * rotated with the recovery key it committed to (recovery.js): pass `recoverFrom`
+   * and `recoveryKeys` instead of having the old keys in the wallet.
+   * @param {Object} [options] - Rotation options
+   * @param {string} [options.alias] - Wallet identity to rotate (defaults to the active identity);
+   *   re-saved under this alias with password
+   * @param {string} [options.password] - Password for encrypted storage of the new keys
+   * @param {Object} [options.nextKeys] - Keypair to rotate to (generated if omitted)
+   * @param {string} [options.recoverFrom] - Public key to rotate without its private key
+   * @param {Object} [options.recoveryKeys] - Recovery keypair committed by `recoverFrom`, which
+   *   signs the succession record in its place
+   * @returns {Promise<Object>} The new keypair
+   */
+  async rotateKeys(options = {}) {
+    if (!this.initialized) {
+      throw new Error('IdP must be initialized before rotating keys');
+    }
+
+    const previousKeys = options.recoverFrom ? { pub: options.recoverFrom } : this.getIdentityKeys(options.alias);
+    if (options.recoverFrom && options.recoveryKeys?.pub !== await this.getRecoveryKey(options.recoverFrom)) {
+      throw new Error('Recovery key is not the one committed by the identity');
+    }
+    if (await this.getSuccessor(previousKeys.pub, true)) {
+      throw new Error('This key has already been rotated');
+    }
+
+    let identity = null;
+    try {
+      identity = await this.lookupIdentity(previousKeys.pub);
+    } catch (error) {
+      identity = null;
+    }
+
+    const nextKeys = options.nextKeys || await generateRandomPair();
+    if (!nextKeys.pub || !nextKeys.priv || !nextKeys.epub || !nextKeys.epriv) {
+      throw new Error('Next keys must be a complete keypair');
+    }
+    if (nextKeys.pub === previousKeys.pub) {
+      throw new Error('Next keys must differ from the current keys');
+    }
+
+    const record = {
+      previous: previousKeys.pub,
+      next: nextKeys.pub,
+      epub: nextKeys.epub,
+      namespace: this.namespace,
+      rotated: Date.now()
+    };
+
+    // The old key (or its recovery key) signs the record, the new key proves it accepts the succession
+    const succession = {
+      ...record,
+      nextSignature: await signMessage(JSON.stringify(record), nextKeys.priv)
+    };
+
+    await this.putRecord(`succession:${previousKeys.pub}:${this.namespace}`, succession, {
+      keys: options.recoverFrom ? options.recoveryKeys : previousKeys
+    });
+    this.successions.set(`${previousKeys.pub}:${this.namespace}`, { next: nextKeys.pub, fetched: Date.now() });
+    for (const [alias, keys] of this.identities) {
+      if (keys === previousKeys) {
+        this.identities.set(alias, nextKeys);
+      }
+    }
+    if (this.keys === previousKeys) {
+      this.keys = nextKeys;
+    }
+
+    if (identity) {
+      await this.registerIdentity(identity.profile, { keys: nextKeys });
+    }
+
+    if (options.alias) {
+      if (options.password) {
+        await this.keyStore.save(options.alias, nextKeys, options.password);
+      }
+
+      try {
+        await this.claimAlias(options.alias, options.alias);
+      } catch (error) {
+        this.reportError(`Alias '${options.alias}' not published: ${error.message}`, error);
+      }
+    }
+
+    return nextKeys;
+  }
+
+  /**
+   * Get the key that succeeded a rotated key
+   * Only verified succession records count (see readSuccession).
+   * @param {string} publicKey - Public key
+   * @param {boolean} [fresh=false] - Bypass the cache for keys not known to be rotated
+   * @param {string} [namespace] - Namespace the key was rotated in (defaults to this IdP's namespace)
+   * @returns {Promise<string|null>} Successor public key, or null if the key has not been rotated
+   * @throws {Error} If the succession record cannot be read from the DHT
+   */
+  async getSuccessor(publicKey, fresh = false, namespace = this.namespace) {
+    const cacheKey = `${publicKey}:${namespace}`;
+    const cached = this.successions.get(cacheKey);
+
+    // Rotation is permanent, so a known successor never needs a DHT round trip
+    if (cached?.next) {
+      return cached.next;
+    }
+
+    if (!fresh && cached && Date.now() - cached.fetched < this.successionCacheTtl * 1000) {
+      return null;
+    }
+
+    if (!this.webDHT) {
+      return null;
+    }
+
+    const succession = await this.readSuccession(publicKey, namespace);
+    const next = succession?.next || null;
+
+    this.successions.set(cacheKey, { next, fetched: Date.now() });
+    return next;
+  }
+
+  /**
+   * Read and verify the succession record of a key
+   * The record must be signed by the key, or by the recovery key the identity committed to,
+   * and accepted by the new key; anything else is reported and ignored.
+   * @param {string} publicKey - Public key
+   * @param {string} [namespace] - Namespace the key was rotated in (defaults to this IdP's namespace)
+   * @returns {Promise<Object|null>} { previous, next, epub, namespace, rotated, nextSignature },
+   *   or null if there is no valid record
+   * @throws {Error} If the succession record cannot be read from the DHT
+   */
+  async readSuccession(publicKey, namespace = this.namespace) {
+    const key = `succession:${publicKey}:${namespace}`;
+    let data = null;
+    try {
+      data = await this.webDHT.get(key);
+    } catch (error) {
+      // The key may have been rotated, so the caller must not trust it yet
+      throw new Error(`Could not check key rotation for ${publicKey}: ${error.message}`);
+    }
+    if (!data) {
+      return null;
+    }
+
+    let valid = false;
+    let succession = null;
+    try {
+      const stored = await this.openRecord(key, data);
+      const { nextSignature, ...record } = stored?.payload || {};
+      valid = (stored.signer === publicKey || stored.signer === await this.getRecoveryKey(publicKey, namespace)) &&
+        record.previous === publicKey && typeof record.next === 'string' &&
+        typeof nextSignature === 'string' &&
+        await this.verify(JSON.stringify(record), nextSignature, record.next);
+      succession = valid ? stored.payload : null;
+    } catch (error) {
+      valid = false;
+    }
+
+    if (!valid) {
+      this.reportError(`Ignoring succession record for ${publicKey}: signature verification failed`);
+    }
+    return succession;
+  }
+
+  /**
+   * Get the recovery key an identity committed to
+   * The owner-signed `recovery:` record written by recovery.js names it; the recovery key
+   * may only sign the identity's succession record.
+   * @param {string} publicKey - Identity public key
+   * @param {string} [namespace] - Namespace (defaults to this IdP's namespace)
+   * @returns {Promise<string|null>} Recovery public key, or null if none is committed
+   */
+  async getRecoveryKey(publicKey, namespace = this.namespace) {
+    try {
+      const record = await this.getRecord(`recovery:${publicKey}:${namespace}`, publicKey);
+      return typeof record?.payload.recoveryKey === 'string' ? record.payload.recoveryKey : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Follow succession records from a key to the current key
+   * @param {string} publicKey - Public key, possibly rotated
+   * @param {string} [namespace] - Namespace to follow rotations in (defaults to this IdP's namespace)
+   * @returns {Promise<Array<string>>} Key chain, oldest first; the last entry is the current key
+   */
+  async resolveKeyChain(publicKey, namespace = this.namespace) {
+    const chain = [publicKey];
+
+    let next = await this.getSuccessor(publicKey, false, namespace);
+    while (next) {
+      if (chain.includes(next) || chain.length > MAX_SUCCESSION_DEPTH) {
+        throw new Error(`Invalid key succession chain for ${publicKey}`);
+      }
+      chain.push(next);
+      next = await this.getSuccessor(next, false, namespace);
+    }
+
+    return chain;
   }
 
   /**
    * Sign a message or authentication token
    * @param {string} message - Message to sign
+   * @param {string} [alias] - Wallet identity to sign with (defaults to the active identity)
    * @returns {Promise<string>} The signature
    */
-  async sign(message) {
-    if (!this.keys) {
-      throw new Error('No identity loaded. Create or load an identity first');
-    }
-
-    return await signMessage(message, this.keys.priv);
+  async sign(message, alias) {
+    const keys = this.getIdentityKeys(alias);
+    return await signMessage(message, keys.priv);
   }
 
   /**
@@ -152,64 +473,79 @@ export class PigeonIdP {
    *   - iv: string - Initialization vector
    *   - sender: string - Sender's public key
    *   - timestamp: number - Encryption timestamp
+   * @param {string} [alias] - Wallet identity to encrypt as (defaults to the active identity)
    */
-  async encrypt(message, recipientKeys = null) {
-    if (!this.keys) {
-      throw new Error('No identity loaded. Create or load an identity first');
-    }
-
-    const targetKeys = recipientKeys || this.keys;
+  async encrypt(message, recipientKeys = null, alias) {
+    const keys = this.getIdentityKeys(alias);
+    const targetKeys = recipientKeys || keys;
     return await encryptMessageWithMeta(message, targetKeys);
   }
 
   /**
    * Decrypt a message
    * @param {Object} encryptedMessage - Encrypted message object to decrypt
+   * @param {string} [alias] - Wallet identity to decrypt with (defaults to the active identity)
    * @returns {Promise<string>} Decrypted message string
    */
-  async decrypt(encryptedMessage) {
-    if (!this.keys) {
-      throw new Error('No identity loaded. Create or load an identity first');
-    }
-
-    return await decryptMessageWithMeta(encryptedMessage, this.keys.epriv);
+  async decrypt(encryptedMessage, alias) {
+    const keys = this.getIdentityKeys(alias);
+    return await decryptMessageWithMeta(encryptedMessage, keys.epriv);
   }
 
   /**
-   * Generate an authentication token (JWT-like)
+   * Generate an authentication token
    * @param {Object} claims - Claims to include in the token
    * @param {number} [expiresIn=3600] - Token expiration time in seconds
-   * @returns {Promise<Object>} Authentication token with signature
+   * @param {Object} [options] - Token options
+   * @param {string} [options.format='object'] - 'object' for `{ claims, signature }`,
+   *   'jws' for a compact ES256 JWS (JWT) verifiable by standard JWT libraries
+   * @param {string} [options.alias] - Wallet identity to issue as (defaults to the active identity)
+   * @returns {Promise<Object|string>} Authentication token
    */
-  async generateAuthToken(claims = {}, expiresIn = 3600) {
-    if (!this.keys) {
-      throw new Error('No identity loaded. Create or load an identity first');
+  async generateAuthToken(claims = {}, expiresIn = 3600, options = {}) {
+    const keys = this.getIdentityKeys(options.alias);
+
+    const format = options.format || 'object';
+    if (format !== 'object' && format !== 'jws') {
+      throw new Error(`Unsupported token format: ${format}`);
     }
 
     const token = {
       claims: {
         ...claims,
+        jti: randomTokenId(), // Token ID, used for revocation; never caller-chosen
         namespace: this.namespace,
-        iss: this.keys.pub, // Issuer (public key)
+        iss: keys.pub, // Issuer (public key)
         iat: Math.floor(Date.now() / 1000), // Issued at
         exp: Math.floor(Date.now() / 1000) + expiresIn // Expiration
       }
     };
 
+    if (format === 'jws') {
+      const header = { alg: 'ES256', typ: 'JWT', kid: await jwkThumbprint(keys.pub) };
+      const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(token.claims))}`;
+      // UnSEA signs SHA-256 digests as raw r||s, which is exactly the ES256 signature encoding
+      return `${signingInput}.${await signMessage(signingInput, keys.priv)}`;
+    }
+
     // Sign the token
     const tokenString = JSON.stringify(token.claims);
-    token.signature = await this.sign(tokenString);
+    token.signature = await signMessage(tokenString, keys.priv);
 
     return token;
   }
 
   /**
    * Verify an authentication token
-   * @param {Object} token - Token to verify
+   * @param {Object|string} token - Token to verify (`{ claims, signature }` or compact JWS)
    * @returns {Promise<Object>} Verification result with claims if valid
    */
   async verifyAuthToken(token) {
-    if (!token.claims || !token.signature) {
+    if (typeof token === 'string') {
+      return await this.verifyJwsToken(token);
+    }
+
+    if (!token?.claims || !token.signature) {
       return { valid: false, error: 'Invalid token format' };
     }
 
@@ -227,167 +563,1203 @@ export class PigeonIdP {
       return { valid: false, error: 'Invalid signature' };
     }
 
+    let successor = null;
+    try {
+      successor = await this.getSuccessor(token.claims.iss);
+    } catch (error) {
+      return { valid: false, error: 'Could not check issuer key rotation' };
+    }
+    if (successor) {
+      return { valid: false, error: 'Issuer key has been rotated', successor };
+    }
+
+    if (token.claims.jti && await this.isRevoked(token.claims.jti, token.claims.iss)) {
+      return { valid: false, error: 'Token revoked' };
+    }
+
     return { valid: true, claims: token.claims };
   }
 
+  /**
+   * Verify a compact JWS token from generateAuthToken
+   * @param {string} token - Compact JWS
+   * @param {Object} [options] - Verification options
+   * @param {string} [options.type='JWT'] - Required `typ` header, so other signed objects
+   *   (e.g. credentials, `vc+jwt`) are not accepted as auth tokens
+   * @returns {Promise<Object>} Verification result with claims if valid
+   */
+  async verifyJwsToken(token, options = {}) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return { valid: false, error: 'Invalid token format' };
+    }
+
+    let header, claims;
+    try {
+      header = JSON.parse(base64UrlDecode(parts[0]));
+      claims = JSON.parse(base64UrlDecode(parts[1]));
+    } catch (error) {
+      return { valid: false, error: 'Invalid token format' };
+    }
+
+    if (header.alg !== 'ES256') {
+      return { valid: false, error: `Unsupported algorithm: ${header.alg}` };
+    }
+
+    if ((header.typ || 'JWT') !== (options.type || 'JWT')) {
+      return { valid: false, error: `Unexpected token type: ${header.typ}` };
+    }
+
+    if (typeof claims.iss !== 'string') {
+      return { valid: false, error: 'Invalid token format' };
+    }
+
+    // The issuer's key signs the token, so kid must name that same key
+    if (header.kid && header.kid !== await jwkThumbprint(claims.iss)) {
+      return { valid: false, error: 'Key ID does not match issuer' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.exp && claims.exp < now) {
+      return { valid: false, error: 'Token expired' };
+    }
+
+    const valid = await this.verify(`${parts[0]}.${parts[1]}`, parts[2], claims.iss);
+    if (!valid) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+
+    let successor = null;
+    try {
+      successor = await this.getSuccessor(claims.iss);
+    } catch (error) {
+      return { valid: false, error: 'Could not check issuer key rotation' };
+    }
+    if (successor) {
+      return { valid: false, error: 'Issuer key has been rotated', successor };
+    }
+
+    if (claims.jti && await this.isRevoked(claims.jti, claims.iss)) {
+      return { valid: false, error: 'Token revoked' };
+    }
+
+    return { valid: true, claims };
+  }
+
+  /**
+   * Renew an auth token with a session refresh token
+   * The refresh token is signed with the loaded identity, which must be the
+   * device key the session was bound to. Store the returned refresh token: the
+   * old one is consumed, and presenting it again terminates the session.
+   * @param {string} refreshToken - Current refresh token
+   * @param {Object} options - Refresh options (one of endpoint or sessionManager)
+   * @param {string} [options.endpoint] - Refresh URL, e.g. https://idp.example.com/api/tokens/refresh
+   * @param {SessionManager} [options.sessionManager] - In-process session manager (see sessions.js)
+   * @param {string} [options.alias] - Wallet identity holding the device key (defaults to the active identity)
+   * @returns {Promise<Object>} { sessionId, token, refreshToken, expiresIn }
+   */
+  async refreshAuthToken(refreshToken, options = {}) {
+    this.getIdentityKeys(options.alias);
+
+    const request = { refreshToken, proof: await this.sign(refreshToken, options.alias) };
+
+    if (options.sessionManager) {
+      return await options.sessionManager.refresh(request);
+    }
+
+    if (!options.endpoint) {
+      throw new Error('refreshAuthToken needs an endpoint or a sessionManager');
+    }
+
+    const response = await fetch(options.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || `Token refresh failed with status ${response.status}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Revoke a token issued by the loaded identity
+   * Appends the token ID to the issuer's signed revocation list in the DHT. Entries of tokens
+   * that have expired are pruned from the list, since those tokens fail verification anyway.
+   * @param {Object|string} token - Token from generateAuthToken (either format) or its `jti`
+   * @param {Object} [options] - Revocation options
+   * @param {string} [options.reason] - Reason recorded with the revocation
+   * @param {string} [options.alias] - Wallet identity that issued the token (defaults to the active identity)
+   * @returns {Promise<Object>} Revocation entry: { jti, revoked, exp, reason }
+   */
+  async revokeToken(token, options = {}) {
+    if (!this.initialized) {
+      throw new Error('IdP must be initialized before revoking tokens');
+    }
+
+    const keys = this.getIdentityKeys(options.alias);
+
+    const claims = typeof token === 'string' && token.split('.').length !== 3
+      ? { jti: token, iss: keys.pub }
+      : readTokenClaims(token);
+    if (!claims?.jti) {
+      throw new Error('Token has no jti and cannot be revoked');
+    }
+
+    if (claims.iss !== keys.pub) {
+      throw new Error('Only the issuer can revoke a token');
+    }
+
+    // Merge with the published list so concurrent revocations are not lost
+    const cached = await this.refreshRevocations(keys.pub, true);
+    const entry = {
+      jti: claims.jti,
+      revoked: Date.now(),
+      exp: claims.exp || null,
+      reason: options.reason || null
+    };
+    if (!cached.entries.has(entry.jti)) {
+      cached.entries.set(entry.jti, entry);
+    }
+    const revoked = cached.entries.get(entry.jti);
+
+    const now = Math.floor(Date.now() / 1000);
+    for (const [jti, listed] of cached.entries) {
+      if (listed.exp && listed.exp < now) {
+        cached.entries.delete(jti);
+      }
+    }
+
+    const list = {
+      issuer: keys.pub,
+      namespace: this.namespace,
+      entries: Array.from(cached.entries.values()),
+      updated: Date.now()
+    };
+
+    await this.putRecord(`revocations:${keys.pub}:${this.namespace}`, list, { keys });
+
+    return revoked;
+  }
+
+  /**
+   * Check whether a token ID is on its issuer's revocation list
+   * Uses the local cache while it is fresh (see options.revocationCacheTtl).
+   * @param {string} jti - Token ID
+   * @param {string} issuer - Issuer public key (the token's `iss`)
+   * @returns {Promise<boolean>} True if revoked
+   */
+  async isRevoked(jti, issuer) {
+    const cached = this.revocations.get(issuer);
+
+    // Revocations are permanent, so a cached hit never needs a DHT round trip
+    if (cached?.entries.has(jti)) {
+      return true;
+    }
+
+    if (cached && Date.now() - cached.fetched < this.revocationCacheTtl * 1000) {
+      return false;
+    }
+
+    const refreshed = await this.refreshRevocations(issuer);
+    return refreshed.entries.has(jti);
+  }
+
+  /**
+   * Fetch an issuer's revocation list from the DHT into the local cache
+   * Lists are append-only: entries already cached are kept even if a fetched
+   * list omits them, and lists not signed by the issuer are ignored.
+   * @param {string} issuer - Issuer public key
+   * @param {boolean} [strict=false] - Throw instead of keeping the cache when the DHT read fails
+   * @returns {Promise<Object>} Cache entry: { entries: Map<jti, entry>, fetched }
+   */
+  async refreshRevocations(issuer, strict = false) {
+    let cached = this.revocations.get(issuer);
+    if (!cached) {
+      cached = { entries: new Map(), fetched: 0 };
+      this.revocations.set(issuer, cached);
+    }
+
+    if (!this.webDHT) {
+      return cached;
+    }
+
+    const key = `revocations:${issuer}:${this.namespace}`;
+    let list = null;
+    try {
+      list = await this.webDHT.get(key);
+    } catch (error) {
+      if (strict) {
+        throw error;
+      }
+      this.reportError(`Could not fetch revocation list for ${issuer}: ${error.message}`, error);
+      return cached;
+    }
+
+    if (list) {
+      let data = null;
+      try {
+        data = (await this.openRecord(key, list, issuer))?.payload || null;
+      } catch (error) {
+        data = null;
+      }
+      const valid = data?.issuer === issuer && Array.isArray(data.entries);
+
+      if (valid) {
+        for (const entry of data.entries) {
+          if (entry?.jti && !cached.entries.has(entry.jti)) {
+            cached.entries.set(entry.jti, entry);
+          }
+        }
+      } else {
+        this.reportError(`Ignoring revocation list for ${issuer}: signature verification failed`);
+      }
+    }
+
+    cached.fetched = Date.now();
+    return cached;
+  }
+
   /**
    * Register an identity in the DHT for discovery
    * @param {Object} profile - User profile information
+   * @param {Object} [options] - Registration options
+   * @param {number} [options.expiresIn] - Seconds until lookups stop returning the profile (no expiry if omitted)
+   * @param {string} [options.alias] - Wallet identity to register (defaults to the active identity)
+   * @param {Object} [options.keys] - Keypair to register instead of a wallet identity
    * @returns {Promise<void>}
    */
-  async registerIdentity(profile = {}) {
-    if (!this.keys) {
-      throw new Error('No identity loaded. Create or load an identity first');
-    }
+  async registerIdentity(profile = {}, options = {}) {
+    const keys = options.keys || this.getIdentityKeys(options.alias);
 
     const identityData = {
-      pub: this.keys.pub,
-      epub: this.keys.epub,
+      pub: keys.pub,
+      epub: keys.epub,
       profile,
       namespace: this.namespace,
       registered: Date.now()
     };
 
-    // Sign the identity data
-    const dataString = JSON.stringify(identityData);
-    identityData.signature = await this.sign(dataString);
-
-    // Store in DHT
-    await this.webDHT.put(`user:${this.keys.pub}:${this.namespace}`, identityData);
+    await this.putRecord(`user:${keys.pub}:${this.namespace}`, identityData, { keys, expiresIn: options.expiresIn });
   }
 
   /**
    * Lookup an identity from the DHT
+   * Rotated keys are followed to the current key (see rotateKeys).
    * @param {string} publicKey - Public key of the identity to lookup
-   * @returns {Promise<Object|null>} Identity data if found
+   * @param {string} [namespace] - Namespace the identity is registered in (defaults to this IdP's namespace)
+   * @returns {Promise<Object|null>} Identity data if found; `pub` is the current key,
+   *   `previousKeys` lists rotated keys when publicKey has been rotated, and `record` holds the
+   *   DHT record metadata { seq, timestamp, expires, signer }
    */
-  async lookupIdentity(publicKey) {
+  async lookupIdentity(publicKey, namespace = this.namespace) {
     if (!this.initialized) {
       throw new Error('IdP must be initialized before looking up identities');
     }
 
-    const data = await this.webDHT.get(`user:${publicKey}:${this.namespace}`);
+    const chain = await this.resolveKeyChain(publicKey, namespace);
+    const currentKey = chain[chain.length - 1];
+
+    const key = `user:${currentKey}:${namespace}`;
+    const data = await this.webDHT.get(key);
     
     if (!data) {
       return null;
     }
 
-    // Verify the signature
-    const { signature, ...identityData } = data;
-    const dataString = JSON.stringify(identityData);
-    const valid = await this.verify(dataString, signature, publicKey);
+    let record = null;
+    try {
+      record = await this.openRecord(key, data, currentKey);
+    } catch (error) {
+      throw new Error('Identity data signature verification failed');
+    }
+    if (!record) {
+      return null;
+    }
+    if (record.payload.pub !== currentKey) {
+      throw new Error('Identity data signature verification failed');
+    }
+
+    const { payload, ...metadata } = record;
+    const identity = { ...payload, record: metadata };
+
+    if (chain.length > 1) {
+      identity.previousKeys = chain.slice(0, -1);
+    }
+
+    return identity;
+  }
+
+  /**
+   * Claim an alias in this IdP's namespace
+   * Aliases are first-claim-wins: the claim is signed by the identity's key and only that
+   * key, or a key it was rotated to, can update it. This is enforced by DHTWritePolicy on
+   * nodes that run it, and by each reader pinning the first claim it has seen (in memory);
+   * a reader that has never seen the alias trusts whichever signed claim the DHT returns.
+   * @param {string} alias - Alias to claim
+   * @param {string} [identityAlias] - Wallet identity to claim it for (defaults to the active identity)
+   * @returns {Promise<Object>} The published claim: { alias, pub, epub, namespace, created }
+   */
+  async claimAlias(alias, identityAlias) {
+    if (!this.initialized) {
+      throw new Error('IdP must be initialized before claiming aliases');
+    }
+
+    if (!alias || typeof alias !== 'string') {
+      throw new Error('Alias is required');
+    }
+
+    const keys = this.getIdentityKeys(identityAlias);
+    const existing = await this.readAliasClaim(alias, this.namespace);
+    if (existing) {
+      const chain = await this.resolveKeyChain(existing.pub);
+      if (chain[chain.length - 1] !== keys.pub) {
+        throw new Error(`Alias '${alias}' is already claimed in namespace ${this.namespace}`);
+      }
+    }
+
+    const claim = {
+      alias,
+      pub: keys.pub,
+      epub: keys.epub,
+      namespace: this.namespace,
+      created: existing?.created || Date.now()
+    };
+
+    await this.putRecord(`identity:${alias}:${this.namespace}`, claim, { keys });
+    this.aliasClaims.set(`${alias}:${this.namespace}`, claim);
+
+    return claim;
+  }
+
+  /**
+   * Find the identity that owns an alias
+   * Rotated keys are followed to the current key (see rotateKeys).
+   * @param {string} alias - Alias to look up
+   * @param {string} [namespace] - Namespace to search (defaults to this IdP's namespace)
+   * @returns {Promise<Object|null>} { alias, namespace, pub, epub, created } if claimed; `pub` and `epub`
+   *   are the current keys and `previousKeys` lists rotated keys
+   */
+  async lookupByAlias(alias, namespace = this.namespace) {
+    if (!this.initialized) {
+      throw new Error('IdP must be initialized before looking up identities');
+    }
+
+    const claim = await this.readAliasClaim(alias, namespace);
+    if (!claim) {
+      return null;
+    }
+
+    const chain = await this.resolveKeyChain(claim.pub, namespace);
+    const result = { alias, namespace, pub: claim.pub, epub: claim.epub, created: claim.created };
+
+    if (chain.length > 1) {
+      // The succession record (accepted by the new key) carries its epub
+      const previousKey = chain[chain.length - 2];
+      const succession = await this.readSuccession(previousKey, namespace);
+      if (!succession) {
+        throw new Error(`Succession record of ${previousKey} could not be read`);
+      }
+      result.pub = chain[chain.length - 1];
+      result.epub = succession.epub;
+      result.previousKeys = chain.slice(0, -1);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read the signed claim on an alias
+   * Unsigned or forged records are ignored. Once a claim has been seen, a later claim by
+   * an unrelated key is ignored too, so an overwritten record cannot take over the alias.
+   * @param {string} alias - Alias
+   * @param {string} namespace - Namespace
+   * @returns {Promise<Object|null>} Verified claim, or null if the alias is unclaimed
+   */
+  async readAliasClaim(alias, namespace) {
+    const cacheKey = `${alias}:${namespace}`;
+    const pinned = this.aliasClaims.get(cacheKey);
+
+    let claim = null;
+    try {
+      const record = await this.getRecord(`identity:${alias}:${namespace}`);
+      const valid = record && record.signer === record.payload.pub &&
+        record.payload.alias === alias && record.payload.namespace === namespace;
+      claim = valid ? record.payload : null;
+    } catch (error) {
+      claim = null;
+    }
+
+    if (pinned && claim?.pub !== pinned.pub) {
+      const chain = await this.resolveKeyChain(pinned.pub, namespace);
+      if (!claim || !chain.includes(claim.pub)) {
+        this.reportError(`Ignoring claim on alias '${alias}' in ${namespace}: it is owned by ${pinned.pub}`);
+        return pinned;
+      }
+    }
+
+    if (claim) {
+      this.aliasClaims.set(cacheKey, claim);
+    }
+    return claim;
+  }
+
+  /**
+   * Sign and store a record in the DHT
+   * Every record PigeonIdP writes uses the same envelope: { payload, seq, timestamp, expires,
+   * signer, signature }. `seq` grows with every write to the key, so readers that have seen a
+   * newer record refuse an older one replayed over it.
+   * @param {string} key - DHT key
+   * @param {Object} payload - Record content
+   * @param {Object} [options] - Write options
+   * @param {Object} [options.keys] - Keypair to sign with (defaults to the active identity)
+   * @param {number} [options.expiresIn] - Seconds until readers ignore the record (no expiry if
+   *   omitted; negative to write an already expired record)
+   * @returns {Promise<Object>} The stored envelope
+   */
+  async putRecord(key, payload, options = {}) {
+    if (!this.initialized) {
+      throw new Error('IdP must be initialized before writing to the DHT');
+    }
+
+    const keys = options.keys || this.getIdentityKeys();
 
+    // Continue from the newest version we signed; another signer's seq is not ours to follow
+    let current = this.records.get(`${keys.pub} ${key}`) || null;
+    try {
+      const stored = await this.openRecord(key, await this.webDHT.get(key), keys.pub, true);
+      if (stored && stored.seq > (current?.seq || 0)) {
+        current = stored;
+      }
+    } catch (error) {
+      // An unreadable record, or one signed by another key, is overwritten
+    }
+
+    const now = Date.now();
+    const envelope = {
+      payload,
+      seq: (current?.seq || 0) + 1,
+      timestamp: now,
+      expires: options.expiresIn ? now + options.expiresIn * 1000 : null,
+      signer: keys.pub
+    };
+    envelope.signature = await signMessage(JSON.stringify(envelope), keys.priv);
+
+    await this.webDHT.put(key, envelope);
+    this.records.set(`${keys.pub} ${key}`, envelope);
+
+    return envelope;
+  }
+
+  /**
+   * Read and verify a record stored with putRecord
+   * @param {string} key - DHT key
+   * @param {string|Array<string>} [signer] - Key(s) allowed to have signed it; without one, check
+   *   the returned `signer` yourself
+   * @returns {Promise<Object|null>} { payload, seq, timestamp, expires, signer }, or null if missing or expired
+   */
+  async getRecord(key, signer) {
+    if (!this.initialized) {
+      throw new Error('IdP must be initialized before reading from the DHT');
+    }
+
+    return await this.openRecord(key, await this.webDHT.get(key), signer);
+  }
+
+  /**
+   * Verify a record envelope read from the DHT
+   * An envelope older than one already seen for the key from the same signer is a replay: the
+   * newer one is used instead. Versions are tracked per signer, so a high `seq` written by one
+   * key never hides records by another.
+   * @param {string} key - DHT key the record was read from
+   * @param {Object|null} data - Stored envelope
+   * @param {string|Array<string>} [signer] - Key(s) allowed to have signed it
+   * @param {boolean} [includeExpired=false] - Return expired records too
+   * @returns {Promise<Object|null>} { payload, seq, timestamp, expires, signer }, or null if missing or expired
+   * @throws {Error} If the record is not a valid envelope signed by an allowed key
+   */
+  async openRecord(key, data, signer, includeExpired = false) {
+    if (!data) {
+      return null;
+    }
+
+    const { signature, ...envelope } = data;
+    let valid = typeof envelope.payload === 'object' && envelope.payload !== null &&
+      Number.isSafeInteger(envelope.seq) && envelope.seq > 0 &&
+      typeof envelope.timestamp === 'number' &&
+      (envelope.expires === null || typeof envelope.expires === 'number') &&
+      typeof envelope.signer === 'string' && typeof signature === 'string' &&
+      (!signer || [].concat(signer).includes(envelope.signer));
+    if (valid) {
+      try {
+        valid = await this.verify(JSON.stringify(envelope), signature, envelope.signer);
+      } catch (error) {
+        valid = false;
+      }
+    }
     if (!valid) {
-      throw new Error('Identity data signature verification failed');
+      throw new Error('Record signature verification failed');
     }
 
-    return identityData;
+    let record = envelope;
+    const cacheKey = `${envelope.signer} ${key}`;
+    const seen = this.records.get(cacheKey);
+    if (seen && envelope.seq < seen.seq) {
+      this.reportError(`Ignoring replayed record for ${key}: version ${envelope.seq} is older than ${seen.seq}`);
+      const { signature: seenSignature, ...newer } = seen;
+      record = newer;
+    } else {
+      this.records.set(cacheKey, data);
+    }
+
+    if (!includeExpired && record.expires !== null && record.expires <= Date.now()) {
+      return null;
+    }
+
+    return record;
   }
 
   /**
    * Authenticate with PigeonHub namespace
+   * The hub's PigeonHubAuthority (hub.js) answers the request with a grant signed by the hub
+   * key, carrying a token the hub issued. With `options.hubKey` the request key is sent to the
+   * hub as an encrypted message and the answer is awaited. Without it the request is only
+   * published: hand the key to the hub's submit() and fetch the answer later with getHubGrant.
    * @param {string} hubNamespace - PigeonHub namespace to authenticate with
    * @param {Object} credentials - Authentication credentials
-   * @returns {Promise<Object>} Authentication result with token
+   * @param {Object} [options] - Authentication options
+   * @param {string} [options.hubKey] - Hub public key; wait for its answer
+   * @param {number} [options.timeout=30] - Seconds to wait for the hub
+   * @param {number} [options.interval=1] - Seconds between checks for the answer
+   * @param {string} [options.alias] - Wallet identity to authenticate (defaults to the active identity)
+   * @returns {Promise<Object>} { success, pending, requestKey, token?, error? }; `success` is true
+   *   once the hub has admitted the identity
    */
-  async authenticateWithHub(hubNamespace, credentials = {}) {
-    if (!this.keys) {
-      throw new Error('No identity loaded. Create or load an identity first');
-    }
+  async authenticateWithHub(hubNamespace, credentials = {}, options = {}) {
+    const keys = this.getIdentityKeys(options.alias);
 
     // Create authentication request
     const authRequest = {
-      publicKey: this.keys.pub,
+      publicKey: keys.pub,
       namespace: hubNamespace,
       timestamp: Date.now(),
       credentials
     };
 
-    // Sign the authentication request
-    const requestString = JSON.stringify(authRequest);
-    authRequest.signature = await this.sign(requestString);
+    // Store the signed authentication request in DHT for hub to process
+    const requestKey = `auth:${hubNamespace}:${keys.pub}:${authRequest.timestamp}`;
+    await this.putRecord(requestKey, authRequest, { keys, expiresIn: HUB_REQUEST_LIFETIME });
 
-    // Store authentication request in DHT for hub to process
-    const requestKey = `auth:${hubNamespace}:${this.keys.pub}:${Date.now()}`;
-    await this.webDHT.put(requestKey, authRequest);
+    if (!options.hubKey) {
+      return { success: false, pending: true, requestKey };
+    }
+
+    try {
+      await this.sendEncrypted(options.hubKey, { type: HUB_REQUEST_MESSAGE, requestKey }, {
+        alias: options.alias,
+        expiresIn: HUB_REQUEST_LIFETIME
+      });
+    } catch (error) {
+      // The hub has not registered or cannot be reached: it may still get the key through submit()
+    }
+
+    const deadline = Date.now() + (options.timeout ?? 30) * 1000;
+    let grant = await this.getHubGrant(requestKey, options.hubKey);
+    while (!grant && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, (options.interval ?? 1) * 1000));
+      grant = await this.getHubGrant(requestKey, options.hubKey);
+    }
+
+    if (!grant) {
+      return { success: false, pending: true, requestKey, error: 'Hub did not answer in time' };
+    }
+
+    if (!grant.granted) {
+      return { success: false, pending: false, requestKey, error: grant.reason };
+    }
+
+    return { success: true, pending: false, requestKey, token: grant.token };
+  }
+
+  /**
+   * Get a hub's answer to an authentication request
+   * @param {string} requestKey - Key returned by authenticateWithHub
+   * @param {string} hubKey - Hub public key that must have signed the answer
+   * @returns {Promise<Object|null>} { request, publicKey, namespace, granted, token?, reason?, issued },
+   *   or null if the hub has not answered yet (a record not signed by the hub is no answer)
+   * @throws {Error} If the hub's answer is not valid for this request
+   */
+  async getHubGrant(requestKey, hubKey) {
+    const parts = typeof requestKey === 'string' ? requestKey.split(':') : [];
+    if (parts[0] !== 'auth' || parts.length < 4) {
+      throw new Error('Invalid hub authentication request key');
+    }
+
+    let record;
+    try {
+      record = await this.getRecord(`auth-grant:${requestKey.slice('auth:'.length)}`, hubKey);
+    } catch (error) {
+      // Anyone can write garbage at the key; keep waiting for the hub's own record
+      return null;
+    }
+    if (!record) {
+      return null;
+    }
+
+    const grant = record.payload;
+    const publicKey = parts[parts.length - 2];
+    if (grant.request !== requestKey || grant.publicKey !== publicKey) {
+      throw new Error('Hub answer does not match the request');
+    }
+
+    if (grant.granted) {
+      const result = await this.verifyAuthToken(grant.token);
+      if (!result.valid || result.claims.iss !== hubKey || result.claims.sub !== publicKey) {
+        throw new Error('Hub token is not valid for this request');
+      }
+    }
+
+    return grant;
+  }
+
+  /**
+   * Send an end-to-end encrypted message to another identity
+   * The recipient's current keys come from lookupIdentity, so it must have registered. The
+   * message is signed by the sender and then encrypted to the recipient's `epub`. It goes over
+   * the mesh when the recipient is a connected peer authenticated by PigeonIdPPeerAuth (or
+   * `options.peerId` is given), and to the recipient's DHT mailbox otherwise: the message is
+   * stored under the sender's key and its next message number, and the sender's own slot of
+   * the recipient's mailbox index records that number. Mesh delivery is not acknowledged, so it
+   * is reported with `confirmed: false`.
+   * @param {string} recipientPub - Recipient's public key (a rotated key reaches its successor)
+   * @param {*} payload - JSON-serializable message content
+   * @param {Object} [options] - Send options
+   * @param {string} [options.alias] - Wallet identity to send as (defaults to the active identity)
+   * @param {string} [options.peerId] - Mesh peer ID of the recipient
+   * @param {number} [options.expiresIn=604800] - Seconds the message waits in the mailbox (at most 604800)
+   * @returns {Promise<Object>} { id, to, delivery: 'mesh' | 'mailbox', confirmed }, where
+   *   `confirmed` is true once the message is stored in the mailbox
+   * @throws {Error} If the recipient is not registered or its mailbox index has no free slot
+   */
+  async sendEncrypted(recipientPub, payload, options = {}) {
+    if (!this.initialized) {
+      throw new Error('IdP must be initialized before sending messages');
+    }
 
-    // Generate local token for the session
-    const token = await this.generateAuthToken({
-      hub: hubNamespace,
-      ...credentials
+    const keys = this.getIdentityKeys(options.alias);
+    const recipient = await this.lookupIdentity(recipientPub);
+    if (!recipient) {
+      throw new Error(`No registered identity for ${recipientPub}`);
+    }
+
+    const message = {
+      id: randomTokenId(),
+      from: keys.pub,
+      to: recipient.pub,
+      sent: Date.now(),
+      payload
+    };
+    message.signature = await signMessage(JSON.stringify(message), keys.priv);
+    const sealed = await encryptMessageWithMeta(JSON.stringify(message), { epub: recipient.epub });
+
+    const peerId = options.peerId || this.peerAuth?.findPeer(recipient.pub);
+    if (peerId && this.mesh) {
+      const sent = await this.mesh.sendDirectMessage(peerId, { type: DIRECT_MESSAGE_TYPE, to: recipient.pub, sealed });
+      if (sent) {
+        return { id: message.id, to: recipient.pub, delivery: 'mesh', confirmed: false };
+      }
+    }
+
+    const expiresIn = options.expiresIn ?? MAILBOX_LIFETIME;
+    if (!(expiresIn > 0 && expiresIn <= MAILBOX_LIFETIME)) {
+      throw new Error(`Mailbox messages must expire within ${MAILBOX_LIFETIME} seconds`);
+    }
+
+    // Sends from one identity to one recipient take turns, so each gets its own message number
+    const sender = `${keys.pub}:${recipient.pub}`;
+    const previous = this.mailboxSends.get(sender) || Promise.resolve();
+    const sending = previous.catch(() => {}).then(() => this.putMailboxMessage(keys, recipient.pub, sealed, expiresIn));
+    this.mailboxSends.set(sender, sending);
+    try {
+      await sending;
+    } finally {
+      if (this.mailboxSends.get(sender) === sending) {
+        this.mailboxSends.delete(sender);
+      }
+    }
+    return { id: message.id, to: recipient.pub, delivery: 'mailbox', confirmed: true };
+  }
+
+  /**
+   * Store a sealed message in a recipient's DHT mailbox
+   * @param {Object} keys - Sender keypair
+   * @param {string} recipientPub - Recipient public key
+   * @param {Object} sealed - Encrypted message
+   * @param {number} expiresIn - Seconds the message stays in the mailbox
+   * @returns {Promise<void>}
+   */
+  async putMailboxMessage(keys, recipientPub, sealed, expiresIn) {
+    const sender = `${keys.pub}:${recipientPub}`;
+    let claim = this.mailboxSlots.get(sender) || null;
+    const stored = claim ? await this.readMailboxSlot(this.mailboxSlotKey(recipientPub, claim.slot)) : null;
+    if (stored?.signer === keys.pub && stored.payload.from === keys.pub) {
+      claim = { slot: claim.slot, last: Math.max(claim.last, stored.payload.last || 0) };
+    } else {
+      // Our slot expired or was cleared by the recipient: claim one again, keeping our numbering
+      claim = await this.claimMailboxSlot(keys, recipientPub, claim?.last || 0);
+    }
+
+    const number = claim.last + 1;
+    await this.putRecord(`mailbox:${recipientPub}:${this.namespace}:${keys.pub}:${number}`,
+      { from: keys.pub, to: recipientPub, sealed }, { keys, expiresIn });
+
+    const pointer = { from: keys.pub, to: recipientPub, last: number };
+    let slot = claim.slot;
+    await this.putRecord(this.mailboxSlotKey(recipientPub, slot), pointer, { keys, expiresIn: MAILBOX_LIFETIME });
+    // A sender that claimed the same slot at the same time may have overwritten it since
+    if ((await this.readMailboxSlot(this.mailboxSlotKey(recipientPub, slot)))?.signer !== keys.pub) {
+      slot = (await this.claimMailboxSlot(keys, recipientPub, number)).slot;
+      await this.putRecord(this.mailboxSlotKey(recipientPub, slot), pointer, { keys, expiresIn: MAILBOX_LIFETIME });
+    }
+    this.mailboxSlots.set(sender, { slot, last: number });
+  }
+
+  /**
+   * Find or take the sender's slot in a recipient's mailbox index
+   * Free slots are tried in random order, so senders that fill some slots cannot steer
+   * where others land.
+   * @param {Object} keys - Sender keypair
+   * @param {string} recipientPub - Recipient public key
+   * @param {number} last - Newest message number already sent to the recipient
+   * @returns {Promise<Object>} { slot, last }
+   * @throws {Error} If no free slot could be taken
+   */
+  async claimMailboxSlot(keys, recipientPub, last) {
+    const slots = await this.readMailboxIndex(recipientPub);
+    const own = slots.findIndex((record) => record?.signer === keys.pub && record.payload.from === keys.pub);
+    if (own !== -1) {
+      return { slot: own, last: Math.max(last, slots[own].payload.last || 0) };
+    }
+
+    const free = [];
+    slots.forEach((record, slot) => {
+      if (!record) {
+        free.push(slot);
+      }
     });
+    for (let attempt = 0; attempt < MAILBOX_CLAIM_ATTEMPTS && free.length > 0; attempt++) {
+      const [slot] = free.splice(Math.floor(Math.random() * free.length), 1);
+      const key = this.mailboxSlotKey(recipientPub, slot);
+      await this.putRecord(key, { from: keys.pub, to: recipientPub, last }, { keys, expiresIn: MAILBOX_LIFETIME });
+      // Another sender may have taken the same slot at the same time
+      const stored = await this.readMailboxSlot(key);
+      if (stored?.signer === keys.pub) {
+        return { slot, last };
+      }
+    }
 
-    return {
-      success: true,
-      token,
-      requestKey
+    throw new Error(`Mailbox of ${recipientPub} is full`);
+  }
+
+  /**
+   * Receive encrypted messages sent to any identity in the wallet
+   * Messages arrive from the mesh as they are sent and from the DHT mailbox every
+   * `mailboxInterval` seconds. The handler gets { id, from, to, sent, payload, via }, where
+   * `from` is the verified sender key and `via` is 'mesh' or 'mailbox'.
+   * @param {Function} handler - Called with each message, once
+   * @returns {Function} Call to remove the handler
+   */
+  onMessage(handler) {
+    if (!this.initialized) {
+      throw new Error('IdP must be initialized before receiving messages');
+    }
+
+    this.messageHandlers.push(handler);
+    if (!this.messageListener) {
+      this.messageListener = (event) => {
+        if (event?.direct && event.content?.type === DIRECT_MESSAGE_TYPE) {
+          this.receiveMessage(event.content.to, event.content.sealed, 'mesh').catch((error) => {
+            this.reportError(`Ignoring message from peer ${event.from}: ${error.message}`, error);
+          });
+        }
+      };
+      this.mesh.addEventListener('messageReceived', this.messageListener);
+    }
+    if (!this.mailboxTimer && this.mailboxInterval > 0) {
+      this.mailboxTimer = setInterval(() => {
+        this.checkMailbox().catch((error) => this.reportError(`Mailbox check failed: ${error.message}`, error));
+      }, this.mailboxInterval * 1000);
+    }
+
+    return () => {
+      this.messageHandlers = this.messageHandlers.filter((registered) => registered !== handler);
+      if (this.messageHandlers.length === 0) {
+        this.stopReceiving();
+      }
     };
   }
 
+  /**
+   * Read new messages from the DHT mailboxes of the wallet identities
+   * Every slot of each mailbox index is read, and each sender's messages up to the number in
+   * its slot; missing or expired messages are skipped and messages already delivered are not
+   * delivered again. A check still running when the IdP disconnects stops early.
+   * @param {Object} [options] - Check options
+   * @param {boolean} [options.clear] - Free the slots of senders whose messages were read
+   *   (defaults to the `clearReadMessages` option)
+   * @returns {Promise<Array<Object>>} Messages delivered to the onMessage handlers
+   */
+  async checkMailbox(options = {}) {
+    if (!this.initialized) {
+      throw new Error('IdP must be initialized before reading the mailbox');
+    }
+
+    const clear = options.clear ?? this.clearReadMessages;
+    const delivered = [];
+    const recipients = new Map([...this.identities.values(), this.keys].filter(Boolean).map((keys) => [keys.pub, keys]));
+    for (const keys of recipients.values()) {
+      const slots = this.initialized ? await this.readMailboxIndex(keys.pub) : [];
+      for (let slot = 0; slot < slots.length && this.initialized; slot++) {
+        const pointer = slots[slot];
+        if (!pointer || pointer.signer !== pointer.payload.from || pointer.payload.to !== keys.pub ||
+            !Number.isSafeInteger(pointer.payload.last)) {
+          continue;
+        }
+
+        const { from, last } = pointer.payload;
+        const progress = `${keys.pub}:${from}`;
+        let read = this.mailboxRead.get(progress) || 0;
+        if (read > last) {
+          // The sender lost its numbering and started again from 1
+          read = 0;
+        }
+        for (let number = Math.max(read, last - MAILBOX_MESSAGES_PER_SENDER) + 1; number <= last && this.initialized; number++) {
+          try {
+            const record = await this.getRecord(`mailbox:${keys.pub}:${this.namespace}:${from}:${number}`, from);
+            const message = record ? await this.receiveMessage(keys.pub, record.payload.sealed, 'mailbox') : null;
+            if (message) {
+              delivered.push(message);
+            }
+          } catch (error) {
+            this.reportError(`Ignoring mailbox message ${number} from ${from}: ${error.message}`, error);
+          }
+        }
+        if (!this.initialized) {
+          break;
+        }
+        this.mailboxRead.set(progress, last);
+
+        if (clear) {
+          // An already expired copy frees the slot
+          try {
+            await this.putRecord(this.mailboxSlotKey(keys.pub, slot), pointer.payload, { keys, expiresIn: -1 });
+          } catch (error) {
+            // Still live: the next check skips the messages already read
+          }
+        }
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Read every slot of a mailbox index
+   * @param {string} recipientPub - Recipient public key
+   * @returns {Promise<Array<Object|null>>} Live record of each slot, or null where the slot is free
+   */
+  async readMailboxIndex(recipientPub) {
+    return await Promise.all(Array.from({ length: MAILBOX_SLOTS },
+      (_, slot) => this.readMailboxSlot(this.mailboxSlotKey(recipientPub, slot))));
+  }
+
+  /**
+   * Read a mailbox index slot
+   * @param {string} key - `mailbox-index:` DHT key
+   * @returns {Promise<Object|null>} The live record, or null if the slot is free (missing,
+   *   unreadable, expired or cleared)
+   */
+  async readMailboxSlot(key) {
+    try {
+      return await this.openRecord(key, await this.webDHT.get(key));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * DHT key of a mailbox index slot
+   * @param {string} recipientPub - Recipient public key
+   * @param {number} slot - Slot number
+   * @returns {string} `mailbox-index:` DHT key
+   */
+  mailboxSlotKey(recipientPub, slot) {
+    return `mailbox-index:${recipientPub}:${this.namespace}:${slot}`;
+  }
+
+  /**
+   * Messages already delivered, so a later instance does not deliver them again
+   * Store the cursor and pass it to setMailboxCursor, or as the `mailboxCursor` option, after
+   * a restart. Messages older than `maxMessageAge` are refused anyway and are left out.
+   * @returns {Object} `${from}:${id}` -> time the message was sent
+   */
+  getMailboxCursor() {
+    this.pruneSeenMessages();
+    return Object.fromEntries(this.seenMessages);
+  }
+
+  /**
+   * Restore a cursor from getMailboxCursor
+   * @param {Object} [cursor] - `${from}:${id}` -> time the message was sent
+   * @returns {void}
+   */
+  setMailboxCursor(cursor) {
+    for (const [message, sent] of Object.entries(cursor || {})) {
+      if (typeof sent === 'number') {
+        this.seenMessages.set(message, sent);
+      }
+    }
+    this.pruneSeenMessages();
+  }
+
+  /**
+   * Forget delivered messages too old to be accepted again
+   * @returns {void}
+   */
+  pruneSeenMessages() {
+    const oldest = Date.now() - this.maxMessageAge * 1000;
+    for (const [message, sent] of this.seenMessages) {
+      if (sent < oldest) {
+        this.seenMessages.delete(message);
+      }
+    }
+  }
+
+  /**
+   * Decrypt, verify and deliver a message to the onMessage handlers
+   * @param {string} recipientPub - Wallet key the message was sent to
+   * @param {Object} sealed - Encrypted message
+   * @param {string} via - 'mesh' or 'mailbox'
+   * @returns {Promise<Object|null>} The message, or null if it was already delivered
+   * @throws {Error} If the message cannot be decrypted, its signature is invalid, or it was sent
+   *   more than `maxMessageAge` seconds ago
+   */
+  async receiveMessage(recipientPub, sealed, via) {
+    const keys = [...this.identities.values(), this.keys].find((candidate) => candidate?.pub === recipientPub);
+    if (!keys) {
+      throw new Error('Message is not addressed to an identity in the wallet');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await decryptMessageWithMeta(sealed, keys.epriv));
+    } catch (error) {
+      throw new Error('Message could not be decrypted');
+    }
+
+    const { signature, ...message } = data || {};
+    let valid = typeof message.from === 'string' && typeof signature === 'string' &&
+      typeof message.id === 'string' && typeof message.sent === 'number' && message.to === recipientPub;
+    if (valid) {
+      try {
+        valid = await this.verify(JSON.stringify(message), signature, message.from);
+      } catch (error) {
+        valid = false;
+      }
+    }
+    if (!valid) {
+      throw new Error('Message signature verification failed');
+    }
+
+    // Old messages are refused, so delivered ones only need to be remembered until then
+    const now = Date.now();
+    if (message.sent < now - this.maxMessageAge * 1000) {
+      throw new Error('Message is too old');
+    }
+    if (message.sent > now + MESSAGE_CLOCK_SKEW * 1000) {
+      throw new Error('Message is dated in the future');
+    }
+
+    this.pruneSeenMessages();
+    const seen = `${message.from}:${message.id}`;
+    if (this.seenMessages.has(seen)) {
+      return null;
+    }
+    this.seenMessages.set(seen, message.sent);
+
+    const delivered = { ...message, via };
+    for (const handler of this.messageHandlers) {
+      try {
+        await handler(delivered);
+      } catch (error) {
+        this.reportError(`Message handler failed: ${error.message}`, error);
+      }
+    }
+    return delivered;
+  }
+
+  /**
+   * Stop listening for messages
+   * @returns {void}
+   */
+  stopReceiving() {
+    if (this.messageListener && this.mesh) {
+      this.mesh.removeEventListener('messageReceived', this.messageListener);
+    }
+    this.messageListener = null;
+    clearInterval(this.mailboxTimer);
+    this.mailboxTimer = null;
+  }
+
   /**
    * Export keys to JWK format
+   * @param {string} [alias] - Wallet identity (defaults to the active identity)
    * @returns {Promise<Object>} Keys in JWK format (private keys) and string format (public keys)
    */
-  async exportKeys() {
-    if (!this.keys) {
-      throw new Error('No identity loaded. Create or load an identity first');
-    }
+  async exportKeys(alias) {
+    const keys = this.getIdentityKeys(alias);
 
     // Export private keys to JWK, public keys are already in portable string format
     return {
-      priv: await exportToJWK(this.keys.priv),
-      pub: this.keys.pub, // Public key is already in portable format
-      epriv: await exportToJWK(this.keys.epriv),
-      epub: this.keys.epub // Encryption public key is already in portable format
+      priv: await exportToJWK(keys.priv),
+      pub: keys.pub, // Public key is already in portable format
+      epriv: await exportToJWK(keys.epriv),
+      epub: keys.epub // Encryption public key is already in portable format
     };
   }
 
   /**
    * Import keys from exported format
+   * The keys become the active identity, and are added to the wallet when an alias is given.
    * @param {Object} jwkKeys - Keys object with JWK private keys and string public keys
+   * @param {string} [alias] - Wallet alias for the imported identity
    * @returns {Promise<void>}
    */
-  async importKeys(jwkKeys) {
-    this.keys = {
+  async importKeys(jwkKeys, alias = null) {
+    const keys = {
       priv: typeof jwkKeys.priv === 'string' ? jwkKeys.priv : await importFromJWK(jwkKeys.priv),
       pub: jwkKeys.pub, // Public key is already in string format
       epriv: typeof jwkKeys.epriv === 'string' ? jwkKeys.epriv : await importFromJWK(jwkKeys.epriv),
       epub: jwkKeys.epub // Encryption public key is already in string format
     };
+
+    this.addIdentity(alias, keys);
   }
 
   /**
    * Clear stored identity
+   * Removes the identity from storage and the wallet, and unloads it if it is active.
    * @param {string} alias - Alias of the identity to clear
    * @returns {Promise<void>}
    */
   async clearIdentity(alias) {
-    await clearKeys(alias);
-    if (this.keys) {
+    await this.keyStore.delete(alias);
+
+    const keys = this.identities.get(alias);
+    this.identities.delete(alias);
+    if (this.keys && (this.activeAlias === alias || this.activeAlias === null || keys === this.keys)) {
       this.keys = null;
+      this.activeAlias = null;
     }
   }
 
   /**
    * Get current identity public keys
+   * @param {string} [alias] - Wallet identity (defaults to the active identity)
    * @returns {Object|null} Public keys or null if no identity loaded
    */
-  getPublicKeys() {
+  getPublicKeys(alias) {
+    const keys = alias ? this.identities.get(alias) : this.keys;
+    if (!keys) {
+      return null;
+    }
+
+    return {
+      pub: keys.pub,
+      epub: keys.epub
+    };
+  }
+
+  /**
+   * Get the keypair of a wallet identity, or of the active identity
+   * @param {string} [alias] - Wallet alias
+   * @returns {Object} UnSEA keypair
+   * @throws {Error} If the alias is unknown or no identity is loaded
+   */
+  getIdentityKeys(alias) {
+    if (alias) {
+      const keys = this.identities.get(alias);
+      if (!keys) {
+        throw new Error(`Identity '${alias}' is not in the wallet`);
+      }
+      return keys;
+    }
+
     if (!this.keys) {
+      throw new Error('No identity loaded. Create or load an identity first');
+    }
+    return this.keys;
+  }
+
+  /**
+   * Add a keypair to the wallet and make it the active identity
+   * @param {string|null} alias - Wallet alias (the keys are only made active when null)
+   * @param {Object} keys - UnSEA keypair
+   * @returns {void}
+   */
+  addIdentity(alias, keys) {
+    if (alias) {
+      this.identities.set(alias, keys);
+    }
+    this.keys = keys;
+    this.activeAlias = alias || null;
+  }
+
+  /**
+   * Get the signing public key as a JWK
+   * @param {string} [alias] - Wallet identity (defaults to the active identity)
+   * @returns {Promise<Object|null>} P-256 JWK with `kid` (RFC 7638 thumbprint), or null if no identity is loaded
+   */
+  async getPublicJwk(alias) {
+    const keys = this.getPublicKeys(alias);
+    if (!keys) {
       return null;
     }
 
     return {
-      pub: this.keys.pub,
-      epub: this.keys.epub
+      ...publicKeyJwk(keys.pub),
+      kid: await jwkThumbprint(keys.pub),
+      use: 'sig',
+      alg: 'ES256'
     };
   }
 
+  /**
+   * Pass a problem the IdP worked around to the `onError` option
+   * @param {string} message - What was ignored or failed
+   * @param {Error} [cause] - Underlying error
+   * @returns {void}
+   */
+  reportError(message, cause) {
+    if (!this.onError) {
+      return;
+    }
+
+    try {
+      this.onError(new Error(message, cause ? { cause } : undefined));
+    } catch (error) {
+      // A failing hook must not break the call that reported
+    }
+  }
+
   /**
    * Disconnect from the mesh network
    * @returns {Promise<void>}
    */
   async disconnect() {
+    this.stopReceiving();
     if (this.mesh) {
       this.mesh.disconnect();
       this.mesh = null;
@@ -397,5 +1769,27 @@ export class PigeonIdP {
   }
 }
 
+/**
+ * Helper: Random token ID
+ */
+function randomTokenId() {
+  return bytesToBase64Url(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Helper: Claims of a token in either format, without verifying it
+ */
+function readTokenClaims(token) {
+  if (typeof token === 'string') {
+    try {
+      return JSON.parse(base64UrlDecode(token.split('.')[1]));
+    } catch (error) {
+      throw new Error('Invalid token format');
+    }
+  }
+
+  return token?.claims || null;
+}
+
 // Export for CommonJS compatibility
 export default PigeonIdP;
@@ -0,0 +1,259 @@
+/**
+ * Key Storage Backends for PigeonIdP
+ *
+ * A key store is any object with async `save(alias, keys, password)`,
+ * `load(alias, password)` and `delete(alias)` methods, passed to the PigeonIdP
+ * constructor as `keyStore`. Without one, PigeonIdP uses UnSEA's browser
+ * storage. The stores here encrypt keys with a key derived from the password
+ * (scrypt, AES-256-GCM) and work in Node.js.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * In-memory key store
+ *
+ * Holds encrypted key records in a Map; identities are lost on restart.
+ */
+export class MemoryKeyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Encrypt and store a keypair
+   * @param {string} alias - Identity alias
+   * @param {Object} keys - UnSEA keypair
+   * @param {string} password - Password to encrypt the keys with
+   * @returns {Promise<void>}
+   */
+  async save(alias, keys, password) {
+    if (!password) {
+      throw new Error('A password is required to store keys');
+    }
+
+    await this.writeRecord(alias, await encryptKeys(keys, password));
+  }
+
+  /**
+   * Load and decrypt a keypair
+   * @param {string} alias - Identity alias
+   * @param {string} password - Password the keys were stored with
+   * @returns {Promise<Object|null>} UnSEA keypair, or null if no keys are stored under the alias
+   * @throws {Error} If the password is wrong
+   */
+  async load(alias, password) {
+    const record = await this.readRecord(alias);
+    if (!record) {
+      return null;
+    }
+
+    if (!password) {
+      throw new Error('Password required to decrypt stored keys');
+    }
+
+    return await decryptKeys(record, password);
+  }
+
+  /**
+   * Delete a stored keypair
+   * @param {string} alias - Identity alias
+   * @returns {Promise<boolean>} True if keys were stored under the alias
+   */
+  async delete(alias) {
+    return await this.deleteRecord(alias);
+  }
+
+  /**
+   * List the aliases with stored keys
+   * @returns {Promise<Array<string>>} Aliases
+   */
+  async list() {
+    return await this.listRecords();
+  }
+
+  /**
+   * Read an encrypted record
+   * @param {string} alias - Identity alias
+   * @returns {Promise<Object|null>} Encrypted record or null
+   */
+  async readRecord(alias) {
+    return this.records.get(alias) || null;
+  }
+
+  /**
+   * Write an encrypted record
+   * @param {string} alias - Identity alias
+   * @param {Object} record - Encrypted record
+   * @returns {Promise<void>}
+   */
+  async writeRecord(alias, record) {
+    this.records.set(alias, record);
+  }
+
+  /**
+   * Delete an encrypted record
+   * @param {string} alias - Identity alias
+   * @returns {Promise<boolean>} True if the record existed
+   */
+  async deleteRecord(alias) {
+    return this.records.delete(alias);
+  }
+
+  /**
+   * List record aliases
+   * @returns {Promise<Array<string>>} Aliases
+   */
+  async listRecords() {
+    return Array.from(this.records.keys());
+  }
+}
+
+/**
+ * Key store persisted to an encrypted JSON file
+ */
+export class FileKeyStore extends MemoryKeyStore {
+  /**
+   * Create a file-backed key store
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - JSON file to persist encrypted keys to (written with mode 0600)
+   */
+  constructor(options) {
+    super();
+    this.filePath = options.filePath;
+
+    if (fs.existsSync(this.filePath)) {
+      const records = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.records = new Map(Object.entries(records));
+    }
+  }
+
+  async writeRecord(alias, record) {
+    await super.writeRecord(alias, record);
+    this.saveFile();
+  }
+
+  async deleteRecord(alias) {
+    const deleted = await super.deleteRecord(alias);
+    if (deleted) {
+      this.saveFile();
+    }
+    return deleted;
+  }
+
+  /**
+   * Persist records to the store file
+   * The records go to a new 0600 temp file that is synced and then renamed over the
+   * store file, so a crash mid-write never leaves a truncated store behind.
+   * @returns {void}
+   */
+  saveFile() {
+    const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const fd = fs.openSync(tempPath, 'wx', 0o600);
+    try {
+      fs.writeFileSync(fd, JSON.stringify(Object.fromEntries(this.records), null, 2));
+      fs.fsyncSync(fd);
+    } catch (error) {
+      fs.closeSync(fd);
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+    fs.closeSync(fd);
+
+    try {
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Key store backed by external storage (database, secrets manager, ...)
+ *
+ * Keys are encrypted before they reach the hooks, so the external storage only
+ * ever sees opaque records.
+ */
+export class ExternalKeyStore extends MemoryKeyStore {
+  /**
+   * Create a key store from storage hooks
+   * @param {Object} hooks - Storage hooks
+   * @param {Function} hooks.get - async (alias) => record or null
+   * @param {Function} hooks.set - async (alias, record) => void
+   * @param {Function} hooks.delete - async (alias) => boolean
+   * @param {Function} [hooks.list] - async () => aliases
+   */
+  constructor(hooks) {
+    super();
+
+    if (!hooks || typeof hooks.get !== 'function' || typeof hooks.set !== 'function' || typeof hooks.delete !== 'function') {
+      throw new Error('ExternalKeyStore needs get, set and delete hooks');
+    }
+
+    this.hooks = hooks;
+  }
+
+  async readRecord(alias) {
+    return (await this.hooks.get(alias)) || null;
+  }
+
+  async writeRecord(alias, record) {
+    await this.hooks.set(alias, record);
+  }
+
+  async deleteRecord(alias) {
+    return Boolean(await this.hooks.delete(alias));
+  }
+
+  async listRecords() {
+    if (!this.hooks.list) {
+      throw new Error('This key store cannot list identities');
+    }
+    return await this.hooks.list();
+  }
+}
+
+/**
+ * Helper: Encrypt a keypair with a password-derived key
+ */
+async function encryptKeys(keys, password) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await scrypt(password, salt, 32, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(keys), 'utf-8'), cipher.final()]);
+
+  return {
+    version: 1,
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64url') },
+    iv: iv.toString('base64url'),
+    tag: cipher.getAuthTag().toString('base64url'),
+    data: ciphertext.toString('base64url'),
+    pub: keys.pub
+  };
+}
+
+/**
+ * Helper: Decrypt a keypair record
+ */
+async function decryptKeys(record, password) {
+  const { N, r, p, salt } = record.kdf;
+  const key = await scrypt(password, Buffer.from(salt, 'base64url'), 32, { N, r, p });
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(record.iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64url'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(record.data, 'base64url')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf-8'));
+  } catch (error) {
+    throw new Error('Invalid password for stored keys');
+  }
+}
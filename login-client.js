@@ -0,0 +1,91 @@
+/**
+ * Passwordless Login Helper for PigeonIdP
+ *
+ * Browser-side counterpart of the server's key-based login: fetches a
+ * challenge bound to the pending SAML login, signs it with the user's loaded
+ * PigeonIdP keys and submits the signature.
+ */
+
+/**
+ * Request a login challenge from the IdP
+ * @param {Object} options - Challenge options
+ * @param {string} [options.challengeUrl='/saml/challenge'] - IdP challenge endpoint
+ * @param {string} [options.SAMLRequest] - Pending AuthnRequest (SP-initiated login)
+ * @param {string} [options.sp] - Target SP entity ID (IdP-initiated login)
+ * @returns {Promise<Object>} Challenge: { nonce, challenge, expires }
+ */
+export async function requestLoginChallenge(options) {
+  const { challengeUrl = '/saml/challenge', SAMLRequest, sp } = options;
+
+  const response = await fetch(challengeUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ SAMLRequest, sp })
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Challenge request failed with status ${response.status}`);
+  }
+
+  return body;
+}
+
+/**
+ * Sign a login challenge with a PigeonIdP identity
+ * @param {PigeonIdP} idp - PigeonIdP instance with a loaded identity
+ * @param {Object} challenge - Challenge from requestLoginChallenge or the login page
+ * @returns {Promise<Object>} Login fields: { method, publicKey, nonce, signature }
+ */
+export async function signLoginChallenge(idp, challenge) {
+  const keys = idp.getPublicKeys();
+  if (!keys) {
+    throw new Error('No identity loaded. Create or load an identity first');
+  }
+
+  return {
+    method: 'key',
+    publicKey: keys.pub,
+    nonce: challenge.nonce,
+    signature: await idp.sign(challenge.challenge)
+  };
+}
+
+/**
+ * Complete a PigeonIdP login form with a signed challenge and submit it
+ * Uses the challenge embedded in the form when present, otherwise requests one
+ * for the form's SAMLRequest / sp fields.
+ * @param {PigeonIdP} idp - PigeonIdP instance with a loaded identity
+ * @param {HTMLFormElement} form - Key login form rendered by the IdP
+ * @param {Object} [options] - Options
+ * @param {string} [options.challengeUrl='/saml/challenge'] - IdP challenge endpoint
+ * @returns {Promise<void>}
+ */
+export async function signInWithPigeonIdP(idp, form, options = {}) {
+  const field = (name) => form.elements.namedItem(name);
+
+  let challenge;
+  if (field('challenge')?.value && field('nonce')?.value) {
+    challenge = { nonce: field('nonce').value, challenge: field('challenge').value };
+  } else {
+    challenge = await requestLoginChallenge({
+      challengeUrl: options.challengeUrl,
+      SAMLRequest: field('SAMLRequest')?.value || undefined,
+      sp: field('sp')?.value || undefined
+    });
+  }
+
+  const fields = await signLoginChallenge(idp, challenge);
+  for (const [name, value] of Object.entries(fields)) {
+    let input = field(name);
+    if (!input) {
+      input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      form.appendChild(input);
+    }
+    input.value = value;
+  }
+
+  form.submit();
+}
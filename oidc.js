@@ -0,0 +1,600 @@
+/**
+ * OpenID Connect Provider for PigeonIdP
+ *
+ * Authorization code flow with PKCE. ID tokens are ES256 JWTs signed with the
+ * IdP's UnSEA key; the subject is the user's PigeonIdP public key and the
+ * claims come from the profile published with registerIdentity.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { privateKeyFromUnsea, publicKeyFromUnsea } from './xmldsig.js';
+import { publicKeyJwk, thumbprintInput, base64UrlEncode } from './encoding.js';
+
+/**
+ * Standard claims released for each scope (OpenID Connect Core 5.4)
+ */
+export const SCOPE_CLAIMS = {
+  profile: [
+    'name', 'family_name', 'given_name', 'middle_name', 'nickname', 'preferred_username',
+    'profile', 'picture', 'website', 'gender', 'birthdate', 'zoneinfo', 'locale', 'updated_at'
+  ],
+  email: ['email', 'email_verified'],
+  address: ['address'],
+  phone: ['phone_number', 'phone_number_verified']
+};
+
+/**
+ * Build the public JWK for an UnSEA public key
+ * @param {string} pub - UnSEA public key (`x.y`)
+ * @returns {Object} P-256 JWK ({ kty, crv, x, y })
+ */
+export function jwkFromUnsea(pub) {
+  return publicKeyJwk(pub);
+}
+
+/**
+ * Compute the RFC 7638 thumbprint of an EC JWK
+ * @param {Object} jwk - EC public JWK
+ * @returns {string} base64url SHA-256 thumbprint
+ */
+export function jwkThumbprint(jwk) {
+  return crypto.createHash('sha256').update(thumbprintInput(jwk)).digest('base64url');
+}
+
+/**
+ * Sign a JWT with an UnSEA keypair (ES256)
+ * @param {Object} payload - JWT claims
+ * @param {Object} keys - UnSEA keypair with `pub` and `priv`
+ * @returns {string} Compact JWS
+ */
+export function signJwt(payload, keys) {
+  const header = { alg: 'ES256', typ: 'JWT', kid: jwkThumbprint(jwkFromUnsea(keys.pub)) };
+  const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+    key: privateKeyFromUnsea(keys),
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verify an ES256 JWT
+ * @param {string} token - Compact JWS
+ * @param {string|Object} publicKey - UnSEA public key (`x.y`) or EC JWK
+ * @returns {Object} Verified claims
+ * @throws {Error} If the token is malformed, the signature is invalid or it has expired
+ */
+export function verifyJwt(token, publicKey) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Malformed JWT');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  let header, payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf-8'));
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw new Error('Malformed JWT');
+  }
+
+  if (header.alg !== 'ES256') {
+    throw new Error(`Unsupported JWT algorithm: ${header.alg}`);
+  }
+
+  const key = typeof publicKey === 'string'
+    ? publicKeyFromUnsea(publicKey)
+    : crypto.createPublicKey({ key: publicKey, format: 'jwk' });
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    { key, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!valid) {
+    throw new Error('JWT signature verification failed');
+  }
+
+  if (payload.exp && payload.exp * 1000 < Date.now()) {
+    throw new Error('JWT has expired');
+  }
+
+  return payload;
+}
+
+/**
+ * Registry of OpenID Connect clients (relying parties)
+ */
+export class OIDCClientRegistry {
+  /**
+   * Create a client registry
+   * @param {Object} [options] - Registry options
+   * @param {string} [options.filePath] - JSON file to persist clients to (in-memory if omitted)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.clients = new Map();
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.load();
+    }
+  }
+
+  /**
+   * Register or replace a client
+   * @param {Object} config - Client configuration
+   * @param {string} [config.clientId] - Client ID (random if omitted)
+   * @param {string} [config.name] - Display name
+   * @param {Array<string>} config.redirectUris - Allowed redirect URIs (exact match)
+   * @param {boolean} [config.confidential=false] - Issue a client secret for the token endpoint
+   * @returns {Object} The stored client; confidential clients also get `clientSecret`,
+   *   which is only returned here
+   */
+  register(config) {
+    if (!config || !Array.isArray(config.redirectUris) || config.redirectUris.length === 0) {
+      throw new Error('OIDC client needs at least one redirect URI');
+    }
+
+    for (const uri of config.redirectUris) {
+      let url;
+      try {
+        url = new URL(uri);
+      } catch (error) {
+        throw new Error(`Invalid redirect URI: ${uri}`);
+      }
+      if (url.hash) {
+        throw new Error(`Redirect URI must not contain a fragment: ${uri}`);
+      }
+    }
+
+    const clientId = config.clientId || crypto.randomBytes(16).toString('base64url');
+    const existing = this.clients.get(clientId);
+    const clientSecret = config.confidential ? crypto.randomBytes(32).toString('base64url') : null;
+    const now = Date.now();
+
+    const client = {
+      clientId,
+      name: config.name || clientId,
+      redirectUris: [...config.redirectUris],
+      confidential: config.confidential === true,
+      secretHash: clientSecret ? hashSecret(clientSecret) : null,
+      created: existing?.created || now,
+      updated: now
+    };
+
+    this.clients.set(clientId, client);
+    this.save();
+
+    return clientSecret ? { ...publicClient(client), clientSecret } : publicClient(client);
+  }
+
+  /**
+   * Get a registered client
+   * @param {string} clientId - Client ID
+   * @returns {Object|null} Client (without the secret hash) or null
+   */
+  get(clientId) {
+    const client = this.clients.get(clientId);
+    return client ? publicClient(client) : null;
+  }
+
+  /**
+   * List all registered clients
+   * @returns {Array<Object>} Clients
+   */
+  list() {
+    return Array.from(this.clients.values()).map(publicClient);
+  }
+
+  /**
+   * Remove a client
+   * @param {string} clientId - Client ID
+   * @returns {boolean} True if the client was registered
+   */
+  remove(clientId) {
+    const removed = this.clients.delete(clientId);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Authenticate a client at the token endpoint
+   * Public clients are identified by client ID alone (PKCE protects their codes).
+   * @param {string} clientId - Client ID
+   * @param {string} [clientSecret] - Client secret
+   * @returns {Object|null} Client, or null if unknown or the secret is wrong
+   */
+  authenticate(clientId, clientSecret) {
+    const client = this.clients.get(clientId);
+    if (!client) {
+      return null;
+    }
+
+    if (!client.confidential) {
+      return publicClient(client);
+    }
+
+    if (!clientSecret) {
+      return null;
+    }
+
+    const expected = Buffer.from(client.secretHash, 'base64url');
+    const actual = Buffer.from(hashSecret(clientSecret), 'base64url');
+    return crypto.timingSafeEqual(expected, actual) ? publicClient(client) : null;
+  }
+
+  /**
+   * Load clients from the registry file
+   * @returns {void}
+   */
+  load() {
+    const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    this.clients = new Map(entries.map((client) => [client.clientId, client]));
+  }
+
+  /**
+   * Persist clients to the registry file (no-op for in-memory registries)
+   * @returns {void}
+   */
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.clients.values()), null, 2), { mode: 0o600 });
+  }
+}
+
+/**
+ * PigeonIdP OpenID Connect extension
+ */
+export class PigeonIdPOIDC {
+  /**
+   * Create OpenID Connect extension for PigeonIdP
+   * @param {PigeonIdP} idp - PigeonIdP instance (signs ID tokens, resolves profiles)
+   * @param {Object} config - OIDC configuration
+   * @param {string} config.issuer - Issuer URL; endpoints are served relative to it
+   * @param {OIDCClientRegistry} config.clients - Registered clients
+   * @param {number} [config.codeLifetime=60] - Seconds an authorization code stays valid
+   * @param {number} [config.accessTokenLifetime=3600] - Access token lifetime in seconds
+   * @param {number} [config.idTokenLifetime=3600] - ID token lifetime in seconds
+   * @param {Array<string>|Function} [config.additionalKeys] - Further public keys to publish in the
+   *   JWKS, or a function returning them (e.g. retired keys during a rollover)
+   */
+  constructor(idp, config) {
+    this.idp = idp;
+    this.config = config;
+    this.clients = config.clients;
+    this.codes = new Map();
+    this.accessTokens = new Map();
+  }
+
+  /**
+   * Get the discovery document (/.well-known/openid-configuration)
+   * @returns {Object} OpenID Provider metadata
+   */
+  getDiscoveryDocument() {
+    const issuer = this.config.issuer.replace(/\/$/, '');
+
+    return {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      response_modes_supported: ['query'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['ES256'],
+      scopes_supported: ['openid', ...Object.keys(SCOPE_CLAIMS)],
+      claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', ...Object.values(SCOPE_CLAIMS).flat()],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post']
+    };
+  }
+
+  /**
+   * Get the JSON Web Key Set with the ID token signing key (and any additional keys)
+   * @returns {Object} JWKS ({ keys })
+   */
+  getJwks() {
+    const additionalKeys = typeof this.config.additionalKeys === 'function'
+      ? this.config.additionalKeys()
+      : this.config.additionalKeys || [];
+
+    return {
+      keys: [this.getKeys().pub, ...additionalKeys].map((pub) => {
+        const jwk = jwkFromUnsea(pub);
+        return { ...jwk, kid: jwkThumbprint(jwk), use: 'sig', alg: 'ES256' };
+      })
+    };
+  }
+
+  /**
+   * Validate an authorization request
+   * Errors carry an OAuth `code`; when `redirectUri` is set on the error the client
+   * and redirect URI were valid and the error may be returned to the client.
+   * @param {Object} params - Request parameters (query or form)
+   * @returns {Object} Authorization request with properties:
+   *   client, redirectUri, scopes, state, nonce, codeChallenge
+   * @throws {Error} If the request is invalid
+   */
+  validateAuthorizationRequest(params) {
+    const client = params.client_id ? this.clients.get(params.client_id) : null;
+    if (!client) {
+      throw oidcError('invalid_request', `Unknown client: ${params.client_id || '(missing)'}`);
+    }
+
+    if (!params.redirect_uri || !client.redirectUris.includes(params.redirect_uri)) {
+      throw oidcError('invalid_request', `Redirect URI is not registered for ${client.clientId}`);
+    }
+
+    // From here on errors can be sent back to the client
+    const redirect = { redirectUri: params.redirect_uri, state: params.state };
+
+    if (params.response_type !== 'code') {
+      throw oidcError('unsupported_response_type', 'Only response_type=code is supported', redirect);
+    }
+
+    const scopes = (params.scope || '').split(' ').filter(Boolean);
+    if (!scopes.includes('openid')) {
+      throw oidcError('invalid_scope', 'The openid scope is required', redirect);
+    }
+
+    if (!params.code_challenge) {
+      throw oidcError('invalid_request', 'PKCE code_challenge is required', redirect);
+    }
+
+    if ((params.code_challenge_method || 'plain') !== 'S256') {
+      throw oidcError('invalid_request', 'code_challenge_method must be S256', redirect);
+    }
+
+    return {
+      client,
+      redirectUri: params.redirect_uri,
+      scopes: scopes.filter((scope) => scope === 'openid' || SCOPE_CLAIMS[scope]),
+      state: params.state || null,
+      nonce: params.nonce || null,
+      codeChallenge: params.code_challenge
+    };
+  }
+
+  /**
+   * Issue an authorization code for an authenticated user
+   * @param {Object} request - Result of validateAuthorizationRequest
+   * @param {string} subject - User's PigeonIdP public key
+   * @returns {string} Authorization code
+   */
+  createAuthorizationCode(request, subject) {
+    this.pruneExpired();
+
+    const code = crypto.randomBytes(32).toString('base64url');
+    this.codes.set(code, {
+      clientId: request.client.clientId,
+      redirectUri: request.redirectUri,
+      scopes: request.scopes,
+      nonce: request.nonce,
+      codeChallenge: request.codeChallenge,
+      subject,
+      authTime: Math.floor(Date.now() / 1000),
+      expires: Date.now() + (this.config.codeLifetime || 60) * 1000,
+      used: false,
+      accessToken: null
+    });
+
+    return code;
+  }
+
+  /**
+   * Build the redirect back to the client
+   * @param {Object} target - { redirectUri, state }
+   * @param {Object} params - Response parameters ({ code } or { error, error_description })
+   * @returns {string} Redirect URL
+   */
+  buildRedirect(target, params) {
+    const url = new URL(target.redirectUri);
+    for (const [name, value] of Object.entries(params)) {
+      url.searchParams.set(name, value);
+    }
+    if (target.state) {
+      url.searchParams.set('state', target.state);
+    }
+    url.searchParams.set('iss', this.getDiscoveryDocument().issuer);
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {Object} params - Token request
+   * @param {Object} params.client - Authenticated client (OIDCClientRegistry.authenticate)
+   * @param {string} params.code - Authorization code
+   * @param {string} params.redirectUri - Redirect URI used in the authorization request
+   * @param {string} params.codeVerifier - PKCE code verifier
+   * @returns {Promise<Object>} Token response: { access_token, token_type, expires_in, id_token, scope }
+   * @throws {Error} With an OAuth `code` if the grant is invalid
+   */
+  async exchangeCode({ client, code, redirectUri, codeVerifier }) {
+    const grant = code ? this.codes.get(code) : null;
+    if (!grant || grant.expires < Date.now()) {
+      throw oidcError('invalid_grant', 'Authorization code is invalid or expired');
+    }
+
+    // A replayed code revokes the tokens issued for it (RFC 6749 4.1.2)
+    if (grant.used) {
+      this.codes.delete(code);
+      if (grant.accessToken) {
+        this.accessTokens.delete(grant.accessToken);
+      }
+      throw oidcError('invalid_grant', 'Authorization code has already been used');
+    }
+    grant.used = true;
+
+    if (grant.clientId !== client.clientId) {
+      throw oidcError('invalid_grant', 'Authorization code was issued to another client');
+    }
+
+    if (grant.redirectUri !== redirectUri) {
+      throw oidcError('invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+
+    const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+    if (!codeVerifier || challenge !== grant.codeChallenge) {
+      throw oidcError('invalid_grant', 'PKCE verification failed');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessTokenLifetime = this.config.accessTokenLifetime || 3600;
+    const accessToken = crypto.randomBytes(32).toString('base64url');
+    this.accessTokens.set(accessToken, {
+      clientId: client.clientId,
+      subject: grant.subject,
+      scopes: grant.scopes,
+      expires: Date.now() + accessTokenLifetime * 1000
+    });
+    grant.accessToken = accessToken;
+
+    const idToken = signJwt({
+      iss: this.getDiscoveryDocument().issuer,
+      sub: grant.subject,
+      aud: client.clientId,
+      iat: now,
+      exp: now + (this.config.idTokenLifetime || 3600),
+      auth_time: grant.authTime,
+      ...(grant.nonce ? { nonce: grant.nonce } : {}),
+      at_hash: tokenHash(accessToken),
+      ...(await this.getClaims(grant.subject, grant.scopes))
+    }, this.getKeys());
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: accessTokenLifetime,
+      id_token: idToken,
+      scope: grant.scopes.join(' ')
+    };
+  }
+
+  /**
+   * Get the UserInfo response for an access token
+   * @param {string} accessToken - Bearer token from the token endpoint
+   * @returns {Promise<Object>} Claims: `sub` plus claims for the granted scopes
+   * @throws {Error} With code `invalid_token` if the token is unknown or expired
+   */
+  async getUserInfo(accessToken) {
+    const token = accessToken ? this.accessTokens.get(accessToken) : null;
+    if (!token || token.expires < Date.now()) {
+      throw oidcError('invalid_token', 'Access token is invalid or expired');
+    }
+
+    return {
+      sub: token.subject,
+      ...(await this.getClaims(token.subject, token.scopes))
+    };
+  }
+
+  /**
+   * Resolve the claims for a subject from its registered profile
+   * @param {string} subject - PigeonIdP public key
+   * @param {Array<string>} scopes - Granted scopes
+   * @returns {Promise<Object>} Claims released for the scopes
+   */
+  async getClaims(subject, scopes) {
+    let identity = null;
+    try {
+      identity = await this.idp.lookupIdentity(subject);
+    } catch (error) {
+      identity = null;
+    }
+
+    const profile = { ...(identity?.profile || {}) };
+    // registerIdentity profiles usually carry `username` rather than the OIDC claim name
+    if (profile.preferred_username === undefined && profile.username !== undefined) {
+      profile.preferred_username = profile.username;
+    }
+    if (profile.updated_at === undefined && identity?.registered) {
+      profile.updated_at = Math.floor(identity.registered / 1000);
+    }
+
+    const claims = {};
+    for (const scope of scopes) {
+      for (const claim of SCOPE_CLAIMS[scope] || []) {
+        if (profile[claim] !== undefined) {
+          claims[claim] = profile[claim];
+        }
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * Get the IdP keys used to sign ID tokens
+   * @returns {Object} UnSEA keypair
+   */
+  getKeys() {
+    if (!this.idp.keys) {
+      throw new Error('No identity loaded. Create or load an identity first');
+    }
+    return this.idp.keys;
+  }
+
+  /**
+   * Drop expired authorization codes and access tokens
+   * @returns {void}
+   */
+  pruneExpired() {
+    const now = Date.now();
+    for (const [code, grant] of this.codes) {
+      if (grant.expires < now) {
+        this.codes.delete(code);
+      }
+    }
+    for (const [token, entry] of this.accessTokens) {
+      if (entry.expires < now) {
+        this.accessTokens.delete(token);
+      }
+    }
+  }
+}
+
+/**
+ * Helper: Error carrying an OAuth error code and, optionally, where to report it
+ */
+function oidcError(code, description, redirect = null) {
+  const error = new Error(description);
+  error.code = code;
+  if (redirect) {
+    error.redirectUri = redirect.redirectUri;
+    error.state = redirect.state;
+  }
+  return error;
+}
+
+/**
+ * Helper: Left half of the SHA-256 hash of a token (at_hash)
+ */
+function tokenHash(token) {
+  const digest = crypto.createHash('sha256').update(token).digest();
+  return digest.subarray(0, digest.length / 2).toString('base64url');
+}
+
+/**
+ * Helper: Hash a client secret for storage
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('base64url');
+}
+
+/**
+ * Helper: Client without its secret hash
+ */
+function publicClient(client) {
+  const { secretHash, ...rest } = client;
+  return rest;
+}
@@ -0,0 +1,373 @@
+/**
+ * Peer authentication for PigeonIdP over the PeerPigeon mesh
+ *
+ * When two peers connect, each sends the other a random challenge as a direct
+ * mesh message. The answer is signed by the peer's PigeonIdP key over the nonce,
+ * both peer IDs and the peer's public keys, so it proves that the key holder is
+ * the peer on the other end of this connection and cannot be replayed to, or
+ * relayed from, another peer. Both sides challenge, so authentication is mutual.
+ */
+
+// Message type of handshake messages on the mesh
+export const PEER_AUTH_MESSAGE = 'pigeonidp-peer-auth';
+
+// Seconds a peer has to answer a challenge
+const DEFAULT_TIMEOUT = 30;
+
+/**
+ * Mutual challenge-response authentication of mesh peers
+ */
+export class PigeonIdPPeerAuth {
+  /**
+   * Create peer authentication for PigeonIdP
+   * @param {PigeonIdP} idp - Initialized PigeonIdP instance
+   * @param {Object} [config] - Peer authentication configuration
+   * @param {string} [config.alias] - Wallet identity to prove (defaults to the active identity)
+   * @param {number} [config.timeout=30] - Seconds a peer has to answer a challenge
+   * @param {Function} [config.accept] - async ({ peerId, publicKey, epub }) => false to reject a
+   *   peer whose signature checked out; a thrown error rejects with its message
+   */
+  constructor(idp, config = {}) {
+    this.idp = idp;
+    this.config = config;
+    this.mesh = null;
+    this.peers = new Map(); // peer ID -> verified identity
+    this.pending = new Map(); // peer ID -> outstanding challenge
+    this.listeners = {}; // event -> callbacks
+    this.handlers = null;
+  }
+
+  /**
+   * Authenticate peers as they connect and answer their challenges
+   * While running, the IdP's sendEncrypted delivers to authenticated peers over the mesh.
+   * @returns {void}
+   */
+  start() {
+    if (!this.idp.initialized) {
+      throw new Error('IdP must be initialized before authenticating peers');
+    }
+    if (this.handlers) {
+      return;
+    }
+
+    this.mesh = this.idp.mesh;
+    this.idp.peerAuth = this;
+    this.handlers = {
+      peerConnected: ({ peerId }) => {
+        this.authenticatePeer(peerId).catch(() => {
+          // Reported through the peerRejected event
+        });
+      },
+      peerDisconnected: ({ peerId }) => this.forgetPeer(peerId),
+      messageReceived: (message) => {
+        if (message?.direct && message.content?.type === PEER_AUTH_MESSAGE) {
+          this.handleMessage(message.from, message.content).catch((error) => {
+            this.idp.reportError(`Peer authentication message from ${message.from} failed: ${error.message}`, error);
+          });
+        }
+      }
+    };
+
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      this.mesh.addEventListener(event, handler);
+    }
+  }
+
+  /**
+   * Stop authenticating peers; outstanding challenges are rejected
+   * @returns {void}
+   */
+  stop() {
+    if (!this.handlers) {
+      return;
+    }
+
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      this.mesh.removeEventListener(event, handler);
+    }
+    this.handlers = null;
+    if (this.idp.peerAuth === this) {
+      this.idp.peerAuth = null;
+    }
+
+    for (const peerId of Array.from(this.pending.keys())) {
+      this.rejectPeer(peerId, 'Peer authentication stopped');
+    }
+  }
+
+  /**
+   * Listen for `peerAuthenticated` ({ peerId, publicKey, epub, authenticatedAt }) or
+   * `peerRejected` ({ peerId, reason }) events
+   * @param {string} event - Event name
+   * @param {Function} callback - Event handler
+   * @returns {PigeonIdPPeerAuth} this, for chaining
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+    return this;
+  }
+
+  /**
+   * Remove an event handler
+   * @param {string} event - Event name
+   * @param {Function} callback - Handler passed to on()
+   * @returns {PigeonIdPPeerAuth} this, for chaining
+   */
+  off(event, callback) {
+    this.listeners[event] = (this.listeners[event] || []).filter((listener) => listener !== callback);
+    return this;
+  }
+
+  /**
+   * Challenge a connected peer to prove its identity
+   * Peers are challenged automatically when they connect after start().
+   * @param {string} peerId - Mesh peer ID
+   * @returns {Promise<Object>} Verified identity: { peerId, publicKey, epub, authenticatedAt }
+   * @throws {Error} With the rejection reason if the peer fails the handshake
+   */
+  async authenticatePeer(peerId) {
+    const outstanding = this.pending.get(peerId);
+    if (outstanding) {
+      return await outstanding.promise;
+    }
+
+    const challenge = { nonce: randomNonce() };
+    challenge.promise = new Promise((resolve, reject) => {
+      challenge.resolve = resolve;
+      challenge.reject = reject;
+    });
+    challenge.timer = setTimeout(() => {
+      this.rejectPeer(peerId, 'Peer did not answer the challenge in time');
+    }, (this.config.timeout || DEFAULT_TIMEOUT) * 1000);
+    this.pending.set(peerId, challenge);
+
+    await this.send(peerId, { type: PEER_AUTH_MESSAGE, step: 'challenge', nonce: challenge.nonce });
+    return await challenge.promise;
+  }
+
+  /**
+   * Handle a handshake message from a peer
+   * @param {string} peerId - Mesh peer ID of the sender
+   * @param {Object} message - Handshake message
+   * @returns {Promise<void>}
+   */
+  async handleMessage(peerId, message) {
+    if (message.step === 'challenge') {
+      await this.answerChallenge(peerId, message);
+    } else if (message.step === 'response') {
+      await this.checkResponse(peerId, message);
+    }
+  }
+
+  /**
+   * Sign a peer's challenge with our identity
+   * @param {string} peerId - Mesh peer ID of the challenger
+   * @param {Object} message - { nonce }
+   * @returns {Promise<void>}
+   */
+  async answerChallenge(peerId, message) {
+    if (typeof message.nonce !== 'string' || message.nonce.length > 128) {
+      return;
+    }
+
+    const keys = this.idp.getPublicKeys(this.config.alias);
+    if (!keys) {
+      this.idp.reportError(`Cannot answer the authentication challenge of peer ${peerId}: no identity loaded`);
+      return;
+    }
+
+    const statement = this.statement(peerId, this.mesh.peerId, message.nonce, keys);
+    await this.send(peerId, {
+      type: PEER_AUTH_MESSAGE,
+      step: 'response',
+      nonce: message.nonce,
+      publicKey: keys.pub,
+      epub: keys.epub,
+      signature: await this.idp.sign(statement, this.config.alias)
+    });
+  }
+
+  /**
+   * Verify a peer's answer to our challenge
+   * Answers without an outstanding challenge with the same nonce are ignored.
+   * @param {string} peerId - Mesh peer ID of the responder
+   * @param {Object} message - { nonce, publicKey, epub, signature }
+   * @returns {Promise<void>}
+   */
+  async checkResponse(peerId, message) {
+    const challenge = this.pending.get(peerId);
+    if (!challenge || message.nonce !== challenge.nonce) {
+      return;
+    }
+
+    const { publicKey, epub, signature } = message;
+    let valid = typeof publicKey === 'string' && typeof epub === 'string' && typeof signature === 'string';
+    if (valid) {
+      try {
+        const statement = this.statement(this.mesh.peerId, peerId, challenge.nonce, { pub: publicKey, epub });
+        valid = await this.idp.verify(statement, signature, publicKey);
+      } catch (error) {
+        valid = false;
+      }
+    }
+    if (!valid) {
+      this.rejectPeer(peerId, 'Invalid challenge signature');
+      return;
+    }
+
+    let successor = null;
+    try {
+      successor = await this.idp.getSuccessor(publicKey);
+    } catch (error) {
+      this.rejectPeer(peerId, 'Could not check peer key rotation');
+      return;
+    }
+    if (successor) {
+      this.rejectPeer(peerId, 'Peer key has been rotated');
+      return;
+    }
+
+    if (this.config.accept) {
+      let accepted = false;
+      try {
+        accepted = await this.config.accept({ peerId, publicKey, epub });
+      } catch (error) {
+        this.rejectPeer(peerId, error.message);
+        return;
+      }
+      if (accepted === false) {
+        this.rejectPeer(peerId, 'Peer not accepted');
+        return;
+      }
+    }
+
+    // The peer may have been rejected while the checks ran
+    if (this.pending.get(peerId) !== challenge) {
+      return;
+    }
+
+    clearTimeout(challenge.timer);
+    this.pending.delete(peerId);
+    const identity = { peerId, publicKey, epub, authenticatedAt: Date.now() };
+    this.peers.set(peerId, identity);
+    this.emit('peerAuthenticated', identity);
+    challenge.resolve(identity);
+  }
+
+  /**
+   * Verified identity of a connected peer
+   * @param {string} peerId - Mesh peer ID
+   * @returns {Object|null} { peerId, publicKey, epub, authenticatedAt }, or null if not authenticated
+   */
+  getPeerIdentity(peerId) {
+    return this.peers.get(peerId) || null;
+  }
+
+  /**
+   * Authenticated peers
+   * @returns {Array<Object>} Identities as returned by getPeerIdentity
+   */
+  listPeers() {
+    return Array.from(this.peers.values());
+  }
+
+  /**
+   * Find the connected peer authenticated with a public key
+   * @param {string} publicKey - PigeonIdP public key
+   * @returns {string|null} Mesh peer ID, or null if no connected peer holds the key
+   */
+  findPeer(publicKey) {
+    for (const identity of this.peers.values()) {
+      if (identity.publicKey === publicKey) {
+        return identity.peerId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forget a disconnected peer
+   * @param {string} peerId - Mesh peer ID
+   * @returns {void}
+   */
+  forgetPeer(peerId) {
+    this.peers.delete(peerId);
+    if (this.pending.has(peerId)) {
+      this.rejectPeer(peerId, 'Peer disconnected');
+    }
+  }
+
+  /**
+   * Fail a peer's handshake
+   * @param {string} peerId - Mesh peer ID
+   * @param {string} reason - Rejection reason
+   * @returns {void}
+   */
+  rejectPeer(peerId, reason) {
+    const challenge = this.pending.get(peerId);
+    if (challenge) {
+      clearTimeout(challenge.timer);
+      this.pending.delete(peerId);
+    }
+    this.peers.delete(peerId);
+    this.emit('peerRejected', { peerId, reason });
+    challenge?.reject(new Error(reason));
+  }
+
+  /**
+   * The statement a responder signs
+   * @param {string} challenger - Peer ID that sent the challenge
+   * @param {string} responder - Peer ID answering it
+   * @param {string} nonce - Challenge nonce
+   * @param {Object} keys - Responder's { pub, epub }
+   * @returns {string}
+   */
+  statement(challenger, responder, nonce, keys) {
+    return JSON.stringify({
+      type: PEER_AUTH_MESSAGE,
+      challenger,
+      responder,
+      nonce,
+      publicKey: keys.pub,
+      epub: keys.epub,
+      namespace: this.idp.namespace
+    });
+  }
+
+  /**
+   * Send a handshake message to a peer
+   * @param {string} peerId - Mesh peer ID
+   * @param {Object} message - Handshake message
+   * @returns {Promise<void>}
+   */
+  async send(peerId, message) {
+    await this.mesh.sendDirectMessage(peerId, message);
+  }
+
+  /**
+   * Call the handlers of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {void}
+   */
+  emit(event, data) {
+    for (const listener of this.listeners[event] || []) {
+      try {
+        listener(data);
+      } catch (error) {
+        this.idp.reportError(`${event} handler failed: ${error.message}`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Helper: Random challenge nonce
+ */
+function randomNonce() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
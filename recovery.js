@@ -0,0 +1,437 @@
+/**
+ * Social Key Recovery for PigeonIdP
+ *
+ * The owner generates a recovery keypair, commits to its public key in a record
+ * signed by the identity, and splits the recovery key with Shamir secret sharing
+ * across N guardian identities, each share encrypted to the guardian's `epub`.
+ * The recovery key can only sign the identity's succession record (see
+ * PigeonIdP.readSuccession), never tokens or messages, and the identity's own
+ * keys never leave the owner. After losing the keys, the owner creates a new
+ * keypair and asks for recovery; once K guardians have signed approvals
+ * (re-encrypting their shares to the new key), the recovery key is rebuilt just
+ * long enough to rotate the identity to the new keypair.
+ *
+ * Any `threshold` guardians who pool their shares can still rotate the identity
+ * to a key of their choosing, so pick guardians accordingly and set recovery up
+ * again if shares may have leaked.
+ */
+
+import { generateRandomPair } from 'unsea';
+import { bytesToBase64Url, base64UrlToBytes } from './encoding.js';
+
+/**
+ * Split a secret with Shamir secret sharing over GF(256)
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {number} shareCount - Number of shares to create (N, at most 255)
+ * @param {number} threshold - Shares needed to rebuild the secret (K)
+ * @returns {Array<string>} Shares encoded as `<x>:<base64url y>`
+ */
+export function splitSecret(secret, shareCount, threshold) {
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > shareCount) {
+    throw new Error('Threshold must be between 1 and the number of shares');
+  }
+
+  if (!Number.isInteger(shareCount) || shareCount > 255) {
+    throw new Error('At most 255 shares are supported');
+  }
+
+  const shares = Array.from({ length: shareCount }, () => new Uint8Array(secret.length));
+  const coefficients = new Uint8Array(threshold - 1);
+
+  for (let i = 0; i < secret.length; i++) {
+    // Random polynomial of degree K-1 whose constant term is the secret byte
+    globalThis.crypto.getRandomValues(coefficients);
+    for (let share = 0; share < shareCount; share++) {
+      const x = share + 1;
+      let y = 0;
+      for (let c = coefficients.length - 1; c >= 0; c--) {
+        y = gfMul(y ^ coefficients[c], x);
+      }
+      shares[share][i] = y ^ secret[i];
+    }
+  }
+
+  return shares.map((y, share) => `${share + 1}:${bytesToBase64Url(y)}`);
+}
+
+/**
+ * Rebuild a secret from Shamir shares
+ * Any K shares produced by splitSecret rebuild the secret; fewer produce garbage.
+ * @param {Array<string>} shares - Shares from splitSecret
+ * @returns {Uint8Array} Secret bytes
+ */
+export function combineShares(shares) {
+  const points = shares.map((share) => {
+    const [x, y] = share.split(':');
+    return { x: parseInt(x, 10), y: base64UrlToBytes(y) };
+  });
+
+  const xs = points.map((point) => point.x);
+  if (xs.some((x) => !(x >= 1 && x <= 255)) || new Set(xs).size !== xs.length) {
+    throw new Error('Invalid or duplicate shares');
+  }
+
+  const length = points[0].y.length;
+  if (points.some((point) => point.y.length !== length)) {
+    throw new Error('Shares have different lengths');
+  }
+
+  // Lagrange interpolation at x = 0
+  const secret = new Uint8Array(length);
+  for (let i = 0; i < points.length; i++) {
+    let numerator = 1;
+    let denominator = 1;
+    for (let j = 0; j < points.length; j++) {
+      if (i !== j) {
+        numerator = gfMul(numerator, points[j].x);
+        denominator = gfMul(denominator, points[i].x ^ points[j].x);
+      }
+    }
+    const basis = gfDiv(numerator, denominator);
+    for (let b = 0; b < length; b++) {
+      secret[b] ^= gfMul(points[i].y[b], basis);
+    }
+  }
+
+  return secret;
+}
+
+/**
+ * PigeonIdP recovery extension
+ */
+export class PigeonIdPRecovery {
+  /**
+   * Create recovery extension for PigeonIdP
+   * @param {PigeonIdP} idp - PigeonIdP instance (owner, guardian or recovering device)
+   * @param {Object} [config] - Recovery configuration
+   * @param {number} [config.requestLifetime=604800] - Seconds a recovery request can be approved
+   */
+  constructor(idp, config = {}) {
+    this.idp = idp;
+    this.config = config;
+  }
+
+  /**
+   * Split a new recovery key across guardians (owner)
+   * Replaces any earlier recovery setup for this key, so shares handed out before
+   * stop working.
+   * @param {Object} options - Setup options
+   * @param {Array<string|Object>} options.guardians - Guardian public keys (their registered
+   *   identities supply the `epub`), or `{ pub, epub }` objects
+   * @param {number} options.threshold - Guardian approvals needed to recover (K)
+   * @returns {Promise<Object>} Published recovery configuration
+   */
+  async setupRecovery({ guardians, threshold }) {
+    const keys = this.requireKeys();
+
+    if (!Array.isArray(guardians) || guardians.length === 0) {
+      throw new Error('At least one guardian is required');
+    }
+
+    const resolved = [];
+    for (const guardian of guardians) {
+      const pub = typeof guardian === 'string' ? guardian : guardian.pub;
+      let epub = typeof guardian === 'string' ? null : guardian.epub;
+      if (!epub) {
+        const identity = await this.idp.lookupIdentity(pub);
+        if (!identity) {
+          throw new Error(`Guardian ${pub} has no registered identity`);
+        }
+        epub = identity.epub;
+      }
+      if (pub === keys.pub) {
+        throw new Error('The owner cannot be their own guardian');
+      }
+      resolved.push({ pub, epub });
+    }
+
+    if (new Set(resolved.map((guardian) => guardian.pub)).size !== resolved.length) {
+      throw new Error('Guardians must be distinct');
+    }
+
+    const recoveryKeys = await generateRandomPair();
+    const secret = new TextEncoder().encode(JSON.stringify({
+      pub: recoveryKeys.pub,
+      priv: recoveryKeys.priv
+    }));
+    const shares = splitSecret(secret, resolved.length, threshold);
+
+    const config = {
+      owner: keys.pub,
+      namespace: this.idp.namespace,
+      recoveryKey: recoveryKeys.pub,
+      threshold,
+      guardians: [],
+      created: Date.now()
+    };
+    for (let i = 0; i < resolved.length; i++) {
+      config.guardians.push({
+        pub: resolved[i].pub,
+        share: await this.idp.encrypt(shares[i], { epub: resolved[i].epub })
+      });
+    }
+
+    await this.idp.putRecord(`recovery:${keys.pub}:${this.idp.namespace}`, config, { keys });
+    return config;
+  }
+
+  /**
+   * Get an identity's recovery configuration
+   * @param {string} ownerPub - Owner public key
+   * @returns {Promise<Object|null>} Configuration signed by the owner, or null if none
+   */
+  async getRecoveryConfig(ownerPub) {
+    const config = await this.getSigned(`recovery:${ownerPub}:${this.idp.namespace}`, ownerPub);
+    return config && config.owner === ownerPub && typeof config.recoveryKey === 'string' ? config : null;
+  }
+
+  /**
+   * Ask guardians to recover an identity (recovering device)
+   * The loaded identity is the new keypair the owner's identity will rotate to. Each
+   * requesting key has its own request, so other requests cannot replace or cancel it;
+   * guardians find it by the requesting key.
+   * @param {string} ownerPub - Public key of the identity to recover
+   * @returns {Promise<Object>} Published recovery request
+   */
+  async requestRecovery(ownerPub) {
+    const keys = this.requireKeys();
+
+    if (!(await this.getRecoveryConfig(ownerPub))) {
+      throw new Error(`No recovery configured for ${ownerPub}`);
+    }
+
+    const lifetime = this.config.requestLifetime || 7 * 24 * 3600;
+    const request = {
+      id: randomId(),
+      owner: ownerPub,
+      next: keys.pub,
+      epub: keys.epub,
+      namespace: this.idp.namespace,
+      requested: Date.now()
+    };
+
+    const stored = await this.idp.putRecord(
+      `recovery-request:${ownerPub}:${keys.pub}:${this.idp.namespace}`,
+      request,
+      { keys, expiresIn: lifetime }
+    );
+    return { ...request, expires: stored.expires };
+  }
+
+  /**
+   * Get a pending recovery request for an identity
+   * @param {string} ownerPub - Owner public key
+   * @param {string} requesterPub - Public key that asked for recovery (the request's `next`)
+   * @returns {Promise<Object|null>} Request signed by the requesting key, with its `expires`
+   *   time, or null if none or expired
+   */
+  async getRecoveryRequest(ownerPub, requesterPub) {
+    const record = await this.getStored(
+      `recovery-request:${ownerPub}:${requesterPub}:${this.idp.namespace}`,
+      requesterPub
+    );
+    if (!record || record.payload.owner !== ownerPub || record.payload.next !== requesterPub) {
+      return null;
+    }
+    return { ...record.payload, expires: record.expires };
+  }
+
+  /**
+   * Approve a recovery request (guardian)
+   * Confirm out of band that the request really comes from the owner before
+   * approving: the approval hands this guardian's share to the requesting key.
+   * @param {string} ownerPub - Public key of the identity being recovered
+   * @param {string} requesterPub - Public key that asked for recovery
+   * @param {string} requestId - ID of the request being approved
+   * @returns {Promise<Object>} Published approval
+   */
+  async approveRecovery(ownerPub, requesterPub, requestId) {
+    const keys = this.requireKeys();
+
+    const config = await this.getRecoveryConfig(ownerPub);
+    const guardian = config?.guardians.find((entry) => entry.pub === keys.pub);
+    if (!guardian) {
+      throw new Error(`Not a guardian of ${ownerPub}`);
+    }
+
+    const request = await this.getRecoveryRequest(ownerPub, requesterPub);
+    if (!request || request.id !== requestId) {
+      throw new Error('Recovery request not found or expired');
+    }
+
+    const share = await this.idp.decrypt(guardian.share);
+    const approval = {
+      owner: ownerPub,
+      guardian: keys.pub,
+      request: request.id,
+      next: request.next,
+      share: await this.idp.encrypt(share, { epub: request.epub }),
+      approved: Date.now()
+    };
+
+    // The approval is only useful while the request is open
+    await this.idp.putRecord(`recovery-approval:${ownerPub}:${keys.pub}:${this.idp.namespace}`, approval, {
+      keys,
+      expiresIn: Math.max(1, Math.ceil((request.expires - Date.now()) / 1000))
+    });
+    return approval;
+  }
+
+  /**
+   * Get the approvals collected for a pending recovery request
+   * @param {string} ownerPub - Public key of the identity being recovered
+   * @param {string} requesterPub - Public key that asked for recovery
+   * @returns {Promise<Object>} { threshold, approvals } where approvals are signed by guardians
+   *   listed in the configuration and match the request
+   */
+  async getRecoveryApprovals(ownerPub, requesterPub) {
+    const config = await this.getRecoveryConfig(ownerPub);
+    const request = await this.getRecoveryRequest(ownerPub, requesterPub);
+    if (!config || !request) {
+      return { threshold: config?.threshold || null, approvals: [] };
+    }
+
+    const approvals = [];
+    for (const guardian of config.guardians) {
+      const approval = await this.getSigned(
+        `recovery-approval:${ownerPub}:${guardian.pub}:${this.idp.namespace}`,
+        guardian.pub
+      );
+      if (approval && approval.owner === ownerPub && approval.guardian === guardian.pub &&
+          approval.request === request.id && approval.next === request.next) {
+        approvals.push(approval);
+      }
+    }
+
+    return { threshold: config.threshold, approvals };
+  }
+
+  /**
+   * Recover the identity once enough guardians approved (recovering device)
+   * Rebuilds the recovery key from the approved shares and rotates the identity
+   * to the loaded keypair with rotateKeys, the recovery key signing the succession
+   * record. Guardians should then be set up again for the new key. The loaded
+   * keypair stays the active identity; with an alias it is also the wallet
+   * identity of that alias.
+   * @param {string} ownerPub - Public key of the identity being recovered
+   * @param {Object} [options] - Options passed to rotateKeys (alias, password)
+   * @returns {Promise<Object>} The identity's new keypair (the loaded keys)
+   */
+  async completeRecovery(ownerPub, options = {}) {
+    const nextKeys = this.requireKeys();
+
+    const config = await this.getRecoveryConfig(ownerPub);
+    const request = await this.getRecoveryRequest(ownerPub, nextKeys.pub);
+    if (!config || !request) {
+      throw new Error('No pending recovery request from this key');
+    }
+
+    const { threshold, approvals } = await this.getRecoveryApprovals(ownerPub, nextKeys.pub);
+    if (approvals.length < threshold) {
+      throw new Error(`Recovery needs ${threshold} guardian approvals, ${approvals.length} received`);
+    }
+
+    const shares = [];
+    for (const approval of approvals.slice(0, threshold)) {
+      shares.push(await this.idp.decrypt(approval.share));
+    }
+
+    let recoveryKeys;
+    try {
+      recoveryKeys = JSON.parse(new TextDecoder().decode(combineShares(shares)));
+    } catch (error) {
+      throw new Error('Recovered shares do not form a keypair');
+    }
+
+    if (recoveryKeys.pub !== config.recoveryKey) {
+      throw new Error('Recovered key does not match the recovery setup');
+    }
+
+    // The alias the identity is saved under must already hold the new keys when it is claimed
+    const deviceAlias = this.idp.activeAlias;
+    if (options.alias) {
+      this.idp.addIdentity(options.alias, nextKeys);
+    }
+    try {
+      await this.idp.rotateKeys({ ...options, nextKeys, recoverFrom: ownerPub, recoveryKeys });
+    } finally {
+      if (deviceAlias) {
+        this.idp.useIdentity(deviceAlias);
+      }
+    }
+    return nextKeys;
+  }
+
+  /**
+   * Get the loaded keys or fail
+   * @returns {Object} UnSEA keypair
+   */
+  requireKeys() {
+    if (!this.idp.initialized) {
+      throw new Error('IdP must be initialized before using recovery');
+    }
+    if (!this.idp.keys) {
+      throw new Error('No identity loaded. Create or load an identity first');
+    }
+    return this.idp.keys;
+  }
+
+  /**
+   * Read a record stored with putRecord and check its signer
+   * @param {string} key - DHT key
+   * @param {string} signer - Public key that must have signed the record
+   * @returns {Promise<Object|null>} Record envelope, or null if missing, expired or invalid
+   */
+  async getStored(key, signer) {
+    try {
+      return await this.idp.getRecord(key, signer);
+    } catch (error) {
+      this.idp.reportError(`Ignoring recovery record ${key}: ${error.message}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the payload of a record stored with putRecord
+   * @param {string} key - DHT key
+   * @param {string} signer - Public key that must have signed the record
+   * @returns {Promise<Object|null>} Record payload, or null if missing, expired or invalid
+   */
+  async getSigned(key, signer) {
+    const record = await this.getStored(key, signer);
+    return record ? record.payload : null;
+  }
+}
+
+// GF(256) arithmetic with the AES polynomial (x^8 + x^4 + x^3 + x + 1), generator 3
+const GF_EXP = new Uint8Array(510);
+const GF_LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  GF_EXP[i] = x;
+  GF_LOG[x] = i;
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+for (let i = 255; i < 510; i++) {
+  GF_EXP[i] = GF_EXP[i - 255];
+}
+
+/**
+ * Helper: Multiply in GF(256)
+ */
+function gfMul(a, b) {
+  return a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0;
+}
+
+/**
+ * Helper: Divide in GF(256)
+ */
+function gfDiv(a, b) {
+  return a ? GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]] : 0;
+}
+
+/**
+ * Helper: Random request ID
+ */
+function randomId() {
+  return bytesToBase64Url(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+}
@@ -5,6 +5,26 @@
  */
 
 import crypto from 'crypto';
+import zlib from 'zlib';
+import { DOMParser } from '@xmldom/xmldom';
+import { signXml, verifyXmlSignature, privateKeyFromUnsea, SIGNATURE_ALGORITHMS } from './xmldsig.js';
+import {
+  createSelfSignedCertificate,
+  certificateMatchesKey,
+  certificateExpiresWithin,
+  certificateToBase64
+} from './x509.js';
+
+const SAMLP_NS = 'urn:oasis:names:tc:SAML:2.0:protocol';
+const SAML_NS = 'urn:oasis:names:tc:SAML:2.0:assertion';
+const MD_NS = 'urn:oasis:names:tc:SAML:2.0:metadata';
+const DS_NS = 'http://www.w3.org/2000/09/xmldsig#';
+
+export const NAMEID_FORMAT_UNSPECIFIED = 'urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified';
+export const BINDING_HTTP_POST = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST';
+export const BINDING_HTTP_REDIRECT = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect';
+export const STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+export const STATUS_PARTIAL_LOGOUT = 'urn:oasis:names:tc:SAML:2.0:status:PartialLogout';
 
 /**
  * Generate a SAML 2.0 Assertion
@@ -15,8 +35,13 @@ import crypto from 'crypto';
  * @param {Object} options.attributes - User attributes (name, email, roles, etc.)
  * @param {string} options.audienceRestriction - Service provider entity ID
  * @param {number} options.lifetimeSeconds - Assertion lifetime (default: 300)
- * @param {Function} options.signFunction - Async function to sign the assertion
- * @returns {Promise<string>} SAML assertion XML
+ * @param {string} options.inResponseTo - ID of the AuthnRequest (optional, omitted for unsolicited responses)
+ * @param {string} options.nameIdFormat - NameID format requested by the SP (optional)
+ * @param {string} options.sessionIndex - SessionIndex of the AuthnStatement (optional, generated if omitted)
+ * @param {string} options.authnInstant - When the user signed in, ISO 8601 (optional, defaults to now)
+ * @param {Function} options.signFunction - Async function receiving the assertion XML and ID and
+ *   returning the XML with an enveloped signature (optional)
+ * @returns {Promise<Object>} Object with `assertion` XML, `assertionId` and `sessionIndex`
  */
 export async function generateSAMLAssertion(options) {
   const {
@@ -26,6 +51,10 @@ export async function generateSAMLAssertion(options) {
     attributes = {},
     audienceRestriction,
     lifetimeSeconds = 300,
+    inResponseTo,
+    nameIdFormat = NAMEID_FORMAT_UNSPECIFIED,
+    sessionIndex = `_${generateId()}`,
+    authnInstant: loginInstant,
     signFunction
   } = options;
 
@@ -33,8 +62,10 @@ export async function generateSAMLAssertion(options) {
   const issueInstant = new Date().toISOString();
   const notBefore = issueInstant;
   const notOnOrAfter = new Date(Date.now() + lifetimeSeconds * 1000).toISOString();
-  const authnInstant = issueInstant;
-  const sessionIndex = `_${generateId()}`;
+  const authnInstant = loginInstant || issueInstant;
+  const inResponseToAttribute = inResponseTo
+    ? `\n                                     InResponseTo="${escapeXml(inResponseTo)}"`
+    : '';
 
   // Build attribute statements
   let attributeStatements = '';
@@ -55,9 +86,8 @@ export async function generateSAMLAssertion(options) {
     </saml:AttributeStatement>`;
   }
 
-  // Build SAML assertion
-  const assertion = `<?xml version="1.0" encoding="UTF-8"?>
-<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion"
+  // Build SAML assertion (no XML declaration, it is embedded in a Response)
+  const assertion = `<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion"
                 xmlns:xs="http://www.w3.org/2001/XMLSchema"
                 xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
                 ID="${assertionId}"
@@ -65,11 +95,10 @@ export async function generateSAMLAssertion(options) {
                 IssueInstant="${issueInstant}">
   <saml:Issuer>${escapeXml(issuer)}</saml:Issuer>
   <saml:Subject>
-    <saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified">${escapeXml(subject)}</saml:NameID>
+    <saml:NameID Format="${escapeXml(nameIdFormat)}">${escapeXml(subject)}</saml:NameID>
     <saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">
       <saml:SubjectConfirmationData NotOnOrAfter="${notOnOrAfter}"
-                                     Recipient="${escapeXml(recipient)}"
-                                     InResponseTo="_request_id"/>
+                                     Recipient="${escapeXml(recipient)}"${inResponseToAttribute}/>
     </saml:SubjectConfirmation>
   </saml:Subject>
   <saml:Conditions NotBefore="${notBefore}" NotOnOrAfter="${notOnOrAfter}">
@@ -77,7 +106,7 @@ export async function generateSAMLAssertion(options) {
       <saml:Audience>${escapeXml(audienceRestriction)}</saml:Audience>
     </saml:AudienceRestriction>
   </saml:Conditions>
-  <saml:AuthnStatement AuthnInstant="${authnInstant}" SessionIndex="${sessionIndex}">
+  <saml:AuthnStatement AuthnInstant="${authnInstant}" SessionIndex="${escapeXml(sessionIndex)}">
     <saml:AuthnContext>
       <saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:unspecified</saml:AuthnContextClassRef>
     </saml:AuthnContext>
@@ -87,17 +116,17 @@ export async function generateSAMLAssertion(options) {
 
   // Sign the assertion if signing function provided
   if (signFunction) {
-    const signature = await signFunction(assertion);
     return {
-      assertion,
-      signature,
-      assertionId
+      assertion: await signFunction(assertion, assertionId),
+      assertionId,
+      sessionIndex
     };
   }
 
   return {
     assertion,
-    assertionId
+    assertionId,
+    sessionIndex
   };
 }
 
@@ -107,8 +136,9 @@ export async function generateSAMLAssertion(options) {
  * @param {string} options.assertion - SAML assertion XML
  * @param {string} options.issuer - Identity provider issuer URL
  * @param {string} options.destination - Service provider ACS URL
- * @param {string} options.inResponseTo - ID of the AuthnRequest (optional)
+ * @param {string} options.inResponseTo - ID of the AuthnRequest (optional, omitted for unsolicited responses)
  * @param {string} options.statusCode - Status code (default: Success)
+ * @param {string} options.responseId - Response ID (optional, generated if omitted)
  * @returns {string} SAML response XML
  */
 export function generateSAMLResponse(options) {
@@ -116,12 +146,15 @@ export function generateSAMLResponse(options) {
     assertion,
     issuer,
     destination,
-    inResponseTo = '_request_id',
-    statusCode = 'urn:oasis:names:tc:SAML:2.0:status:Success'
+    inResponseTo,
+    statusCode = STATUS_SUCCESS,
+    responseId = `_${generateId()}`
   } = options;
 
-  const responseId = `_${generateId()}`;
   const issueInstant = new Date().toISOString();
+  const inResponseToAttribute = inResponseTo
+    ? `\n                InResponseTo="${escapeXml(inResponseTo)}"`
+    : '';
 
   return `<?xml version="1.0" encoding="UTF-8"?>
 <samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol"
@@ -129,8 +162,7 @@ export function generateSAMLResponse(options) {
                 ID="${responseId}"
                 Version="2.0"
                 IssueInstant="${issueInstant}"
-                Destination="${escapeXml(destination)}"
-                InResponseTo="${inResponseTo}">
+                Destination="${escapeXml(destination)}"${inResponseToAttribute}>
   <saml:Issuer>${escapeXml(issuer)}</saml:Issuer>
   <samlp:Status>
     <samlp:StatusCode Value="${statusCode}"/>
@@ -139,12 +171,93 @@ export function generateSAMLResponse(options) {
 </samlp:Response>`;
 }
 
+/**
+ * Generate a SAML LogoutRequest
+ * @param {Object} options - LogoutRequest options
+ * @param {string} options.issuer - Issuer entity ID
+ * @param {string} options.destination - SingleLogoutService URL of the recipient
+ * @param {string} options.nameId - NameID of the user being logged out
+ * @param {string} options.nameIdFormat - NameID format (default: unspecified)
+ * @param {string} options.sessionIndex - SessionIndex from the AuthnStatement (optional)
+ * @param {number} options.lifetimeSeconds - Request lifetime (default: 300)
+ * @param {string} options.requestId - Request ID (optional, generated if omitted)
+ * @returns {string} SAML LogoutRequest XML
+ */
+export function generateLogoutRequest(options) {
+  const {
+    issuer,
+    destination,
+    nameId,
+    nameIdFormat = NAMEID_FORMAT_UNSPECIFIED,
+    sessionIndex,
+    lifetimeSeconds = 300,
+    requestId = `_${generateId()}`
+  } = options;
+
+  const issueInstant = new Date().toISOString();
+  const notOnOrAfter = new Date(Date.now() + lifetimeSeconds * 1000).toISOString();
+  const sessionIndexElement = sessionIndex
+    ? `\n  <samlp:SessionIndex>${escapeXml(sessionIndex)}</samlp:SessionIndex>`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<samlp:LogoutRequest xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol"
+                     xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion"
+                     ID="${requestId}"
+                     Version="2.0"
+                     IssueInstant="${issueInstant}"
+                     Destination="${escapeXml(destination)}"
+                     NotOnOrAfter="${notOnOrAfter}">
+  <saml:Issuer>${escapeXml(issuer)}</saml:Issuer>
+  <saml:NameID Format="${escapeXml(nameIdFormat)}">${escapeXml(nameId)}</saml:NameID>${sessionIndexElement}
+</samlp:LogoutRequest>`;
+}
+
+/**
+ * Generate a SAML LogoutResponse
+ * @param {Object} options - LogoutResponse options
+ * @param {string} options.issuer - Issuer entity ID
+ * @param {string} options.destination - SingleLogoutService URL of the recipient
+ * @param {string} options.inResponseTo - ID of the LogoutRequest
+ * @param {string} options.statusCode - Status code (default: Success)
+ * @param {string} options.responseId - Response ID (optional, generated if omitted)
+ * @returns {string} SAML LogoutResponse XML
+ */
+export function generateLogoutResponse(options) {
+  const {
+    issuer,
+    destination,
+    inResponseTo,
+    statusCode = STATUS_SUCCESS,
+    responseId = `_${generateId()}`
+  } = options;
+
+  const issueInstant = new Date().toISOString();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<samlp:LogoutResponse xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol"
+                      xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion"
+                      ID="${responseId}"
+                      Version="2.0"
+                      IssueInstant="${issueInstant}"
+                      Destination="${escapeXml(destination)}"
+                      InResponseTo="${escapeXml(inResponseTo)}">
+  <saml:Issuer>${escapeXml(issuer)}</saml:Issuer>
+  <samlp:Status>
+    <samlp:StatusCode Value="${escapeXml(statusCode)}"/>
+  </samlp:Status>
+</samlp:LogoutResponse>`;
+}
+
 /**
  * Generate SAML Metadata for the IdP
  * @param {Object} options - Metadata options
  * @param {string} options.entityId - IdP entity ID (URL)
  * @param {string} options.ssoUrl - Single Sign-On service URL
- * @param {string} options.publicKey - IdP public key (base64 or PEM)
+ * @param {string} options.sloUrl - Single Logout service URL (optional)
+ * @param {string} options.certificate - IdP signing certificate (PEM or base64 DER)
+ * @param {Array<string>} [options.additionalCertificates] - Further signing certificates to publish,
+ *   e.g. the previous key during a key rollover
  * @param {string} options.organizationName - Organization name
  * @param {string} options.contactEmail - Technical contact email
  * @returns {string} SAML metadata XML
@@ -153,11 +266,30 @@ export function generateIdPMetadata(options) {
   const {
     entityId,
     ssoUrl,
-    publicKey,
+    sloUrl,
+    certificate,
+    additionalCertificates = [],
     organizationName = 'PigeonIdP',
     contactEmail = 'admin@example.com'
   } = options;
 
+  const keyDescriptors = [certificate, ...additionalCertificates].map((pem) => `
+    <md:KeyDescriptor use="signing">
+      <ds:KeyInfo>
+        <ds:X509Data>
+          <ds:X509Certificate>${certificateToBase64(pem)}</ds:X509Certificate>
+        </ds:X509Data>
+      </ds:KeyInfo>
+    </md:KeyDescriptor>`).join('');
+
+  const singleLogoutServices = sloUrl
+    ? `
+    <md:SingleLogoutService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST"
+                            Location="${escapeXml(sloUrl)}"/>
+    <md:SingleLogoutService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect"
+                            Location="${escapeXml(sloUrl)}"/>`
+    : '';
+
   const validUntil = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
 
   return `<?xml version="1.0" encoding="UTF-8"?>
@@ -165,14 +297,7 @@ export function generateIdPMetadata(options) {
                      xmlns:ds="http://www.w3.org/2000/09/xmldsig#"
                      entityID="${escapeXml(entityId)}"
                      validUntil="${validUntil}">
-  <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
-    <md:KeyDescriptor use="signing">
-      <ds:KeyInfo>
-        <ds:X509Data>
-          <ds:X509Certificate>${publicKey.replace(/\n/g, '')}</ds:X509Certificate>
-        </ds:X509Data>
-      </ds:KeyInfo>
-    </md:KeyDescriptor>
+  <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">${keyDescriptors}${singleLogoutServices}
     <md:NameIDFormat>urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified</md:NameIDFormat>
     <md:NameIDFormat>urn:oasis:names:tc:SAML:2.0:nameid-format:persistent</md:NameIDFormat>
     <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST"
@@ -201,22 +326,275 @@ export function encodeSAMLResponse(samlResponse) {
 }
 
 /**
- * Decode a SAML request from HTTP POST binding
- * @param {string} encodedRequest - Base64 encoded SAML request
+ * Decode a SAML request from HTTP POST or HTTP-Redirect binding
+ * @param {string} encodedRequest - Base64 encoded (and, for HTTP-Redirect, deflated) SAML request
+ * @param {Object} [options] - Decoding options
+ * @param {boolean} [options.deflated] - Whether the request is deflated; detected automatically if omitted
  * @returns {string} Decoded SAML request XML
  */
-export function decodeSAMLRequest(encodedRequest) {
-  return Buffer.from(encodedRequest, 'base64').toString('utf-8');
+export function decodeSAMLRequest(encodedRequest, options = {}) {
+  const buffer = Buffer.from(encodedRequest, 'base64');
+  const deflated = options.deflated ?? !buffer.toString('utf-8').trimStart().startsWith('<');
+
+  if (!deflated) {
+    return buffer.toString('utf-8');
+  }
+
+  try {
+    return zlib.inflateRawSync(buffer).toString('utf-8');
+  } catch (error) {
+    throw new Error(`Failed to inflate SAML request: ${error.message}`);
+  }
+}
+
+/**
+ * Deflate and base64 encode a SAML message for HTTP-Redirect binding
+ * @param {string} samlMessage - SAML message XML
+ * @returns {string} Deflated, base64 encoded message (not yet URL encoded)
+ */
+export function encodeSAMLRedirect(samlMessage) {
+  return zlib.deflateRawSync(Buffer.from(samlMessage, 'utf-8')).toString('base64');
+}
+
+/**
+ * Parse a SAML 2.0 AuthnRequest
+ * @param {string} xml - AuthnRequest XML (already decoded)
+ * @returns {Object} Parsed request with properties:
+ *   - id: string - Request ID, echoed back as InResponseTo
+ *   - issuer: string|null - Service provider entity ID
+ *   - destination: string|null - IdP endpoint the request was sent to
+ *   - issueInstant: string|null - Request timestamp
+ *   - assertionConsumerServiceURL: string|null - Where the response must be delivered
+ *   - assertionConsumerServiceIndex: number|null - Indexed ACS endpoint from SP metadata
+ *   - protocolBinding: string|null - Binding requested for the response
+ *   - nameIdPolicy: Object|null - { format, allowCreate, spNameQualifier }
+ *   - forceAuthn: boolean - Whether the user must re-authenticate
+ *   - isPassive: boolean - Whether the IdP must not interact with the user
+ */
+export function parseAuthnRequest(xml) {
+  const request = parseSAMLDocument(xml, 'AuthnRequest');
+
+  const nameIdPolicyElement = firstChild(request, SAMLP_NS, 'NameIDPolicy');
+  const acsIndex = request.getAttribute('AssertionConsumerServiceIndex');
+
+  return {
+    id: request.getAttribute('ID'),
+    issuer: childText(request, SAML_NS, 'Issuer'),
+    destination: request.getAttribute('Destination') || null,
+    issueInstant: request.getAttribute('IssueInstant') || null,
+    assertionConsumerServiceURL: request.getAttribute('AssertionConsumerServiceURL') || null,
+    assertionConsumerServiceIndex: acsIndex ? parseInt(acsIndex, 10) : null,
+    protocolBinding: request.getAttribute('ProtocolBinding') || null,
+    nameIdPolicy: nameIdPolicyElement
+      ? {
+          format: nameIdPolicyElement.getAttribute('Format') || null,
+          allowCreate: nameIdPolicyElement.getAttribute('AllowCreate') === 'true',
+          spNameQualifier: nameIdPolicyElement.getAttribute('SPNameQualifier') || null
+        }
+      : null,
+    forceAuthn: request.getAttribute('ForceAuthn') === 'true',
+    isPassive: request.getAttribute('IsPassive') === 'true'
+  };
+}
+
+/**
+ * Parse a SAML 2.0 LogoutRequest
+ * @param {string} xml - LogoutRequest XML (already decoded)
+ * @returns {Object} Parsed request with properties:
+ *   - id: string - Request ID, echoed back as InResponseTo
+ *   - issuer: string|null - Entity ID of the sender
+ *   - destination: string|null - Endpoint the request was sent to
+ *   - issueInstant: string|null - Request timestamp
+ *   - notOnOrAfter: string|null - Request expiry
+ *   - reason: string|null - Logout reason
+ *   - nameId: string - NameID of the user being logged out
+ *   - nameIdFormat: string|null - NameID format
+ *   - sessionIndexes: Array<string> - Sessions to end (all sessions of the NameID if empty)
+ */
+export function parseLogoutRequest(xml) {
+  const request = parseSAMLDocument(xml, 'LogoutRequest');
+
+  const nameIdElement = firstChild(request, SAML_NS, 'NameID');
+  if (!nameIdElement) {
+    throw new Error('SAML LogoutRequest does not contain a NameID');
+  }
+
+  return {
+    id: request.getAttribute('ID'),
+    issuer: childText(request, SAML_NS, 'Issuer'),
+    destination: request.getAttribute('Destination') || null,
+    issueInstant: request.getAttribute('IssueInstant') || null,
+    notOnOrAfter: request.getAttribute('NotOnOrAfter') || null,
+    reason: request.getAttribute('Reason') || null,
+    nameId: nameIdElement.textContent.trim(),
+    nameIdFormat: nameIdElement.getAttribute('Format') || null,
+    sessionIndexes: children(request, SAMLP_NS, 'SessionIndex').map((index) => index.textContent.trim())
+  };
+}
+
+/**
+ * Parse a SAML 2.0 LogoutResponse
+ * @param {string} xml - LogoutResponse XML (already decoded)
+ * @returns {Object} Parsed response with properties:
+ *   - id: string - Response ID
+ *   - issuer: string|null - Entity ID of the sender
+ *   - destination: string|null - Endpoint the response was sent to
+ *   - issueInstant: string|null - Response timestamp
+ *   - inResponseTo: string|null - ID of the LogoutRequest being answered
+ *   - statusCode: string|null - Top-level status code
+ *   - success: boolean - Whether the status code is Success
+ */
+export function parseLogoutResponse(xml) {
+  const response = parseSAMLDocument(xml, 'LogoutResponse');
+
+  const status = firstChild(response, SAMLP_NS, 'Status');
+  const statusCodeElement = status ? firstChild(status, SAMLP_NS, 'StatusCode') : null;
+  const statusCode = statusCodeElement ? statusCodeElement.getAttribute('Value') : null;
+
+  return {
+    id: response.getAttribute('ID'),
+    issuer: childText(response, SAML_NS, 'Issuer'),
+    destination: response.getAttribute('Destination') || null,
+    issueInstant: response.getAttribute('IssueInstant') || null,
+    inResponseTo: response.getAttribute('InResponseTo') || null,
+    statusCode,
+    success: statusCode === STATUS_SUCCESS
+  };
+}
+
+/**
+ * Verify the signature of an incoming SAML message
+ * HTTP-Redirect messages carry a query string signature, HTTP-POST messages an enveloped one.
+ * A query signature only counts if the query's SAMLRequest or SAMLResponse is the message being
+ * verified, so pass `rawQuery` for messages received through HTTP-Redirect (GET) only.
+ * @param {Object} options - Verification options
+ * @param {string} options.xml - Decoded message XML
+ * @param {string} options.messageId - ID of the message root element
+ * @param {string} [options.rawQuery] - Raw (still URL encoded) query string for HTTP-Redirect
+ * @param {crypto.KeyObject|string} options.certificate - Sender's certificate (PEM) or public key
+ * @returns {boolean} True if the message is signed by the certificate's key
+ */
+export function verifySAMLMessageSignature(options) {
+  const { xml, messageId, rawQuery, certificate } = options;
+
+  const query = parseRawQuery(rawQuery);
+  if (!query.Signature) {
+    return verifyXmlSignature(xml, { referenceId: messageId, publicKey: certificate });
+  }
+
+  // Exactly one message parameter, and it must be the message the caller parsed
+  const messageParameters = ['SAMLRequest', 'SAMLResponse'].filter((name) => query[name] !== undefined);
+  if (messageParameters.length !== 1) {
+    return false;
+  }
+  const messageParameter = messageParameters[0];
+
+  try {
+    const publicKey = crypto.createPublicKey(certificate);
+
+    const signedMessage = decodeSAMLRequest(decodeURIComponent(query[messageParameter]), { deflated: true });
+    if (signedMessage !== xml) {
+      return false;
+    }
+
+    // The algorithm must be the one for the certificate's key type
+    const sigAlg = decodeURIComponent(query.SigAlg || '');
+    const expectedAlgorithm = {
+      rsa: SIGNATURE_ALGORITHMS['rsa-sha256'],
+      ec: SIGNATURE_ALGORITHMS['ecdsa-sha256']
+    }[publicKey.asymmetricKeyType];
+    if (!expectedAlgorithm || sigAlg !== expectedAlgorithm) {
+      return false;
+    }
+
+    // Signed octets are the raw query components, in this fixed order (SAML bindings 3.4.4.1)
+    const signed = [messageParameter, 'RelayState', 'SigAlg']
+      .filter((name) => query[name] !== undefined)
+      .map((name) => `${name}=${query[name]}`)
+      .join('&');
+
+    return crypto.verify('sha256', Buffer.from(signed), {
+      key: publicKey,
+      dsaEncoding: 'ieee-p1363'
+    }, Buffer.from(decodeURIComponent(query.Signature), 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse SAML 2.0 Service Provider metadata
+ * @param {string} xml - md:EntityDescriptor XML containing an SPSSODescriptor
+ * @returns {Object} Parsed metadata with properties:
+ *   - entityId: string - SP entity ID
+ *   - assertionConsumerServices: Array<Object> - { url, binding, index, isDefault }
+ *   - singleLogoutServices: Array<Object> - { url, binding, responseUrl }
+ *   - nameIdFormats: Array<string> - NameID formats the SP accepts
+ *   - wantAssertionsSigned: boolean - Whether the SP requires signed assertions
+ *   - authnRequestsSigned: boolean - Whether the SP signs its AuthnRequests
+ *   - certificate: string|null - SP signing certificate (PEM)
+ */
+export function parseSPMetadata(xml) {
+  const root = parseXmlRoot(xml, 'SAML metadata');
+
+  if (root.namespaceURI !== MD_NS || root.localName !== 'EntityDescriptor') {
+    throw new Error(`Expected md:EntityDescriptor but found ${root.nodeName}`);
+  }
+
+  const entityId = root.getAttribute('entityID');
+  if (!entityId) {
+    throw new Error('SP metadata is missing the entityID attribute');
+  }
+
+  const descriptor = firstChild(root, MD_NS, 'SPSSODescriptor');
+  if (!descriptor) {
+    throw new Error(`Metadata for ${entityId} does not contain an SPSSODescriptor`);
+  }
+
+  const assertionConsumerServices = children(descriptor, MD_NS, 'AssertionConsumerService')
+    .map((acs) => ({
+      url: acs.getAttribute('Location'),
+      binding: acs.getAttribute('Binding'),
+      index: acs.getAttribute('index') ? parseInt(acs.getAttribute('index'), 10) : null,
+      isDefault: acs.getAttribute('isDefault') === 'true'
+    }));
+
+  const singleLogoutServices = children(descriptor, MD_NS, 'SingleLogoutService')
+    .map((slo) => ({
+      url: slo.getAttribute('Location'),
+      binding: slo.getAttribute('Binding'),
+      responseUrl: slo.getAttribute('ResponseLocation') || null
+    }));
+
+  const signingKey = children(descriptor, MD_NS, 'KeyDescriptor')
+    .find((key) => !key.getAttribute('use') || key.getAttribute('use') === 'signing');
+  const certificateElement = signingKey
+    ? signingKey.getElementsByTagNameNS(DS_NS, 'X509Certificate')[0]
+    : null;
+  const certificate = certificateElement
+    ? `-----BEGIN CERTIFICATE-----\n${certificateElement.textContent.replace(/\s+/g, '').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`
+    : null;
+
+  return {
+    entityId,
+    assertionConsumerServices,
+    singleLogoutServices,
+    nameIdFormats: children(descriptor, MD_NS, 'NameIDFormat').map((format) => format.textContent.trim()),
+    wantAssertionsSigned: descriptor.getAttribute('WantAssertionsSigned') === 'true',
+    authnRequestsSigned: descriptor.getAttribute('AuthnRequestsSigned') === 'true',
+    certificate
+  };
 }
 
 /**
  * Generate HTML form for SAML POST binding
- * @param {string} acsUrl - Assertion Consumer Service URL
- * @param {string} samlResponse - Base64 encoded SAML response
+ * @param {string} acsUrl - Assertion Consumer Service URL (or other endpoint)
+ * @param {string} samlResponse - Base64 encoded SAML message
  * @param {string} relayState - Optional relay state
+ * @param {string} parameter - Form field name: 'SAMLResponse' (default) or 'SAMLRequest'
  * @returns {string} HTML form that auto-submits
  */
-export function generateSAMLPostForm(acsUrl, samlResponse, relayState = '') {
+export function generateSAMLPostForm(acsUrl, samlResponse, relayState = '', parameter = 'SAMLResponse') {
   const relayStateInput = relayState 
     ? `<input type="hidden" name="RelayState" value="${escapeXml(relayState)}"/>` 
     : '';
@@ -228,7 +606,7 @@ export function generateSAMLPostForm(acsUrl, samlResponse, relayState = '') {
 </head>
 <body onload="document.forms[0].submit()">
   <form method="POST" action="${escapeXml(acsUrl)}">
-    <input type="hidden" name="SAMLResponse" value="${escapeXml(samlResponse)}"/>
+    <input type="hidden" name="${escapeXml(parameter)}" value="${escapeXml(samlResponse)}"/>
     ${relayStateInput}
     <noscript>
       <button type="submit">Continue</button>
@@ -250,6 +628,113 @@ function escapeXml(unsafe) {
     .replace(/'/g, '&apos;');
 }
 
+/**
+ * Helper: Parse a SAML protocol message and return its root element
+ * Rejects DTDs so untrusted input cannot declare entities.
+ */
+function parseSAMLDocument(xml, expectedRoot) {
+  const root = parseXmlRoot(xml, `SAML ${expectedRoot}`);
+
+  if (root.namespaceURI !== SAMLP_NS || root.localName !== expectedRoot) {
+    throw new Error(`Expected samlp:${expectedRoot} but found ${root.nodeName}`);
+  }
+
+  if (!root.getAttribute('ID')) {
+    throw new Error(`SAML ${expectedRoot} is missing the ID attribute`);
+  }
+
+  return root;
+}
+
+/**
+ * Helper: Parse untrusted XML and return its root element
+ */
+function parseXmlRoot(xml, label) {
+  if (typeof xml !== 'string' || xml.trim() === '') {
+    throw new Error(`Empty ${label}`);
+  }
+
+  if (/<!DOCTYPE/i.test(xml)) {
+    throw new Error(`${label} must not contain a DOCTYPE`);
+  }
+
+  const errors = [];
+  const doc = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: (msg) => errors.push(msg),
+      fatalError: (msg) => errors.push(msg)
+    }
+  }).parseFromString(xml, 'text/xml');
+
+  const root = doc?.documentElement;
+  if (errors.length > 0 || !root) {
+    throw new Error(`Malformed ${label}: ${errors[0] || 'no root element'}`);
+  }
+
+  return root;
+}
+
+/**
+ * Helper: Find all direct child elements with the given namespace and name
+ */
+function children(element, namespace, localName) {
+  const found = [];
+  for (let node = element.firstChild; node; node = node.nextSibling) {
+    if (node.nodeType === 1 && node.namespaceURI === namespace && node.localName === localName) {
+      found.push(node);
+    }
+  }
+  return found;
+}
+
+/**
+ * Helper: Find the first direct child element with the given namespace and name
+ */
+function firstChild(element, namespace, localName) {
+  for (let node = element.firstChild; node; node = node.nextSibling) {
+    if (node.nodeType === 1 && node.namespaceURI === namespace && node.localName === localName) {
+      return node;
+    }
+  }
+  return null;
+}
+
+/**
+ * Helper: Get the trimmed text content of a direct child element
+ */
+function childText(element, namespace, localName) {
+  const child = firstChild(element, namespace, localName);
+  return child ? child.textContent.trim() : null;
+}
+
+/**
+ * Helper: Split a raw query string without decoding the values
+ */
+function parseRawQuery(rawQuery) {
+  const query = {};
+  for (const part of (rawQuery || '').replace(/^\?/, '').split('&')) {
+    if (!part) {
+      continue;
+    }
+    const separator = part.indexOf('=');
+    const name = separator === -1 ? part : part.slice(0, separator);
+    query[name] = separator === -1 ? '' : part.slice(separator + 1);
+  }
+  return query;
+}
+
+/**
+ * Helper: Hostname of a URL entity ID, or the entity ID itself for URNs
+ */
+function entityHostname(entityId) {
+  try {
+    return new URL(entityId).hostname || entityId;
+  } catch (error) {
+    return entityId;
+  }
+}
+
 /**
  * Helper: Generate a random ID
  */
@@ -268,10 +753,25 @@ export class PigeonIdPSAML {
    * @param {Object} config - SAML configuration
    * @param {string} config.entityId - IdP entity ID
    * @param {string} config.ssoUrl - Single Sign-On URL
+   * @param {string} [config.sloUrl] - Single Logout URL, advertised in metadata when set
+   * @param {number} [config.sessionLifetime=28800] - Seconds an SSO session is tracked for logout
+   * @param {string} [config.signatureAlgorithm='ecdsa-sha256'] - 'ecdsa-sha256' or 'rsa-sha256'
+   * @param {string} [config.privateKey] - PEM signing key (required for rsa-sha256, defaults to the IdP key)
+   * @param {string} [config.certificate] - PEM signing certificate; a self-signed one is generated if omitted
+   * @param {Object} [config.certificateSubject] - Subject of the generated certificate
+   *   (commonName, organizationName, organizationalUnitName, countryName, ...)
+   * @param {number} [config.certificateValidityDays=365] - Validity of the generated certificate
+   * @param {number} [config.certificateRenewDays=30] - Regenerate the certificate this many days before expiry
+   * @param {Array<string>|Function} [config.additionalCertificates] - Further certificates (PEM) to
+   *   publish in metadata, or a function returning them (e.g. retired keys during a rollover)
+   * @param {boolean} [config.signAssertion=true] - Sign the assertion
+   * @param {boolean} [config.signResponse=false] - Also sign the samlp:Response envelope
    */
   constructor(idp, config) {
     this.idp = idp;
     this.config = config;
+    this.certificate = null;
+    this.sessions = new Map();
   }
 
   /**
@@ -279,20 +779,139 @@ export class PigeonIdPSAML {
    * @param {Object} user - User information
    * @param {string} recipient - Service provider ACS URL
    * @param {string} audience - Service provider entity ID
+   * @param {Object} [options] - Additional assertion options
+   * @param {string} [options.inResponseTo] - AuthnRequest ID
+   * @param {string} [options.nameIdFormat] - NameID format requested by the SP
+   * @param {number} [options.assertionLifetime] - Overrides config.assertionLifetime
+   * @param {boolean} [options.signAssertion] - Overrides config.signAssertion
+   * @param {string} [options.sessionIndex] - SessionIndex for the AuthnStatement
+   * @param {string} [options.authnInstant] - When the user signed in (ISO 8601), defaults to now
    * @returns {Promise<Object>} SAML assertion with signature
    */
-  async generateAssertion(user, recipient, audience) {
+  async generateAssertion(user, recipient, audience, options = {}) {
+    const signAssertion = options.signAssertion ?? this.config.signAssertion ?? true;
+
     return await generateSAMLAssertion({
       issuer: this.config.entityId,
       recipient,
       subject: user.id || user.username,
       attributes: user.attributes || {},
       audienceRestriction: audience,
-      lifetimeSeconds: this.config.assertionLifetime || 300,
-      signFunction: async (data) => {
-        return await this.idp.sign(data);
+      lifetimeSeconds: options.assertionLifetime || this.config.assertionLifetime || 300,
+      inResponseTo: options.inResponseTo,
+      nameIdFormat: options.nameIdFormat,
+      sessionIndex: options.sessionIndex,
+      authnInstant: options.authnInstant,
+      signFunction: !signAssertion
+        ? null
+        : async (xml, assertionId) => this.signDocument(xml, assertionId)
+    });
+  }
+
+  /**
+   * Get the key used for XML signatures
+   * @returns {crypto.KeyObject|string} Configured PEM key, or the IdP's UnSEA signing key
+   */
+  getSigningKey() {
+    if (this.config.privateKey) {
+      return this.config.privateKey;
+    }
+
+    if ((this.config.signatureAlgorithm || 'ecdsa-sha256') !== 'ecdsa-sha256') {
+      throw new Error(`${this.config.signatureAlgorithm} signing requires config.privateKey`);
+    }
+
+    if (!this.idp.keys) {
+      throw new Error('No identity loaded. Create or load an identity first');
+    }
+
+    return privateKeyFromUnsea(this.idp.keys);
+  }
+
+  /**
+   * Add an enveloped XML signature to a SAML element
+   * @param {string} xml - SAML XML containing the element
+   * @param {string} referenceId - ID of the element to sign
+   * @returns {string} Signed XML
+   */
+  signDocument(xml, referenceId) {
+    return signXml(xml, {
+      referenceId,
+      privateKey: this.getSigningKey(),
+      algorithm: this.config.signatureAlgorithm || 'ecdsa-sha256',
+      certificate: this.getCertificate()
+    });
+  }
+
+  /**
+   * Get the X.509 certificate for the signing key
+   * Uses config.certificate when provided, otherwise a self-signed certificate that is
+   * regenerated when the signing key changes or the certificate nears expiry.
+   * @returns {string} PEM encoded certificate
+   */
+  getCertificate() {
+    const signingKey = this.getSigningKey();
+
+    if (this.config.certificate) {
+      if (!certificateMatchesKey(this.config.certificate, signingKey)) {
+        throw new Error('Configured certificate does not match the signing key');
       }
+      return this.config.certificate;
+    }
+
+    const renewDays = this.config.certificateRenewDays ?? 30;
+    if (
+      !this.certificate ||
+      !certificateMatchesKey(this.certificate, signingKey) ||
+      certificateExpiresWithin(this.certificate, renewDays)
+    ) {
+      this.rotateCertificate();
+    }
+
+    return this.certificate;
+  }
+
+  /**
+   * Issue a fresh self-signed certificate for the current signing key
+   * @returns {string} PEM encoded certificate
+   */
+  rotateCertificate() {
+    if (this.config.certificate) {
+      throw new Error('Cannot rotate a configured certificate; replace config.certificate instead');
+    }
+
+    this.certificate = createSelfSignedCertificate({
+      privateKey: this.getSigningKey(),
+      subject: this.config.certificateSubject || {
+        commonName: entityHostname(this.config.entityId),
+        organizationName: this.config.organizationName || 'PigeonIdP'
+      },
+      validityDays: this.config.certificateValidityDays || 365
     });
+
+    return this.certificate;
+  }
+
+  /**
+   * Decode and parse an incoming AuthnRequest
+   * @param {string} encodedRequest - SAMLRequest parameter from HTTP-Redirect or HTTP-POST binding
+   * @param {Object} [options] - Validation options
+   * @param {Function} [options.getCertificate] - Returns the certificate (PEM) for an issuer that
+   *   signs its AuthnRequests; the request must be signed when one is returned
+   * @param {string} [options.rawQuery] - Raw query string, for HTTP-Redirect signatures
+   * @returns {Object} Parsed AuthnRequest (see parseAuthnRequest), with `signed` set when its
+   *   signature was verified against the issuer's certificate
+   */
+  parseRequest(encodedRequest, options = {}) {
+    const xml = decodeSAMLRequest(encodedRequest);
+    const authnRequest = parseAuthnRequest(xml);
+
+    if (authnRequest.protocolBinding && authnRequest.protocolBinding !== BINDING_HTTP_POST) {
+      throw new Error(`Unsupported response binding: ${authnRequest.protocolBinding}`);
+    }
+
+    authnRequest.signed = this.checkMessageSignature(xml, authnRequest.id, authnRequest.issuer, options);
+    return authnRequest;
   }
 
   /**
@@ -300,33 +919,332 @@ export class PigeonIdPSAML {
    * @param {Object} user - User information
    * @param {string} destination - Service provider ACS URL
    * @param {string} audience - Service provider entity ID
-   * @param {string} inResponseTo - AuthnRequest ID
+   * @param {string|null} inResponseTo - AuthnRequest ID, or null for an unsolicited (IdP-initiated) response
+   * @param {Object} [options] - Additional response options
+   * @param {string} [options.nameIdFormat] - NameID format requested by the SP
+   * @param {number} [options.assertionLifetime] - Overrides config.assertionLifetime
+   * @param {boolean} [options.signAssertion] - Overrides config.signAssertion
+   * @param {boolean} [options.signResponse] - Overrides config.signResponse
+   * @param {string} [options.sessionId] - IdP session to record the SP in, for Single Logout
+   * @param {string} [options.authnInstant] - When the user signed in (ISO 8601), for the AuthnStatement
    * @returns {Promise<string>} Base64 encoded SAML response
    */
-  async generateResponse(user, destination, audience, inResponseTo) {
-    const { assertion } = await this.generateAssertion(user, destination, audience);
+  async generateResponse(user, destination, audience, inResponseTo, options = {}) {
+    const { assertion, sessionIndex } = await this.generateAssertion(user, destination, audience, {
+      inResponseTo,
+      nameIdFormat: options.nameIdFormat,
+      assertionLifetime: options.assertionLifetime,
+      signAssertion: options.signAssertion,
+      authnInstant: options.authnInstant
+    });
+
+    if (options.sessionId) {
+      this.recordSession(options.sessionId, {
+        entityId: audience,
+        nameId: user.id || user.username,
+        nameIdFormat: options.nameIdFormat || NAMEID_FORMAT_UNSPECIFIED,
+        sessionIndex
+      });
+    }
     
-    const response = generateSAMLResponse({
+    const responseId = `_${generateId()}`;
+    let response = generateSAMLResponse({
       assertion,
       issuer: this.config.entityId,
       destination,
-      inResponseTo
+      inResponseTo,
+      responseId
     });
 
+    if (options.signResponse ?? this.config.signResponse) {
+      response = this.signDocument(response, responseId);
+    }
+
     return encodeSAMLResponse(response);
   }
 
+  /**
+   * Record that a service provider received an assertion in an IdP session
+   * @param {string} sessionId - IdP session ID (e.g. from a session cookie)
+   * @param {Object} participant - { entityId, nameId, nameIdFormat, sessionIndex }
+   * @returns {Object} The session
+   */
+  recordSession(sessionId, participant) {
+    this.pruneSessions();
+
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      session = { id: sessionId, participants: [], created: Date.now(), logout: null, csrfToken: generateId() };
+      this.sessions.set(sessionId, session);
+    }
+
+    // A new assertion replaces the SP's previous session index
+    session.participants = session.participants
+      .filter((existing) => existing.entityId !== participant.entityId)
+      .concat(participant);
+
+    return session;
+  }
+
+  /**
+   * Get an active IdP session
+   * @param {string} sessionId - IdP session ID
+   * @returns {Object|null} Session with `participants` and a `csrfToken` for logout forms,
+   *   or null if unknown or expired
+   */
+  getSession(sessionId) {
+    this.pruneSessions();
+    return (sessionId && this.sessions.get(sessionId)) || null;
+  }
+
+  /**
+   * Find the IdP session a LogoutRequest refers to
+   * @param {Object} logoutRequest - Parsed LogoutRequest
+   * @param {string} [sessionId] - Only consider this session (e.g. the browser's own, for
+   *   LogoutRequests that are not signed)
+   * @returns {Object|null} Session or null if none matches
+   */
+  findSession(logoutRequest, sessionId) {
+    this.pruneSessions();
+
+    const candidates = sessionId === undefined
+      ? this.sessions.values()
+      : [this.sessions.get(sessionId)].filter(Boolean);
+    for (const session of candidates) {
+      const match = session.participants.some((participant) =>
+        participant.entityId === logoutRequest.issuer &&
+        participant.nameId === logoutRequest.nameId &&
+        (logoutRequest.sessionIndexes.length === 0 ||
+          logoutRequest.sessionIndexes.includes(participant.sessionIndex))
+      );
+      if (match) {
+        return session;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Start logging out an IdP session
+   * @param {Object} session - Session from getSession or findSession
+   * @param {Object} [initiator] - SP that requested logout: { entityId, requestId, relayState }
+   * @returns {Object} Logout state: { initiator, remaining, pendingRequestId, partial }
+   */
+  beginLogout(session, initiator = null) {
+    session.logout = {
+      initiator,
+      remaining: session.participants.filter((participant) => participant.entityId !== initiator?.entityId),
+      pendingRequestId: null,
+      partial: false
+    };
+    return session.logout;
+  }
+
+  /**
+   * End an IdP session
+   * @param {string} sessionId - IdP session ID
+   * @returns {boolean} True if the session existed
+   */
+  endSession(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Drop sessions older than config.sessionLifetime
+   * @returns {void}
+   */
+  pruneSessions() {
+    const cutoff = Date.now() - (this.config.sessionLifetime || 8 * 60 * 60) * 1000;
+    for (const [id, session] of this.sessions) {
+      if (session.created < cutoff) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Create a LogoutRequest for a session participant
+   * @param {Object} participant - { entityId, nameId, nameIdFormat, sessionIndex }
+   * @param {Object} endpoint - SP SingleLogoutService: { url, binding }
+   * @param {string} [relayState] - Relay state
+   * @returns {Object} Bound message (see bindMessage) with the request `id`
+   */
+  createLogoutRequest(participant, endpoint, relayState) {
+    const requestId = `_${generateId()}`;
+    const xml = generateLogoutRequest({
+      issuer: this.config.entityId,
+      destination: endpoint.url,
+      nameId: participant.nameId,
+      nameIdFormat: participant.nameIdFormat,
+      sessionIndex: participant.sessionIndex,
+      requestId
+    });
+
+    return {
+      id: requestId,
+      ...this.bindMessage(xml, requestId, {
+        binding: endpoint.binding,
+        destination: endpoint.url,
+        parameter: 'SAMLRequest',
+        relayState
+      })
+    };
+  }
+
+  /**
+   * Create a LogoutResponse to an SP's LogoutRequest
+   * @param {string} inResponseTo - ID of the LogoutRequest
+   * @param {Object} endpoint - SP SingleLogoutService: { url, binding, responseUrl }
+   * @param {Object} [options] - Response options
+   * @param {string} [options.relayState] - Relay state from the LogoutRequest
+   * @param {string} [options.statusCode] - Status code (default: Success)
+   * @returns {Object} Bound message (see bindMessage) with the response `id`
+   */
+  createLogoutResponse(inResponseTo, endpoint, options = {}) {
+    const responseId = `_${generateId()}`;
+    const destination = endpoint.responseUrl || endpoint.url;
+    const xml = generateLogoutResponse({
+      issuer: this.config.entityId,
+      destination,
+      inResponseTo,
+      statusCode: options.statusCode,
+      responseId
+    });
+
+    return {
+      id: responseId,
+      ...this.bindMessage(xml, responseId, {
+        binding: endpoint.binding,
+        destination,
+        parameter: 'SAMLResponse',
+        relayState: options.relayState
+      })
+    };
+  }
+
+  /**
+   * Sign and encode an outgoing SAML message for its binding
+   * @param {string} xml - SAML message XML
+   * @param {string} messageId - ID of the message root element
+   * @param {Object} options - Binding options
+   * @param {string} [options.binding=BINDING_HTTP_POST] - BINDING_HTTP_POST or BINDING_HTTP_REDIRECT
+   * @param {string} options.destination - Endpoint URL
+   * @param {string} options.parameter - 'SAMLRequest' or 'SAMLResponse'
+   * @param {string} [options.relayState] - Relay state
+   * @returns {Object} `{ binding, url }` to redirect to, or `{ binding, html }` auto-submitting form
+   */
+  bindMessage(xml, messageId, options) {
+    const { binding = BINDING_HTTP_POST, destination, parameter, relayState } = options;
+
+    if (binding === BINDING_HTTP_REDIRECT) {
+      // Redirect binding signs the query string instead of the XML (SAML bindings 3.4.4.1)
+      const algorithm = this.config.signatureAlgorithm || 'ecdsa-sha256';
+      let query = `${parameter}=${encodeURIComponent(encodeSAMLRedirect(xml))}`;
+      if (relayState) {
+        query += `&RelayState=${encodeURIComponent(relayState)}`;
+      }
+      query += `&SigAlg=${encodeURIComponent(SIGNATURE_ALGORITHMS[algorithm])}`;
+
+      const signature = crypto.sign('sha256', Buffer.from(query), {
+        key: this.getSigningKey(),
+        dsaEncoding: 'ieee-p1363'
+      }).toString('base64');
+
+      const separator = destination.includes('?') ? '&' : '?';
+      return {
+        binding,
+        url: `${destination}${separator}${query}&Signature=${encodeURIComponent(signature)}`
+      };
+    }
+
+    if (binding !== BINDING_HTTP_POST) {
+      throw new Error(`Unsupported binding: ${binding}`);
+    }
+
+    const signed = this.signDocument(xml, messageId);
+    return {
+      binding,
+      html: generateSAMLPostForm(destination, encodeSAMLResponse(signed), relayState, parameter)
+    };
+  }
+
+  /**
+   * Decode, parse and check an incoming LogoutRequest
+   * @param {string} encodedRequest - SAMLRequest parameter from HTTP-Redirect or HTTP-POST binding
+   * @param {Object} [options] - Validation options
+   * @param {Function} [options.getCertificate] - Returns the certificate (PEM) for an issuer;
+   *   the message must be signed when one is returned
+   * @param {string} [options.rawQuery] - Raw query string, for HTTP-Redirect signatures
+   * @returns {Object} Parsed LogoutRequest (see parseLogoutRequest), with `signed` set when its
+   *   signature was verified against the issuer's certificate
+   */
+  parseLogoutRequest(encodedRequest, options = {}) {
+    const xml = decodeSAMLRequest(encodedRequest);
+    const logoutRequest = parseLogoutRequest(xml);
+
+    if (logoutRequest.notOnOrAfter && new Date(logoutRequest.notOnOrAfter).getTime() <= Date.now()) {
+      throw new Error('LogoutRequest has expired');
+    }
+
+    logoutRequest.signed = this.checkMessageSignature(xml, logoutRequest.id, logoutRequest.issuer, options);
+    return logoutRequest;
+  }
+
+  /**
+   * Decode, parse and check an incoming LogoutResponse
+   * @param {string} encodedResponse - SAMLResponse parameter from HTTP-Redirect or HTTP-POST binding
+   * @param {Object} [options] - Validation options (see parseLogoutRequest)
+   * @returns {Object} Parsed LogoutResponse (see parseLogoutResponse)
+   */
+  parseLogoutResponse(encodedResponse, options = {}) {
+    const xml = decodeSAMLRequest(encodedResponse);
+    const logoutResponse = parseLogoutResponse(xml);
+
+    this.checkMessageSignature(xml, logoutResponse.id, logoutResponse.issuer, options);
+    return logoutResponse;
+  }
+
+  /**
+   * Require a valid signature on an incoming message when the sender's certificate is known
+   * @param {string} xml - Decoded message XML
+   * @param {string} messageId - ID of the message root element
+   * @param {string} issuer - Entity ID of the sender
+   * @param {Object} options - { getCertificate, rawQuery }
+   * @returns {boolean} True if the signature was verified, false if no certificate is known
+   */
+  checkMessageSignature(xml, messageId, issuer, options) {
+    const certificate = options.getCertificate ? options.getCertificate(issuer) : null;
+    if (!certificate) {
+      return false;
+    }
+
+    const valid = verifySAMLMessageSignature({
+      xml,
+      messageId,
+      rawQuery: options.rawQuery,
+      certificate
+    });
+
+    if (!valid) {
+      throw new Error('SAML message signature is missing or invalid');
+    }
+    return true;
+  }
+
   /**
    * Get IdP metadata
    * @returns {string} SAML metadata XML
    */
   getMetadata() {
-    const publicKey = this.idp.getPublicKeys()?.pub || '';
-    
     return generateIdPMetadata({
       entityId: this.config.entityId,
       ssoUrl: this.config.ssoUrl,
-      publicKey,
+      sloUrl: this.config.sloUrl,
+      certificate: this.getCertificate(),
+      additionalCertificates: typeof this.config.additionalCertificates === 'function'
+        ? this.config.additionalCertificates()
+        : this.config.additionalCertificates || [],
       organizationName: this.config.organizationName,
       contactEmail: this.config.contactEmail
     });
@@ -5,10 +5,27 @@
  * REST API server for PigeonIdP identity provider
  */
 
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import express from 'express';
 import cors from 'cors';
 import { PigeonIdP } from './index.js';
-import { PigeonIdPSAML, generateSAMLPostForm, decodeSAMLRequest } from './saml.js';
+import {
+  PigeonIdPSAML,
+  generateSAMLPostForm,
+  STATUS_SUCCESS,
+  STATUS_PARTIAL_LOGOUT
+} from './saml.js';
+import { ServiceProviderRegistry } from './sp-registry.js';
+import { PigeonIdPOIDC, OIDCClientRegistry } from './oidc.js';
+import { SessionManager, MemorySessionStore, FileSessionStore } from './sessions.js';
+import { FileKeyStore } from './keystore.js';
+import { PigeonIdPCredentials } from './credentials.js';
+import { PigeonIdPDID } from './did.js';
+import { DHTWritePolicy } from './dht-policy.js';
+import { SigningIdentity } from './signing-identity.js';
+import { LocalUserStore, KeyAuthenticator, LoginLockout } from './authenticators.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,15 +35,64 @@ const SIGNALING_SERVERS = process.env.SIGNALING_SERVERS
   : ['wss://pigeonhub.fli.dev'];
 const IDP_ENTITY_ID = process.env.IDP_ENTITY_ID || `https://${NAMESPACE}.fly.dev`;
 const IDP_SSO_URL = process.env.IDP_SSO_URL || `${IDP_ENTITY_ID}/saml/sso`;
+const IDP_SLO_URL = process.env.IDP_SLO_URL || `${IDP_ENTITY_ID}/saml/slo`;
+const OIDC_ISSUER = process.env.OIDC_ISSUER || IDP_ENTITY_ID;
+// Key login challenges for API sessions are bound to this audience
+const SESSION_LOGIN_BINDING = { requestId: null, audience: `${IDP_ENTITY_ID}/api/sessions` };
+const SESSION_COOKIE = 'pigeonidp_session';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+// HTTP status of each DHT write policy error
+const DHT_POLICY_STATUS = {
+  invalid_request: 400,
+  invalid_signature: 401,
+  forbidden: 403,
+  conflict: 409,
+  payload_too_large: 413
+};
 
 // Middleware
+// Behind proxies (e.g. Fly), client addresses for login lockout come from X-Forwarded-For
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS));
+}
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true })); // For SAML POST bindings
+app.use(express.text({ type: ['application/xml', 'text/xml', 'application/samlmetadata+xml'] })); // SP metadata uploads
 
 // Global IdP instance
 let idp = null;
 let saml = null;
+let oidc = null;
+let sessions = null;
+let signingIdentity = null;
+let credentials = null;
+let dids = null;
+let serverDid = null;
+let dhtPolicy = null;
+
+// Trusted SAML service providers
+const spRegistry = new ServiceProviderRegistry({
+  filePath: process.env.SP_REGISTRY_FILE
+});
+
+// Registered OpenID Connect clients
+const oidcClients = new OIDCClientRegistry({
+  filePath: process.env.OIDC_CLIENTS_FILE
+});
+
+// Login authenticators, selected by the login form's `method` field
+const userStore = new LocalUserStore({
+  filePath: process.env.AUTH_USERS_FILE
+});
+const authenticators = {
+  password: userStore,
+  key: null // KeyAuthenticator, created once the IdP is initialized
+};
+const loginLockout = new LoginLockout({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5'),
+  lockoutSeconds: parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '900')
+});
 
 /**
  * Initialize IdP on startup
@@ -38,21 +104,564 @@ async function initIdP() {
   
   idp = new PigeonIdP({
     namespace: NAMESPACE,
-    signalingServers: SIGNALING_SERVERS
+    signalingServers: SIGNALING_SERVERS,
+    keyStore: process.env.IDP_KEY_FILE
+      ? new FileKeyStore({ filePath: process.env.IDP_KEY_FILE })
+      : undefined,
+    onError: (error) => console.warn(error.message)
   });
   
   await idp.init();
   console.log('PigeonIdP server initialized successfully');
   
+  // Signing identity: IDP_SIGNING_JWK, or the encrypted IDP_KEY_FILE (created on first boot)
+  signingIdentity = new SigningIdentity({
+    idp,
+    keyStore: process.env.IDP_KEY_FILE ? idp.keyStore : null,
+    password: process.env.IDP_KEY_PASSWORD,
+    jwk: process.env.IDP_SIGNING_JWK,
+    overlapSeconds: parseInt(process.env.IDP_KEY_OVERLAP || '604800')
+  });
+  const keySource = await signingIdentity.load();
+  console.log(`Signing key (${keySource}): ${idp.getPublicKeys().pub}`);
+  if (keySource === 'ephemeral') {
+    console.warn('No IDP_KEY_FILE or IDP_SIGNING_JWK set: the signing key will change on restart');
+  }
+  
+  authenticators.key = new KeyAuthenticator({ idp, issuer: IDP_ENTITY_ID });
+  
   // Initialize SAML extension
   saml = new PigeonIdPSAML(idp, {
     entityId: IDP_ENTITY_ID,
     ssoUrl: IDP_SSO_URL,
+    sloUrl: IDP_SLO_URL,
     organizationName: process.env.ORG_NAME || 'PigeonIdP',
     contactEmail: process.env.CONTACT_EMAIL || 'admin@example.com',
-    assertionLifetime: parseInt(process.env.ASSERTION_LIFETIME || '300')
+    assertionLifetime: parseInt(process.env.ASSERTION_LIFETIME || '300'),
+    signatureAlgorithm: process.env.SAML_SIGNATURE_ALGORITHM || 'ecdsa-sha256',
+    privateKey: readPemEnv('SAML_PRIVATE_KEY'),
+    certificate: readPemEnv('SAML_CERTIFICATE'),
+    certificateValidityDays: parseInt(process.env.SAML_CERT_VALIDITY_DAYS || '365'),
+    additionalCertificates: () => signingIdentity.getRetiredKeys()
+      .map((key) => key.certificate)
+      .filter(Boolean),
+    signResponse: process.env.SAML_SIGN_RESPONSE === 'true',
+    sessionLifetime: parseInt(process.env.SESSION_LIFETIME || '28800')
   });
   console.log('SAML extension initialized');
+  
+  // Initialize OpenID Connect extension
+  oidc = new PigeonIdPOIDC(idp, {
+    issuer: OIDC_ISSUER,
+    clients: oidcClients,
+    accessTokenLifetime: parseInt(process.env.OIDC_ACCESS_TOKEN_LIFETIME || '3600'),
+    idTokenLifetime: parseInt(process.env.OIDC_ID_TOKEN_LIFETIME || '3600'),
+    additionalKeys: () => signingIdentity.getRetiredKeys().map((key) => key.pub)
+  });
+  console.log('OIDC extension initialized');
+  
+  credentials = new PigeonIdPCredentials(idp);
+  dhtPolicy = new DHTWritePolicy({
+    idp,
+    maxClockSkew: parseInt(process.env.DHT_WRITE_MAX_AGE || '300')
+  });
+  
+  // Publish the server's DID document so did:pigeon resolvers can find the signing key
+  dids = new PigeonIdPDID(idp);
+  try {
+    ({ did: serverDid } = await dids.publishDID());
+    console.log(`DID: ${serverDid}`);
+  } catch (error) {
+    console.warn('Could not publish the server DID document:', error.message);
+  }
+  
+  // API sessions: short-lived auth tokens renewed with device-bound refresh tokens
+  sessions = new SessionManager({
+    idp,
+    store: process.env.SESSION_STORE_FILE
+      ? new FileSessionStore({ filePath: process.env.SESSION_STORE_FILE })
+      : new MemorySessionStore(),
+    accessTokenLifetime: parseInt(process.env.ACCESS_TOKEN_LIFETIME || '900'),
+    refreshTokenLifetime: parseInt(process.env.REFRESH_TOKEN_LIFETIME || '2592000')
+  });
+}
+
+/**
+ * Read a PEM value from the environment
+ * Accepts literal "\n" sequences so keys fit on a single line (e.g. fly secrets).
+ */
+function readPemEnv(name) {
+  const value = process.env[name];
+  return value ? value.replace(/\\n/g, '\n') : undefined;
+}
+
+/**
+ * Require the admin bearer token
+ * The admin API is disabled unless ADMIN_TOKEN is set.
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin API disabled: ADMIN_TOKEN is not set' });
+  }
+  
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  
+  // Compare digests so the check does not leak the token length or prefix
+  const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  next();
+}
+
+/**
+ * Check the credentials posted by the login form
+ * @param {Object} body - Login form fields; `method` selects the authenticator ('password' or 'key')
+ * @param {Object} [context] - Login being completed: { requestId, audience }
+ * @param {string} [client] - Client address; failed attempts lock the account for this client only
+ * @returns {Promise<Object>} `{ user, authnInstant }` on success, `{ error }` otherwise
+ */
+async function authenticateLogin(body, context, client) {
+  const method = body.method || 'password';
+  const authenticator = authenticators[method];
+  
+  if (!authenticator) {
+    return { error: `Unsupported login method: ${method}` };
+  }
+  
+  const account = method === 'key' ? body.publicKey : body.username;
+  if (!account) {
+    return { error: method === 'key' ? 'Missing public key' : 'Missing username' };
+  }
+  
+  const lockoutKey = `${method}:${account}`;
+  if (loginLockout.isLocked(lockoutKey, client)) {
+    return { error: 'Too many failed attempts. Try again later.' };
+  }
+  
+  const user = await authenticator.authenticate(body, context);
+  if (!user) {
+    const locked = loginLockout.recordFailure(lockoutKey, client);
+    console.warn(`Failed ${method} login for ${account}${locked ? ' (account locked)' : ''}`);
+    return {
+      error: locked
+        ? 'Too many failed attempts. Try again later.'
+        : method === 'key' ? 'Key verification failed' : 'Invalid username or password'
+    };
+  }
+  
+  loginLockout.reset(lockoutKey, client);
+  return { user, authnInstant: new Date().toISOString() };
+}
+
+/**
+ * Resolve the API session of a Bearer auth token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} `{ claims, session }`, or null if the token is missing,
+ *   invalid, not issued by this server or its session has ended
+ */
+async function authenticateBearer(req) {
+  const header = req.get('Authorization') || '';
+  if (!header.startsWith('Bearer ') || !sessions) {
+    return null;
+  }
+  
+  const result = await idp.verifyAuthToken(header.slice(7));
+  if (!result.valid || !signingIdentity?.isTrusted(result.claims.iss)) {
+    return null;
+  }
+  
+  const session = await sessions.getActiveSession(result.claims);
+  return session ? { claims: result.claims, session } : null;
+}
+
+/**
+ * Validation options for an incoming AuthnRequest
+ * SPs that declare AuthnRequestsSigned must sign every request with their registered certificate.
+ * @param {string} [rawQuery] - Raw query string of an HTTP-Redirect request, which carries its signature
+ * @returns {Object} Options for saml.parseRequest
+ */
+function authnRequestValidation(rawQuery) {
+  return {
+    getCertificate: (issuer) => {
+      const sp = spRegistry.get(issuer);
+      return sp?.authnRequestsSigned ? sp.certificate : null;
+    },
+    rawQuery
+  };
+}
+
+/**
+ * Issue a SAML response for a logged-in user and POST it to the SP
+ * @param {Object} params - Response parameters
+ * @param {Object} params.authorization - Result of spRegistry.authorize / authorizeUnsolicited
+ * @param {Object} params.user - Authenticated user ({ id, username, attributes })
+ * @param {string|null} params.inResponseTo - AuthnRequest ID, null for IdP-initiated SSO
+ * @param {string} params.authnInstant - When the user signed in, from authenticateLogin
+ * @param {string} [params.relayState] - Relay state for the SP
+ */
+async function sendSAMLResponse(req, res, { authorization, user, inResponseTo, authnInstant, relayState }) {
+  // Release only the attributes the SP is allowed to see
+  const releasedUser = {
+    ...user,
+    attributes: spRegistry.filterAttributes(authorization.sp, user.attributes)
+  };
+  
+  // Respond at the ACS URL registered for the SP, with its signing and NameID policy
+  const destination = authorization.acsUrl;
+  const audience = authorization.sp.entityId;
+  
+  // Track the SP in the browser's IdP session for Single Logout
+  const existingSession = saml.getSession(readSessionCookie(req));
+  const sessionId = existingSession ? existingSession.id : crypto.randomBytes(32).toString('hex');
+  setSessionCookie(res, sessionId);
+  
+  // Generate SAML response
+  const samlResponse = await saml.generateResponse(
+    releasedUser,
+    destination,
+    audience,
+    inResponseTo,
+    { ...authorization.responseOptions, sessionId, authnInstant }
+  );
+  
+  // Send response back to SP using HTTP POST binding
+  const postForm = generateSAMLPostForm(destination, samlResponse, relayState);
+  res.send(postForm);
+}
+
+/**
+ * Read the IdP session ID from the session cookie
+ */
+function readSessionCookie(req) {
+  const cookies = (req.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Set the IdP session cookie
+ * SameSite=None so the session is visible to logout messages POSTed by SPs.
+ */
+function setSessionCookie(res, sessionId) {
+  res.cookie(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none',
+    path: '/saml'
+  });
+}
+
+/**
+ * Deliver a bound SAML message (redirect or auto-submitting form)
+ */
+function sendSAMLMessage(res, message) {
+  if (message.url) {
+    return res.redirect(message.url);
+  }
+  res.send(message.html);
+}
+
+/**
+ * Send the next LogoutRequest of a session logout, or finish it
+ * SPs are logged out one at a time through the browser; each LogoutResponse
+ * comes back to /saml/slo and continues the chain.
+ */
+function continueLogout(res, session) {
+  const logout = session.logout;
+  
+  let participant;
+  while ((participant = logout.remaining.shift())) {
+    const sp = spRegistry.get(participant.entityId);
+    if (sp?.singleLogoutService) {
+      const message = saml.createLogoutRequest(participant, sp.singleLogoutService);
+      logout.pendingRequestId = message.id;
+      console.log(`Sending SAML LogoutRequest ${message.id} to ${participant.entityId}`);
+      return sendSAMLMessage(res, message);
+    }
+    
+    console.warn(`Cannot log out of ${participant.entityId}: no SingleLogoutService registered`);
+    logout.partial = true;
+  }
+  
+  saml.endSession(session.id);
+  res.clearCookie(SESSION_COOKIE, { path: '/saml' });
+  console.log(`SAML session ended${logout.partial ? ' (partial logout)' : ''}`);
+  
+  if (logout.initiator) {
+    const sp = spRegistry.get(logout.initiator.entityId);
+    return sendSAMLMessage(res, saml.createLogoutResponse(logout.initiator.requestId, sp.singleLogoutService, {
+      relayState: logout.initiator.relayState,
+      statusCode: logout.partial ? STATUS_PARTIAL_LOGOUT : STATUS_SUCCESS
+    }));
+  }
+  
+  res.send(renderLogoutPage(logout.partial));
+}
+
+/**
+ * Render the page shown after IdP-initiated logout
+ */
+function renderLogoutPage(partial) {
+  return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>PigeonIdP Logout</title>
+        <style>
+          body { font-family: Arial, sans-serif; max-width: 400px; margin: 50px auto; padding: 20px; }
+          h1 { color: #333; }
+          .info { background: #e7f3ff; padding: 10px; border-radius: 4px; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <h1>🕊️ Signed Out</h1>
+        <div class="info">
+          ${partial
+            ? 'You have been signed out of PigeonIdP, but some applications could not be signed out. Close your browser to end those sessions.'
+            : 'You have been signed out of PigeonIdP and all applications.'}
+        </div>
+      </body>
+      </html>
+    `;
+}
+
+/**
+ * Render the form that confirms IdP-initiated logout
+ */
+function renderLogoutConfirmPage(csrfToken) {
+  return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>PigeonIdP Logout</title>
+        <style>
+          body { font-family: Arial, sans-serif; max-width: 400px; margin: 50px auto; padding: 20px; }
+          h1 { color: #333; }
+          button { width: 100%; padding: 10px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer; }
+          button:hover { background: #0056b3; }
+        </style>
+      </head>
+      <body>
+        <h1>🕊️ Sign Out</h1>
+        <form action="/saml/slo" method="POST">
+          <input type="hidden" name="csrfToken" value="${escapeHtml(csrfToken)}">
+          <button type="submit">Sign out of PigeonIdP and all applications</button>
+        </form>
+      </body>
+      </html>
+    `;
+}
+
+/**
+ * Compare two secrets without leaking where they differ
+ */
+function tokensEqual(actual, expected) {
+  if (typeof actual !== 'string' || typeof expected !== 'string') {
+    return false;
+  }
+  const actualDigest = crypto.createHash('sha256').update(actual).digest();
+  const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(actualDigest, expectedDigest);
+}
+
+/**
+ * Handle a message on the Single Logout endpoint
+ * @param {Object} params - SAMLRequest, SAMLResponse and RelayState from the query or body
+ * @param {string} [rawQuery] - Raw query string of an HTTP-Redirect (GET) message, whose
+ *   signature is in the query; POSTed messages carry an enveloped signature instead
+ */
+function handleSingleLogout(req, res, params, rawQuery) {
+  const { SAMLRequest, SAMLResponse, RelayState } = params;
+  
+  // Messages from SPs with a registered certificate must be signed
+  const validation = {
+    getCertificate: (issuer) => spRegistry.get(issuer)?.certificate,
+    rawQuery
+  };
+  
+  // LogoutRequest from an SP: log out every other SP, then answer the initiator
+  if (SAMLRequest) {
+    let logoutRequest;
+    try {
+      logoutRequest = saml.parseLogoutRequest(SAMLRequest, validation);
+    } catch (error) {
+      return res.status(400).send(`Invalid SAMLRequest: ${escapeHtml(error.message)}`);
+    }
+    
+    const sp = spRegistry.get(logoutRequest.issuer);
+    if (!sp) {
+      return res.status(403).send(`Unknown service provider: ${escapeHtml(logoutRequest.issuer)}`);
+    }
+    if (!sp.singleLogoutService) {
+      return res.status(400).send(`No SingleLogoutService registered for ${escapeHtml(sp.entityId)}`);
+    }
+    
+    console.log(`Received SAML LogoutRequest ${logoutRequest.id} from ${sp.entityId}`);
+    
+    // Anyone can send an unsigned LogoutRequest, so it may only end the browser's own session
+    const sessionId = readSessionCookie(req);
+    const session = logoutRequest.signed
+      ? saml.getSession(sessionId) || saml.findSession(logoutRequest)
+      : saml.findSession(logoutRequest, sessionId);
+    if (!session) {
+      res.clearCookie(SESSION_COOKIE, { path: '/saml' });
+      return sendSAMLMessage(res, saml.createLogoutResponse(logoutRequest.id, sp.singleLogoutService, {
+        relayState: RelayState
+      }));
+    }
+    
+    saml.beginLogout(session, {
+      entityId: sp.entityId,
+      requestId: logoutRequest.id,
+      relayState: RelayState
+    });
+    return continueLogout(res, session);
+  }
+  
+  const session = saml.getSession(readSessionCookie(req));
+  
+  // LogoutResponse from an SP we sent a LogoutRequest to
+  if (SAMLResponse) {
+    let logoutResponse;
+    try {
+      logoutResponse = saml.parseLogoutResponse(SAMLResponse, validation);
+    } catch (error) {
+      return res.status(400).send(`Invalid SAMLResponse: ${escapeHtml(error.message)}`);
+    }
+    
+    if (!session?.logout || logoutResponse.inResponseTo !== session.logout.pendingRequestId) {
+      return res.status(400).send('Unexpected LogoutResponse');
+    }
+    
+    if (!logoutResponse.success) {
+      console.warn(`SP ${logoutResponse.issuer} reported logout failure: ${logoutResponse.statusCode}`);
+      session.logout.partial = true;
+    }
+    
+    session.logout.pendingRequestId = null;
+    return continueLogout(res, session);
+  }
+  
+  // IdP-initiated logout of the browser's session
+  if (!session) {
+    res.clearCookie(SESSION_COOKIE, { path: '/saml' });
+    return res.send(renderLogoutPage(false));
+  }
+  
+  // Only the confirmation form, which carries the session's CSRF token, can start it
+  if (req.method !== 'POST' || !tokensEqual(params.csrfToken, session.csrfToken)) {
+    return res.status(req.method === 'POST' ? 403 : 200).send(renderLogoutConfirmPage(session.csrfToken));
+  }
+  
+  saml.beginLogout(session);
+  continueLogout(res, session);
+}
+
+/**
+ * Escape a value for safe inclusion in HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the SAML login page
+ * @param {Object} params - Page parameters
+ * @param {string} [params.action='/saml/sso'] - Endpoint the credentials are posted to
+ * @param {Object} params.fields - Hidden fields re-posted with the credentials
+ *   (e.g. the original SAMLRequest and RelayState)
+ * @param {string} [params.requester] - Name of the service provider
+ * @param {Object} params.binding - Login the key challenge is bound to: { requestId, audience }
+ * @param {boolean} [params.keyOnly=false] - Only offer key login (e.g. OIDC, whose subject is the public key)
+ * @param {string} [params.protocol='SAML'] - Protocol named on the page
+ * @param {string} [params.error] - Error from a failed login attempt
+ * @returns {string} HTML page
+ */
+function renderLoginPage({ action = '/saml/sso', fields, requester, binding, keyOnly = false, protocol = 'SAML', error }) {
+  const hiddenFields = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value || '')}">`)
+    .join('\n          ');
+  const { nonce, challenge } = authenticators.key
+    ? authenticators.key.issueChallenge(binding)
+    : { nonce: '', challenge: '' };
+  
+  return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>PigeonIdP Login</title>
+        <style>
+          body { font-family: Arial, sans-serif; max-width: 400px; margin: 50px auto; padding: 20px; }
+          h1 { color: #333; }
+          form { background: #f5f5f5; padding: 20px; border-radius: 8px; }
+          label { display: block; margin: 10px 0 5px; }
+          input { width: 100%; padding: 8px; margin-bottom: 15px; border: 1px solid #ddd; border-radius: 4px; }
+          button { width: 100%; padding: 10px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer; }
+          button:hover { background: #0056b3; }
+          .info { background: #e7f3ff; padding: 10px; border-radius: 4px; margin-bottom: 20px; font-size: 14px; }
+          .error { background: #fdecea; color: #b71c1c; padding: 10px; border-radius: 4px; margin-bottom: 20px; font-size: 14px; }
+          details { margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <h1>🕊️ PigeonIdP Login</h1>
+        <div class="info">
+          <strong>${escapeHtml(protocol)} Authentication</strong><br>
+          ${escapeHtml(requester || 'A service provider')} is requesting authentication.
+        </div>
+        ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+        ${keyOnly ? '' : `<form action="${escapeHtml(action)}" method="POST">
+          ${hiddenFields}
+          <input type="hidden" name="method" value="password">
+          <label>Username:</label>
+          <input type="text" name="username" required autofocus>
+          <label>Password:</label>
+          <input type="password" name="password" required>
+          <button type="submit">Sign In</button>
+        </form>`}
+        <details${keyOnly ? ' open' : ''}>
+          <summary>Sign in with a PigeonIdP key</summary>
+          <form id="key-login" action="${escapeHtml(action)}" method="POST">
+            ${hiddenFields}
+            <input type="hidden" name="method" value="key">
+            <input type="hidden" name="nonce" value="${escapeHtml(nonce)}">
+            <label>Challenge (sign with <code>PigeonIdP.sign</code>):</label>
+            <input type="text" name="challenge" value="${escapeHtml(challenge)}" readonly>
+            <label>Public key:</label>
+            <input type="text" name="publicKey" required>
+            <label>Signature:</label>
+            <input type="text" name="signature" required>
+            <button type="submit">Sign In with Key</button>
+          </form>
+        </details>
+        <button id="pigeonidp-login" type="button" hidden>Sign in with PigeonIdP</button>
+        <script type="module">
+          // Pages that load a PigeonIdP identity as window.pigeonIdP can sign the challenge directly
+          import { signInWithPigeonIdP } from '/saml/login-client.js';
+          const button = document.getElementById('pigeonidp-login');
+          if (window.pigeonIdP) {
+            button.hidden = false;
+            button.addEventListener('click', () =>
+              signInWithPigeonIdP(window.pigeonIdP, document.getElementById('key-login')));
+          }
+        </script>
+      </body>
+      </html>
+    `;
 }
 
 // Health check endpoint
@@ -71,11 +680,12 @@ app.get('/api/info', (req, res) => {
     namespace: NAMESPACE,
     signalingServers: SIGNALING_SERVERS,
     initialized: idp?.initialized || false,
+    did: serverDid,
     version: '1.0.0'
   });
 });
 
-// Lookup identity from DHT
+// Lookup identity by alias (?namespace= searches another namespace)
 app.get('/api/identity/:alias', async (req, res) => {
   try {
     const { alias } = req.params;
@@ -86,12 +696,16 @@ app.get('/api/identity/:alias', async (req, res) => {
     }
     
     const targetNamespace = namespace || NAMESPACE;
-    const identity = await idp.lookupIdentity(alias, targetNamespace);
+    const claim = await idp.lookupByAlias(alias, targetNamespace);
     
-    if (!identity) {
+    if (!claim) {
       return res.status(404).json({ error: 'Identity not found' });
     }
     
+    // The registered profile, if the owner published one
+    const registered = await idp.lookupIdentity(claim.pub, targetNamespace);
+    const identity = { ...claim, profile: registered?.profile || null };
+    
     res.json({
       success: true,
       identity,
@@ -104,6 +718,56 @@ app.get('/api/identity/:alias', async (req, res) => {
   }
 });
 
+// Resolve a DID (DID Resolution HTTP(S) binding, as used by universal-resolver drivers)
+app.get('/1.0/identifiers/:did', async (req, res) => {
+  const resolutionError = (status, error, message) => res.status(status)
+    .type('application/ld+json;profile="https://w3id.org/did-resolution"')
+    .send(JSON.stringify({
+      '@context': 'https://w3id.org/did-resolution/v1',
+      didDocument: null,
+      didResolutionMetadata: { error, ...(message ? { errorMessage: message } : {}) },
+      didDocumentMetadata: {}
+    }));
+  
+  try {
+    const { did } = req.params;
+    
+    if (!did.startsWith('did:')) {
+      return resolutionError(400, 'invalidDid');
+    }
+    if (!did.startsWith('did:pigeon:')) {
+      return resolutionError(501, 'methodNotSupported');
+    }
+    if (!dids) {
+      return resolutionError(503, 'internalError', 'IdP not initialized');
+    }
+    
+    const result = await dids.resolveDID(did);
+    if (!result) {
+      return resolutionError(404, 'notFound');
+    }
+    
+    // Clients asking for the bare DID document get just that
+    const accepted = req.accepts(['application/ld+json', 'application/did+ld+json', 'application/did+json']);
+    if (accepted === 'application/did+ld+json' || accepted === 'application/did+json') {
+      return res.type(accepted).send(JSON.stringify(result.didDocument));
+    }
+    
+    res.type('application/ld+json;profile="https://w3id.org/did-resolution"').send(JSON.stringify({
+      '@context': 'https://w3id.org/did-resolution/v1',
+      didDocument: result.didDocument,
+      didResolutionMetadata: { contentType: 'application/did+ld+json' },
+      didDocumentMetadata: result.didDocumentMetadata
+    }));
+  } catch (error) {
+    if (error.code === 'invalidDid' || error.code === 'notFound') {
+      return resolutionError(error.code === 'invalidDid' ? 400 : 404, error.code, error.message);
+    }
+    console.error('Error resolving DID:', error);
+    resolutionError(500, 'internalError', error.message);
+  }
+});
+
 // Verify a signed message
 app.post('/api/verify', async (req, res) => {
   try {
@@ -163,65 +827,557 @@ app.post('/api/verify-token', async (req, res) => {
   }
 });
 
-// Store data in DHT (public endpoint - use with caution)
-app.post('/api/dht/put', async (req, res) => {
+// Verify a Verifiable Credential
+app.post('/api/credentials/verify', async (req, res) => {
   try {
-    const { key, value } = req.body;
+    const { credential, trustedIssuers, type } = req.body;
     
-    if (!key || !value) {
-      return res.status(400).json({ error: 'Missing key or value' });
+    if (!credential) {
+      return res.status(400).json({ error: 'Missing credential' });
     }
     
-    if (!idp?.initialized) {
+    if (!credentials) {
       return res.status(503).json({ error: 'IdP not initialized' });
     }
     
-    await idp.webDHT.put(key, value);
+    const result = await credentials.verifyCredential(credential, { trustedIssuers, type });
     
     res.json({
       success: true,
-      message: 'Data stored in DHT',
-      key
+      valid: result.valid,
+      credential: result.credential || null,
+      error: result.error || null
     });
   } catch (error) {
-    console.error('Error storing in DHT:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error verifying credential:', error);
+    res.status(500).json({ success: false, valid: false, error: error.message });
   }
 });
 
-// Retrieve data from DHT
-app.get('/api/dht/get/:key', async (req, res) => {
+// Single-use nonce for a presentation to this server
+app.post('/api/credentials/nonce', (req, res) => {
+  if (!credentials) {
+    return res.status(503).json({ error: 'IdP not initialized' });
+  }
+  
+  const { nonce, expires } = credentials.issueNonce();
+  res.json({ nonce, audience: IDP_ENTITY_ID, expires });
+});
+
+// Verify a Verifiable Presentation addressed to this server (aud = IDP_ENTITY_ID)
+// The presentation must carry a nonce from /api/credentials/nonce, which it uses up.
+app.post('/api/credentials/verify-presentation', async (req, res) => {
   try {
-    const { key } = req.params;
+    const { presentation, nonce, trustedIssuers, type } = req.body;
     
-    if (!idp?.initialized) {
-      return res.status(503).json({ error: 'IdP not initialized' });
+    if (!presentation || !nonce) {
+      return res.status(400).json({ error: 'Missing presentation or nonce' });
     }
     
-    const value = await idp.webDHT.get(key);
+    if (!credentials) {
+      return res.status(503).json({ error: 'IdP not initialized' });
+    }
     
-    if (value === null || value === undefined) {
-      return res.status(404).json({ error: 'Key not found in DHT' });
+    if (typeof nonce !== 'string' || !credentials.consumeNonce(nonce)) {
+      return res.status(400).json({ success: false, valid: false, error: 'Unknown, expired or already used nonce' });
     }
     
+    const result = await credentials.verifyPresentation(presentation, {
+      audience: IDP_ENTITY_ID,
+      nonce,
+      trustedIssuers,
+      type
+    });
+    
     res.json({
       success: true,
-      key,
-      value
+      valid: result.valid,
+      holder: result.holder || null,
+      credentials: result.credentials || [],
+      error: result.error || null
     });
   } catch (error) {
-    console.error('Error retrieving from DHT:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error verifying presentation:', error);
+    res.status(500).json({ success: false, valid: false, error: error.message });
   }
 });
 
-// ========== SAML Endpoints ==========
-
-// SAML Metadata endpoint
-app.get('/saml/metadata', (req, res) => {
+// Revoke a token issued by the server
+// Presenting a valid token revokes it (e.g. on logout); revoking by jti alone requires ADMIN_TOKEN.
+app.post('/api/tokens/revoke', async (req, res) => {
   try {
-    if (!saml) {
-      return res.status(503).send('SAML not initialized');
+    const { token, jti, reason } = req.body;
+    
+    if (!token && !jti) {
+      return res.status(400).json({ error: 'Missing token or jti' });
+    }
+    
+    if (!idp?.initialized) {
+      return res.status(503).json({ error: 'IdP not initialized' });
+    }
+    
+    const revoke = async (target) => {
+      try {
+        const entry = await idp.revokeToken(target, { reason });
+        console.log(`Revoked token ${entry.jti}`);
+        res.json({ success: true, revocation: entry });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    };
+    
+    if (!token) {
+      return requireAdmin(req, res, () => revoke(jti));
+    }
+    
+    const result = await idp.verifyAuthToken(token);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    await revoke(token);
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Challenge for starting an API session with a PigeonIdP key
+app.post('/api/sessions/challenge', (req, res) => {
+  if (!authenticators.key) {
+    return res.status(503).json({ error: 'IdP not initialized' });
+  }
+  
+  res.json(authenticators.key.issueChallenge(SESSION_LOGIN_BINDING));
+});
+
+// Start an API session: signed challenge in, auth token and refresh token out
+app.post('/api/sessions', async (req, res) => {
+  try {
+    if (!sessions) {
+      return res.status(503).json({ error: 'IdP not initialized' });
+    }
+    
+    const { user, error } = await authenticateLogin({ ...req.body, method: 'key' }, SESSION_LOGIN_BINDING, req.ip);
+    if (error) {
+      return res.status(401).json({ error });
+    }
+    
+    const result = await sessions.createSession({
+      subject: user.id,
+      deviceKey: req.body.deviceKey,
+      claims: { username: user.username },
+      metadata: { userAgent: req.get('User-Agent') || null }
+    });
+    
+    console.log(`API session ${result.sessionId} started for ${user.username}`);
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error starting session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Renew an auth token (rotates the refresh token)
+app.post('/api/tokens/refresh', async (req, res) => {
+  try {
+    const { refreshToken, proof } = req.body;
+    
+    if (!refreshToken || !proof) {
+      return res.status(400).json({ error: 'Missing refreshToken or proof' });
+    }
+    
+    if (!sessions) {
+      return res.status(503).json({ error: 'IdP not initialized' });
+    }
+    
+    try {
+      res.json({ success: true, ...(await sessions.refresh({ refreshToken, proof })) });
+    } catch (error) {
+      console.warn(`Token refresh rejected: ${error.message}`);
+      res.status(401).json({ error: error.message });
+    }
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the caller's sessions
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const auth = await authenticateBearer(req);
+    if (!auth) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    res.json({
+      success: true,
+      current: auth.session.id,
+      sessions: await sessions.listSessions(auth.claims.sub)
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Terminate one of the caller's sessions
+app.delete('/api/sessions/:id', async (req, res) => {
+  try {
+    const auth = await authenticateBearer(req);
+    if (!auth) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    const target = await sessions.store.get(req.params.id);
+    if (!target || target.subject !== auth.claims.sub) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    await sessions.terminateSession(target.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error terminating session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Terminate all of the caller's sessions (sign out everywhere)
+app.delete('/api/sessions', async (req, res) => {
+  try {
+    const auth = await authenticateBearer(req);
+    if (!auth) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    const terminated = await sessions.terminateAllSessions(auth.claims.sub);
+    res.json({ success: true, terminated });
+  } catch (error) {
+    console.error('Error terminating sessions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Public keys that sign the server's auth tokens (current and retired), as a JWK Set
+app.get('/api/jwks', async (req, res) => {
+  try {
+    if (!oidc) {
+      return res.status(503).json({ error: 'IdP not initialized' });
+    }
+    
+    res.json(oidc.getJwks());
+  } catch (error) {
+    console.error('Error serving JWKS:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Store a record in the DHT
+// The request must be signed by a PigeonIdP identity allowed to write the key (see dht-policy.js).
+app.post('/api/dht/put', async (req, res) => {
+  try {
+    if (!dhtPolicy) {
+      return res.status(503).json({ error: 'IdP not initialized' });
+    }
+    
+    const { key, value, writer } = await dhtPolicy.authorize(req.body);
+    await idp.webDHT.put(key, value);
+    
+    res.json({
+      success: true,
+      message: 'Data stored in DHT',
+      key,
+      writer
+    });
+  } catch (error) {
+    if (DHT_POLICY_STATUS[error.code]) {
+      return res.status(DHT_POLICY_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error('Error storing in DHT:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retrieve data from DHT
+app.get('/api/dht/get/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    
+    if (!idp?.initialized) {
+      return res.status(503).json({ error: 'IdP not initialized' });
+    }
+    
+    const value = await idp.webDHT.get(key);
+    
+    if (value === null || value === undefined) {
+      return res.status(404).json({ error: 'Key not found in DHT' });
+    }
+    
+    res.json({
+      success: true,
+      key,
+      value
+    });
+  } catch (error) {
+    console.error('Error retrieving from DHT:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== Admin Endpoints ==========
+
+// List registered service providers
+app.get('/api/admin/sps', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    serviceProviders: spRegistry.list()
+  });
+});
+
+// Get a registered service provider
+app.get('/api/admin/sps/:entityId', requireAdmin, (req, res) => {
+  const sp = spRegistry.get(req.params.entityId);
+  
+  if (!sp) {
+    return res.status(404).json({ error: 'Service provider not found' });
+  }
+  
+  res.json({ success: true, serviceProvider: sp });
+});
+
+// Register a service provider from JSON config or SAML metadata
+app.post('/api/admin/sps', requireAdmin, (req, res) => {
+  try {
+    let sp;
+    if (typeof req.body === 'string') {
+      sp = spRegistry.importMetadata(req.body);
+    } else if (req.body?.metadata) {
+      const { metadata, ...overrides } = req.body;
+      sp = spRegistry.importMetadata(metadata, overrides);
+    } else {
+      sp = spRegistry.register(req.body || {});
+    }
+    
+    console.log(`Registered service provider: ${sp.entityId}`);
+    res.status(201).json({ success: true, serviceProvider: sp });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a registered service provider
+app.put('/api/admin/sps/:entityId', requireAdmin, (req, res) => {
+  try {
+    const existing = spRegistry.get(req.params.entityId);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Service provider not found' });
+    }
+    
+    const sp = spRegistry.register({
+      ...existing,
+      ...req.body,
+      entityId: existing.entityId
+    });
+    
+    res.json({ success: true, serviceProvider: sp });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a service provider
+app.delete('/api/admin/sps/:entityId', requireAdmin, (req, res) => {
+  if (!spRegistry.remove(req.params.entityId)) {
+    return res.status(404).json({ error: 'Service provider not found' });
+  }
+  
+  console.log(`Removed service provider: ${req.params.entityId}`);
+  res.json({ success: true });
+});
+
+// List OpenID Connect clients
+app.get('/api/admin/oidc-clients', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    clients: oidcClients.list()
+  });
+});
+
+// Register an OpenID Connect client (the secret of confidential clients is only returned here)
+app.post('/api/admin/oidc-clients', requireAdmin, (req, res) => {
+  try {
+    const client = oidcClients.register(req.body || {});
+    console.log(`Registered OIDC client: ${client.clientId}`);
+    res.status(201).json({ success: true, client });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove an OpenID Connect client
+app.delete('/api/admin/oidc-clients/:clientId', requireAdmin, (req, res) => {
+  if (!oidcClients.remove(req.params.clientId)) {
+    return res.status(404).json({ error: 'OIDC client not found' });
+  }
+  
+  console.log(`Removed OIDC client: ${req.params.clientId}`);
+  res.json({ success: true });
+});
+
+// List active API sessions
+app.get('/api/admin/sessions', requireAdmin, async (req, res) => {
+  if (!sessions) {
+    return res.status(503).json({ error: 'IdP not initialized' });
+  }
+  
+  try {
+    const all = await sessions.listAllSessions();
+    res.json({
+      success: true,
+      sessions: req.query.subject ? all.filter((session) => session.subject === req.query.subject) : all
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Terminate an API session
+app.delete('/api/admin/sessions/:id', requireAdmin, async (req, res) => {
+  if (!sessions) {
+    return res.status(503).json({ error: 'IdP not initialized' });
+  }
+  
+  try {
+    if (!(await sessions.terminateSession(req.params.id, 'terminated by admin'))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    console.log(`Terminated API session: ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error terminating session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current and retired signing keys
+app.get('/api/admin/signing-key', requireAdmin, (req, res) => {
+  if (!signingIdentity) {
+    return res.status(503).json({ error: 'IdP not initialized' });
+  }
+  
+  res.json({
+    success: true,
+    pub: idp.getPublicKeys().pub,
+    source: signingIdentity.source,
+    retired: signingIdentity.getRetiredKeys().map(({ pub, retired, retires }) => ({ pub, retired, retires }))
+  });
+});
+
+// Rotate the signing key; the old key stays in JWKS and SAML metadata for the overlap window
+app.post('/api/admin/signing-key/rotate', requireAdmin, async (req, res) => {
+  if (!signingIdentity) {
+    return res.status(503).json({ error: 'IdP not initialized' });
+  }
+  
+  try {
+    const { overlapSeconds, compromised } = req.body || {};
+    if (overlapSeconds !== undefined && !(Number.isInteger(overlapSeconds) && overlapSeconds >= 0)) {
+      return res.status(400).json({ error: 'overlapSeconds must be a non-negative integer' });
+    }
+    
+    // SAML signs with the IdP key unless a separate PEM key is configured
+    const samlUsesIdpKey = saml && !saml.config.privateKey;
+    if (samlUsesIdpKey && saml.config.certificate) {
+      return res.status(409).json({ error: 'SAML_CERTIFICATE is bound to the signing key; replace both to rotate' });
+    }
+    
+    const previousKeys = idp.getIdentityKeys(signingIdentity.alias);
+    const rotation = await signingIdentity.rotate({
+      overlapSeconds,
+      compromised: compromised === true,
+      certificate: samlUsesIdpKey ? saml.getCertificate() : null
+    });
+    
+    console.log(`Rotated signing key: ${rotation.previous} -> ${rotation.current}${compromised === true ? ' (compromised)' : ''}`);
+
+    // The DID stays the same: a compromised key's successor follows the succession record,
+    // and a retired key, which has none, hands the DID over to the new key
+    ({ did: serverDid } = await dids.publishDID(serverDid
+      ? { did: serverDid, handoverKeys: compromised === true ? undefined : previousKeys }
+      : {}));
+    res.json({ success: true, ...rotation, did: serverDid });
+  } catch (error) {
+    console.error('Error rotating signing key:', error);
+    res.status(signingIdentity.source === 'environment' ? 409 : 500).json({ error: error.message });
+  }
+});
+
+// List local users
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    users: userStore.listUsers()
+  });
+});
+
+// Create a local user
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const { username, password, attributes } = req.body || {};
+    const user = await userStore.addUser(username, password, attributes || {});
+    
+    console.log(`Created local user: ${username}`);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a local user's password and/or attributes
+app.put('/api/admin/users/:username', requireAdmin, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { password, attributes } = req.body || {};
+    
+    if (!userStore.getUser(username)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (password) {
+      await userStore.setPassword(username, password);
+      loginLockout.reset(`password:${username}`);
+    }
+    if (attributes) {
+      userStore.setAttributes(username, attributes);
+    }
+    
+    res.json({ success: true, user: userStore.getUser(username) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a local user
+app.delete('/api/admin/users/:username', requireAdmin, (req, res) => {
+  if (!userStore.removeUser(req.params.username)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  console.log(`Removed local user: ${req.params.username}`);
+  res.json({ success: true });
+});
+
+// ========== SAML Endpoints ==========
+
+// SAML Metadata endpoint
+app.get('/saml/metadata', (req, res) => {
+  try {
+    if (!saml) {
+      return res.status(503).send('SAML not initialized');
     }
     
     const metadata = saml.getMetadata();
@@ -233,10 +1389,28 @@ app.get('/saml/metadata', (req, res) => {
   }
 });
 
+// SAML signing certificate (PEM)
+app.get('/saml/certificate', (req, res) => {
+  try {
+    if (!saml) {
+      return res.status(503).send('SAML not initialized');
+    }
+    
+    const certificate = saml.getCertificate();
+    res.set('Content-Type', 'application/x-pem-file');
+    res.set('Content-Disposition', 'inline; filename="pigeonidp-signing.pem"');
+    res.send(certificate);
+  } catch (error) {
+    console.error('Error getting certificate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // SAML Single Sign-On endpoint (GET - HTTP Redirect binding)
 app.get('/saml/sso', async (req, res) => {
   try {
-    const { SAMLRequest, RelayState } = req.query;
+    const { SAMLRequest, RelayState, Signature } = req.query;
+    const rawQuery = req.originalUrl.split('?')[1] || '';
     
     if (!SAMLRequest) {
       return res.status(400).send('Missing SAMLRequest parameter');
@@ -246,48 +1420,30 @@ app.get('/saml/sso', async (req, res) => {
       return res.status(503).send('IdP not initialized');
     }
     
-    // Decode the SAML request
-    const samlRequest = decodeSAMLRequest(SAMLRequest);
-    console.log('Received SAML AuthnRequest');
+    // Decode and validate the SAML request before showing the login form
+    let authnRequest;
+    try {
+      authnRequest = saml.parseRequest(SAMLRequest, authnRequestValidation(rawQuery));
+    } catch (error) {
+      return res.status(400).send(`Invalid SAMLRequest: ${escapeHtml(error.message)}`);
+    }
+    console.log(`Received SAML AuthnRequest ${authnRequest.id} from ${authnRequest.issuer}`);
     
-    // For demo: show login form
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>PigeonIdP Login</title>
-        <style>
-          body { font-family: Arial, sans-serif; max-width: 400px; margin: 50px auto; padding: 20px; }
-          h1 { color: #333; }
-          form { background: #f5f5f5; padding: 20px; border-radius: 8px; }
-          label { display: block; margin: 10px 0 5px; }
-          input { width: 100%; padding: 8px; margin-bottom: 15px; border: 1px solid #ddd; border-radius: 4px; }
-          button { width: 100%; padding: 10px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer; }
-          button:hover { background: #0056b3; }
-          .info { background: #e7f3ff; padding: 10px; border-radius: 4px; margin-bottom: 20px; font-size: 14px; }
-        </style>
-      </head>
-      <body>
-        <h1>🕊️ PigeonIdP Login</h1>
-        <div class="info">
-          <strong>SAML Authentication</strong><br>
-          A service provider is requesting authentication.
-        </div>
-        <form action="/saml/sso" method="POST">
-          <input type="hidden" name="SAMLRequest" value="${SAMLRequest}">
-          <input type="hidden" name="RelayState" value="${RelayState || ''}">
-          <label>Username:</label>
-          <input type="text" name="username" required autofocus>
-          <label>Password:</label>
-          <input type="password" name="password" required>
-          <button type="submit">Sign In</button>
-        </form>
-        <p style="text-align: center; font-size: 14px; color: #666;">
-          For demo purposes. In production, use secure authentication.
-        </p>
-      </body>
-      </html>
-    `);
+    // Only registered service providers may start a login
+    let authorization;
+    try {
+      authorization = spRegistry.authorize(authnRequest);
+    } catch (error) {
+      console.warn(`Rejected SAML AuthnRequest ${authnRequest.id}: ${error.message}`);
+      return res.status(403).send(`SAML request rejected: ${escapeHtml(error.message)}`);
+    }
+    
+    // A query string signature is re-checked when the login form is posted
+    res.send(renderLoginPage({
+      fields: { SAMLRequest, RelayState, SAMLQuery: Signature ? rawQuery : undefined },
+      requester: authnRequest.issuer,
+      binding: { requestId: authnRequest.id, audience: authorization.sp.entityId }
+    }));
   } catch (error) {
     console.error('Error handling SSO request:', error);
     res.status(500).send('Error processing SAML request');
@@ -297,56 +1453,219 @@ app.get('/saml/sso', async (req, res) => {
 // SAML Single Sign-On endpoint (POST - HTTP POST binding)
 app.post('/saml/sso', async (req, res) => {
   try {
-    const { username, password, SAMLRequest, RelayState } = req.body;
+    const { method, SAMLRequest, RelayState, SAMLQuery } = req.body;
     
-    if (!username) {
-      return res.status(400).send('Missing username');
+    if (!SAMLRequest) {
+      return res.status(400).send('Missing SAMLRequest parameter');
     }
     
     if (!saml || !idp?.initialized) {
       return res.status(503).send('IdP not initialized');
     }
     
-    // In a real implementation:
-    // 1. Validate credentials
-    // 2. Create or load user identity
-    // 3. Parse SAMLRequest to get SP details
+    let authnRequest;
+    try {
+      authnRequest = saml.parseRequest(SAMLRequest, authnRequestValidation(SAMLQuery || undefined));
+    } catch (error) {
+      return res.status(400).send(`Invalid SAMLRequest: ${escapeHtml(error.message)}`);
+    }
     
-    // For demo: create mock user
-    const user = {
-      id: username,
-      username: username,
-      attributes: {
-        email: `${username}@example.com`,
-        name: username,
-        roles: ['user']
-      }
-    };
+    // Only registered service providers may receive assertions
+    let authorization;
+    try {
+      authorization = spRegistry.authorize(authnRequest);
+    } catch (error) {
+      console.warn(`Rejected SAML AuthnRequest ${authnRequest.id}: ${error.message}`);
+      return res.status(403).send(`SAML request rejected: ${escapeHtml(error.message)}`);
+    }
     
-    // Parse destination from SAMLRequest or use default
-    const destination = 'https://sp.example.com/acs'; // Would be parsed from SAMLRequest
-    const audience = 'https://sp.example.com';        // Would be parsed from SAMLRequest
-    const inResponseTo = '_request_id';                // Would be parsed from SAMLRequest
+    const binding = { requestId: authnRequest.id, audience: authorization.sp.entityId };
+    const loginPage = { fields: { SAMLRequest, RelayState, SAMLQuery }, requester: authnRequest.issuer, binding };
     
-    // Generate SAML response
-    const samlResponse = await saml.generateResponse(
-      user,
-      destination,
-      audience,
-      inResponseTo
-    );
+    // An AuthnRequest POSTed by the SP itself carries no credentials yet
+    if (!method) {
+      console.log(`Received SAML AuthnRequest ${authnRequest.id} from ${authnRequest.issuer}`);
+      return res.send(renderLoginPage(loginPage));
+    }
     
-    // Send response back to SP using HTTP POST binding
-    const postForm = generateSAMLPostForm(destination, samlResponse, RelayState);
-    res.send(postForm);
+    // No SSO session is reused: every AuthnRequest, ForceAuthn or not, needs credentials checked for it
+    const { user, authnInstant, error } = await authenticateLogin(req.body, binding, req.ip);
+    if (error) {
+      return res.status(401).send(renderLoginPage({ ...loginPage, error }));
+    }
     
-    console.log(`SAML Response generated for user: ${username}`);
+    await sendSAMLResponse(req, res, {
+      authorization,
+      user,
+      inResponseTo: authnRequest.id,
+      authnInstant,
+      relayState: RelayState
+    });
+    
+    console.log(`SAML Response generated for user: ${user.username} (${authnRequest.issuer})`);
   } catch (error) {
     console.error('Error generating SAML response:', error);
     res.status(500).send('Error generating SAML response');
   }
 });
 
+// IdP-initiated SSO (GET - show login for the target SP)
+app.get('/saml/idp-init', (req, res) => {
+  try {
+    const { sp: entityId, RelayState } = req.query;
+    
+    if (!entityId) {
+      return res.status(400).send('Missing sp parameter');
+    }
+    
+    if (!saml || !idp?.initialized) {
+      return res.status(503).send('IdP not initialized');
+    }
+    
+    let authorization;
+    try {
+      authorization = spRegistry.authorizeUnsolicited(entityId);
+    } catch (error) {
+      return res.status(403).send(`IdP-initiated SSO rejected: ${escapeHtml(error.message)}`);
+    }
+    
+    res.send(renderLoginPage({
+      action: '/saml/idp-init',
+      fields: { sp: entityId, RelayState },
+      requester: authorization.sp.name,
+      binding: { requestId: null, audience: entityId }
+    }));
+  } catch (error) {
+    console.error('Error handling IdP-initiated SSO:', error);
+    res.status(500).send('Error processing IdP-initiated SSO');
+  }
+});
+
+// IdP-initiated SSO (POST - authenticate and send an unsolicited response)
+app.post('/saml/idp-init', async (req, res) => {
+  try {
+    const { sp: entityId, RelayState } = req.body;
+    
+    if (!entityId) {
+      return res.status(400).send('Missing sp parameter');
+    }
+    
+    if (!saml || !idp?.initialized) {
+      return res.status(503).send('IdP not initialized');
+    }
+    
+    let authorization;
+    try {
+      authorization = spRegistry.authorizeUnsolicited(entityId);
+    } catch (error) {
+      return res.status(403).send(`IdP-initiated SSO rejected: ${escapeHtml(error.message)}`);
+    }
+    
+    const binding = { requestId: null, audience: entityId };
+    const { user, authnInstant, error } = await authenticateLogin(req.body, binding, req.ip);
+    if (error) {
+      return res.status(401).send(renderLoginPage({
+        action: '/saml/idp-init',
+        fields: { sp: entityId, RelayState },
+        requester: authorization.sp.name,
+        binding,
+        error
+      }));
+    }
+    
+    // Unsolicited: there is no AuthnRequest to respond to
+    await sendSAMLResponse(req, res, {
+      authorization,
+      user,
+      inResponseTo: null,
+      authnInstant,
+      relayState: RelayState
+    });
+    
+    console.log(`Unsolicited SAML Response generated for user: ${user.username} (${entityId})`);
+  } catch (error) {
+    console.error('Error generating unsolicited SAML response:', error);
+    res.status(500).send('Error generating SAML response');
+  }
+});
+
+// Passwordless login challenge bound to a pending SP- or IdP-initiated login
+app.post('/saml/challenge', (req, res) => {
+  try {
+    const { SAMLRequest, sp: entityId } = req.body;
+    
+    if (!SAMLRequest && !entityId) {
+      return res.status(400).json({ error: 'Missing SAMLRequest or sp parameter' });
+    }
+    
+    if (!saml || !authenticators.key) {
+      return res.status(503).json({ error: 'IdP not initialized' });
+    }
+    
+    let binding;
+    if (SAMLRequest) {
+      let authnRequest;
+      try {
+        authnRequest = saml.parseRequest(SAMLRequest);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid SAMLRequest: ${error.message}` });
+      }
+      try {
+        const authorization = spRegistry.authorize(authnRequest);
+        binding = { requestId: authnRequest.id, audience: authorization.sp.entityId };
+      } catch (error) {
+        return res.status(403).json({ error: error.message });
+      }
+    } else {
+      try {
+        spRegistry.authorizeUnsolicited(entityId);
+        binding = { requestId: null, audience: entityId };
+      } catch (error) {
+        return res.status(403).json({ error: error.message });
+      }
+    }
+    
+    res.json(authenticators.key.issueChallenge(binding));
+  } catch (error) {
+    console.error('Error issuing login challenge:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Browser helper for passwordless login (see login-client.js)
+app.get('/saml/login-client.js', (req, res) => {
+  res.type('application/javascript');
+  res.sendFile(path.join(path.dirname(fileURLToPath(import.meta.url)), 'login-client.js'));
+});
+
+// SAML Single Logout endpoint (GET - HTTP Redirect binding)
+app.get('/saml/slo', (req, res) => {
+  try {
+    if (!saml || !idp?.initialized) {
+      return res.status(503).send('IdP not initialized');
+    }
+    
+    handleSingleLogout(req, res, req.query, req.originalUrl.split('?')[1] || '');
+  } catch (error) {
+    console.error('Error handling SLO request:', error);
+    res.status(500).send('Error processing SAML logout');
+  }
+});
+
+// SAML Single Logout endpoint (POST - HTTP POST binding)
+app.post('/saml/slo', (req, res) => {
+  try {
+    if (!saml || !idp?.initialized) {
+      return res.status(503).send('IdP not initialized');
+    }
+    
+    handleSingleLogout(req, res, req.body || {});
+  } catch (error) {
+    console.error('Error handling SLO request:', error);
+    res.status(500).send('Error processing SAML logout');
+  }
+});
+
 // SAML test endpoint - generate assertion for testing
 app.post('/saml/test/assertion', async (req, res) => {
   try {
@@ -374,6 +1693,200 @@ app.post('/saml/test/assertion', async (req, res) => {
   }
 });
 
+/**
+ * Reject an OIDC authorization request
+ * Errors are returned to the client when its redirect URI was verified, shown otherwise.
+ */
+function sendAuthorizationError(res, error) {
+  if (error.redirectUri) {
+    return res.redirect(oidc.buildRedirect(error, {
+      error: error.code,
+      error_description: error.message
+    }));
+  }
+  res.status(400).send(`Invalid authorization request: ${escapeHtml(error.message)}`);
+}
+
+/**
+ * Login page for an OIDC authorization request
+ * The authorization parameters are re-posted with the credentials.
+ */
+function renderAuthorizationPage(params, request, error) {
+  const names = ['response_type', 'client_id', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method'];
+  return renderLoginPage({
+    action: '/authorize',
+    fields: Object.fromEntries(names.map((name) => [name, params[name]])),
+    requester: request.client.name,
+    binding: { requestId: null, audience: request.client.clientId },
+    keyOnly: true,
+    protocol: 'OpenID Connect',
+    error
+  });
+}
+
+// OpenID Connect discovery
+app.get('/.well-known/openid-configuration', (req, res) => {
+  if (!oidc) {
+    return res.status(503).json({ error: 'OIDC not initialized' });
+  }
+  
+  res.json(oidc.getDiscoveryDocument());
+});
+
+// OpenID Connect signing keys
+app.get('/jwks', (req, res) => {
+  try {
+    if (!oidc) {
+      return res.status(503).json({ error: 'OIDC not initialized' });
+    }
+    
+    res.json(oidc.getJwks());
+  } catch (error) {
+    console.error('Error serving JWKS:', error);
+    res.status(503).json({ error: error.message });
+  }
+});
+
+// OpenID Connect authorization endpoint (GET - show login)
+app.get('/authorize', (req, res) => {
+  try {
+    if (!oidc || !idp?.initialized) {
+      return res.status(503).send('IdP not initialized');
+    }
+    
+    let request;
+    try {
+      request = oidc.validateAuthorizationRequest(req.query);
+    } catch (error) {
+      return sendAuthorizationError(res, error);
+    }
+    
+    res.send(renderAuthorizationPage(req.query, request));
+  } catch (error) {
+    console.error('Error handling authorization request:', error);
+    res.status(500).send('Error processing authorization request');
+  }
+});
+
+// OpenID Connect authorization endpoint (POST - authenticate and redirect with a code)
+app.post('/authorize', async (req, res) => {
+  try {
+    if (!oidc || !idp?.initialized) {
+      return res.status(503).send('IdP not initialized');
+    }
+    
+    let request;
+    try {
+      request = oidc.validateAuthorizationRequest(req.body);
+    } catch (error) {
+      return sendAuthorizationError(res, error);
+    }
+    
+    // A form_post of the authorization request itself carries no credentials yet
+    if (!req.body.method) {
+      return res.send(renderAuthorizationPage(req.body, request));
+    }
+    
+    // ID token subjects are PigeonIdP public keys, so only key login applies
+    if (req.body.method !== 'key') {
+      return res.status(401).send(renderAuthorizationPage(req.body, request, 'OpenID Connect sign-in requires a PigeonIdP key'));
+    }
+    
+    const { user, error } = await authenticateLogin(req.body, { requestId: null, audience: request.client.clientId }, req.ip);
+    if (error) {
+      return res.status(401).send(renderAuthorizationPage(req.body, request, error));
+    }
+    
+    const code = oidc.createAuthorizationCode(request, user.id);
+    console.log(`OIDC authorization code issued for ${user.username} (${request.client.clientId})`);
+    res.redirect(oidc.buildRedirect(request, { code }));
+  } catch (error) {
+    console.error('Error handling authorization:', error);
+    res.status(500).send('Error processing authorization request');
+  }
+});
+
+// OpenID Connect token endpoint
+app.post('/token', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  
+  try {
+    if (!oidc) {
+      return res.status(503).json({ error: 'temporarily_unavailable' });
+    }
+    
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    
+    // client_secret_basic, or client_id (+ client_secret) in the body
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Basic ')) {
+      const decoded = Buffer.from(header.slice(6), 'base64').toString('utf-8');
+      const separator = decoded.indexOf(':');
+      try {
+        clientId = separator === -1 ? null : decodeURIComponent(decoded.slice(0, separator));
+        clientSecret = separator === -1 ? null : decodeURIComponent(decoded.slice(separator + 1));
+      } catch (error) {
+        // Malformed percent-encoding is a client authentication failure, not a server error
+        clientId = null;
+      }
+    }
+    
+    const client = clientId ? oidcClients.authenticate(clientId, clientSecret) : null;
+    if (!client) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Client authentication failed' });
+    }
+    
+    if (grantType !== 'authorization_code') {
+      return res.status(400).json({ error: 'unsupported_grant_type', error_description: `Unsupported grant_type: ${grantType}` });
+    }
+    
+    try {
+      res.json(await oidc.exchangeCode({ client, code, redirectUri, codeVerifier }));
+    } catch (error) {
+      if (!error.code) {
+        throw error;
+      }
+      res.status(400).json({ error: error.code, error_description: error.message });
+    }
+  } catch (error) {
+    console.error('Error handling token request:', error);
+    res.status(500).json({ error: 'server_error', error_description: error.message });
+  }
+});
+
+/**
+ * OpenID Connect UserInfo endpoint (GET or POST)
+ */
+async function handleUserInfo(req, res) {
+  try {
+    if (!oidc) {
+      return res.status(503).json({ error: 'OIDC not initialized' });
+    }
+    
+    const header = req.get('Authorization') || '';
+    const accessToken = header.startsWith('Bearer ') ? header.slice(7) : req.body?.access_token;
+    
+    try {
+      res.json(await oidc.getUserInfo(accessToken));
+    } catch (error) {
+      if (error.code !== 'invalid_token') {
+        throw error;
+      }
+      res.status(401)
+        .set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${error.message}"`)
+        .json({ error: error.code, error_description: error.message });
+    }
+  } catch (error) {
+    console.error('Error handling userinfo request:', error);
+    res.status(500).json({ error: 'server_error', error_description: error.message });
+  }
+}
+
+app.get('/userinfo', handleUserInfo);
+app.post('/userinfo', handleUserInfo);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -0,0 +1,403 @@
+/**
+ * Session Management for PigeonIdP
+ *
+ * Long-lived sessions that renew short-lived auth tokens with refresh tokens.
+ * Refresh tokens are bound to a device key, rotate on every use, and a reused
+ * refresh token terminates the whole session.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Spent refresh tokens remembered per session for reuse detection; older ones are just invalid
+const USED_REFRESH_TOKEN_WINDOW = 16;
+
+/**
+ * In-memory session store
+ *
+ * Any object with the same async methods (get, set, compareAndSet, delete,
+ * listBySubject, list) can be passed to SessionManager, e.g. one backed by Redis
+ * or a database. compareAndSet must be atomic, like a conditional update.
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get a session
+   * @param {string} id - Session ID
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  /**
+   * Create or replace a session
+   * @param {Object} session - Session record
+   * @returns {Promise<void>}
+   */
+  async set(session) {
+    this.sessions.set(session.id, session);
+  }
+
+  /**
+   * Replace a session only if its stored refresh token is still the expected one
+   * @param {Object} session - New session record
+   * @param {string} refreshTokenHash - Refresh token hash the stored session must have
+   * @returns {Promise<boolean>} True if the session was replaced
+   */
+  async compareAndSet(session, refreshTokenHash) {
+    const current = this.sessions.get(session.id);
+    if (!current || current.refreshTokenHash !== refreshTokenHash) {
+      return false;
+    }
+    this.sessions.set(session.id, session);
+    return true;
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} True if the session existed
+   */
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  /**
+   * List the sessions of a subject
+   * @param {string} subject - Subject (user public key)
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async listBySubject(subject) {
+    return Array.from(this.sessions.values()).filter((session) => session.subject === subject);
+  }
+
+  /**
+   * List all sessions
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async list() {
+    return Array.from(this.sessions.values());
+  }
+}
+
+/**
+ * Session store persisted to a JSON file
+ */
+export class FileSessionStore extends MemorySessionStore {
+  /**
+   * Create a file-backed session store
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - JSON file to persist sessions to
+   */
+  constructor(options) {
+    super();
+    this.filePath = options.filePath;
+
+    if (fs.existsSync(this.filePath)) {
+      const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.sessions = new Map(entries.map((session) => [session.id, session]));
+    }
+  }
+
+  async set(session) {
+    await super.set(session);
+    this.save();
+  }
+
+  async compareAndSet(session, refreshTokenHash) {
+    const replaced = await super.compareAndSet(session, refreshTokenHash);
+    if (replaced) {
+      this.save();
+    }
+    return replaced;
+  }
+
+  async delete(id) {
+    const deleted = await super.delete(id);
+    if (deleted) {
+      this.save();
+    }
+    return deleted;
+  }
+
+  /**
+   * Persist sessions to the store file
+   * @returns {void}
+   */
+  save() {
+    fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.sessions.values()), null, 2), { mode: 0o600 });
+  }
+}
+
+/**
+ * Issues and renews auth tokens for sessions
+ */
+export class SessionManager {
+  /**
+   * Create a session manager
+   * @param {Object} options - Session options
+   * @param {PigeonIdP} options.idp - Issuing PigeonIdP instance (signs and revokes auth tokens)
+   * @param {Object} [options.store] - Session store (MemorySessionStore if omitted)
+   * @param {number} [options.accessTokenLifetime=900] - Auth token lifetime in seconds
+   * @param {number} [options.refreshTokenLifetime=2592000] - Seconds a session survives without a refresh
+   * @param {number} [options.maxSessionLifetime=7776000] - Absolute session lifetime in seconds
+   * @param {string} [options.tokenFormat='jws'] - Auth token format passed to generateAuthToken
+   */
+  constructor(options) {
+    this.idp = options.idp;
+    this.store = options.store || new MemorySessionStore();
+    this.accessTokenLifetime = options.accessTokenLifetime || 900;
+    this.refreshTokenLifetime = options.refreshTokenLifetime || 30 * 24 * 3600;
+    this.maxSessionLifetime = options.maxSessionLifetime || 90 * 24 * 3600;
+    this.tokenFormat = options.tokenFormat || 'jws';
+  }
+
+  /**
+   * Start a session for an authenticated user
+   * @param {Object} params - Session parameters
+   * @param {string} params.subject - User public key (`sub` of issued tokens)
+   * @param {string} [params.deviceKey] - Public key that must sign refresh requests (defaults to the subject)
+   * @param {Object} [params.claims] - Extra claims for every auth token in the session
+   * @param {Object} [params.metadata] - Display information (e.g. user agent), returned by listSessions
+   * @returns {Promise<Object>} { sessionId, token, refreshToken, expiresIn }
+   */
+  async createSession({ subject, deviceKey, claims = {}, metadata = {} }) {
+    if (!subject) {
+      throw new Error('Session subject is required');
+    }
+
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(16).toString('base64url'),
+      subject,
+      deviceKey: deviceKey || subject,
+      claims,
+      metadata,
+      created: now,
+      lastRefreshed: now,
+      expires: Math.min(now + this.refreshTokenLifetime * 1000, now + this.maxSessionLifetime * 1000),
+      refreshTokenHash: null,
+      usedRefreshTokenHashes: [],
+      tokenIds: []
+    };
+
+    return await this.issueTokens(session);
+  }
+
+  /**
+   * Exchange a refresh token for a new auth token and refresh token
+   * The presented refresh token is consumed. Presenting, with a valid device proof,
+   * a refresh token that was already exchanged terminates the session, since one of
+   * its holders must be an attacker. Without a valid proof nothing changes.
+   * @param {Object} params - Refresh request
+   * @param {string} params.refreshToken - Current refresh token
+   * @param {string} params.proof - Signature of the refresh token made with the device key (PigeonIdP.sign)
+   * @returns {Promise<Object>} { sessionId, token, refreshToken, expiresIn }
+   * @throws {Error} If the refresh token or proof is invalid, or the token was reused
+   */
+  async refresh({ refreshToken, proof }) {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    const session = sessionId && secret ? await this.store.get(sessionId) : null;
+    if (!session) {
+      throw new Error('Invalid refresh token');
+    }
+
+    if (session.expires < Date.now()) {
+      await this.terminateSession(sessionId, 'expired');
+      throw new Error('Session expired');
+    }
+
+    // Only the device may spend the token or trigger reuse detection
+    let validProof = false;
+    try {
+      validProof = typeof proof === 'string' && await this.idp.verify(refreshToken, proof, session.deviceKey);
+    } catch (error) {
+      validProof = false;
+    }
+    if (!validProof) {
+      throw new Error('Invalid device proof');
+    }
+
+    const hash = hashSecret(secret);
+    if (session.usedRefreshTokenHashes.includes(hash)) {
+      await this.terminateSession(sessionId, 'refresh token reuse');
+      throw new Error('Refresh token reuse detected; session terminated');
+    }
+
+    if (!safeEqual(hash, session.refreshTokenHash)) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const now = Date.now();
+    const next = {
+      ...session,
+      lastRefreshed: now,
+      expires: Math.min(now + this.refreshTokenLifetime * 1000, session.created + this.maxSessionLifetime * 1000),
+      usedRefreshTokenHashes: session.usedRefreshTokenHashes.concat(hash).slice(-USED_REFRESH_TOKEN_WINDOW)
+    };
+
+    const issued = await this.issueTokens(next, hash);
+    if (!issued) {
+      // Another refresh exchanged the token first
+      if (!(await this.terminateSession(sessionId, 'refresh token reuse'))) {
+        throw new Error('Session terminated');
+      }
+      throw new Error('Refresh token reuse detected; session terminated');
+    }
+    return issued;
+  }
+
+  /**
+   * Check that an auth token belongs to a live session
+   * @param {Object} claims - Verified claims of an auth token issued by this manager
+   * @returns {Promise<Object|null>} Session, or null if the token is not from an active session
+   */
+  async getActiveSession(claims) {
+    const session = claims?.sid ? await this.store.get(claims.sid) : null;
+    if (!session || session.subject !== claims.sub || session.expires < Date.now()) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * List the active sessions of a user
+   * @param {string} subject - User public key
+   * @returns {Promise<Array<Object>>} Session summaries: { id, deviceKey, metadata, created, lastRefreshed, expires }
+   */
+  async listSessions(subject) {
+    const now = Date.now();
+    const sessions = await this.store.listBySubject(subject);
+    return sessions.filter((session) => session.expires >= now).map(summarizeSession);
+  }
+
+  /**
+   * List every active session (admin)
+   * @returns {Promise<Array<Object>>} Session summaries including the subject
+   */
+  async listAllSessions() {
+    const now = Date.now();
+    const sessions = await this.store.list();
+    return sessions
+      .filter((session) => session.expires >= now)
+      .map((session) => ({ subject: session.subject, ...summarizeSession(session) }));
+  }
+
+  /**
+   * Terminate a session: its refresh token stops working and its auth tokens are revoked
+   * @param {string} sessionId - Session ID
+   * @param {string} [reason='terminated'] - Reason recorded on the revoked tokens
+   * @returns {Promise<boolean>} True if the session existed
+   */
+  async terminateSession(sessionId, reason = 'terminated') {
+    const session = await this.store.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    await this.store.delete(sessionId);
+
+    const now = Math.floor(Date.now() / 1000);
+    for (const { jti, exp } of session.tokenIds) {
+      if (exp >= now) {
+        try {
+          await this.idp.revokeToken(jti, { reason });
+        } catch (error) {
+          this.idp.reportError(`Could not revoke token ${jti} of session ${sessionId}: ${error.message}`, error);
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Terminate all sessions of a user
+   * @param {string} subject - User public key
+   * @param {string} [reason='terminated'] - Reason recorded on the revoked tokens
+   * @returns {Promise<number>} Number of sessions terminated
+   */
+  async terminateAllSessions(subject, reason = 'terminated') {
+    const sessions = await this.store.listBySubject(subject);
+    for (const session of sessions) {
+      await this.terminateSession(session.id, reason);
+    }
+    return sessions.length;
+  }
+
+  /**
+   * Issue an auth token and a new refresh token for a session, and save it
+   * @param {Object} session - Session record
+   * @param {string} [consumedHash] - Hash of the refresh token being exchanged; the session is
+   *   then only saved if that token is still current
+   * @returns {Promise<Object|null>} { sessionId, token, refreshToken, expiresIn }, or null if
+   *   the refresh token was exchanged by someone else first
+   */
+  async issueTokens(session, consumedHash = null) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    session.refreshTokenHash = hashSecret(secret);
+
+    const token = await this.idp.generateAuthToken(
+      { ...session.claims, sub: session.subject, sid: session.id },
+      this.accessTokenLifetime,
+      { format: this.tokenFormat }
+    );
+
+    // Remember live token IDs so terminating the session can revoke them
+    const claims = typeof token === 'string'
+      ? JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8'))
+      : token.claims;
+    const now = Math.floor(Date.now() / 1000);
+    session.tokenIds = session.tokenIds
+      .filter(({ exp }) => exp >= now)
+      .concat({ jti: claims.jti, exp: claims.exp });
+
+    if (!consumedHash) {
+      await this.store.set(session);
+    } else if (!(await this.store.compareAndSet(session, consumedHash))) {
+      return null;
+    }
+
+    return {
+      sessionId: session.id,
+      token,
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: this.accessTokenLifetime
+    };
+  }
+}
+
+/**
+ * Helper: Hash a refresh token secret for storage
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('base64url');
+}
+
+/**
+ * Helper: Constant-time comparison of two hashes
+ */
+function safeEqual(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Helper: Session fields safe to show to users
+ */
+function summarizeSession(session) {
+  return {
+    id: session.id,
+    deviceKey: session.deviceKey,
+    metadata: session.metadata,
+    created: session.created,
+    lastRefreshed: session.lastRefreshed,
+    expires: session.expires
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Persistent Signing Identity for the PigeonIdP server
+ *
+ * Loads the IdP's signing keys on startup from an environment-provided JWK or
+ * an encrypted key store, generating them on first boot. Rotated keys stay
+ * published (JWKS, SAML metadata) for an overlap window so tokens and
+ * assertions signed before the rotation keep verifying.
+ */
+
+/**
+ * Manages the key the server signs tokens and assertions with
+ */
+export class SigningIdentity {
+  /**
+   * Create a signing identity manager
+   * @param {Object} options - Signing identity options
+   * @param {PigeonIdP} options.idp - Initialized PigeonIdP instance
+   * @param {Object} [options.keyStore] - Key store to load from and save to (see keystore.js);
+   *   without one (and without a JWK) a new key is generated on every start
+   * @param {string} [options.password] - Password of the stored keys (required with a key store)
+   * @param {Object|string} [options.jwk] - Keys exported with exportKeys (object or JSON); takes
+   *   precedence over the key store and cannot be rotated by the server
+   * @param {string} [options.alias='idp-signing'] - Wallet and key store alias of the signing identity;
+   *   it is not claimed in the namespace, since every key the server rotates to reuses it
+   * @param {number} [options.overlapSeconds=604800] - Seconds a rotated key stays published
+   */
+  constructor(options) {
+    this.idp = options.idp;
+    this.keyStore = options.keyStore || null;
+    this.password = options.password || null;
+    this.jwk = options.jwk || null;
+    this.alias = options.alias || 'idp-signing';
+    this.overlapSeconds = options.overlapSeconds ?? 7 * 24 * 3600;
+    this.source = null;
+    this.retired = []; // { pub, epub, certificate, retired, retires }
+  }
+
+  /**
+   * Load the signing identity, generating and saving one if none is stored
+   * @returns {Promise<string>} Where the keys came from: 'environment', 'keystore', 'generated' or 'ephemeral'
+   */
+  async load() {
+    if (this.jwk) {
+      const keys = typeof this.jwk === 'string' ? JSON.parse(this.jwk) : this.jwk;
+      if (!keys.pub || !keys.priv || !keys.epub || !keys.epriv) {
+        throw new Error('Signing JWK must contain pub, priv, epub and epriv (see exportKeys)');
+      }
+      await this.idp.importKeys(keys, this.alias);
+      this.source = 'environment';
+      return this.source;
+    }
+
+    if (!this.keyStore) {
+      await this.idp.createIdentity(this.alias, null, { claim: false });
+      this.source = 'ephemeral';
+      return this.source;
+    }
+
+    if (!this.password) {
+      throw new Error('A password is required to use the signing key store');
+    }
+
+    const stored = await this.keyStore.load(this.alias, this.password);
+    if (stored) {
+      await this.idp.loadIdentity(this.alias, this.password);
+      this.source = 'keystore';
+    } else {
+      await this.idp.createIdentity(this.alias, this.password, { claim: false });
+      this.source = 'generated';
+    }
+
+    const retired = await this.keyStore.load(this.retiredAlias(), this.password);
+    this.retired = retired?.keys || [];
+    await this.pruneRetired();
+
+    return this.source;
+  }
+
+  /**
+   * Replace the signing key
+   * By default the old key is retired: it stops signing at once but stays published for
+   * the overlap window. A compromised key is dropped immediately and a succession record
+   * is published (rotateKeys), so verifiers stop trusting it.
+   * @param {Object} [options] - Rotation options
+   * @param {number} [options.overlapSeconds] - Overrides the configured overlap window
+   * @param {string} [options.certificate] - Certificate of the old key to keep in SAML metadata
+   * @param {boolean} [options.compromised=false] - Revoke trust in the old key instead of retiring it
+   * @returns {Promise<Object>} { previous, current, retires } (public keys; retires is null when compromised)
+   */
+  async rotate(options = {}) {
+    if (this.source === 'environment') {
+      throw new Error('The signing key comes from the environment; replace it there to rotate');
+    }
+
+    const previous = this.idp.getPublicKeys(this.alias);
+    if (!previous) {
+      throw new Error('No signing identity loaded');
+    }
+
+    const password = this.keyStore ? this.password : null;
+
+    if (options.compromised) {
+      await this.idp.rotateKeys({ alias: this.alias, password });
+      return { previous: previous.pub, current: this.idp.getPublicKeys(this.alias).pub, retires: null };
+    }
+
+    const overlapSeconds = options.overlapSeconds ?? this.overlapSeconds;
+    const now = Date.now();
+    const current = await this.idp.createIdentity(this.alias, password, { claim: false });
+
+    if (overlapSeconds > 0) {
+      this.retired.push({
+        pub: previous.pub,
+        epub: previous.epub,
+        certificate: options.certificate || null,
+        retired: now,
+        retires: now + overlapSeconds * 1000
+      });
+    }
+    await this.pruneRetired(true);
+
+    return {
+      previous: previous.pub,
+      current: current.pub,
+      retires: overlapSeconds > 0 ? now + overlapSeconds * 1000 : null
+    };
+  }
+
+  /**
+   * Get the retired keys still inside their overlap window
+   * @returns {Array<Object>} { pub, epub, certificate, retired, retires }
+   */
+  getRetiredKeys() {
+    const now = Date.now();
+    return this.retired.filter((key) => key.retires > now);
+  }
+
+  /**
+   * Check whether a key signs (or recently signed) for this server
+   * @param {string} pub - Public key, e.g. the `iss` of a token
+   * @returns {boolean} True for the current key and retired keys inside their overlap window
+   */
+  isTrusted(pub) {
+    return pub === this.idp.getPublicKeys(this.alias)?.pub ||
+      this.getRetiredKeys().some((key) => key.pub === pub);
+  }
+
+  /**
+   * Forget retired keys whose overlap window ended, and save the list
+   * @param {boolean} [changed=false] - Save even if nothing expired
+   * @returns {Promise<void>}
+   */
+  async pruneRetired(changed = false) {
+    const active = this.getRetiredKeys();
+    if (active.length === this.retired.length && !changed) {
+      return;
+    }
+
+    this.retired = active;
+    if (this.keyStore) {
+      await this.keyStore.save(this.retiredAlias(), { keys: this.retired }, this.password);
+    }
+  }
+
+  /**
+   * Alias the retired key list is stored under
+   * @returns {string} Alias
+   */
+  retiredAlias() {
+    return `${this.alias}.retired`;
+  }
+}
@@ -0,0 +1,357 @@
+/**
+ * SAML Service Provider Registry for PigeonIdP
+ *
+ * Keeps the list of trusted service providers, keyed by entity ID, together
+ * with the policy applied when answering their AuthnRequests.
+ */
+
+import fs from 'fs';
+import {
+  parseSPMetadata,
+  BINDING_HTTP_POST,
+  BINDING_HTTP_REDIRECT,
+  NAMEID_FORMAT_UNSPECIFIED
+} from './saml.js';
+
+/**
+ * Registry of trusted SAML service providers
+ */
+export class ServiceProviderRegistry {
+  /**
+   * Create a service provider registry
+   * @param {Object} [options] - Registry options
+   * @param {string} [options.filePath] - JSON file to persist registrations to (in-memory if omitted)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.providers = new Map();
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.load();
+    }
+  }
+
+  /**
+   * Register or replace a service provider
+   * @param {Object} config - Service provider configuration
+   * @param {string} config.entityId - SP entity ID
+   * @param {string} [config.name] - Display name
+   * @param {Array<string|Object>} config.acsUrls - Allowed ACS URLs, as strings or { url, index, isDefault }
+   * @param {string} [config.nameIdFormat] - NameID format required by the SP
+   * @param {Array<string>} [config.attributes] - Attributes released to the SP (all if omitted)
+   * @param {boolean} [config.signAssertion=true] - Sign assertions sent to the SP
+   * @param {boolean} [config.signResponse=false] - Sign the response envelope
+   * @param {number} [config.assertionLifetime] - Assertion lifetime in seconds (IdP default if omitted)
+   * @param {string} [config.certificate] - SP signing certificate (PEM); SLO messages must be signed if set
+   * @param {boolean} [config.authnRequestsSigned=false] - Require AuthnRequests signed with the certificate
+   * @param {Object} [config.singleLogoutService] - SP SLO endpoint: { url, binding, responseUrl }
+   * @param {boolean} [config.allowIdpInitiated=true] - Accept IdP-initiated (unsolicited) SSO
+   * @returns {Object} The stored service provider
+   */
+  register(config) {
+    const sp = normalizeServiceProvider(config, this.providers.get(config?.entityId));
+    this.providers.set(sp.entityId, sp);
+    this.save();
+    return sp;
+  }
+
+  /**
+   * Register a service provider from its SAML metadata
+   * @param {string} xml - SP metadata (md:EntityDescriptor)
+   * @param {Object} [overrides] - Configuration overriding values derived from metadata
+   * @returns {Object} The stored service provider
+   */
+  importMetadata(xml, overrides = {}) {
+    const metadata = parseSPMetadata(xml);
+
+    const acsUrls = metadata.assertionConsumerServices
+      .filter((acs) => acs.binding === BINDING_HTTP_POST)
+      .map(({ url, index, isDefault }) => ({ url, index, isDefault }));
+
+    if (acsUrls.length === 0) {
+      throw new Error(`Metadata for ${metadata.entityId} has no HTTP-POST AssertionConsumerService`);
+    }
+
+    // Prefer POST for logout too, it does not need query string signatures
+    const singleLogoutService =
+      metadata.singleLogoutServices.find((slo) => slo.binding === BINDING_HTTP_POST) ||
+      metadata.singleLogoutServices.find((slo) => slo.binding === BINDING_HTTP_REDIRECT);
+
+    return this.register({
+      entityId: metadata.entityId,
+      acsUrls,
+      singleLogoutService: singleLogoutService || undefined,
+      // A single advertised format is treated as a requirement
+      nameIdFormat: metadata.nameIdFormats.length === 1 ? metadata.nameIdFormats[0] : undefined,
+      signAssertion: metadata.wantAssertionsSigned ? true : undefined,
+      certificate: metadata.certificate || undefined,
+      authnRequestsSigned: metadata.authnRequestsSigned || undefined,
+      ...overrides
+    });
+  }
+
+  /**
+   * Get a registered service provider
+   * @param {string} entityId - SP entity ID
+   * @returns {Object|null} Service provider or null if not registered
+   */
+  get(entityId) {
+    return this.providers.get(entityId) || null;
+  }
+
+  /**
+   * List all registered service providers
+   * @returns {Array<Object>} Service providers
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Remove a service provider
+   * @param {string} entityId - SP entity ID
+   * @returns {boolean} True if the SP was registered
+   */
+  remove(entityId) {
+    const removed = this.providers.delete(entityId);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Check a parsed AuthnRequest against the registry
+   * @param {Object} authnRequest - AuthnRequest as returned by parseAuthnRequest
+   * @returns {Object} Authorization with properties:
+   *   - sp: Object - The registered service provider
+   *   - acsUrl: string - Validated ACS URL to deliver the response to
+   *   - nameIdFormat: string|undefined - NameID format to use
+   *   - responseOptions: Object - Per-SP options for PigeonIdPSAML.generateResponse
+   * @throws {Error} If the SP is unknown or the request violates its policy
+   */
+  authorize(authnRequest) {
+    const sp = this.get(authnRequest.issuer);
+    if (!sp) {
+      throw new Error(`Unknown service provider: ${authnRequest.issuer}`);
+    }
+
+    const acsUrl = this.resolveAcsUrl(sp, authnRequest);
+    const nameIdFormat = resolveNameIdFormat(sp, authnRequest.nameIdPolicy?.format);
+
+    return createAuthorization(sp, acsUrl, nameIdFormat);
+  }
+
+  /**
+   * Check an IdP-initiated (unsolicited) login for a service provider
+   * @param {string} entityId - SP entity ID
+   * @param {string} [acsUrl] - Requested ACS URL (the SP's default if omitted)
+   * @returns {Object} Authorization (see authorize)
+   * @throws {Error} If the SP is unknown or does not accept IdP-initiated SSO
+   */
+  authorizeUnsolicited(entityId, acsUrl) {
+    const sp = this.get(entityId);
+    if (!sp) {
+      throw new Error(`Unknown service provider: ${entityId}`);
+    }
+
+    if (sp.allowIdpInitiated === false) {
+      throw new Error(`IdP-initiated SSO is disabled for ${entityId}`);
+    }
+
+    return createAuthorization(
+      sp,
+      this.resolveAcsUrl(sp, { assertionConsumerServiceURL: acsUrl }),
+      sp.nameIdFormat || undefined
+    );
+  }
+
+  /**
+   * Resolve the ACS URL for a request, rejecting URLs the SP has not registered
+   * @param {Object} sp - Registered service provider
+   * @param {Object} [authnRequest] - Parsed AuthnRequest (default ACS if omitted)
+   * @returns {string} ACS URL
+   */
+  resolveAcsUrl(sp, authnRequest = {}) {
+    if (authnRequest.assertionConsumerServiceURL) {
+      const match = sp.acsUrls.find((acs) => acs.url === authnRequest.assertionConsumerServiceURL);
+      if (!match) {
+        throw new Error(`ACS URL ${authnRequest.assertionConsumerServiceURL} is not registered for ${sp.entityId}`);
+      }
+      return match.url;
+    }
+
+    if (authnRequest.assertionConsumerServiceIndex !== null && authnRequest.assertionConsumerServiceIndex !== undefined) {
+      const match = sp.acsUrls.find((acs) => acs.index === authnRequest.assertionConsumerServiceIndex);
+      if (!match) {
+        throw new Error(`ACS index ${authnRequest.assertionConsumerServiceIndex} is not registered for ${sp.entityId}`);
+      }
+      return match.url;
+    }
+
+    return (sp.acsUrls.find((acs) => acs.isDefault) || sp.acsUrls[0]).url;
+  }
+
+  /**
+   * Apply the SP's attribute release policy
+   * @param {Object} sp - Registered service provider
+   * @param {Object} attributes - User attributes
+   * @returns {Object} Attributes the SP may receive
+   */
+  filterAttributes(sp, attributes = {}) {
+    if (!sp.attributes) {
+      return { ...attributes };
+    }
+
+    return Object.fromEntries(
+      Object.entries(attributes).filter(([name]) => sp.attributes.includes(name))
+    );
+  }
+
+  /**
+   * Load registrations from the registry file
+   * @returns {void}
+   */
+  load() {
+    const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    this.providers = new Map(entries.map((sp) => [sp.entityId, sp]));
+  }
+
+  /**
+   * Persist registrations to the registry file (no-op for in-memory registries)
+   * @returns {void}
+   */
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.writeFileSync(this.filePath, JSON.stringify(this.list(), null, 2));
+  }
+}
+
+/**
+ * Helper: Validate and fill in defaults for an SP configuration
+ */
+function normalizeServiceProvider(config, existing) {
+  if (!config || typeof config.entityId !== 'string' || config.entityId.trim() === '') {
+    throw new Error('Service provider entityId is required');
+  }
+
+  const acsUrls = (config.acsUrls || []).map((acs, i) => {
+    const entry = typeof acs === 'string' ? { url: acs } : acs;
+    validateUrl(entry.url, 'ACS URL');
+    return {
+      url: entry.url,
+      index: Number.isInteger(entry.index) ? entry.index : i,
+      isDefault: entry.isDefault === true
+    };
+  });
+
+  if (acsUrls.length === 0) {
+    throw new Error(`Service provider ${config.entityId} needs at least one ACS URL`);
+  }
+
+  if (config.attributes !== undefined && config.attributes !== null && !Array.isArray(config.attributes)) {
+    throw new Error('Service provider attributes must be an array of attribute names');
+  }
+
+  if (config.assertionLifetime !== undefined && config.assertionLifetime !== null &&
+      !(Number.isInteger(config.assertionLifetime) && config.assertionLifetime > 0)) {
+    throw new Error('Service provider assertionLifetime must be a positive number of seconds');
+  }
+
+  let singleLogoutService = null;
+  if (config.singleLogoutService) {
+    const { url, binding = BINDING_HTTP_POST, responseUrl } = config.singleLogoutService;
+    validateUrl(url, 'SLO URL');
+    if (responseUrl) {
+      validateUrl(responseUrl, 'SLO response URL');
+    }
+    if (binding !== BINDING_HTTP_POST && binding !== BINDING_HTTP_REDIRECT) {
+      throw new Error(`Unsupported SLO binding: ${binding}`);
+    }
+    singleLogoutService = { url, binding, responseUrl: responseUrl || null };
+  }
+
+  const signAssertion = config.signAssertion ?? true;
+  const signResponse = config.signResponse ?? false;
+  if (!signAssertion && !signResponse) {
+    throw new Error('Service provider must require a signed assertion or a signed response');
+  }
+
+  const authnRequestsSigned = config.authnRequestsSigned ?? false;
+  if (authnRequestsSigned && !config.certificate) {
+    throw new Error(`Service provider ${config.entityId} signs AuthnRequests but has no certificate`);
+  }
+
+  const now = Date.now();
+
+  return {
+    entityId: config.entityId,
+    name: config.name || config.entityId,
+    acsUrls,
+    nameIdFormat: config.nameIdFormat || null,
+    attributes: config.attributes || null,
+    signAssertion,
+    signResponse,
+    assertionLifetime: config.assertionLifetime || null,
+    certificate: config.certificate || null,
+    authnRequestsSigned,
+    singleLogoutService,
+    allowIdpInitiated: config.allowIdpInitiated ?? true,
+    created: existing?.created || now,
+    updated: now
+  };
+}
+
+/**
+ * Helper: Authorization result with per-SP response options
+ */
+function createAuthorization(sp, acsUrl, nameIdFormat) {
+  return {
+    sp,
+    acsUrl,
+    nameIdFormat,
+    responseOptions: {
+      nameIdFormat,
+      assertionLifetime: sp.assertionLifetime || undefined,
+      signAssertion: sp.signAssertion,
+      signResponse: sp.signResponse
+    }
+  };
+}
+
+/**
+ * Helper: Require an absolute http(s) URL
+ */
+function validateUrl(value, label) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`${label} must use http or https: ${value}`);
+  }
+}
+
+/**
+ * Helper: Reconcile the requested NameID format with the SP's requirement
+ */
+function resolveNameIdFormat(sp, requestedFormat) {
+  const requested = requestedFormat && requestedFormat !== NAMEID_FORMAT_UNSPECIFIED
+    ? requestedFormat
+    : null;
+
+  if (!sp.nameIdFormat) {
+    return requested || undefined;
+  }
+
+  if (requested && requested !== sp.nameIdFormat) {
+    throw new Error(`NameID format ${requested} is not allowed for ${sp.entityId}`);
+  }
+
+  return sp.nameIdFormat;
+}
@@ -0,0 +1,193 @@
+/**
+ * Login authenticator tests for PigeonIdP
+ */
+
+import { PigeonIdP } from '../index.js';
+import {
+  LocalUserStore,
+  KeyAuthenticator,
+  LoginLockout,
+  hashPassword,
+  verifyPassword
+} from '../authenticators.js';
+import { signLoginChallenge } from '../login-client.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function rejects(fn) {
+  try {
+    await fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP Authenticator Tests ===\n');
+
+  try {
+    // Test 1: Password hashing
+    console.log('Test 1: Password hashing');
+    const hash = await hashPassword('correct horse');
+    assert(hash.startsWith('scrypt$'), 'scrypt hash format');
+    assert(!hash.includes('correct horse'), 'Hash does not contain the password');
+    assert(await verifyPassword('correct horse', hash), 'Correct password verifies');
+    assert(!(await verifyPassword('wrong horse', hash)), 'Wrong password rejected');
+    assert(hash !== await hashPassword('correct horse'), 'Hashes are salted');
+    assert(await rejects(() => hashPassword('')), 'Empty password rejected');
+
+    // Test 2: Local user store
+    console.log('\nTest 2: Local user store');
+    const store = new LocalUserStore();
+    const created = await store.addUser('alice', 'secret', { email: 'alice@example.org' });
+    assert(created.username === 'alice' && created.passwordHash === undefined, 'User created without exposing the hash');
+    assert(await rejects(() => store.addUser('alice', 'other')), 'Duplicate user rejected');
+    const alice = await store.authenticate({ username: 'alice', password: 'secret' });
+    assert(alice.id === 'alice' && alice.attributes.email === 'alice@example.org', 'Valid credentials return the user');
+    assert(await store.authenticate({ username: 'alice', password: 'wrong' }) === null, 'Wrong password returns null');
+    assert(await store.authenticate({ username: 'bob', password: 'secret' }) === null, 'Unknown user returns null');
+    await store.setPassword('alice', 'new-secret');
+    assert(await store.authenticate({ username: 'alice', password: 'new-secret' }) !== null, 'Password change takes effect');
+    assert(store.removeUser('alice') && store.getUser('alice') === null, 'User removed');
+
+    // Test 3: Key-based login
+    console.log('\nTest 3: Key-based login');
+    const idp = new PigeonIdP({ namespace: 'auth-test' });
+    await idp.init();
+    const keys = await idp.createIdentity('auth-test-user');
+    await idp.registerIdentity({ username: 'carol', email: 'carol@example.org', groups: ['staff'] });
+    const keyAuth = new KeyAuthenticator({ idp, issuer: 'https://idp.example.org' });
+    const binding = { requestId: '_req1', audience: 'https://sp.example.org' };
+
+    const challenge = keyAuth.issueChallenge(binding);
+    const parsed = JSON.parse(challenge.challenge);
+    assert(parsed.nonce === challenge.nonce && parsed.sp === binding.audience && parsed.request === '_req1', 'Challenge names the nonce, SP and request');
+    assert(parsed.idp === 'https://idp.example.org', 'Challenge names the IdP');
+
+    const signature = await idp.sign(challenge.challenge);
+    const keyUser = await keyAuth.authenticate({ publicKey: keys.pub, nonce: challenge.nonce, signature }, binding);
+    assert(keyUser && keyUser.id === keys.pub, 'Signed challenge authenticates the key holder');
+    assert(keyUser.username === 'carol' && keyUser.attributes.email === 'carol@example.org', 'Attributes come from the registered profile');
+    assert(keyUser.attributes.groups[0] === 'staff' && keyUser.attributes.publicKey === keys.pub, 'Multi-valued attributes and public key released');
+    assert(await keyAuth.authenticate({ publicKey: keys.pub, nonce: challenge.nonce, signature }, binding) === null, 'Challenge cannot be reused');
+    assert(await keyAuth.authenticate({ publicKey: keys.pub, nonce: 'made-up', signature }, binding) === null, 'Unknown nonce rejected');
+
+    const otherChallenge = keyAuth.issueChallenge(binding);
+    const nonceOnly = await idp.sign(otherChallenge.nonce);
+    assert(await keyAuth.authenticate({ publicKey: keys.pub, nonce: otherChallenge.nonce, signature: nonceOnly }, binding) === null, 'Signature over the bare nonce rejected');
+
+    const boundChallenge = keyAuth.issueChallenge(binding);
+    const boundSignature = await idp.sign(boundChallenge.challenge);
+    assert(await keyAuth.authenticate(
+      { publicKey: keys.pub, nonce: boundChallenge.nonce, signature: boundSignature },
+      { requestId: '_req1', audience: 'https://other-sp.example.org' }
+    ) === null, 'Challenge bound to another SP rejected');
+
+    const unboundChallenge = keyAuth.issueChallenge(binding);
+    assert(await keyAuth.authenticate(
+      { publicKey: keys.pub, nonce: unboundChallenge.nonce, signature: await idp.sign(unboundChallenge.challenge) }
+    ) === null, 'Bound challenge rejected without a login context');
+
+    const expiringAuth = new KeyAuthenticator({ idp, challengeLifetime: -1 });
+    const expired = expiringAuth.issueChallenge();
+    assert(await expiringAuth.authenticate({ publicKey: keys.pub, nonce: expired.nonce, signature: await idp.sign(expired.challenge) }) === null, 'Expired challenge rejected');
+
+    // An identity that never called registerIdentity
+    const stranger = new PigeonIdP({ namespace: 'auth-test' });
+    await stranger.init();
+    const strangerKeys = await stranger.createIdentity('stranger');
+    const strangerChallenge = keyAuth.issueChallenge(binding);
+    const strangerLogin = await signLoginChallenge(stranger, strangerChallenge);
+    assert(strangerLogin.method === 'key' && strangerLogin.publicKey === strangerKeys.pub, 'Login client fills in the key login fields');
+    assert(await keyAuth.authenticate(strangerLogin, binding) === null, 'Unregistered key rejected');
+
+    const openAuth = new KeyAuthenticator({ idp, requireRegistered: false });
+    const openChallenge = openAuth.issueChallenge();
+    const openUser = await openAuth.authenticate(await signLoginChallenge(stranger, openChallenge));
+    assert(openUser && openUser.username === strangerKeys.pub, 'Unregistered key accepted when registration is optional');
+
+    // After a rotation the old key resolves to the new identity but must not log in
+    await stranger.registerIdentity({ username: 'stranger' });
+    const strangerOld = await stranger.exportKeys();
+    await stranger.rotateKeys();
+    const rotatedAuth = new KeyAuthenticator({ idp: stranger });
+    const rotatedChallenge = rotatedAuth.issueChallenge();
+    const oldKeyLogin = await signLoginChallenge(stranger, rotatedChallenge);
+    await stranger.importKeys(strangerOld);
+    oldKeyLogin.publicKey = strangerOld.pub;
+    oldKeyLogin.signature = await stranger.sign(rotatedChallenge.challenge);
+    assert(await rotatedAuth.authenticate(oldKeyLogin) === null, 'Rotated-out key cannot log in');
+    await stranger.disconnect();
+
+    // Test 4: Lockout
+    console.log('\nTest 4: Lockout after repeated failures');
+    const lockout = new LoginLockout({ maxAttempts: 3, lockoutSeconds: 60 });
+    assert(!lockout.recordFailure('password:alice'), 'First failure does not lock');
+    lockout.recordFailure('password:alice');
+    assert(lockout.recordFailure('password:alice'), 'Reaching max attempts locks');
+    assert(lockout.isLocked('password:alice'), 'Account reported locked');
+    assert(!lockout.isLocked('password:bob'), 'Other accounts unaffected');
+    lockout.reset('password:alice');
+    assert(!lockout.isLocked('password:alice'), 'Reset clears the lock');
+    for (let i = 0; i < 3; i++) {
+      lockout.recordFailure('key:alice-key', '203.0.113.7');
+    }
+    assert(lockout.isLocked('key:alice-key', '203.0.113.7'), 'Account locked for the failing client');
+    assert(!lockout.isLocked('key:alice-key', '198.51.100.2'), 'Account still open to other clients');
+    lockout.reset('key:alice-key');
+    assert(!lockout.isLocked('key:alice-key', '203.0.113.7'), 'Reset without a client clears every client');
+    const boundedLockout = new LoginLockout({ maxEntries: 2 });
+    ['a', 'b', 'c'].forEach((client) => boundedLockout.recordFailure('password:alice', client));
+    assert(boundedLockout.failures.size === 2 && !boundedLockout.failures.has('password:alice\na'), 'Oldest failure entries dropped beyond maxEntries');
+    const lockedOut = new LoginLockout({ maxAttempts: 2, maxEntries: 2 });
+    lockedOut.recordFailure('password:alice', 'attacker');
+    lockedOut.recordFailure('password:alice', 'attacker');
+    ['a', 'b', 'c'].forEach((client) => lockedOut.recordFailure('password:bob', client));
+    assert(lockedOut.isLocked('password:alice', 'attacker') && lockedOut.failures.size === 2, 'Locked entries outlive unlocked ones beyond maxEntries');
+    const touched = new LoginLockout({ maxAttempts: 5, maxEntries: 2 });
+    ['a', 'b'].forEach((client) => touched.recordFailure('password:alice', client));
+    touched.recordFailure('password:alice', 'a');
+    touched.recordFailure('password:alice', 'c');
+    assert(touched.failures.has('password:alice\na') && !touched.failures.has('password:alice\nb'), 'A new failure makes an entry the newest');
+    const boundedAuth = new KeyAuthenticator({ idp, maxChallenges: 2 });
+    const firstChallenge = boundedAuth.issueChallenge();
+    boundedAuth.issueChallenge();
+    boundedAuth.issueChallenge();
+    assert(boundedAuth.challenges.size === 2 && !boundedAuth.challenges.has(firstChallenge.nonce), 'Oldest challenges dropped beyond maxChallenges');
+
+    await idp.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
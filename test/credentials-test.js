@@ -0,0 +1,157 @@
+/**
+ * Verifiable Credentials tests for PigeonIdP
+ */
+
+import { PigeonIdP } from '../index.js';
+import { PigeonIdPCredentials, CREDENTIALS_CONTEXT } from '../credentials.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function decode(jws) {
+  const [header, payload] = jws.split('.').slice(0, 2).map((part) => JSON.parse(Buffer.from(part, 'base64url').toString()));
+  return { header, payload };
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP Verifiable Credentials Tests ===\n');
+
+  try {
+    const issuerIdp = new PigeonIdP({ namespace: 'credentials-test', successionCacheTtl: 0, revocationCacheTtl: 0 });
+    await issuerIdp.init();
+    const issuerKeys = await issuerIdp.createIdentity('acme-hr');
+
+    const holderIdp = new PigeonIdP({ namespace: 'credentials-test', successionCacheTtl: 0, revocationCacheTtl: 0 });
+    await holderIdp.init();
+    holderIdp.webDHT = issuerIdp.webDHT;
+    const holderKeys = await holderIdp.createIdentity('employee');
+
+    const verifierIdp = new PigeonIdP({ namespace: 'credentials-test', successionCacheTtl: 0, revocationCacheTtl: 0 });
+    await verifierIdp.init();
+    verifierIdp.webDHT = issuerIdp.webDHT;
+
+    const issuer = new PigeonIdPCredentials(issuerIdp);
+    const holder = new PigeonIdPCredentials(holderIdp);
+    const verifier = new PigeonIdPCredentials(verifierIdp);
+
+    // Test 1: Issuing
+    console.log('Test 1: Issue credential');
+    const credential = await issuer.issueCredential(holderKeys.pub, { employer: 'Acme', role: 'engineer' }, 'EmployeeCredential', { expiresIn: 3600 });
+    const { header, payload } = decode(credential);
+    assert(header.alg === 'ES256' && header.typ === 'vc+jwt', 'Credential is an ES256 vc+jwt');
+    assert(payload.iss === issuerKeys.pub && payload.sub === holderKeys.pub, 'Issuer and subject are public keys');
+    assert(payload.vc['@context'][0] === CREDENTIALS_CONTEXT, 'W3C credentials context');
+    assert(payload.vc.type.join() === 'VerifiableCredential,EmployeeCredential', 'Credential types');
+    assert(payload.vc.credentialSubject.employer === 'Acme' && payload.exp > payload.iat, 'Claims and expiry');
+
+    // Test 2: Verifying
+    console.log('\nTest 2: Verify credential');
+    const verified = await verifier.verifyCredential(credential);
+    assert(verified.valid && verified.credential.issuer === issuerKeys.pub && verified.credential.claims.role === 'engineer', 'Credential verifies');
+    assert((await verifier.verifyCredential(credential, { trustedIssuers: [issuerKeys.pub], type: 'EmployeeCredential' })).valid, 'Trusted issuer and type accepted');
+    assert((await verifier.verifyCredential(credential, { trustedIssuers: [holderKeys.pub] })).error === 'Untrusted issuer', 'Untrusted issuer rejected');
+    assert((await verifier.verifyCredential(credential, { type: 'DriverLicense' })).error === 'Credential is not of type DriverLicense', 'Wrong type rejected');
+
+    const [h, , s] = credential.split('.');
+    const tamperedPayload = Buffer.from(JSON.stringify({ ...payload, vc: { ...payload.vc, credentialSubject: { role: 'admin' } } })).toString('base64url');
+    assert((await verifier.verifyCredential(`${h}.${tamperedPayload}.${s}`)).error === 'Invalid signature', 'Tampered credential rejected');
+
+    const expired = await issuer.issueCredential(holderKeys.pub, {}, 'EmployeeCredential', { expiresIn: -10 });
+    assert((await verifier.verifyCredential(expired)).error === 'Token expired', 'Expired credential rejected');
+
+    const authToken = await holderIdp.generateAuthToken({}, 3600, { format: 'jws' });
+    assert((await verifier.verifyCredential(authToken)).error.startsWith('Unexpected token type'), 'Auth tokens are not credentials');
+    assert((await verifierIdp.verifyAuthToken(credential)).error === 'Unexpected token type: vc+jwt', 'Credentials are not auth tokens');
+
+    // Test 3: Presentations
+    console.log('\nTest 3: Presentations');
+    const presentation = await holder.createPresentation([credential], { audience: 'https://verifier.example', nonce: 'n-123' });
+    assert(decode(presentation).header.typ === 'vp+jwt', 'Presentation is a vp+jwt');
+    const presented = await verifier.verifyPresentation(presentation, { audience: 'https://verifier.example', nonce: 'n-123', trustedIssuers: [issuerKeys.pub] });
+    assert(presented.valid && presented.holder === holderKeys.pub, 'Presentation verifies');
+    assert(presented.credentials[0].claims.employer === 'Acme', 'Presented credentials returned');
+    assert((await verifier.verifyPresentation(presentation, { audience: 'https://other.example' })).error === 'Presentation audience mismatch', 'Other audience rejected');
+    assert((await verifier.verifyPresentation(presentation, { audience: 'https://verifier.example', nonce: 'n-456' })).error === 'Presentation nonce mismatch', 'Stale nonce rejected');
+
+    const { nonce: issuedNonce } = verifier.issueNonce();
+    assert(verifier.consumeNonce(issuedNonce) && !verifier.consumeNonce(issuedNonce), 'Issued nonces are single-use');
+    assert(!verifier.consumeNonce('n-123'), 'Nonces the verifier did not issue are refused');
+    const shortNonces = new PigeonIdPCredentials(verifierIdp, { nonceLifetime: -1, maxNonces: 2 });
+    assert(!shortNonces.consumeNonce(shortNonces.issueNonce().nonce), 'Expired nonces are refused');
+    for (let i = 0; i < 5; i++) {
+      shortNonces.issueNonce();
+    }
+    assert(shortNonces.nonces.size <= 2, 'Outstanding nonces are capped');
+
+    const thief = new PigeonIdP({ namespace: 'credentials-test' });
+    await thief.init();
+    thief.webDHT = issuerIdp.webDHT;
+    await thief.createIdentity('thief');
+    const stolen = await new PigeonIdPCredentials(thief).createPresentation([credential], { audience: 'https://verifier.example' });
+    assert((await verifier.verifyPresentation(stolen, { audience: 'https://verifier.example' })).error === 'Credential 0: Credential subject mismatch', 'Someone else\'s credential cannot be presented');
+    assert((await errorOf(() => holder.createPresentation([])))?.message.includes('at least one'), 'Empty presentation rejected');
+
+    // Test 4: DHT storage
+    console.log('\nTest 4: DHT storage');
+    await holder.storeCredential(credential);
+    const stored = await verifier.getStoredCredentials(holderKeys.pub);
+    assert(stored.length === 1 && stored[0].jwt === credential && stored[0].type.includes('EmployeeCredential'), 'Stored credential discovered');
+    assert((await errorOf(() => new PigeonIdPCredentials(thief).storeCredential(credential)))?.message.includes('subject mismatch'), 'Only the subject can store a credential');
+
+    await issuerIdp.webDHT.put(`credentials:${holderKeys.pub}:credentials-test`, { holder: holderKeys.pub, credentials: [credential, expired], signature: 'forged' });
+    assert((await verifier.getStoredCredentials(holderKeys.pub)).length === 0, 'Unsigned credential list ignored');
+    await holder.storeCredential(credential);
+
+    // Test 5: Revocation
+    console.log('\nTest 5: Revocation');
+    await issuer.revokeCredential(credential, { reason: 'left the company' });
+    assert((await verifier.verifyCredential(credential)).error === 'Token revoked', 'Revoked credential rejected');
+    assert((await verifier.verifyPresentation(presentation, { audience: 'https://verifier.example' })).error === 'Credential 0: Token revoked', 'Presentation with a revoked credential rejected');
+    assert((await verifier.getStoredCredentials(holderKeys.pub)).length === 0, 'Revoked credentials left out of stored list');
+
+    await thief.disconnect();
+    await verifierIdp.disconnect();
+    await holderIdp.disconnect();
+    await issuerIdp.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,226 @@
+/**
+ * DHT write policy tests for PigeonIdP
+ */
+
+import { PigeonIdP } from '../index.js';
+import { DHTWritePolicy, signDHTWrite } from '../dht-policy.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function signedRecord(idp, payload, seq = 1, alias, expires = null) {
+  const envelope = { payload, seq, timestamp: Date.now(), expires, signer: idp.getPublicKeys(alias).pub };
+  return { ...envelope, signature: await idp.sign(JSON.stringify(envelope), alias) };
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP DHT Write Policy Tests ===\n');
+
+  try {
+    const server = new PigeonIdP({ namespace: 'dht-policy-test' });
+    await server.init();
+    const policy = new DHTWritePolicy({ idp: server });
+
+    const alice = new PigeonIdP({ namespace: 'dht-policy-test' });
+    await alice.init();
+    alice.webDHT = server.webDHT;
+    const aliceKeys = await alice.createIdentity('alice');
+
+    const mallory = new PigeonIdP({ namespace: 'dht-policy-test' });
+    await mallory.init();
+    mallory.webDHT = server.webDHT;
+    const malloryKeys = await mallory.createIdentity('mallory');
+
+    const userKey = `user:${aliceKeys.pub}:dht-policy-test`;
+    const unsignedProfile = {
+      pub: aliceKeys.pub,
+      epub: aliceKeys.epub,
+      profile: { name: 'Alice' },
+      namespace: 'dht-policy-test',
+      registered: Date.now()
+    };
+    const profile = await signedRecord(alice, unsignedProfile);
+
+    // Test 1: Signed requests
+    console.log('Test 1: Signed requests');
+    const request = await signDHTWrite(alice, userKey, profile);
+    const allowed = await policy.authorize(request);
+    assert(allowed.key === userKey && allowed.writer === aliceKeys.pub, 'Owner may write their user record');
+    assert((await errorOf(() => policy.authorize(request)))?.message === 'Write request already used', 'Replayed request rejected');
+    assert((await errorOf(() => policy.authorize({ key: userKey, value: profile })))?.code === 'invalid_signature', 'Unsigned write rejected');
+    assert((await errorOf(() => policy.authorize({ key: userKey })))?.code === 'invalid_request', 'Missing value rejected');
+    const garbage = { key: userKey, value: profile, publicKey: 'not-a-key', timestamp: Date.now(), signature: 'abc' };
+    assert((await errorOf(() => policy.authorize(garbage)))?.message === 'Invalid write request signature', 'Malformed key rejected');
+
+    const tampered = await signDHTWrite(alice, userKey, profile);
+    tampered.value = { ...profile, payload: { ...unsignedProfile, profile: { name: 'Mallory' } } };
+    assert((await errorOf(() => policy.authorize(tampered)))?.message === 'Invalid write request signature', 'Tampered request rejected');
+
+    const stale = { key: userKey, value: profile, publicKey: aliceKeys.pub, timestamp: Date.now() - 3600 * 1000 };
+    stale.signature = await alice.sign(JSON.stringify(stale));
+    assert((await errorOf(() => policy.authorize(stale)))?.message.includes('expired'), 'Old request rejected');
+
+    // Test 2: Key ownership
+    console.log('\nTest 2: Key ownership');
+    const hijack = await errorOf(async () => policy.authorize(await signDHTWrite(mallory, userKey, profile)));
+    assert(hijack?.code === 'forbidden' && hijack.message.includes(aliceKeys.pub), 'Others may not write a user record');
+
+    const edited = { ...profile, payload: { ...unsignedProfile, profile: { name: 'Mallory' } } };
+    const forgedRecord = await errorOf(async () => policy.authorize(await signDHTWrite(alice, userKey, edited)));
+    assert(forgedRecord?.message === 'Record must be signed by its writer', 'Record without the writer\'s signature rejected');
+
+    const mismatched = await signedRecord(alice, { ...unsignedProfile, pub: malloryKeys.pub });
+    const foreignSigner = await errorOf(async () => policy.authorize(await signDHTWrite(alice, userKey, await signedRecord(mallory, unsignedProfile))));
+    assert(foreignSigner?.code === 'invalid_signature', 'Envelope signed by another key rejected');
+
+    const mismatch = await errorOf(async () => policy.authorize(await signDHTWrite(alice, userKey, mismatched)));
+    assert(mismatch?.code === 'invalid_request' && mismatch.message.includes('does not match'), 'Record for another key rejected');
+
+    const authKey = `auth:test-hub:${malloryKeys.pub}:${Date.now()}`;
+    const authRecord = await signedRecord(alice, { publicKey: aliceKeys.pub, namespace: 'test-hub', timestamp: Date.now(), credentials: {} });
+    const bareRecord = await errorOf(async () => policy.authorize(await signDHTWrite(alice, userKey, { ...unsignedProfile, signature: 'abc' })));
+    assert(bareRecord?.code === 'invalid_request' && bareRecord.message.includes('envelopes'), 'Records outside an envelope rejected');
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(alice, authKey, authRecord))))?.code === 'forbidden', 'Auth requests only under the writer\'s key');
+
+    const unknown = await errorOf(async () => policy.authorize(await signDHTWrite(alice, 'anything:goes', { a: 1 })));
+    assert(unknown?.code === 'forbidden' && unknown.message.includes("'anything:'"), 'Unknown key prefixes rejected');
+
+    // Test 3: Schema and size limits
+    console.log('\nTest 3: Schema and size limits');
+    const { registered, ...incomplete } = unsignedProfile;
+    const schema = await errorOf(async () => policy.authorize(await signDHTWrite(alice, userKey, await signedRecord(alice, incomplete))));
+    assert(schema?.code === 'invalid_request' && schema.message.includes("'registered'"), 'Missing fields rejected');
+    assert(!(await errorOf(async () => policy.authorize(await signDHTWrite(alice, userKey, profile)))), 'Complete record accepted again in a new request');
+
+    const otherNamespace = await signedRecord(alice, { ...incomplete, registered, namespace: 'elsewhere' });
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(alice, userKey, otherNamespace))))?.message === 'Record namespace does not match the key', 'Namespace must match the key');
+
+    const huge = await signedRecord(alice, { ...incomplete, registered, profile: { bio: 'x'.repeat(10000) } });
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(alice, userKey, huge))))?.code === 'payload_too_large', 'Oversized record rejected');
+
+    // Test 4: Records written by PigeonIdP
+    console.log('\nTest 4: PigeonIdP records');
+    const claim = await server.webDHT.get('identity:alice:dht-policy-test');
+    const staleClaim = await errorOf(async () => policy.authorize(await signDHTWrite(alice, 'identity:alice:dht-policy-test', claim)));
+    assert(staleClaim?.code === 'conflict' && staleClaim.message.includes('not newer'), 'Stored version cannot be written again');
+    const newerClaim = await signedRecord(alice, claim.payload, claim.seq + 1);
+    assert((await policy.authorize(await signDHTWrite(alice, 'identity:alice:dht-policy-test', newerClaim))).writer === aliceKeys.pub, 'Newer alias claim accepted');
+    const squat = await signedRecord(mallory, { alias: 'alice', pub: malloryKeys.pub, epub: malloryKeys.epub, namespace: 'dht-policy-test', created: Date.now() });
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(mallory, 'identity:alice:dht-policy-test', squat))))?.code === 'conflict', 'Claimed alias cannot be taken');
+
+    const nextWeek = Date.now() + 7 * 24 * 3600 * 1000;
+    const mailboxKey = `mailbox:${aliceKeys.pub}:dht-policy-test:${malloryKeys.pub}:1`;
+    const letter = await signedRecord(mallory, { from: malloryKeys.pub, to: aliceKeys.pub, sealed: { ciphertext: 'x' } }, 1, undefined, nextWeek);
+    assert((await policy.authorize(await signDHTWrite(mallory, mailboxKey, letter))).writer === malloryKeys.pub, 'Anyone may leave a mailbox message');
+    const overwrite = await signedRecord(alice, { from: aliceKeys.pub, to: aliceKeys.pub, sealed: { ciphertext: 'y' } }, 1, undefined, nextWeek);
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(alice, mailboxKey, overwrite))))?.code === 'forbidden', 'Messages are stored under the sender\'s key');
+    const forever = await signedRecord(mallory, letter.payload, 2);
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(mallory, mailboxKey, forever))))?.message.includes('expire within'), 'Mailbox messages must expire');
+    const unnumbered = await signDHTWrite(mallory, `mailbox:${aliceKeys.pub}:dht-policy-test:${malloryKeys.pub}:m1`, letter);
+    assert((await errorOf(() => policy.authorize(unnumbered)))?.code === 'invalid_request', 'Mailbox messages are numbered');
+
+    const slotKey = `mailbox-index:${aliceKeys.pub}:dht-policy-test:0`;
+    const slot = await signedRecord(mallory, { from: malloryKeys.pub, to: aliceKeys.pub, last: 1 }, 1, undefined, nextWeek);
+    assert((await policy.authorize(await signDHTWrite(mallory, slotKey, slot))).writer === malloryKeys.pub, 'Senders take a free slot');
+    await server.webDHT.put(slotKey, slot);
+    const updated = await signedRecord(mallory, { ...slot.payload, last: 2 }, 2, undefined, nextWeek);
+    assert((await policy.authorize(await signDHTWrite(mallory, slotKey, updated))).writer === malloryKeys.pub, 'Senders update their own slot');
+    const bob = new PigeonIdP({ namespace: 'dht-policy-test' });
+    await bob.init();
+    const bobKeys = await bob.createIdentity('bob', null, { claim: false });
+    const bobSlot = await signedRecord(bob, { from: bobKeys.pub, to: aliceKeys.pub, last: 1 }, 1, undefined, nextWeek);
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(bob, slotKey, bobSlot))))?.code === 'conflict', 'A live slot cannot be taken');
+    const cleared = await signedRecord(alice, slot.payload, 1, undefined, Date.now() - 1000);
+    assert((await policy.authorize(await signDHTWrite(alice, slotKey, cleared))).writer === aliceKeys.pub, 'The recipient may clear a slot');
+    await server.webDHT.put(slotKey, cleared);
+    assert((await policy.authorize(await signDHTWrite(bob, slotKey, bobSlot))).writer === bobKeys.pub, 'Cleared slots are free');
+    const outOfRange = `mailbox-index:${aliceKeys.pub}:dht-policy-test:256`;
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(bob, outOfRange, bobSlot))))?.code === 'invalid_request', 'Slots are limited');
+    await bob.disconnect();
+
+    const previous = alice.getPublicKeys();
+    await alice.rotateKeys();
+    const succession = await server.webDHT.get(`succession:${previous.pub}:dht-policy-test`);
+    alice.addIdentity('old-alice', aliceKeys);
+    const successionKey = `succession:${previous.pub}:dht-policy-test`;
+    const successionWrite = await signDHTWrite(alice, successionKey, await signedRecord(alice, succession.payload, 2, 'old-alice'), 'old-alice');
+    assert((await policy.authorize(successionWrite)).writer === previous.pub, 'Succession record accepted from the old key');
+    const redirected = await signedRecord(alice, { ...succession.payload, next: malloryKeys.pub }, 2, 'old-alice');
+    const brokenSuccession = await signDHTWrite(alice, successionKey, redirected, 'old-alice');
+    assert((await errorOf(() => policy.authorize(brokenSuccession)))?.code === 'invalid_request', 'Succession must be signed by both keys');
+
+    // Test 5: Recovery records
+    console.log('\nTest 5: Recovery records');
+    const rescue = new PigeonIdP({ namespace: 'dht-policy-test' });
+    await rescue.init();
+    rescue.webDHT = server.webDHT;
+    const rescueKeys = await rescue.createIdentity('rescue', null, { claim: false });
+    const recoveryKey = `recovery:${malloryKeys.pub}:dht-policy-test`;
+    const recoveryConfig = await signedRecord(mallory, {
+      owner: malloryKeys.pub, namespace: 'dht-policy-test', recoveryKey: rescueKeys.pub, threshold: 1, guardians: [], created: Date.now()
+    });
+    assert((await policy.authorize(await signDHTWrite(mallory, recoveryKey, recoveryConfig))).writer === malloryKeys.pub, 'Owner commits to a recovery key');
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(rescue, recoveryKey, await signedRecord(rescue, recoveryConfig.payload)))))?.code === 'forbidden', 'Only the owner sets up recovery');
+    await server.webDHT.put(recoveryKey, recoveryConfig);
+
+    const requestKey = `recovery-request:${malloryKeys.pub}:${rescueKeys.pub}:dht-policy-test`;
+    const recoveryRequest = { id: 'r1', owner: malloryKeys.pub, next: rescueKeys.pub, epub: rescueKeys.epub, namespace: 'dht-policy-test', requested: Date.now() };
+    assert((await policy.authorize(await signDHTWrite(rescue, requestKey, await signedRecord(rescue, recoveryRequest)))).writer === rescueKeys.pub, 'Requesters write their own recovery request');
+    const hijacked = await signedRecord(alice, { ...recoveryRequest, next: alice.getPublicKeys().pub });
+    assert((await errorOf(async () => policy.authorize(await signDHTWrite(alice, requestKey, hijacked))))?.code === 'forbidden', 'Another key cannot replace a recovery request');
+
+    const nextMallory = await rescue.createIdentity('rescue-next', null, { claim: false });
+    await mallory.rotateKeys({ recoverFrom: malloryKeys.pub, recoveryKeys: rescueKeys, nextKeys: nextMallory });
+    assert(await server.getSuccessor(malloryKeys.pub) === nextMallory.pub, 'Recovery key rotates the identity');
+    const recoveredSuccession = await server.webDHT.get(`succession:${malloryKeys.pub}:dht-policy-test`);
+    const resigned = await signedRecord(rescue, recoveredSuccession.payload, 2, 'rescue');
+    assert((await policy.authorize(await signDHTWrite(rescue, `succession:${malloryKeys.pub}:dht-policy-test`, resigned, 'rescue'))).writer === rescueKeys.pub, 'Succession record accepted from the recovery key');
+    const strangerSuccession = await signDHTWrite(alice, `succession:${malloryKeys.pub}:dht-policy-test`, await signedRecord(alice, recoveredSuccession.payload));
+    assert((await errorOf(() => policy.authorize(strangerSuccession)))?.code === 'forbidden', 'Other keys cannot write a succession record');
+    await rescue.disconnect();
+
+    await mallory.disconnect();
+    await alice.disconnect();
+    await server.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
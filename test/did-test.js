@@ -0,0 +1,155 @@
+/**
+ * DID method tests for PigeonIdP
+ */
+
+import { PigeonIdP } from '../index.js';
+import { PigeonIdPDID, createDID, parseDID, generateDIDDocument } from '../did.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP DID Tests ===\n');
+
+  try {
+    const idp = new PigeonIdP({ namespace: 'did-test', successionCacheTtl: 0 });
+    await idp.init();
+    const keys = await idp.createIdentity('alice');
+
+    const resolverIdp = new PigeonIdP({ namespace: 'did-test', successionCacheTtl: 0 });
+    await resolverIdp.init();
+    resolverIdp.webDHT = idp.webDHT;
+
+    const dids = new PigeonIdPDID(idp);
+    const resolver = new PigeonIdPDID(resolverIdp);
+
+    // Test 1: DID syntax
+    console.log('Test 1: DID syntax');
+    const did = await createDID(keys.pub, 'did-test');
+    const jwk = await idp.getPublicJwk();
+    assert(did === `did:pigeon:did-test:${jwk.kid}`, 'DID is namespace plus key thumbprint');
+    assert(parseDID(did).namespace === 'did-test' && parseDID(did).id === jwk.kid, 'DID parsed');
+    assert(parseDID(`did:pigeon:hub:team:${jwk.kid}`).namespace === 'hub:team', 'Namespaces may contain colons');
+    assert((await errorOf(() => parseDID('did:web:example.com')))?.code === 'invalidDid', 'Other DID methods rejected');
+    assert((await errorOf(() => parseDID('did:pigeon:did-test:short')))?.code === 'invalidDid', 'Malformed DID rejected');
+
+    // Test 2: DID documents
+    console.log('\nTest 2: DID document');
+    const document = await generateDIDDocument(did, keys);
+    assert(document.id === did && document['@context'][0] === 'https://www.w3.org/ns/did/v1', 'Document id and context');
+    assert(document.verificationMethod.length === 2 && document.verificationMethod.every((method) => method.controller === did), 'Two verification methods');
+    const signing = document.verificationMethod.find((method) => method.id === document.authentication[0]);
+    assert(signing.publicKeyJwk.x === jwk.x && signing.publicKeyJwk.y === jwk.y, 'Authentication uses the signing key');
+    assert(document.assertionMethod[0] === signing.id, 'Assertion method uses the signing key');
+    const agreement = document.verificationMethod.find((method) => method.id === document.keyAgreement[0]);
+    assert(`${agreement.publicKeyJwk.x}.${agreement.publicKeyJwk.y}` === keys.epub, 'Key agreement uses epub');
+
+    // Test 3: Publish and resolve
+    console.log('\nTest 3: Publish and resolve');
+    const published = await dids.publishDID();
+    assert(published.did === did, 'Published under the DID of the key');
+    const resolved = await resolver.resolveDID(did);
+    assert(JSON.stringify(resolved.didDocument) === JSON.stringify(document), 'Resolved document matches');
+    assert(resolved.didDocumentMetadata.created && !resolved.didDocumentMetadata.previousKeys, 'Resolution metadata');
+    assert(await resolver.resolveDID(`did:pigeon:did-test:${'A'.repeat(43)}`) === null, 'Unknown DID not found');
+    assert((await errorOf(() => resolver.resolveDID(`did:pigeon:elsewhere:${jwk.kid}`)))?.code === 'notFound', 'Other namespaces not resolved');
+
+    // Test 4: Forged documents
+    console.log('\nTest 4: Forged documents');
+    const mallory = new PigeonIdP({ namespace: 'did-test' });
+    await mallory.init();
+    mallory.webDHT = idp.webDHT;
+    const malloryKeys = await mallory.createIdentity('mallory');
+    const stored = await idp.webDHT.get(`did:${jwk.kid}:did-test`);
+
+    await idp.webDHT.put(`did:${jwk.kid}:did-test`, { ...stored, epub: malloryKeys.epub });
+    assert((await errorOf(() => resolver.resolveDID(did)))?.message.includes('signature verification failed'), 'Tampered document rejected');
+
+    const forged = { did, origin: keys.pub, pub: malloryKeys.pub, epub: malloryKeys.epub, namespace: 'did-test', created: 1, updated: 1 };
+    forged.signature = await mallory.sign(JSON.stringify(forged));
+    await idp.webDHT.put(`did:${jwk.kid}:did-test`, forged);
+    assert((await errorOf(() => resolver.resolveDID(did)))?.message.includes('signature verification failed'), 'Document signed by another key rejected');
+    assert((await errorOf(() => new PigeonIdPDID(mallory).publishDID({ did })))?.message.includes('does not control'), 'Cannot take over another DID');
+    await idp.webDHT.put(`did:${jwk.kid}:did-test`, stored);
+
+    // Test 5: Key rotation
+    console.log('\nTest 5: Key rotation');
+    const nextKeys = await idp.rotateKeys();
+    const rotated = await resolver.resolveDID(did);
+    const rotatedSigning = rotated.didDocument.verificationMethod.find((method) => method.id === rotated.didDocument.authentication[0]);
+    assert(`${rotatedSigning.publicKeyJwk.x}.${rotatedSigning.publicKeyJwk.y}` === nextKeys.pub, 'Rotation followed to the new key');
+    assert(rotated.didDocument.id === did && rotated.didDocumentMetadata.previousKeys[0] === keys.pub, 'DID stays the same after rotation');
+
+    // The rotation is known, but the succession record with the new epub is gone
+    const forgetful = new PigeonIdP({ namespace: 'did-test' });
+    await forgetful.init();
+    forgetful.webDHT = { get: async (key) => key.startsWith('succession:') ? null : await idp.webDHT.get(key) };
+    forgetful.successions.set(`${keys.pub}:did-test`, { next: nextKeys.pub, fetched: Date.now() });
+    const missingSuccession = await errorOf(() => new PigeonIdPDID(forgetful).resolveDID(did));
+    assert(missingSuccession?.message === `Succession record of ${keys.pub} could not be read`, 'Missing succession record reported as an error');
+    await forgetful.disconnect();
+
+    await dids.publishDID({ did });
+    const republished = await resolver.resolveDID(did);
+    assert(JSON.stringify(republished.didDocument) === JSON.stringify(rotated.didDocument), 'Republished by the new key');
+    assert(republished.didDocumentMetadata.created === resolved.didDocumentMetadata.created, 'Creation time kept');
+
+    // Test 6: Handover to a key that is not a successor
+    console.log('\nTest 6: Handover');
+    const currentKeys = idp.getIdentityKeys('alice');
+    const handedKeys = await idp.createIdentity('alice-next');
+    assert((await errorOf(() => dids.publishDID({ alias: 'alice-next', did })))?.message === 'The identity does not control this DID', 'A new key cannot take over the DID alone');
+    assert((await errorOf(() => dids.publishDID({ alias: 'alice-next', did, handoverKeys: handedKeys })))?.message === 'The identity does not control this DID', 'Only the controlling key can hand the DID over');
+    await dids.publishDID({ alias: 'alice-next', did, handoverKeys: currentKeys });
+    const handed = await resolver.resolveDID(did);
+    const handedSigning = handed.didDocument.verificationMethod.find((method) => method.id === handed.didDocument.authentication[0]);
+    assert(`${handedSigning.publicKeyJwk.x}.${handedSigning.publicKeyJwk.y}` === handedKeys.pub, 'Handover moves the DID to the new key');
+    assert(handed.didDocumentMetadata.previousKeys.join() === [keys.pub, currentKeys.pub].join(), 'Earlier controllers listed');
+    await dids.publishDID({ alias: 'alice-next', did });
+    assert((await resolver.resolveDID(did)).didDocument.id === did, 'New key keeps publishing the DID');
+
+    await mallory.disconnect();
+    await resolverIdp.disconnect();
+    await idp.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,162 @@
+/**
+ * PigeonHub authority tests for PigeonIdP
+ */
+
+import { PigeonIdP } from '../index.js';
+import { PigeonHubAuthority } from '../hub.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function runTests() {
+  console.log('=== Running PigeonHub Authority Tests ===\n');
+
+  try {
+    const hub = new PigeonIdP({ namespace: 'hub-test', successionCacheTtl: 0 });
+    await hub.init();
+    const hubKeys = await hub.createIdentity('hub');
+    await hub.registerIdentity({ name: 'Hub' });
+
+    const member = new PigeonIdP({ namespace: 'hub-test' });
+    await member.init();
+    member.webDHT = hub.webDHT;
+    const memberKeys = await member.createIdentity('member');
+
+    const stranger = new PigeonIdP({ namespace: 'hub-test' });
+    await stranger.init();
+    stranger.webDHT = hub.webDHT;
+    const strangerKeys = await stranger.createIdentity('stranger');
+
+    // Test 1: Admission by allow list
+    console.log('Test 1: Allow list');
+    assert((await errorOf(() => new PigeonHubAuthority(hub)))?.message.includes('admission policy'), 'An admission policy is required');
+    const authority = new PigeonHubAuthority(hub, { allow: [memberKeys.pub] });
+
+    const pending = await member.authenticateWithHub('hub-test', { username: 'member' });
+    assert(pending.pending === true && pending.success === false && !pending.token, 'Request waits for the hub');
+    assert(await member.getHubGrant(pending.requestKey, hubKeys.pub) === null, 'No answer before the hub polls');
+    assert((await authority.poll()).length === 0, 'Requests the hub was not told about are not looked for');
+
+    authority.submit(pending.requestKey);
+    const grants = await authority.poll();
+    assert(grants.length === 1 && grants[0].granted && grants[0].publicKey === memberKeys.pub, 'Request found and granted');
+    const grant = await member.getHubGrant(pending.requestKey, hubKeys.pub);
+    const verified = await stranger.verifyAuthToken(grant.token);
+    assert(verified.valid && verified.claims.iss === hubKeys.pub, 'Token issued by the hub');
+    assert(verified.claims.sub === memberKeys.pub && verified.claims.hub === 'hub-test', 'Token names the member and hub');
+    assert((await authority.poll()).length === 0, 'Requests are answered once');
+
+    const denied = await stranger.authenticateWithHub('hub-test', {});
+    authority.submit(denied.requestKey);
+    await authority.poll();
+    const denial = await stranger.getHubGrant(denied.requestKey, hubKeys.pub);
+    assert(denial.granted === false && !denial.token && denial.reason === 'Not admitted to this hub', 'Keys outside the allow list denied');
+
+    assert((await errorOf(() => authority.submit(`auth:other-hub:${memberKeys.pub}:1`)))?.message.includes('hub-test'), 'Requests for other hubs not queued');
+    assert(!authority.receive({ from: strangerKeys.pub, payload: { type: 'pigeonidp-hub-request', requestKey: pending.requestKey } }),
+      'Request messages only queue the sender\'s own requests');
+
+    // Test 2: Admission function and waiting clients
+    console.log('\nTest 2: Admission function');
+    const invites = new PigeonHubAuthority(hub, {
+      pollInterval: 0.1,
+      tokenFormat: 'jws',
+      admit: async (request) => {
+        if (request.credentials.invite !== 'pigeon') {
+          throw new Error('Invite code required');
+        }
+        return { role: 'member' };
+      }
+    });
+    invites.start();
+
+    const admitted = await stranger.authenticateWithHub('hub-test', { invite: 'pigeon' }, { hubKey: hubKeys.pub, timeout: 10, interval: 0.1 });
+    const admittedToken = await member.verifyAuthToken(admitted.token);
+    assert(admitted.success && typeof admitted.token === 'string', 'Client receives the hub token');
+    assert(admittedToken.valid && admittedToken.claims.role === 'member' && admittedToken.claims.sub === strangerKeys.pub, 'Admission claims included');
+
+    const refused = await member.authenticateWithHub('hub-test', {}, { hubKey: hubKeys.pub, timeout: 10, interval: 0.1 });
+    assert(!refused.success && !refused.pending && refused.error === 'Invite code required', 'Denial reason returned');
+    invites.stop();
+
+    const timedOut = await member.authenticateWithHub('hub-test', {}, { hubKey: hubKeys.pub, timeout: 0.2, interval: 0.1 });
+    assert(timedOut.pending && timedOut.error === 'Hub did not answer in time', 'Waiting gives up after the timeout');
+
+    // Test 3: Forged, old and rotated requests
+    console.log('\nTest 3: Rejected requests');
+    const checker = new PigeonHubAuthority(hub, { allow: [memberKeys.pub, strangerKeys.pub] });
+    await checker.poll();
+
+    const forgedKey = `auth:hub-test:${memberKeys.pub}:${Date.now() + 1}`;
+    await stranger.putRecord(forgedKey, { publicKey: memberKeys.pub, namespace: 'hub-test', timestamp: Date.now(), credentials: {} });
+    checker.submit(forgedKey);
+    assert((await checker.poll()).length === 0 && await member.getHubGrant(forgedKey, hubKeys.pub) === null, 'Request signed by another key ignored');
+
+    const oldKey = `auth:hub-test:${memberKeys.pub}:${Date.now() + 2}`;
+    await member.putRecord(oldKey, { publicKey: memberKeys.pub, namespace: 'hub-test', timestamp: Date.now() - 3600 * 1000, credentials: {} });
+    assert((await errorOf(() => checker.processRequest(oldKey)))?.message === 'Request is too old', 'Old request not answered');
+
+    const rotating = await stranger.authenticateWithHub('hub-test', {});
+    await stranger.rotateKeys();
+    assert((await errorOf(() => checker.processRequest(rotating.requestKey)))?.message === 'Requesting key has been rotated', 'Request from a rotated key not answered');
+
+    // Test 4: Answers from someone else
+    console.log('\nTest 4: Forged answers');
+    const request = await member.authenticateWithHub('hub-test', {});
+    const forgedGrant = { request: request.requestKey, publicKey: memberKeys.pub, namespace: 'hub-test', granted: true, issued: Date.now() };
+    forgedGrant.token = await stranger.generateAuthToken({ sub: memberKeys.pub, hub: 'hub-test' });
+    await stranger.putRecord(`auth-grant:${request.requestKey.slice('auth:'.length)}`, forgedGrant);
+    assert(await member.getHubGrant(request.requestKey, hubKeys.pub) === null, 'Answer not signed by the hub is no answer');
+    const answering = new PigeonHubAuthority(hub, { allow: [memberKeys.pub] });
+    answering.submit(request.requestKey);
+    await answering.poll();
+    assert((await member.getHubGrant(request.requestKey, hubKeys.pub))?.granted === true, 'The hub still answers after a forged record');
+
+    await hub.putRecord(`auth-grant:${request.requestKey.slice('auth:'.length)}`, forgedGrant);
+    assert((await errorOf(() => member.getHubGrant(request.requestKey, hubKeys.pub)))?.message === 'Hub token is not valid for this request', 'Token not issued by the hub rejected');
+
+    await stranger.disconnect();
+    await member.disconnect();
+    await hub.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
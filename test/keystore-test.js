@@ -0,0 +1,129 @@
+/**
+ * Key store tests for PigeonIdP
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PigeonIdP } from '../index.js';
+import { MemoryKeyStore, FileKeyStore, ExternalKeyStore } from '../keystore.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP Key Store Tests ===\n');
+
+  const storeFile = path.join(os.tmpdir(), `pigeonidp-keys-${process.pid}.json`);
+
+  try {
+    // Test 1: Memory store through PigeonIdP
+    console.log('Test 1: Memory key store');
+    const memoryStore = new MemoryKeyStore();
+    const idp = new PigeonIdP({ namespace: 'keystore-test', keyStore: memoryStore });
+    await idp.init();
+    const created = await idp.createIdentity('keystore-alice', 'alice-password');
+    assert((await memoryStore.list()).includes('keystore-alice'), 'Identity saved to the configured store');
+    assert(!JSON.stringify(await memoryStore.readRecord('keystore-alice')).includes(created.priv), 'Private key stored encrypted');
+
+    const other = new PigeonIdP({ namespace: 'keystore-test', keyStore: memoryStore });
+    await other.init();
+    const loaded = await other.loadIdentity('keystore-alice', 'alice-password');
+    assert(loaded.pub === created.pub && loaded.priv === created.priv, 'Identity loaded with the password');
+    const signature = await other.sign('stored');
+    assert(await other.verify('stored', signature, created.pub), 'Loaded keys sign');
+
+    assert((await errorOf(() => other.loadIdentity('keystore-alice', 'wrong')))?.message === 'Invalid password for stored keys', 'Wrong password rejected');
+    assert((await errorOf(() => other.loadIdentity('keystore-nobody', 'x')))?.message === "Identity with alias 'keystore-nobody' not found", 'Unknown alias not found');
+    assert((await errorOf(() => memoryStore.save('keystore-plain', created)))?.message.includes('password is required'), 'Keys are never stored unencrypted');
+
+    await other.clearIdentity('keystore-alice');
+    assert(other.getPublicKeys() === null && !(await memoryStore.list()).includes('keystore-alice'), 'clearIdentity deletes from the store');
+
+    // Test 2: File store survives a restart
+    console.log('\nTest 2: File key store');
+    const fileIdp = new PigeonIdP({ namespace: 'keystore-test', keyStore: new FileKeyStore({ filePath: storeFile }) });
+    await fileIdp.init();
+    const persisted = await fileIdp.createIdentity('keystore-service', 'service-password');
+    assert((fs.statSync(storeFile).mode & 0o077) === 0, 'Key file is private');
+    assert(!fs.readFileSync(storeFile, 'utf-8').includes(persisted.priv), 'Key file holds no plaintext private key');
+
+    const restarted = new PigeonIdP({ namespace: 'keystore-test', keyStore: new FileKeyStore({ filePath: storeFile }) });
+    await restarted.init();
+    assert((await restarted.loadIdentity('keystore-service', 'service-password')).pub === persisted.pub, 'Identity loaded after a restart');
+
+    const rotated = await restarted.rotateKeys({ alias: 'keystore-service', password: 'service-password' });
+    const afterRotation = await new FileKeyStore({ filePath: storeFile }).load('keystore-service', 'service-password');
+    assert(afterRotation.pub === rotated.pub, 'Rotated keys saved to the store');
+
+    fs.chmodSync(storeFile, 0o644);
+    await new FileKeyStore({ filePath: storeFile }).save('keystore-extra', persisted, 'extra-password');
+    assert((fs.statSync(storeFile).mode & 0o077) === 0, 'Rewritten key file is private again');
+    const leftovers = fs.readdirSync(path.dirname(storeFile)).filter((name) => name.startsWith(`${path.basename(storeFile)}.`));
+    assert(leftovers.length === 0, 'No temp files left behind');
+    fs.rmSync(storeFile, { force: true });
+
+    // Test 3: External store hooks
+    console.log('\nTest 3: External key store');
+    const backend = new Map();
+    const externalStore = new ExternalKeyStore({
+      get: async (alias) => (backend.has(alias) ? JSON.parse(backend.get(alias)) : null),
+      set: async (alias, record) => { backend.set(alias, JSON.stringify(record)); },
+      delete: async (alias) => backend.delete(alias)
+    });
+    const externalIdp = new PigeonIdP({ namespace: 'keystore-test', keyStore: externalStore });
+    await externalIdp.init();
+    const external = await externalIdp.createIdentity('keystore-external', 'external-password');
+    assert(backend.has('keystore-external') && !backend.get('keystore-external').includes(external.priv), 'Hooks receive encrypted records');
+    assert((await externalStore.load('keystore-external', 'external-password')).pub === external.pub, 'Keys loaded through the hooks');
+    assert((await errorOf(() => externalStore.list()))?.message === 'This key store cannot list identities', 'Listing needs a list hook');
+    assert((await errorOf(() => new ExternalKeyStore({ get: async () => null }))) !== null, 'Missing hooks rejected');
+
+    await externalIdp.disconnect();
+    await restarted.disconnect();
+    await fileIdp.disconnect();
+    await other.disconnect();
+    await idp.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    fs.rmSync(storeFile, { force: true });
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
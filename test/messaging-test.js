@@ -0,0 +1,217 @@
+/**
+ * Encrypted direct messaging tests for PigeonIdP
+ */
+
+import { PigeonIdP } from '../index.js';
+import { PigeonIdPPeerAuth } from '../peer-auth.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// Deliver direct mesh messages between IdPs whose meshes have no WebRTC link here
+function connect(...idps) {
+  for (const idp of idps) {
+    idp.mesh.sendDirectMessage = async (peerId, content) => {
+      const target = idps.find((other) => other.mesh.peerId === peerId);
+      target?.mesh.emit('messageReceived', { from: idp.mesh.peerId, content, direct: true });
+      return target ? 'delivered' : null;
+    };
+  }
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP Messaging Tests ===\n');
+
+  try {
+    const alice = new PigeonIdP({ namespace: 'messaging-test', mailboxInterval: 0, successionCacheTtl: 0 });
+    await alice.init();
+    const aliceKeys = await alice.createIdentity('alice');
+
+    const reported = [];
+    const bob = new PigeonIdP({ namespace: 'messaging-test', mailboxInterval: 0, successionCacheTtl: 0, onError: (error) => reported.push(error) });
+    await bob.init();
+    bob.webDHT = alice.webDHT;
+    const bobKeys = await bob.createIdentity('bob');
+    await bob.registerIdentity({ name: 'Bob' });
+
+    const received = [];
+    const unsubscribe = bob.onMessage((message) => received.push(message));
+
+    // Test 1: DHT mailbox
+    console.log('Test 1: Mailbox delivery');
+    const first = await alice.sendEncrypted(bobKeys.pub, { text: 'Hello Bob' });
+    assert(first.delivery === 'mailbox' && first.to === bobKeys.pub, 'Offline recipient gets a mailbox message');
+    const stored = await alice.webDHT.get(`mailbox:${bobKeys.pub}:messaging-test:${aliceKeys.pub}:1`);
+    assert(stored && !JSON.stringify(stored).includes('Hello Bob'), 'Mailbox holds only ciphertext, under the sender\'s key');
+    const pointers = async (recipientPub) => (await alice.readMailboxIndex(recipientPub)).filter(Boolean).map((record) => record.payload);
+    const [pointer] = await pointers(bobKeys.pub);
+    assert(pointer.from === aliceKeys.pub && pointer.last === 1, 'Sender\'s mailbox slot numbers its newest message');
+
+    await alice.sendEncrypted(bobKeys.pub, { text: 'Second' });
+    const delivered = await bob.checkMailbox();
+    assert(delivered.length === 2 && received.length === 2, 'Mailbox messages delivered to the handler');
+    assert(received[0].from === aliceKeys.pub && received[0].payload.text === 'Hello Bob' && received[0].via === 'mailbox', 'Sender and payload verified');
+    assert(received[0].id === first.id && received[1].payload.text === 'Second', 'Messages delivered in order');
+    assert((await bob.checkMailbox()).length === 0 && received.length === 2, 'Messages delivered once');
+
+    assert((await errorOf(() => alice.sendEncrypted(aliceKeys.pub, 'hi')))?.message.startsWith('No registered identity'), 'Unregistered recipient rejected');
+
+    // Test 2: Mesh delivery to authenticated peers
+    console.log('\nTest 2: Mesh delivery');
+    connect(alice, bob);
+    const alicePeers = new PigeonIdPPeerAuth(alice);
+    const bobPeers = new PigeonIdPPeerAuth(bob);
+    alicePeers.start();
+    bobPeers.start();
+    await Promise.all([alicePeers.authenticatePeer(bob.mesh.peerId), bobPeers.authenticatePeer(alice.mesh.peerId)]);
+
+    const direct = await alice.sendEncrypted(bobKeys.pub, { text: 'Over the mesh' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert(direct.delivery === 'mesh' && direct.confirmed === false && first.confirmed === true, 'Connected peer gets the message over the mesh, unconfirmed');
+    assert(received.length === 3 && received[2].via === 'mesh' && received[2].payload.text === 'Over the mesh', 'Mesh message delivered to the handler');
+    assert((await pointers(bobKeys.pub)).every((entry) => entry.last === 2), 'Nothing left in the mailbox');
+
+    // Test 3: Forged messages
+    console.log('\nTest 3: Forged messages');
+    const mallory = new PigeonIdP({ namespace: 'messaging-test', mailboxInterval: 0 });
+    await mallory.init();
+    mallory.webDHT = alice.webDHT;
+    const malloryKeys = await mallory.createIdentity('mallory');
+    const forged = { id: 'forged', from: aliceKeys.pub, to: bobKeys.pub, sent: Date.now(), payload: { text: 'Send money' } };
+    forged.signature = await mallory.sign(JSON.stringify(forged));
+    const sealed = await mallory.encrypt(JSON.stringify(forged), bobKeys);
+    await mallory.putRecord(`mailbox:${bobKeys.pub}:messaging-test:${malloryKeys.pub}:1`, { from: malloryKeys.pub, to: bobKeys.pub, sealed });
+    await mallory.putRecord(`mailbox-index:${bobKeys.pub}:messaging-test:7`, { from: malloryKeys.pub, to: bobKeys.pub, last: 1 });
+    assert((await bob.checkMailbox()).length === 0 && received.length === 3, 'Message with a forged sender ignored');
+    assert(reported.length === 1 && reported[0].message.startsWith('Ignoring mailbox message') &&
+      reported[0].cause?.message === 'Message signature verification failed', 'Ignored message reported through onError');
+    assert((await errorOf(() => bob.receiveMessage(bobKeys.pub, sealed, 'mesh')))?.message === 'Message signature verification failed', 'Forged signature reported');
+
+    const fallback = await mallory.sendEncrypted(bobKeys.pub, 'hi', { peerId: 'not-a-peer' });
+    assert(fallback.delivery === 'mailbox', 'Failed mesh send falls back to the mailbox');
+    const replayed = await alice.webDHT.get(`mailbox:${bobKeys.pub}:messaging-test:${malloryKeys.pub}:2`);
+    assert((await errorOf(() => alice.receiveMessage(aliceKeys.pub, replayed.payload.sealed, 'mesh')))?.message === 'Message could not be decrypted', 'Messages for others cannot be read');
+
+    // Test 4: Rotated recipients and mailbox polling
+    console.log('\nTest 4: Rotation and polling');
+    unsubscribe();
+    assert(bob.messageListener === null, 'Listener removed with the last handler');
+    const bobNext = await bob.rotateKeys();
+    const polling = new PigeonIdP({ namespace: 'messaging-test', mailboxInterval: 0.2 });
+    await polling.init();
+    polling.webDHT = alice.webDHT;
+    polling.addIdentity('bob', bobNext);
+    const polled = new Promise(resolve => polling.onMessage(resolve));
+    const rotated = await alice.sendEncrypted(bobKeys.pub, { text: 'After rotation' });
+    const afterRotation = await polled;
+    assert(rotated.to === bobNext.pub && afterRotation.to === bobNext.pub, 'Message sent to the successor key');
+    assert(afterRotation.payload.text === 'After rotation', 'Mailbox polled while handlers are registered');
+
+    // Test 5: Mailbox slots, gaps, message age and cursors
+    console.log('\nTest 5: Slots, age and cursors');
+    const carol = new PigeonIdP({ namespace: 'messaging-test', mailboxInterval: 0 });
+    await carol.init();
+    carol.webDHT = alice.webDHT;
+    const carolKeys = await carol.createIdentity('carol');
+    await carol.registerIdentity({ name: 'Carol' });
+
+    // Mallory already holds a slot, so the concurrent sends cannot pick the same free one
+    await mallory.sendEncrypted(carolKeys.pub, 'zero');
+    const concurrent = await Promise.all([
+      alice.sendEncrypted(carolKeys.pub, 'one'),
+      mallory.sendEncrypted(carolKeys.pub, 'two'),
+      alice.sendEncrypted(carolKeys.pub, 'three')
+    ]);
+    assert((await carol.checkMailbox()).length === 4, 'Concurrent senders each get their messages through');
+    const senders = await pointers(carolKeys.pub);
+    assert(senders.length === 2 && senders.find((entry) => entry.from === aliceKeys.pub).last === 2, 'One slot per sender');
+
+    assert((await carol.checkMailbox({ clear: true })).length === 0, 'Read messages are not delivered again');
+    assert((await pointers(carolKeys.pub)).length === 0, 'Read slots cleared');
+    const afterClear = await alice.sendEncrypted(carolKeys.pub, 'four');
+    assert((await pointers(carolKeys.pub))[0]?.last === 3 && !concurrent.some((sent) => sent.id === afterClear.id), 'Senders take a slot again and keep numbering');
+
+    for (let slot = 0; slot < 8; slot++) {
+      await mallory.putRecord(`mailbox-index:${carolKeys.pub}:messaging-test:${slot}`, { from: malloryKeys.pub, to: carolKeys.pub, last: 0 });
+    }
+    const dave = new PigeonIdP({ namespace: 'messaging-test', mailboxInterval: 0 });
+    await dave.init();
+    dave.webDHT = alice.webDHT;
+    await dave.createIdentity('dave');
+    assert((await dave.sendEncrypted(carolKeys.pub, 'hello')).delivery === 'mailbox', 'Taken low slots do not block other senders');
+
+    await mallory.sendEncrypted(carolKeys.pub, 'brief', { expiresIn: 1 });
+    await mallory.sendEncrypted(carolKeys.pub, 'after the gap');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const afterGap = await carol.checkMailbox();
+    assert(afterGap.map((message) => message.payload).sort().join() === 'after the gap,four,hello', 'An expired message does not hide later ones');
+    assert((await errorOf(() => alice.sendEncrypted(carolKeys.pub, 'forever', { expiresIn: 30 * 24 * 3600 })))?.message.includes('expire within'),
+      'Mailbox messages cannot outlive the mailbox');
+
+    const old = { id: 'old', from: aliceKeys.pub, to: carolKeys.pub, sent: Date.now() - 8 * 24 * 3600 * 1000, payload: 'stale' };
+    old.signature = await alice.sign(JSON.stringify(old));
+    const sealedOld = await alice.encrypt(JSON.stringify(old), carolKeys);
+    assert((await errorOf(() => carol.receiveMessage(carolKeys.pub, sealedOld, 'mesh')))?.message === 'Message is too old', 'Old messages refused');
+
+    const cursor = carol.getMailboxCursor();
+    assert(Object.keys(cursor).length === 7 && cursor[`${aliceKeys.pub}:${afterClear.id}`] > 0, 'Cursor lists delivered messages');
+    const restarted = new PigeonIdP({ namespace: 'messaging-test', mailboxInterval: 0, mailboxCursor: cursor });
+    await restarted.init();
+    restarted.webDHT = alice.webDHT;
+    restarted.addIdentity('carol', carolKeys);
+    assert((await restarted.checkMailbox()).length === 0, 'Restored cursor skips delivered messages');
+
+    const inFlight = carol.checkMailbox();
+    await carol.disconnect();
+    assert(Array.isArray(await inFlight), 'Check running at disconnect stops quietly');
+
+    await restarted.disconnect();
+    await dave.disconnect();
+    alicePeers.stop();
+    bobPeers.stop();
+    await polling.disconnect();
+    await mallory.disconnect();
+    await bob.disconnect();
+    await alice.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,220 @@
+/**
+ * OpenID Connect tests for PigeonIdP
+ */
+
+import crypto from 'crypto';
+import { PigeonIdP } from '../index.js';
+import {
+  PigeonIdPOIDC,
+  OIDCClientRegistry,
+  jwkFromUnsea,
+  jwkThumbprint,
+  signJwt,
+  verifyJwt
+} from '../oidc.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function asyncErrorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function pkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP OIDC Tests ===\n');
+
+  try {
+    const idp = new PigeonIdP({ namespace: 'oidc-test' });
+    await idp.init();
+    const idpKeys = await idp.createIdentity('oidc-test-idp');
+
+    // Test 1: JWT signing
+    console.log('Test 1: ES256 JWTs');
+    const jwt = signJwt({ sub: 'someone', exp: Math.floor(Date.now() / 1000) + 60 }, idpKeys);
+    const header = JSON.parse(Buffer.from(jwt.split('.')[0], 'base64url').toString());
+    assert(header.alg === 'ES256' && header.kid === jwkThumbprint(jwkFromUnsea(idpKeys.pub)), 'Header names ES256 and the key thumbprint');
+    assert(verifyJwt(jwt, idpKeys.pub).sub === 'someone', 'JWT verifies with the UnSEA public key');
+    assert(verifyJwt(jwt, jwkFromUnsea(idpKeys.pub)).sub === 'someone', 'JWT verifies with the JWK');
+    const [h, , sig] = jwt.split('.');
+    const forged = `${h}.${Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url')}.${sig}`;
+    assert(errorOf(() => verifyJwt(forged, idpKeys.pub)) !== null, 'Tampered payload rejected');
+    const expiredJwt = signJwt({ sub: 'someone', exp: Math.floor(Date.now() / 1000) - 1 }, idpKeys);
+    assert(errorOf(() => verifyJwt(expiredJwt, idpKeys.pub))?.message === 'JWT has expired', 'Expired JWT rejected');
+
+    // Test 2: Client registry
+    console.log('\nTest 2: Client registry');
+    const clients = new OIDCClientRegistry();
+    const spa = clients.register({ clientId: 'spa', name: 'Single Page App', redirectUris: ['https://app.example.org/callback'] });
+    assert(spa.clientId === 'spa' && !spa.confidential && spa.clientSecret === undefined, 'Public client registered without a secret');
+    const backend = clients.register({ name: 'Backend', redirectUris: ['https://backend.example.org/cb'], confidential: true });
+    assert(backend.clientId && backend.clientSecret, 'Confidential client gets a generated ID and secret');
+    assert(clients.get(backend.clientId).secretHash === undefined, 'Secret hash is not exposed');
+    assert(clients.authenticate(backend.clientId, backend.clientSecret) !== null, 'Correct client secret authenticates');
+    assert(clients.authenticate(backend.clientId, 'wrong') === null, 'Wrong client secret rejected');
+    assert(clients.authenticate('spa') !== null, 'Public client authenticates by ID');
+    assert(errorOf(() => clients.register({ redirectUris: [] })) !== null, 'Client without redirect URIs rejected');
+    assert(errorOf(() => clients.register({ redirectUris: ['https://x.example.org/cb#frag'] })) !== null, 'Redirect URI with fragment rejected');
+
+    // Test 3: Discovery and keys
+    console.log('\nTest 3: Discovery and JWKS');
+    const oidc = new PigeonIdPOIDC(idp, { issuer: 'https://idp.example.org/', clients });
+    const discovery = oidc.getDiscoveryDocument();
+    assert(discovery.issuer === 'https://idp.example.org', 'Issuer without trailing slash');
+    assert(discovery.authorization_endpoint === 'https://idp.example.org/authorize', 'Authorization endpoint advertised');
+    assert(discovery.jwks_uri === 'https://idp.example.org/jwks', 'JWKS URI advertised');
+    assert(discovery.code_challenge_methods_supported.includes('S256'), 'PKCE S256 advertised');
+    const jwks = oidc.getJwks();
+    assert(jwks.keys.length === 1 && jwks.keys[0].kid === header.kid && jwks.keys[0].alg === 'ES256', 'JWKS publishes the signing key');
+    const retiredKeys = await idp.createIdentity('oidc-test-retired');
+    idp.useIdentity('oidc-test-idp');
+    const rolloverOidc = new PigeonIdPOIDC(idp, { issuer: 'https://idp.example.org', clients, additionalKeys: () => [retiredKeys.pub] });
+    const rolloverJwks = rolloverOidc.getJwks();
+    assert(rolloverJwks.keys.length === 2 && rolloverJwks.keys[1].x === retiredKeys.pub.split('.')[0], 'JWKS publishes additional keys');
+
+    // Test 4: Authorization request validation
+    console.log('\nTest 4: Authorization request validation');
+    const { verifier, challenge } = pkcePair();
+    const params = {
+      response_type: 'code',
+      client_id: 'spa',
+      redirect_uri: 'https://app.example.org/callback',
+      scope: 'openid profile email',
+      state: 'xyz',
+      nonce: 'n-0S6',
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    };
+    const request = oidc.validateAuthorizationRequest(params);
+    assert(request.client.clientId === 'spa' && request.scopes.join(' ') === 'openid profile email', 'Valid request accepted');
+
+    const unknownClient = errorOf(() => oidc.validateAuthorizationRequest({ ...params, client_id: 'nope' }));
+    assert(unknownClient && !unknownClient.redirectUri, 'Unknown client is not redirected to');
+    const badRedirect = errorOf(() => oidc.validateAuthorizationRequest({ ...params, redirect_uri: 'https://evil.example.org/' }));
+    assert(badRedirect && !badRedirect.redirectUri, 'Unregistered redirect URI is not redirected to');
+    const noOpenid = errorOf(() => oidc.validateAuthorizationRequest({ ...params, scope: 'profile' }));
+    assert(noOpenid?.code === 'invalid_scope' && noOpenid.redirectUri === params.redirect_uri, 'Missing openid scope reported to the client');
+    const noPkce = errorOf(() => oidc.validateAuthorizationRequest({ ...params, code_challenge: undefined }));
+    assert(noPkce?.code === 'invalid_request', 'PKCE is required');
+    const plainPkce = errorOf(() => oidc.validateAuthorizationRequest({ ...params, code_challenge_method: 'plain' }));
+    assert(plainPkce?.code === 'invalid_request', 'Plain PKCE rejected');
+    const implicit = errorOf(() => oidc.validateAuthorizationRequest({ ...params, response_type: 'id_token' }));
+    assert(implicit?.code === 'unsupported_response_type', 'Implicit flow rejected');
+
+    // Test 5: Code flow
+    console.log('\nTest 5: Authorization code flow');
+    const user = new PigeonIdP({ namespace: 'oidc-test' });
+    await user.init();
+    const userKeys = await user.createIdentity('oidc-user');
+    // Publish the profile to the IdP's DHT, as the mesh would
+    user.webDHT = idp.webDHT;
+    await user.registerIdentity({ username: 'dana', name: 'Dana Doe', email: 'dana@example.org', email_verified: true, phone_number: '+100' });
+
+    const code = oidc.createAuthorizationCode(request, userKeys.pub);
+    const redirect = new URL(oidc.buildRedirect(request, { code }));
+    assert(redirect.searchParams.get('code') === code && redirect.searchParams.get('state') === 'xyz', 'Redirect carries code and state');
+    assert(redirect.searchParams.get('iss') === 'https://idp.example.org', 'Redirect carries the issuer');
+
+    const spaClient = clients.authenticate('spa');
+    const wrongVerifier = await asyncErrorOf(() => oidc.exchangeCode({
+      client: spaClient, code: oidc.createAuthorizationCode(request, userKeys.pub),
+      redirectUri: params.redirect_uri, codeVerifier: pkcePair().verifier
+    }));
+    assert(wrongVerifier?.code === 'invalid_grant', 'Wrong PKCE verifier rejected');
+
+    const tokens = await oidc.exchangeCode({ client: spaClient, code, redirectUri: params.redirect_uri, codeVerifier: verifier });
+    assert(tokens.token_type === 'Bearer' && tokens.access_token && tokens.expires_in === 3600, 'Access token issued');
+
+    const idToken = verifyJwt(tokens.id_token, jwks.keys[0]);
+    assert(idToken.sub === userKeys.pub, 'ID token subject is the PigeonIdP public key');
+    assert(idToken.iss === 'https://idp.example.org' && idToken.aud === 'spa', 'ID token issuer and audience');
+    assert(idToken.nonce === 'n-0S6' && idToken.auth_time > 0, 'ID token nonce and auth_time');
+    assert(idToken.name === 'Dana Doe' && idToken.preferred_username === 'dana', 'Profile claims from the registered identity');
+    assert(idToken.email === 'dana@example.org' && idToken.email_verified === true, 'Email claims for the email scope');
+    assert(idToken.phone_number === undefined, 'Claims outside the granted scopes withheld');
+    const digest = crypto.createHash('sha256').update(tokens.access_token).digest();
+    assert(idToken.at_hash === digest.subarray(0, 16).toString('base64url'), 'at_hash matches the access token');
+
+    const userInfo = await oidc.getUserInfo(tokens.access_token);
+    assert(userInfo.sub === userKeys.pub && userInfo.email === 'dana@example.org', 'UserInfo returns the profile claims');
+    assert((await asyncErrorOf(() => oidc.getUserInfo('made-up')))?.code === 'invalid_token', 'Unknown access token rejected');
+
+    // Test 6: Code replay and binding
+    console.log('\nTest 6: Code replay and client binding');
+    const replay = await asyncErrorOf(() => oidc.exchangeCode({ client: spaClient, code, redirectUri: params.redirect_uri, codeVerifier: verifier }));
+    assert(replay?.code === 'invalid_grant', 'Authorization code is single-use');
+    assert((await asyncErrorOf(() => oidc.getUserInfo(tokens.access_token)))?.code === 'invalid_token', 'Replay revokes the issued access token');
+
+    const otherCode = oidc.createAuthorizationCode(request, userKeys.pub);
+    const otherClient = await asyncErrorOf(() => oidc.exchangeCode({
+      client: clients.get(backend.clientId), code: otherCode, redirectUri: params.redirect_uri, codeVerifier: verifier
+    }));
+    assert(otherClient?.code === 'invalid_grant', 'Code issued to another client rejected');
+
+    const redirectCode = oidc.createAuthorizationCode(request, userKeys.pub);
+    const otherRedirect = await asyncErrorOf(() => oidc.exchangeCode({
+      client: spaClient, code: redirectCode, redirectUri: 'https://app.example.org/other', codeVerifier: verifier
+    }));
+    assert(otherRedirect?.code === 'invalid_grant', 'Mismatched redirect_uri rejected');
+
+    const expiringOidc = new PigeonIdPOIDC(idp, { issuer: 'https://idp.example.org', clients, codeLifetime: -1 });
+    const expiredCode = expiringOidc.createAuthorizationCode(request, userKeys.pub);
+    const expired = await asyncErrorOf(() => expiringOidc.exchangeCode({
+      client: spaClient, code: expiredCode, redirectUri: params.redirect_uri, codeVerifier: verifier
+    }));
+    assert(expired?.code === 'invalid_grant', 'Expired code rejected');
+
+    await user.disconnect();
+    await idp.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
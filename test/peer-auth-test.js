@@ -0,0 +1,196 @@
+/**
+ * Mesh peer authentication tests for PigeonIdP
+ */
+
+import { PigeonIdP } from '../index.js';
+import { PigeonIdPPeerAuth, PEER_AUTH_MESSAGE } from '../peer-auth.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// Deliver direct messages between two IdPs whose meshes have no WebRTC link here
+function link(from, to) {
+  from.send = async (peerId, message) => {
+    if (peerId === to.idp.mesh.peerId) {
+      to.idp.mesh.emit('messageReceived', { from: from.idp.mesh.peerId, content: message, direct: true });
+    }
+  };
+}
+
+function nextEvent(auth, event) {
+  return new Promise(resolve => auth.on(event, function handler(data) {
+    auth.off(event, handler);
+    resolve(data);
+  }));
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP Peer Authentication Tests ===\n');
+
+  try {
+    const aliceIdp = new PigeonIdP({ namespace: 'peer-auth-test', successionCacheTtl: 0 });
+    await aliceIdp.init();
+    const aliceKeys = await aliceIdp.createIdentity('alice');
+
+    const bobIdp = new PigeonIdP({ namespace: 'peer-auth-test', successionCacheTtl: 0 });
+    await bobIdp.init();
+    bobIdp.webDHT = aliceIdp.webDHT;
+    const bobKeys = await bobIdp.createIdentity('bob');
+
+    const malloryIdp = new PigeonIdP({ namespace: 'peer-auth-test' });
+    await malloryIdp.init();
+    malloryIdp.webDHT = aliceIdp.webDHT;
+    await malloryIdp.createIdentity('mallory');
+
+    const alicePeer = aliceIdp.mesh.peerId;
+    const bobPeer = bobIdp.mesh.peerId;
+    const malloryPeer = malloryIdp.mesh.peerId;
+
+    // Test 1: Mutual handshake on connect
+    console.log('Test 1: Mutual handshake');
+    const alice = new PigeonIdPPeerAuth(aliceIdp, { timeout: 1 });
+    const bob = new PigeonIdPPeerAuth(bobIdp, { timeout: 1 });
+    link(alice, bob);
+    link(bob, alice);
+    alice.start();
+    bob.start();
+
+    const aliceSees = nextEvent(alice, 'peerAuthenticated');
+    const bobSees = nextEvent(bob, 'peerAuthenticated');
+    aliceIdp.mesh.emit('peerConnected', { peerId: bobPeer });
+    bobIdp.mesh.emit('peerConnected', { peerId: alicePeer });
+    const [bobIdentity, aliceIdentity] = await Promise.all([aliceSees, bobSees]);
+    assert(bobIdentity.peerId === bobPeer && bobIdentity.publicKey === bobKeys.pub, 'Alice verified Bob');
+    assert(aliceIdentity.peerId === alicePeer && aliceIdentity.publicKey === aliceKeys.pub, 'Bob verified Alice');
+    assert(alice.getPeerIdentity(bobPeer).epub === bobKeys.epub, 'Verified identity queried by peer ID');
+    assert(bob.findPeer(aliceKeys.pub) === alicePeer && bob.listPeers().length === 1, 'Peer found by public key');
+    assert(alice.getPeerIdentity(malloryPeer) === null, 'Unknown peers have no identity');
+
+    aliceIdp.mesh.emit('peerDisconnected', { peerId: bobPeer });
+    assert(alice.getPeerIdentity(bobPeer) === null, 'Identity forgotten on disconnect');
+
+    // Test 2: Impersonation
+    console.log('\nTest 2: Impersonation');
+    const mallory = new PigeonIdPPeerAuth(malloryIdp, { timeout: 1 });
+    link(mallory, alice);
+    link(alice, mallory);
+    mallory.start();
+
+    // Mallory claims Alice's key with her own signature
+    mallory.answerChallenge = async (peerId, message) => {
+      const statement = mallory.statement(peerId, malloryPeer, message.nonce, aliceKeys);
+      await mallory.send(peerId, {
+        type: PEER_AUTH_MESSAGE,
+        step: 'response',
+        nonce: message.nonce,
+        publicKey: aliceKeys.pub,
+        epub: aliceKeys.epub,
+        signature: await malloryIdp.sign(statement)
+      });
+    };
+    const impersonation = await errorOf(() => alice.authenticatePeer(malloryPeer));
+    assert(impersonation?.message === 'Invalid challenge signature' && !alice.getPeerIdentity(malloryPeer), 'Signature by another key rejected');
+
+    // Mallory passes Alice's challenge on to Bob and relays his answer
+    let captured = null;
+    bob.send = async (peerId, message) => {
+      captured = message;
+    };
+    mallory.answerChallenge = async (peerId, message) => {
+      await bob.handleMessage(malloryPeer, message);
+      await mallory.send(peerId, captured);
+    };
+    const relay = await errorOf(() => alice.authenticatePeer(malloryPeer));
+    assert(relay?.message === 'Invalid challenge signature', 'Answer signed for another peer rejected');
+
+    // Test 3: Replayed answers
+    console.log('\nTest 3: Replayed answers');
+    const genuine = alice.authenticatePeer(bobPeer);
+    await bob.handleMessage(alicePeer, { type: PEER_AUTH_MESSAGE, step: 'challenge', nonce: alice.pending.get(bobPeer).nonce });
+    const answer = captured;
+    await alice.handleMessage(bobPeer, answer);
+    assert((await genuine).publicKey === bobKeys.pub, 'Answer accepted once');
+
+    const rejected = nextEvent(alice, 'peerRejected');
+    const replay = errorOf(() => alice.authenticatePeer(bobPeer));
+    await alice.handleMessage(bobPeer, answer);
+    const timedOut = await rejected;
+    assert(timedOut.peerId === bobPeer && timedOut.reason === 'Peer did not answer the challenge in time', 'Replayed answer ignored until the challenge times out');
+    assert((await replay)?.message === timedOut.reason && !alice.getPeerIdentity(bobPeer), 'Timed out peer not authenticated');
+
+    // Test 4: Acceptance policy and rotated keys
+    console.log('\nTest 4: Policy');
+    link(bob, alice);
+    const picky = new PigeonIdPPeerAuth(aliceIdp, {
+      accept: async ({ publicKey }) => {
+        if (publicKey !== aliceKeys.pub) {
+          throw new Error('Not on the guest list');
+        }
+        return true;
+      }
+    });
+    link(picky, bob);
+    picky.start();
+    const refused = await errorOf(() => picky.authenticatePeer(bobPeer));
+    assert(refused?.message === 'Not on the guest list', 'Policy rejection reported');
+    picky.stop();
+
+    await bobIdp.rotateKeys();
+    bobIdp.addIdentity('old-bob', bobKeys);
+    link(alice, bob);
+    const rotated = await errorOf(() => alice.authenticatePeer(bobPeer));
+    assert(rotated?.message === 'Peer key has been rotated', 'Rotated key rejected');
+
+    // Test 5: Stopping
+    console.log('\nTest 5: Stop');
+    alice.stop();
+    aliceIdp.mesh.emit('peerConnected', { peerId: bobPeer });
+    assert(alice.pending.size === 0, 'No challenges after stop');
+
+    mallory.stop();
+    bob.stop();
+    await malloryIdp.disconnect();
+    await bobIdp.disconnect();
+    await aliceIdp.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,158 @@
+/**
+ * Social key recovery tests for PigeonIdP
+ */
+
+import { PigeonIdP } from '../index.js';
+import { PigeonIdPRecovery, splitSecret, combineShares } from '../recovery.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function createPeer(alias, webDHT) {
+  const idp = new PigeonIdP({ namespace: 'recovery-test', successionCacheTtl: 0 });
+  await idp.init();
+  if (webDHT) {
+    idp.webDHT = webDHT;
+  }
+  await idp.createIdentity(alias);
+  await idp.registerIdentity({ username: alias });
+  return idp;
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP Recovery Tests ===\n');
+
+  try {
+    // Test 1: Shamir secret sharing
+    console.log('Test 1: Secret sharing');
+    const secret = new TextEncoder().encode('correct horse battery staple');
+    const shares = splitSecret(secret, 5, 3);
+    const same = (bytes) => new TextDecoder().decode(bytes) === 'correct horse battery staple';
+    assert(shares.length === 5 && shares.every((share) => /^\d+:[\w-]+$/.test(share)), 'Five encoded shares created');
+    assert(same(combineShares(shares.slice(0, 3))), 'First three shares rebuild the secret');
+    assert(same(combineShares([shares[4], shares[1], shares[3]])), 'Any three shares rebuild the secret');
+    assert(same(combineShares(shares)), 'All shares rebuild the secret');
+    assert(!same(combineShares(shares.slice(0, 2))), 'Two shares do not rebuild the secret');
+    assert((await errorOf(() => combineShares([shares[0], shares[0]])))?.message === 'Invalid or duplicate shares', 'Duplicate shares rejected');
+    assert((await errorOf(() => splitSecret(secret, 2, 3))) !== null, 'Threshold above share count rejected');
+
+    // Test 2: Setting up guardians
+    console.log('\nTest 2: Recovery setup');
+    const owner = await createPeer('recovery-owner');
+    const guardians = [];
+    for (const name of ['guardian-a', 'guardian-b', 'guardian-c']) {
+      guardians.push(await createPeer(name, owner.webDHT));
+    }
+    const ownerPub = owner.getPublicKeys().pub;
+    const ownerToken = await owner.generateAuthToken({ username: 'recovery-owner' });
+
+    const config = await new PigeonIdPRecovery(owner).setupRecovery({
+      guardians: guardians.map((guardian) => guardian.getPublicKeys().pub),
+      threshold: 2
+    });
+    assert(config.owner === ownerPub && config.threshold === 2 && config.guardians.length === 3, 'Recovery configuration published');
+    assert(!JSON.stringify(config).includes(owner.keys.priv), 'Configuration does not expose the private key');
+    const decrypted = await guardians[0].decrypt(config.guardians[0].share);
+    assert(/^1:/.test(decrypted), 'Guardian can decrypt their share');
+    const pooled = JSON.parse(new TextDecoder().decode(combineShares([decrypted, await guardians[1].decrypt(config.guardians[1].share)])));
+    assert(pooled.pub === config.recoveryKey && pooled.pub !== ownerPub, 'Shares rebuild the recovery key');
+    assert(!pooled.epriv && pooled.priv !== owner.keys.priv, 'Shares do not hold the identity keys');
+    assert(await guardians[0].getRecoveryKey(ownerPub) === config.recoveryKey, 'Recovery key committed by the owner');
+    assert(await errorOf(() => guardians[1].decrypt(config.guardians[0].share)) !== null, 'Other guardians cannot decrypt it');
+    assert((await errorOf(() => new PigeonIdPRecovery(owner).setupRecovery({ guardians: [ownerPub], threshold: 1 })))?.message.includes('own guardian'), 'Owner cannot guard themselves');
+
+    // Test 3: Recovering on a new device
+    console.log('\nTest 3: Recovery request and approvals');
+    const device = await createPeer('recovery-new-device', owner.webDHT);
+    const newKeys = device.getPublicKeys();
+    const deviceRecovery = new PigeonIdPRecovery(device);
+    const request = await deviceRecovery.requestRecovery(ownerPub);
+    assert(request.owner === ownerPub && request.next === newKeys.pub, 'Recovery request published for the new key');
+
+    const outsider = await createPeer('recovery-outsider', owner.webDHT);
+    const outsiderRequest = await new PigeonIdPRecovery(outsider).requestRecovery(ownerPub);
+    const pending = await new PigeonIdPRecovery(guardians[0]).getRecoveryRequest(ownerPub, newKeys.pub);
+    assert(pending?.id === request.id && outsiderRequest.id !== request.id, 'Another request does not replace a pending one');
+    assert((await errorOf(() => new PigeonIdPRecovery(outsider).approveRecovery(ownerPub, newKeys.pub, request.id)))?.message.includes('Not a guardian'), 'Non-guardians cannot approve');
+    assert((await errorOf(() => new PigeonIdPRecovery(guardians[0]).approveRecovery(ownerPub, newKeys.pub, 'stale')))?.message.includes('not found'), 'Approval must name the current request');
+
+    await new PigeonIdPRecovery(guardians[0]).approveRecovery(ownerPub, newKeys.pub, request.id);
+    const tooFew = await errorOf(() => deviceRecovery.completeRecovery(ownerPub));
+    assert(tooFew?.message === 'Recovery needs 2 guardian approvals, 1 received', 'One approval is not enough');
+
+    await owner.webDHT.put(`recovery-approval:${ownerPub}:${guardians[1].getPublicKeys().pub}:recovery-test`, {
+      owner: ownerPub, guardian: guardians[1].getPublicKeys().pub, request: request.id, next: newKeys.pub, share: 'forged', approved: Date.now(), signature: 'forged'
+    });
+    assert((await deviceRecovery.getRecoveryApprovals(ownerPub, newKeys.pub)).approvals.length === 1, 'Unsigned approvals ignored');
+
+    assert((await errorOf(() => new PigeonIdPRecovery(outsider).completeRecovery(ownerPub)))?.message.includes('Recovery needs 2'), 'Approvals for another request do not count');
+    const wrongKey = await errorOf(() => outsider.rotateKeys({ recoverFrom: ownerPub, recoveryKeys: outsider.keys }));
+    assert(wrongKey?.message === 'Recovery key is not the one committed by the identity', 'Only the committed recovery key can rotate the identity');
+
+    await new PigeonIdPRecovery(guardians[2]).approveRecovery(ownerPub, newKeys.pub, request.id);
+    const recoveredKeys = await deviceRecovery.completeRecovery(ownerPub, { alias: 'recovery-owner' });
+    assert(recoveredKeys.pub === newKeys.pub && device.getPublicKeys().pub === newKeys.pub, 'Device keeps its new keypair');
+    assert(device.getPublicKeys('recovery-owner').pub === newKeys.pub &&
+      device.listIdentities().every((entry) => entry.pub !== ownerPub), 'Alias names the new keypair and the lost keys never enter the wallet');
+
+    // Test 4: The identity moved to the new key
+    console.log('\nTest 4: Rotation after recovery');
+    const relying = await createPeer('recovery-relying', owner.webDHT);
+    const identity = await relying.lookupIdentity(ownerPub);
+    assert(identity.pub === newKeys.pub && identity.previousKeys[0] === ownerPub, 'Old key resolves to the recovered key');
+    assert(identity.profile.username === 'recovery-owner', 'Profile carried over');
+    assert((await relying.verifyAuthToken(ownerToken)).error === 'Issuer key has been rotated', 'Tokens from the lost key rejected');
+    assert((await relying.verifyAuthToken(await device.generateAuthToken({}))).valid, 'Tokens from the recovered key accepted');
+    assert((await errorOf(() => owner.rotateKeys()))?.message === 'This key has already been rotated', 'Lost key can no longer rotate');
+    const recoveryKey = await relying.getRecoveryKey(ownerPub);
+    assert((await relying.getRecord(`succession:${ownerPub}:recovery-test`)).signer === recoveryKey, 'Succession signed by the recovery key');
+
+    await relying.disconnect();
+    await outsider.disconnect();
+    await device.disconnect();
+    for (const guardian of guardians) {
+      await guardian.disconnect();
+    }
+    await owner.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
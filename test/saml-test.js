@@ -0,0 +1,369 @@
+/**
+ * SAML tests for PigeonIdP
+ */
+
+import crypto from 'crypto';
+import { PigeonIdP } from '../index.js';
+import {
+  PigeonIdPSAML,
+  parseAuthnRequest,
+  parseLogoutRequest,
+  parseLogoutResponse,
+  generateLogoutRequest,
+  generateLogoutResponse,
+  decodeSAMLRequest,
+  encodeSAMLRedirect,
+  verifySAMLMessageSignature,
+  BINDING_HTTP_REDIRECT,
+  STATUS_PARTIAL_LOGOUT
+} from '../saml.js';
+import { verifyXmlSignature, publicKeyFromUnsea } from '../xmldsig.js';
+import { createSelfSignedCertificate, certificateToBase64 } from '../x509.js';
+import { ServiceProviderRegistry } from '../sp-registry.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+const AUTHN_REQUEST = `<?xml version="1.0" encoding="UTF-8"?>
+<samlp:AuthnRequest xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol"
+                    xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion"
+                    ID="_abc123"
+                    Version="2.0"
+                    IssueInstant="2025-01-01T00:00:00Z"
+                    Destination="https://idp.example.com/saml/sso"
+                    AssertionConsumerServiceURL="https://sp.example.org/acs"
+                    ProtocolBinding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST"
+                    ForceAuthn="true">
+  <saml:Issuer>https://sp.example.org</saml:Issuer>
+  <samlp:NameIDPolicy Format="urn:oasis:names:tc:SAML:2.0:nameid-format:persistent" AllowCreate="true"/>
+</samlp:AuthnRequest>`;
+
+const SP_METADATA = `<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" entityID="https://sp.example.org">
+  <md:SPSSODescriptor WantAssertionsSigned="true" protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
+    <md:NameIDFormat>urn:oasis:names:tc:SAML:2.0:nameid-format:persistent</md:NameIDFormat>
+    <md:AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Artifact" Location="https://sp.example.org/artifact" index="0"/>
+    <md:SingleLogoutService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="https://sp.example.org/slo"/>
+    <md:AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="https://sp.example.org/acs" index="1" isDefault="true"/>
+  </md:SPSSODescriptor>
+</md:EntityDescriptor>`;
+
+async function runTests() {
+  console.log('=== Running PigeonIdP SAML Tests ===\n');
+
+  try {
+    // Test 1: Parse AuthnRequest
+    console.log('Test 1: Parse AuthnRequest');
+    const parsed = parseAuthnRequest(AUTHN_REQUEST);
+    assert(parsed.id === '_abc123', 'Request ID parsed');
+    assert(parsed.issuer === 'https://sp.example.org', 'Issuer parsed');
+    assert(parsed.assertionConsumerServiceURL === 'https://sp.example.org/acs', 'ACS URL parsed');
+    assert(parsed.protocolBinding === 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST', 'Protocol binding parsed');
+    assert(parsed.nameIdPolicy.format === 'urn:oasis:names:tc:SAML:2.0:nameid-format:persistent', 'NameIDPolicy format parsed');
+    assert(parsed.nameIdPolicy.allowCreate === true, 'NameIDPolicy AllowCreate parsed');
+    assert(parsed.forceAuthn === true, 'ForceAuthn parsed');
+    assert(parsed.isPassive === false, 'IsPassive defaults to false');
+
+    // Test 2: Decode both bindings
+    console.log('\nTest 2: Decode HTTP-Redirect and HTTP-POST encodings');
+    const redirectEncoded = encodeSAMLRedirect(AUTHN_REQUEST);
+    const postEncoded = Buffer.from(AUTHN_REQUEST).toString('base64');
+    assert(decodeSAMLRequest(redirectEncoded) === AUTHN_REQUEST, 'Deflated request decoded');
+    assert(decodeSAMLRequest(postEncoded) === AUTHN_REQUEST, 'Plain base64 request decoded');
+
+    // Test 3: Reject invalid requests
+    console.log('\nTest 3: Reject invalid requests');
+    assert(throws(() => parseAuthnRequest('<foo/>')), 'Wrong root element rejected');
+    assert(throws(() => parseAuthnRequest('<!DOCTYPE x [<!ENTITY a "b">]>' + AUTHN_REQUEST)), 'DOCTYPE rejected');
+    assert(throws(() => parseAuthnRequest(AUTHN_REQUEST.replace('ID="_abc123"', ''))), 'Missing ID rejected');
+
+    // Test 4: Generate response for a parsed request
+    console.log('\nTest 4: Generate response for a parsed request');
+    const idp = new PigeonIdP({ namespace: 'saml-test' });
+    await idp.init();
+    await idp.createIdentity('saml-test-idp');
+
+    const saml = new PigeonIdPSAML(idp, {
+      entityId: 'https://idp.example.com',
+      ssoUrl: 'https://idp.example.com/saml/sso'
+    });
+
+    const authnRequest = saml.parseRequest(redirectEncoded);
+    const encodedResponse = await saml.generateResponse(
+      { id: 'alice', attributes: { email: 'alice@example.org' } },
+      authnRequest.assertionConsumerServiceURL,
+      authnRequest.issuer,
+      authnRequest.id,
+      { nameIdFormat: authnRequest.nameIdPolicy.format }
+    );
+    const response = Buffer.from(encodedResponse, 'base64').toString('utf-8');
+    assert(response.includes('Destination="https://sp.example.org/acs"'), 'Response destination from request');
+    assert(response.includes('InResponseTo="_abc123"'), 'Response InResponseTo from request');
+    assert(response.includes('<saml:Audience>https://sp.example.org</saml:Audience>'), 'Audience from request issuer');
+    assert(response.includes('nameid-format:persistent'), 'Requested NameID format used');
+
+    // Test 5: Reject unsupported response bindings
+    console.log('\nTest 5: Reject unsupported response bindings');
+    const artifactRequest = encodeSAMLRedirect(
+      AUTHN_REQUEST.replace('bindings:HTTP-POST', 'bindings:HTTP-Artifact')
+    );
+    assert(throws(() => saml.parseRequest(artifactRequest)), 'HTTP-Artifact binding rejected');
+
+    // Test 6: Enveloped ECDSA signature on the assertion
+    console.log('\nTest 6: Enveloped ECDSA signature on the assertion');
+    const { assertion, assertionId } = await saml.generateAssertion(
+      { id: 'alice' },
+      'https://sp.example.org/acs',
+      'https://sp.example.org'
+    );
+    const idpPublicKey = publicKeyFromUnsea(idp.getPublicKeys().pub);
+    assert(assertion.includes('<ds:Signature'), 'Assertion contains ds:Signature');
+    assert(assertion.includes('xmldsig-more#ecdsa-sha256'), 'ECDSA-SHA256 signature method');
+    assert(assertion.includes(`URI="#${assertionId}"`), 'Reference points to assertion ID');
+    assert(/<\/saml:Issuer><ds:Signature/.test(assertion), 'Signature follows Issuer');
+    assert(verifyXmlSignature(assertion, { referenceId: assertionId, publicKey: idpPublicKey }), 'Assertion signature verifies');
+    const tampered = assertion.replace('>alice<', '>mallory<');
+    assert(!verifyXmlSignature(tampered, { referenceId: assertionId, publicKey: idpPublicKey }), 'Tampered assertion rejected');
+
+    // Test 7: Signature survives embedding in a signed Response
+    console.log('\nTest 7: Signed Response with signed assertion');
+    const signingSaml = new PigeonIdPSAML(idp, {
+      entityId: 'https://idp.example.com',
+      ssoUrl: 'https://idp.example.com/saml/sso',
+      signResponse: true
+    });
+    const signedResponse = Buffer.from(
+      await signingSaml.generateResponse({ id: 'alice' }, 'https://sp.example.org/acs', 'https://sp.example.org', '_abc123'),
+      'base64'
+    ).toString('utf-8');
+    const responseId = signedResponse.match(/<samlp:Response[^>]*ID="([^"]+)"/)[1];
+    const embeddedAssertionId = signedResponse.match(/<saml:Assertion[^>]*ID="([^"]+)"/)[1];
+    assert(verifyXmlSignature(signedResponse, { referenceId: responseId, publicKey: idpPublicKey }), 'Response signature verifies');
+    assert(verifyXmlSignature(signedResponse, { referenceId: embeddedAssertionId, publicKey: idpPublicKey }), 'Embedded assertion signature verifies');
+
+    // Test 8: RSA-SHA256 with a configured key
+    console.log('\nTest 8: RSA-SHA256 with a configured key');
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const rsaSaml = new PigeonIdPSAML(idp, {
+      entityId: 'https://idp.example.com',
+      ssoUrl: 'https://idp.example.com/saml/sso',
+      signatureAlgorithm: 'rsa-sha256',
+      privateKey: rsa.privateKey.export({ type: 'pkcs8', format: 'pem' })
+    });
+    const rsaResult = await rsaSaml.generateAssertion({ id: 'alice' }, 'https://sp.example.org/acs', 'https://sp.example.org');
+    assert(rsaResult.assertion.includes('xmldsig-more#rsa-sha256'), 'RSA-SHA256 signature method');
+    assert(verifyXmlSignature(rsaResult.assertion, { referenceId: rsaResult.assertionId, publicKey: rsa.publicKey }), 'RSA assertion signature verifies');
+    const rsaWithoutKey = new PigeonIdPSAML(idp, { entityId: 'x', ssoUrl: 'y', signatureAlgorithm: 'rsa-sha256' });
+    assert(throws(() => rsaWithoutKey.getSigningKey()), 'RSA signing without a key rejected');
+
+    // Test 9: Signing certificate in metadata
+    console.log('\nTest 9: Signing certificate in metadata');
+    const certificatePem = saml.getCertificate();
+    const certificate = new crypto.X509Certificate(certificatePem);
+    assert(certificate.verify(idpPublicKey), 'Certificate is self-signed by the IdP key');
+    assert(certificate.publicKey.equals(idpPublicKey), 'Certificate binds the IdP signing key');
+    assert(certificate.subject.includes('CN=idp.example.com'), 'Default subject uses entity ID hostname');
+    assert(saml.getCertificate() === certificatePem, 'Certificate is cached');
+    const metadata = saml.getMetadata();
+    const metadataCert = metadata.match(/<ds:X509Certificate>([^<]+)<\/ds:X509Certificate>/)[1];
+    assert(new crypto.X509Certificate(Buffer.from(metadataCert, 'base64')).fingerprint256 === certificate.fingerprint256, 'Metadata contains the certificate');
+    assert(assertion.includes('<ds:X509Certificate>'), 'Signature KeyInfo contains the certificate');
+
+    // Test 10: Certificate subject, validity and rotation
+    console.log('\nTest 10: Certificate subject, validity and rotation');
+    const customSaml = new PigeonIdPSAML(idp, {
+      entityId: 'https://idp.example.com',
+      ssoUrl: 'https://idp.example.com/saml/sso',
+      certificateSubject: { commonName: 'PigeonIdP Signing', organizationName: 'Example Org' },
+      certificateValidityDays: 10,
+      certificateRenewDays: 5
+    });
+    const customCert = new crypto.X509Certificate(customSaml.getCertificate());
+    assert(customCert.subject.includes('CN=PigeonIdP Signing'), 'Custom subject used');
+    const validDays = (new Date(customCert.validTo) - new Date(customCert.validFrom)) / 86400000;
+    assert(Math.round(validDays) === 10, 'Custom validity used');
+    const rotated = customSaml.rotateCertificate();
+    assert(new crypto.X509Certificate(rotated).serialNumber !== customCert.serialNumber, 'Rotation issues a new certificate');
+    const foreignCert = createSelfSignedCertificate({ privateKey: rsa.privateKey });
+    const mismatchedSaml = new PigeonIdPSAML(idp, { entityId: 'x', ssoUrl: 'y', certificate: foreignCert });
+    assert(throws(() => mismatchedSaml.getCertificate()), 'Mismatched configured certificate rejected');
+
+    // Test 11: Service provider registry
+    console.log('\nTest 11: Service provider registry');
+    const registry = new ServiceProviderRegistry();
+    const registered = registry.importMetadata(SP_METADATA, { attributes: ['email'] });
+    assert(registered.acsUrls.length === 1 && registered.acsUrls[0].url === 'https://sp.example.org/acs', 'Only HTTP-POST ACS imported');
+    assert(registered.nameIdFormat === 'urn:oasis:names:tc:SAML:2.0:nameid-format:persistent', 'NameID format imported');
+    const authorization = registry.authorize(parsed);
+    assert(authorization.acsUrl === 'https://sp.example.org/acs', 'Registered ACS URL accepted');
+    assert(authorization.responseOptions.signAssertion === true, 'Per-SP signing policy applied');
+    assert(throws(() => registry.authorize({ ...parsed, issuer: 'https://evil.example' })), 'Unknown SP rejected');
+    assert(throws(() => registry.authorize({ ...parsed, assertionConsumerServiceURL: 'https://evil.example/acs' })), 'Unregistered ACS URL rejected');
+    assert(throws(() => registry.authorize({ ...parsed, nameIdPolicy: { format: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress' } })), 'Disallowed NameID format rejected');
+    assert(registry.authorize({ ...parsed, assertionConsumerServiceURL: null }).acsUrl === 'https://sp.example.org/acs', 'Default ACS URL used when none requested');
+    const released = registry.filterAttributes(registered, { email: 'alice@example.org', roles: ['admin'] });
+    assert(released.email === 'alice@example.org' && released.roles === undefined, 'Attribute release policy applied');
+    assert(throws(() => registry.register({ entityId: 'https://sp2.example.org', acsUrls: ['javascript:alert(1)'] })), 'Non-HTTP ACS URL rejected');
+    assert(throws(() => registry.register({ entityId: 'https://sp2.example.org', acsUrls: ['https://sp2.example.org/acs'], signAssertion: false })), 'Unsigned SP configuration rejected');
+    assert(registered.singleLogoutService.url === 'https://sp.example.org/slo', 'SLO endpoint imported');
+    assert(registry.remove('https://sp.example.org') && registry.get('https://sp.example.org') === null, 'Service provider removed');
+
+    // Test 12: LogoutRequest and LogoutResponse messages
+    console.log('\nTest 12: LogoutRequest and LogoutResponse messages');
+    const logoutRequest = parseLogoutRequest(generateLogoutRequest({
+      issuer: 'https://sp.example.org',
+      destination: 'https://idp.example.com/saml/slo',
+      nameId: 'alice',
+      sessionIndex: '_session1'
+    }));
+    assert(logoutRequest.issuer === 'https://sp.example.org', 'LogoutRequest issuer parsed');
+    assert(logoutRequest.nameId === 'alice', 'LogoutRequest NameID parsed');
+    assert(logoutRequest.sessionIndexes[0] === '_session1', 'LogoutRequest SessionIndex parsed');
+    const logoutResponse = parseLogoutResponse(generateLogoutResponse({
+      issuer: 'https://idp.example.com',
+      destination: 'https://sp.example.org/slo',
+      inResponseTo: logoutRequest.id,
+      statusCode: STATUS_PARTIAL_LOGOUT
+    }));
+    assert(logoutResponse.inResponseTo === logoutRequest.id, 'LogoutResponse InResponseTo parsed');
+    assert(logoutResponse.success === false && logoutResponse.statusCode === STATUS_PARTIAL_LOGOUT, 'LogoutResponse status parsed');
+    assert(throws(() => parseLogoutRequest(AUTHN_REQUEST)), 'AuthnRequest is not a LogoutRequest');
+
+    // Test 13: Single Logout sessions and bindings
+    console.log('\nTest 13: Single Logout sessions and bindings');
+    const sloSaml = new PigeonIdPSAML(idp, {
+      entityId: 'https://idp.example.com',
+      ssoUrl: 'https://idp.example.com/saml/sso',
+      sloUrl: 'https://idp.example.com/saml/slo'
+    });
+    assert(/<md:SingleLogoutService[^>]*HTTP-Redirect[^>]*Location="https:\/\/idp.example.com\/saml\/slo"/.test(sloSaml.getMetadata()), 'Metadata advertises SLO endpoint');
+    const rolloverSaml = new PigeonIdPSAML(idp, {
+      entityId: 'https://idp.example.com',
+      ssoUrl: 'https://idp.example.com/saml/sso',
+      additionalCertificates: () => [customSaml.getCertificate()]
+    });
+    const rolloverCerts = rolloverSaml.getMetadata().match(/<ds:X509Certificate>[^<]+<\/ds:X509Certificate>/g);
+    assert(rolloverCerts.length === 2 && rolloverCerts[1].includes(certificateToBase64(customSaml.getCertificate())), 'Metadata publishes additional certificates');
+    await sloSaml.generateResponse({ id: 'alice' }, 'https://sp.example.org/acs', 'https://sp.example.org', '_abc123', { sessionId: 'session-1' });
+    await sloSaml.generateResponse({ id: 'alice' }, 'https://sp2.example.org/acs', 'https://sp2.example.org', '_def456', { sessionId: 'session-1' });
+    const session = sloSaml.getSession('session-1');
+    assert(session.participants.length === 2, 'Both SPs recorded in the session');
+    const participant = session.participants[0];
+    assert(sloSaml.findSession({ issuer: 'https://sp.example.org', nameId: 'alice', sessionIndexes: [participant.sessionIndex] }) === session, 'Session found from LogoutRequest');
+    assert(sloSaml.findSession({ issuer: 'https://sp.example.org', nameId: 'alice', sessionIndexes: ['_other'] }) === null, 'Unknown SessionIndex matches no session');
+    assert(sloSaml.findSession({ issuer: 'https://sp.example.org', nameId: 'alice', sessionIndexes: [] }, 'session-1') === session, 'Session found within the browser session');
+    assert(sloSaml.findSession({ issuer: 'https://sp.example.org', nameId: 'alice', sessionIndexes: [] }, 'session-2') === null, 'Other browser sessions are not matched');
+    assert(typeof session.csrfToken === 'string' && session.csrfToken.length >= 32, 'Session has a CSRF token for logout forms');
+    const logout = sloSaml.beginLogout(session, { entityId: 'https://sp.example.org', requestId: '_req', relayState: '' });
+    assert(logout.remaining.length === 1 && logout.remaining[0].entityId === 'https://sp2.example.org', 'Logout fans out to the other SPs');
+
+    const idpCertificate = sloSaml.getCertificate();
+    const postMessage = sloSaml.createLogoutRequest(participant, { url: 'https://sp.example.org/slo' });
+    const postXml = Buffer.from(postMessage.html.match(/name="SAMLRequest" value="([^"]+)"/)[1], 'base64').toString('utf-8');
+    assert(verifySAMLMessageSignature({ xml: postXml, messageId: postMessage.id, certificate: idpCertificate }), 'POST LogoutRequest signature verifies');
+    assert(parseLogoutRequest(postXml).sessionIndexes[0] === participant.sessionIndex, 'LogoutRequest carries the SP session index');
+
+    const redirectMessage = sloSaml.createLogoutRequest(participant, { url: 'https://sp.example.org/slo', binding: BINDING_HTTP_REDIRECT }, 'state');
+    const rawQuery = redirectMessage.url.split('?')[1];
+    const redirectXml = decodeSAMLRequest(decodeURIComponent(rawQuery.match(/SAMLRequest=([^&]+)/)[1]));
+    assert(verifySAMLMessageSignature({ xml: redirectXml, messageId: redirectMessage.id, rawQuery, certificate: idpCertificate }), 'Redirect LogoutRequest query signature verifies');
+    assert(!verifySAMLMessageSignature({ xml: redirectXml, messageId: redirectMessage.id, rawQuery: rawQuery.replace('RelayState=state', 'RelayState=evil'), certificate: idpCertificate }), 'Tampered redirect query rejected');
+    const forgedXml = generateLogoutRequest({ issuer: 'https://sp.example.org', destination: 'https://idp.example.com/saml/slo', nameId: 'bob' });
+    assert(!verifySAMLMessageSignature({ xml: forgedXml, messageId: parseLogoutRequest(forgedXml).id, rawQuery, certificate: idpCertificate }), 'Query signature of another message rejected');
+    const rsaQuery = `SAMLRequest=${encodeURIComponent(encodeSAMLRedirect(redirectXml))}&SigAlg=${encodeURIComponent('http://www.w3.org/2001/04/xmldsig-more#rsa-sha256')}`;
+    const rsaSignature = crypto.sign('sha256', Buffer.from(rsaQuery), { key: sloSaml.getSigningKey(), dsaEncoding: 'ieee-p1363' }).toString('base64');
+    assert(!verifySAMLMessageSignature({ xml: redirectXml, messageId: redirectMessage.id, rawQuery: `${rsaQuery}&Signature=${encodeURIComponent(rsaSignature)}`, certificate: idpCertificate }), 'SigAlg not matching the certificate key rejected');
+
+    const unsignedRequest = Buffer.from(generateLogoutRequest({ issuer: 'https://sp.example.org', destination: 'https://idp.example.com/saml/slo', nameId: 'alice' })).toString('base64');
+    assert(throws(() => sloSaml.parseLogoutRequest(unsignedRequest, { getCertificate: () => idpCertificate })), 'Unsigned LogoutRequest rejected when SP certificate is known');
+    const unsignedLogout = sloSaml.parseLogoutRequest(unsignedRequest);
+    assert(unsignedLogout.nameId === 'alice' && unsignedLogout.signed === false, 'Unsigned LogoutRequest parsed as unsigned without SP certificate');
+    assert(sloSaml.parseLogoutRequest(postMessage.html.match(/name="SAMLRequest" value="([^"]+)"/)[1], { getCertificate: () => idpCertificate }).signed === true, 'Signed LogoutRequest marked as signed');
+    assert(sloSaml.endSession('session-1') && sloSaml.getSession('session-1') === null, 'Session ended');
+
+    // Test 14: IdP-initiated (unsolicited) SSO
+    console.log('\nTest 14: IdP-initiated (unsolicited) SSO');
+    registry.register({ entityId: 'https://portal-app.example.org', acsUrls: ['https://portal-app.example.org/acs'] });
+    registry.register({ entityId: 'https://strict.example.org', acsUrls: ['https://strict.example.org/acs'], allowIdpInitiated: false });
+    const unsolicited = registry.authorizeUnsolicited('https://portal-app.example.org');
+    assert(unsolicited.acsUrl === 'https://portal-app.example.org/acs', 'Default ACS URL used for unsolicited response');
+    assert(throws(() => registry.authorizeUnsolicited('https://strict.example.org')), 'IdP-initiated SSO can be disabled per SP');
+    assert(throws(() => registry.authorizeUnsolicited('https://unknown.example.org')), 'IdP-initiated SSO to unknown SP rejected');
+    const unsolicitedResponse = Buffer.from(
+      await saml.generateResponse({ id: 'alice' }, unsolicited.acsUrl, unsolicited.sp.entityId, null, unsolicited.responseOptions),
+      'base64'
+    ).toString('utf-8');
+    assert(!unsolicitedResponse.includes('InResponseTo'), 'Unsolicited response has no InResponseTo');
+    const unsolicitedAssertionId = unsolicitedResponse.match(/<saml:Assertion[^>]*ID="([^"]+)"/)[1];
+    assert(verifyXmlSignature(unsolicitedResponse, { referenceId: unsolicitedAssertionId, publicKey: idpPublicKey }), 'Unsolicited assertion signature verifies');
+
+    // Test 15: AuthnInstant records the login time
+    console.log('\nTest 15: AuthnInstant records the login time');
+    const authnInstant = new Date(Date.now() - 5000).toISOString();
+    const loginResponse = Buffer.from(
+      await saml.generateResponse({ id: 'alice' }, unsolicited.acsUrl, unsolicited.sp.entityId, '_abc123', { ...unsolicited.responseOptions, authnInstant }),
+      'base64'
+    ).toString('utf-8');
+    assert(loginResponse.includes(`AuthnInstant="${authnInstant}"`), 'AuthnStatement carries the login time');
+    assert(!unsolicitedResponse.includes(`AuthnInstant="${authnInstant}"`), 'AuthnInstant defaults to the issue time');
+
+    // Test 16: Signed AuthnRequests
+    console.log('\nTest 16: Signed AuthnRequests');
+    const spCertificate = sloSaml.getCertificate();
+    assert(throws(() => registry.register({ entityId: 'https://signing.example.org', acsUrls: ['https://signing.example.org/acs'], authnRequestsSigned: true })), 'AuthnRequestsSigned requires a certificate');
+    const signingSp = registry.register({ entityId: 'https://signing.example.org', acsUrls: ['https://signing.example.org/acs'], certificate: spCertificate, authnRequestsSigned: true });
+    assert(signingSp.authnRequestsSigned === true, 'AuthnRequestsSigned stored');
+    const requireSigned = { getCertificate: () => spCertificate };
+    assert(throws(() => saml.parseRequest(encodeSAMLRedirect(AUTHN_REQUEST), requireSigned)), 'Unsigned AuthnRequest rejected when the SP signs requests');
+    const signedAuthnRequest = Buffer.from(sloSaml.signDocument(AUTHN_REQUEST, '_abc123')).toString('base64');
+    assert(saml.parseRequest(signedAuthnRequest, requireSigned).signed === true, 'Enveloped AuthnRequest signature verified');
+    const authnQuery = `SAMLRequest=${encodeURIComponent(encodeSAMLRedirect(AUTHN_REQUEST))}&SigAlg=${encodeURIComponent('http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha256')}`;
+    const authnQuerySignature = crypto.sign('sha256', Buffer.from(authnQuery), { key: sloSaml.getSigningKey(), dsaEncoding: 'ieee-p1363' }).toString('base64');
+    const signedQuery = `${authnQuery}&Signature=${encodeURIComponent(authnQuerySignature)}`;
+    assert(saml.parseRequest(encodeSAMLRedirect(AUTHN_REQUEST), { ...requireSigned, rawQuery: signedQuery }).signed === true, 'Redirect AuthnRequest query signature verified');
+    const otherRequest = encodeSAMLRedirect(AUTHN_REQUEST.replace('_abc123', '_forged'));
+    assert(throws(() => saml.parseRequest(otherRequest, { ...requireSigned, rawQuery: signedQuery })), 'Query signature of another AuthnRequest rejected');
+    assert(saml.parseRequest(encodeSAMLRedirect(AUTHN_REQUEST)).signed === false, 'AuthnRequest without a required signature parsed as unsigned');
+
+    await idp.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
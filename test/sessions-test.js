@@ -0,0 +1,169 @@
+/**
+ * Session and refresh token tests for PigeonIdP
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PigeonIdP } from '../index.js';
+import { SessionManager, MemorySessionStore, FileSessionStore } from '../sessions.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP Session Tests ===\n');
+
+  const storeFile = path.join(os.tmpdir(), `pigeonidp-sessions-${process.pid}.json`);
+
+  try {
+    const issuer = new PigeonIdP({ namespace: 'sessions-test' });
+    await issuer.init();
+    const issuerKeys = await issuer.createIdentity('sessions-issuer');
+
+    const user = new PigeonIdP({ namespace: 'sessions-test' });
+    await user.init();
+    const userKeys = await user.createIdentity('sessions-user');
+
+    const other = new PigeonIdP({ namespace: 'sessions-test' });
+    await other.init();
+    await other.createIdentity('sessions-other');
+
+    const sessions = new SessionManager({ idp: issuer, accessTokenLifetime: 600 });
+
+    // Test 1: Creating a session
+    console.log('Test 1: Create session');
+    const started = await sessions.createSession({ subject: userKeys.pub, claims: { username: 'erin' }, metadata: { userAgent: 'test' } });
+    assert(started.sessionId && started.refreshToken.startsWith(`${started.sessionId}.`), 'Session and refresh token issued');
+    assert(typeof started.token === 'string' && started.expiresIn === 600, 'JWS auth token issued');
+    const startedClaims = (await issuer.verifyAuthToken(started.token)).claims;
+    assert(startedClaims.sub === userKeys.pub && startedClaims.sid === started.sessionId, 'Token names the subject and session');
+    assert(startedClaims.iss === issuerKeys.pub && startedClaims.username === 'erin', 'Token issued by the IdP with session claims');
+    assert((await sessions.getActiveSession(startedClaims))?.id === started.sessionId, 'Token maps to the active session');
+
+    // Test 2: Refresh with rotation
+    console.log('\nTest 2: Refresh and rotation');
+    const refreshed = await user.refreshAuthToken(started.refreshToken, { sessionManager: sessions });
+    assert(refreshed.sessionId === started.sessionId, 'Refresh keeps the session');
+    assert(refreshed.refreshToken !== started.refreshToken, 'Refresh token rotated');
+    assert(refreshed.token !== started.token && (await issuer.verifyAuthToken(refreshed.token)).valid, 'New auth token issued');
+
+    const proofByOther = await other.sign(refreshed.refreshToken);
+    const wrongDevice = await errorOf(() => sessions.refresh({ refreshToken: refreshed.refreshToken, proof: proofByOther }));
+    assert(wrongDevice?.message === 'Invalid device proof', 'Refresh signed by another key rejected');
+    const stolen = await errorOf(() => sessions.refresh({ refreshToken: refreshed.refreshToken, proof: undefined }));
+    assert(stolen?.message === 'Invalid device proof', 'Refresh without proof rejected');
+    assert((await errorOf(() => sessions.refresh({ refreshToken: 'nope.nope', proof: 'x' })))?.message === 'Invalid refresh token', 'Unknown refresh token rejected');
+
+    const stolenUsed = await errorOf(() => sessions.refresh({ refreshToken: started.refreshToken, proof: proofByOther }));
+    assert(stolenUsed?.message === 'Invalid device proof' && await sessions.store.get(started.sessionId) !== null, 'Used token without the device key cannot end the session');
+
+    const second = await user.refreshAuthToken(refreshed.refreshToken, { sessionManager: sessions });
+    assert(second.refreshToken !== refreshed.refreshToken, 'Failed attempts do not consume the refresh token');
+
+    // Test 3: Reuse detection
+    console.log('\nTest 3: Reuse detection');
+    const reuse = await errorOf(() => user.refreshAuthToken(started.refreshToken, { sessionManager: sessions }));
+    assert(reuse?.message.includes('reuse'), 'Reused refresh token detected');
+    assert(await sessions.store.get(started.sessionId) === null, 'Reuse terminates the session');
+    assert(await errorOf(() => user.refreshAuthToken(second.refreshToken, { sessionManager: sessions })) !== null, 'Latest refresh token dies with the session');
+    assert((await issuer.verifyAuthToken(second.token)).error === 'Token revoked', 'Session auth tokens revoked');
+
+    const raced = await sessions.createSession({ subject: userKeys.pub });
+    const racing = await Promise.allSettled([
+      user.refreshAuthToken(raced.refreshToken, { sessionManager: sessions }),
+      user.refreshAuthToken(raced.refreshToken, { sessionManager: sessions })
+    ]);
+    assert(racing.filter((result) => result.status === 'fulfilled').length <= 1 &&
+      racing.some((result) => result.reason?.message.includes('reuse')), 'Concurrent refreshes with one token detected as reuse');
+    assert(await sessions.store.get(raced.sessionId) === null, 'Concurrent reuse terminates the session');
+
+    // Test 4: Listing and terminating sessions
+    console.log('\nTest 4: Session management');
+    const laptop = await sessions.createSession({ subject: userKeys.pub, metadata: { userAgent: 'laptop' } });
+    const phone = await sessions.createSession({ subject: userKeys.pub, metadata: { userAgent: 'phone' } });
+    await sessions.createSession({ subject: 'someone-else' });
+    const listed = await sessions.listSessions(userKeys.pub);
+    assert(listed.length === 2 && listed.every((s) => s.refreshTokenHash === undefined), 'Only the user\'s sessions listed, without secrets');
+    assert(listed.some((s) => s.metadata.userAgent === 'phone'), 'Session metadata listed');
+    assert((await sessions.listAllSessions()).length === 3, 'Admin listing includes every session');
+
+    assert(await sessions.terminateSession(phone.sessionId), 'Session terminated');
+    assert((await issuer.verifyAuthToken(phone.token)).error === 'Token revoked', 'Terminated session\'s token revoked');
+    assert((await issuer.verifyAuthToken(laptop.token)).valid, 'Other sessions unaffected');
+    assert(await sessions.terminateAllSessions(userKeys.pub) === 1, 'All remaining sessions terminated');
+    assert((await sessions.listSessions(userKeys.pub)).length === 0, 'No sessions left');
+
+    // Test 5: Device keys and expiry
+    console.log('\nTest 5: Device keys and expiry');
+    const deviceBound = await sessions.createSession({ subject: userKeys.pub, deviceKey: other.getPublicKeys().pub });
+    assert(await errorOf(() => user.refreshAuthToken(deviceBound.refreshToken, { sessionManager: sessions })) !== null, 'Subject key cannot refresh a session bound to another device');
+    let latest = await other.refreshAuthToken(deviceBound.refreshToken, { sessionManager: sessions });
+    assert(latest.token, 'Device key refreshes the session');
+    for (let i = 0; i < 20; i++) {
+      latest = await other.refreshAuthToken(latest.refreshToken, { sessionManager: sessions });
+    }
+    assert((await sessions.store.get(deviceBound.sessionId)).usedRefreshTokenHashes.length === 16, 'Only recent spent refresh tokens are remembered');
+
+    const shortSessions = new SessionManager({ idp: issuer, store: new MemorySessionStore(), refreshTokenLifetime: 1 });
+    const short = await shortSessions.createSession({ subject: userKeys.pub });
+    const stored = await shortSessions.store.get(short.sessionId);
+    stored.expires = Date.now() - 1;
+    assert((await errorOf(() => user.refreshAuthToken(short.refreshToken, { sessionManager: shortSessions })))?.message === 'Session expired', 'Expired session cannot be refreshed');
+
+    // Test 6: File store
+    console.log('\nTest 6: File session store');
+    const fileSessions = new SessionManager({ idp: issuer, store: new FileSessionStore({ filePath: storeFile }) });
+    const persisted = await fileSessions.createSession({ subject: userKeys.pub });
+    const reloaded = new SessionManager({ idp: issuer, store: new FileSessionStore({ filePath: storeFile }) });
+    const afterRestart = await user.refreshAuthToken(persisted.refreshToken, { sessionManager: reloaded });
+    assert(afterRestart.sessionId === persisted.sessionId, 'Sessions survive a restart');
+    assert((fs.statSync(storeFile).mode & 0o077) === 0, 'Session file is private');
+    fs.rmSync(storeFile, { force: true });
+
+    await other.disconnect();
+    await user.disconnect();
+    await issuer.disconnect();
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    fs.rmSync(storeFile, { force: true });
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,137 @@
+/**
+ * Server signing identity tests for PigeonIdP
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PigeonIdP } from '../index.js';
+import { FileKeyStore } from '../keystore.js';
+import { SigningIdentity } from '../signing-identity.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${message}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function boot(options = {}) {
+  const keyStore = options.filePath ? new FileKeyStore({ filePath: options.filePath }) : null;
+  const idp = new PigeonIdP({ namespace: 'signing-identity-test', keyStore, successionCacheTtl: 0 });
+  await idp.init();
+  const signing = new SigningIdentity({ idp, keyStore, password: options.password, jwk: options.jwk });
+  const source = await signing.load();
+  return { idp, signing, source };
+}
+
+async function runTests() {
+  console.log('=== Running PigeonIdP Signing Identity Tests ===\n');
+
+  const keyFile = path.join(os.tmpdir(), `pigeonidp-signing-${process.pid}.json`);
+  const started = [];
+
+  try {
+    // Test 1: Generated on first boot, loaded afterwards
+    console.log('Test 1: Key file');
+    const first = await boot({ filePath: keyFile, password: 'server-secret' });
+    started.push(first.idp);
+    assert(first.source === 'generated' && first.idp.getPublicKeys(), 'Signing key generated on first boot');
+    assert(fs.existsSync(keyFile) && !fs.readFileSync(keyFile, 'utf-8').includes(first.idp.keys.priv), 'Key saved encrypted');
+
+    const second = await boot({ filePath: keyFile, password: 'server-secret' });
+    started.push(second.idp);
+    assert(second.source === 'keystore' && second.idp.getPublicKeys().pub === first.idp.getPublicKeys().pub, 'Same key after a restart');
+    assert((await errorOf(() => boot({ filePath: keyFile })))?.message.includes('password is required'), 'Key file needs a password');
+    assert((await errorOf(() => boot({ filePath: keyFile, password: 'wrong' })))?.message === 'Invalid password for stored keys', 'Wrong password fails startup');
+
+    // Test 2: Rotation with an overlap window
+    console.log('\nTest 2: Rotation');
+    const oldPub = second.idp.getPublicKeys().pub;
+    const oldToken = await second.idp.generateAuthToken({ sub: 'user' });
+    const rotation = await second.signing.rotate({ certificate: 'OLD-CERT' });
+    const newPub = second.idp.getPublicKeys().pub;
+    assert(rotation.previous === oldPub && rotation.current === newPub && newPub !== oldPub, 'New key signs');
+    assert(rotation.retires > Date.now() + 6 * 24 * 3600 * 1000, 'Old key retires after the default overlap');
+    assert(second.signing.isTrusted(oldPub) && second.signing.isTrusted(newPub), 'Both keys trusted during the overlap');
+    assert(second.signing.getRetiredKeys()[0].certificate === 'OLD-CERT', 'Old certificate kept for metadata');
+    assert((await second.idp.verifyAuthToken(oldToken)).valid, 'Tokens from the old key still verify');
+
+    const third = await boot({ filePath: keyFile, password: 'server-secret' });
+    started.push(third.idp);
+    assert(third.idp.getPublicKeys().pub === newPub, 'Rotated key loaded after a restart');
+    assert(third.signing.getRetiredKeys().length === 1 && third.signing.isTrusted(oldPub), 'Overlap survives a restart');
+
+    third.signing.retired[0].retires = Date.now() - 1;
+    assert(!third.signing.isTrusted(oldPub), 'Old key untrusted after the overlap');
+    await third.signing.pruneRetired();
+    assert((await new FileKeyStore({ filePath: keyFile }).load('idp-signing.retired', 'server-secret')).keys.length === 0, 'Expired keys pruned from the key file');
+
+    const immediate = await third.signing.rotate({ overlapSeconds: 0 });
+    assert(immediate.retires === null && third.signing.getRetiredKeys().length === 0, 'Rotation without overlap');
+
+    // Test 3: Compromised keys
+    console.log('\nTest 3: Compromised key');
+    const compromisedPub = third.idp.getPublicKeys().pub;
+    const compromisedToken = await third.idp.generateAuthToken({});
+    const emergency = await third.signing.rotate({ compromised: true });
+    assert(emergency.previous === compromisedPub && emergency.retires === null, 'Compromised key not retired');
+    assert(!third.signing.isTrusted(compromisedPub), 'Compromised key untrusted at once');
+    assert((await third.idp.verifyAuthToken(compromisedToken)).error === 'Issuer key has been rotated', 'Succession published for the compromised key');
+    fs.rmSync(keyFile, { force: true });
+
+    // Test 4: Environment JWK and ephemeral keys
+    console.log('\nTest 4: Environment and ephemeral keys');
+    const exported = JSON.stringify(await third.idp.exportKeys());
+    const fromEnv = await boot({ jwk: exported });
+    started.push(fromEnv.idp);
+    assert(fromEnv.source === 'environment' && fromEnv.idp.getPublicKeys().pub === emergency.current, 'Key imported from the environment');
+    assert((await errorOf(() => fromEnv.signing.rotate()))?.message.includes('environment'), 'Environment keys cannot be rotated by the server');
+    assert((await errorOf(() => boot({ jwk: '{"pub":"x"}' })))?.message.includes('must contain'), 'Incomplete JWK rejected');
+
+    const ephemeral = await boot();
+    started.push(ephemeral.idp);
+    assert(ephemeral.source === 'ephemeral' && ephemeral.idp.getPublicKeys(), 'Ephemeral key without a key store');
+
+    for (const idp of started) {
+      await idp.disconnect();
+    }
+
+    console.log('\n=== Test Summary ===');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}`);
+
+    if (testsFailed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log('\n✗ Some tests failed');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    fs.rmSync(keyFile, { force: true });
+    console.error('\n✗ Test error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
@@ -2,6 +2,7 @@
  * Basic tests for PigeonIdP
  */
 
+import crypto from 'crypto';
 import { PigeonIdP } from '../index.js';
 
 let testsPassed = 0;
@@ -141,9 +142,8 @@ async function runTests() {
     const authResult = await idp.authenticateWithHub('test-hub', {
       username: 'test-user'
     });
-    assert(authResult.success === true, 'Authentication successful');
-    assert(authResult.token !== null, 'Auth token generated');
-    assert(authResult.requestKey !== null, 'Request key generated');
+    assert(authResult.pending === true && !authResult.token, 'Request waits for the hub');
+    assert(authResult.requestKey.startsWith(`auth:test-hub:${keys.pub}:`), 'Request key generated');
 
     // Test 17: Disconnect
     console.log('\nTest 17: Disconnect');
@@ -161,6 +161,356 @@ async function runTests() {
     await idp1.disconnect();
     await idp2.disconnect();
 
+    // Test 19: Compact JWS tokens
+    console.log('\nTest 19: Compact JWS tokens');
+    const jwsIdp = new PigeonIdP({ namespace: 'jws-test' });
+    await jwsIdp.init();
+    const jwsKeys = await jwsIdp.createIdentity('jws-user');
+    const jws = await jwsIdp.generateAuthToken({ username: 'test-user' }, 3600, { format: 'jws' });
+    assert(typeof jws === 'string' && jws.split('.').length === 3, 'Compact JWS generated');
+    const [jwsHeader, jwsPayload, jwsSignature] = jws.split('.');
+    const header = JSON.parse(Buffer.from(jwsHeader, 'base64url').toString());
+    const jwk = await jwsIdp.getPublicJwk();
+    assert(header.alg === 'ES256' && header.typ === 'JWT', 'ES256 JWT header');
+    assert(header.kid === jwk.kid, 'kid is the key thumbprint');
+    const [x, y] = jwsKeys.pub.split('.');
+    const thumbprint = crypto.createHash('sha256')
+      .update(JSON.stringify({ crv: 'P-256', kty: 'EC', x, y }))
+      .digest('base64url');
+    assert(jwk.kid === thumbprint && jwk.x === x && jwk.y === y, 'JWK matches the public key and RFC 7638 thumbprint');
+    const standardValid = crypto.verify(
+      'sha256',
+      Buffer.from(`${jwsHeader}.${jwsPayload}`),
+      { key: crypto.createPublicKey({ key: { kty: 'EC', crv: 'P-256', x, y }, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+      Buffer.from(jwsSignature, 'base64url')
+    );
+    assert(standardValid, 'JWS verifies with a standard ES256 implementation');
+
+    const jwsVerification = await jwsIdp.verifyAuthToken(jws);
+    assert(jwsVerification.valid && jwsVerification.claims.username === 'test-user', 'JWS token verifies');
+    const objectVerification = await jwsIdp.verifyAuthToken(await jwsIdp.generateAuthToken({ username: 'test-user' }));
+    assert(objectVerification.valid, 'Object tokens still verify');
+    const tamperedPayload = Buffer.from(JSON.stringify({ ...jwsVerification.claims, username: 'admin' })).toString('base64url');
+    assert((await jwsIdp.verifyAuthToken(`${jwsHeader}.${tamperedPayload}.${jwsSignature}`)).valid === false, 'Tampered JWS rejected');
+    const expiredJws = await jwsIdp.generateAuthToken({}, -1, { format: 'jws' });
+    assert((await jwsIdp.verifyAuthToken(expiredJws)).error === 'Token expired', 'Expired JWS rejected');
+    assert((await jwsIdp.verifyAuthToken('not-a-token')).valid === false, 'Malformed JWS rejected');
+
+    // Test 20: Token revocation
+    console.log('\nTest 20: Token revocation');
+    const revocable = await jwsIdp.generateAuthToken({ username: 'test-user' });
+    assert(typeof revocable.claims.jti === 'string' && revocable.claims.jti.length > 0, 'Tokens carry a jti');
+    assert(!(await jwsIdp.isRevoked(revocable.claims.jti, jwsKeys.pub)), 'New token is not revoked');
+
+    // A second verifier on the same DHT, caching lists for a minute
+    const verifier = new PigeonIdP({ namespace: 'jws-test' });
+    await verifier.init();
+    verifier.webDHT = jwsIdp.webDHT;
+    assert((await verifier.verifyAuthToken(revocable)).valid, 'Verifier accepts the token before revocation');
+
+    const revocation = await jwsIdp.revokeToken(revocable, { reason: 'logout' });
+    assert(revocation.jti === revocable.claims.jti && revocation.reason === 'logout', 'Revocation entry returned');
+    const revokedResult = await jwsIdp.verifyAuthToken(revocable);
+    assert(!revokedResult.valid && revokedResult.error === 'Token revoked', 'Issuer rejects the revoked token');
+    assert((await verifier.verifyAuthToken(revocable)).valid, 'Verifier uses its cached list until it goes stale');
+    await verifier.refreshRevocations(jwsKeys.pub);
+    assert((await verifier.verifyAuthToken(revocable)).error === 'Token revoked', 'Verifier rejects the token after refreshing');
+
+    const revocableJws = await jwsIdp.generateAuthToken({}, 3600, { format: 'jws' });
+    const jwsClaims = (await jwsIdp.verifyAuthToken(revocableJws)).claims;
+    await jwsIdp.revokeToken(jwsClaims.jti);
+    assert((await jwsIdp.verifyAuthToken(revocableJws)).error === 'Token revoked', 'JWS revoked by jti');
+    assert((await jwsIdp.verifyAuthToken(await jwsIdp.generateAuthToken({}))).valid, 'Other tokens unaffected');
+    const chosenJti = await jwsIdp.generateAuthToken({ jti: jwsClaims.jti });
+    assert(chosenJti.claims.jti !== jwsClaims.jti, 'Caller-supplied jti is replaced');
+
+    const expiredRevocable = await jwsIdp.generateAuthToken({}, -60);
+    await jwsIdp.revokeToken(expiredRevocable);
+    const prunedList = await jwsIdp.getRecord(`revocations:${jwsKeys.pub}:jws-test`, jwsKeys.pub);
+    assert(!prunedList.payload.entries.some((entry) => entry.jti === expiredRevocable.claims.jti) &&
+      prunedList.payload.entries.some((entry) => entry.jti === jwsClaims.jti), 'Entries of expired tokens pruned from the list');
+
+    await verifier.createIdentity('verifier');
+    const foreignToken = await verifier.generateAuthToken({});
+    let foreignError = null;
+    try {
+      await jwsIdp.revokeToken(foreignToken);
+    } catch (error) {
+      foreignError = error;
+    }
+    assert(foreignError?.message === 'Only the issuer can revoke a token', 'Cannot revoke another issuer\'s token');
+
+    // Lists are append-only: a newer list dropping an entry does not un-revoke it
+    const truncated = await jwsIdp.putRecord(`revocations:${jwsKeys.pub}:jws-test`,
+      { issuer: jwsKeys.pub, namespace: 'jws-test', entries: [], updated: Date.now() });
+    await verifier.refreshRevocations(jwsKeys.pub);
+    assert(await verifier.isRevoked(revocable.claims.jti, jwsKeys.pub), 'Cached revocations survive a truncated list');
+
+    const fresh = new PigeonIdP({ namespace: 'jws-test' });
+    await fresh.init();
+    fresh.webDHT = jwsIdp.webDHT;
+    await jwsIdp.webDHT.put(`revocations:${jwsKeys.pub}:jws-test`, {
+      ...truncated,
+      payload: { ...truncated.payload, entries: [{ jti: 'forged' }] }
+    });
+    assert(!(await fresh.isRevoked('forged', jwsKeys.pub)), 'Unsigned revocation entries ignored');
+
+    await fresh.disconnect();
+    await verifier.disconnect();
+    await jwsIdp.disconnect();
+
+    // Test 21: Key rotation
+    console.log('\nTest 21: Key rotation');
+    const rotating = new PigeonIdP({ namespace: 'rotation-test' });
+    await rotating.init();
+    const originalKeys = await rotating.createIdentity('rotating-user');
+    await rotating.registerIdentity({ username: 'rotating-user' });
+    const oldToken = await rotating.generateAuthToken({ username: 'rotating-user' });
+    const exportedOld = await rotating.exportKeys();
+
+    const rotatedKeys = await rotating.rotateKeys({ alias: 'rotating-user' });
+    assert(rotatedKeys.pub !== originalKeys.pub && rotating.getPublicKeys().pub === rotatedKeys.pub, 'New keypair loaded');
+
+    // No succession cache, so the second rotation is seen immediately
+    const relying = new PigeonIdP({ namespace: 'rotation-test', successionCacheTtl: 0 });
+    await relying.init();
+    relying.webDHT = rotating.webDHT;
+    const followed = await relying.lookupIdentity(originalKeys.pub);
+    assert(followed.pub === rotatedKeys.pub, 'lookupIdentity follows the old key to the new one');
+    assert(followed.previousKeys.length === 1 && followed.previousKeys[0] === originalKeys.pub, 'Previous keys reported');
+    assert(followed.profile.username === 'rotating-user', 'Profile carried over to the new key');
+    assert((await relying.lookupIdentity(rotatedKeys.pub)).previousKeys === undefined, 'Current key resolves directly');
+
+    const oldResult = await relying.verifyAuthToken(oldToken);
+    assert(!oldResult.valid && oldResult.error === 'Issuer key has been rotated', 'Tokens from the rotated key rejected');
+    assert(oldResult.successor === rotatedKeys.pub, 'Rejection names the successor');
+    assert((await relying.verifyAuthToken(await rotating.generateAuthToken({}))).valid, 'Tokens from the new key accepted');
+
+    const secondKeys = await rotating.rotateKeys();
+    const chain = await relying.resolveKeyChain(originalKeys.pub);
+    assert(chain.length === 3 && chain[2] === secondKeys.pub, 'Chain followed across rotations');
+
+    const compromised = new PigeonIdP({ namespace: 'rotation-test' });
+    await compromised.init();
+    compromised.webDHT = rotating.webDHT;
+    await compromised.importKeys(exportedOld);
+    let rotateAgainError = null;
+    try {
+      await compromised.rotateKeys();
+    } catch (error) {
+      rotateAgainError = error;
+    }
+    assert(rotateAgainError?.message === 'This key has already been rotated', 'A rotated key cannot be rotated again');
+
+    // A succession claimed by a key without the old key's signature is ignored
+    const victim = new PigeonIdP({ namespace: 'rotation-test' });
+    await victim.init();
+    victim.webDHT = rotating.webDHT;
+    const victimKeys = await victim.createIdentity('victim');
+    const forgedRecord = { previous: victimKeys.pub, next: secondKeys.pub, epub: secondKeys.epub, namespace: 'rotation-test', rotated: Date.now() };
+    await rotating.putRecord(`succession:${victimKeys.pub}:rotation-test`, {
+      ...forgedRecord,
+      nextSignature: await rotating.sign(JSON.stringify(forgedRecord))
+    });
+    assert(await relying.getSuccessor(victimKeys.pub) === null, 'Succession without the old key\'s signature ignored');
+
+    // Without the succession record the key may be rotated, so tokens are not trusted
+    const offline = new PigeonIdP({ namespace: 'rotation-test' });
+    offline.webDHT = { get: async () => { throw new Error('DHT unavailable'); } };
+    const offlineResults = [
+      await offline.verifyAuthToken(await rotating.generateAuthToken({})),
+      await offline.verifyAuthToken(await rotating.generateAuthToken({}, 3600, { format: 'jws' }))
+    ];
+    assert(offlineResults.every((result) => !result.valid && result.error === 'Could not check issuer key rotation'), 'Tokens rejected when the succession record cannot be read');
+
+    await victim.disconnect();
+    await compromised.disconnect();
+    await relying.disconnect();
+    await rotating.disconnect();
+
+    // Test 22: Identity wallet
+    console.log('\nTest 22: Identity wallet');
+    const wallet = new PigeonIdP({ namespace: 'wallet-test' });
+    await wallet.init();
+    const [aliceKeys, bobKeys] = await Promise.all([
+      wallet.createIdentity('wallet-alice'),
+      wallet.createIdentity('wallet-bob')
+    ]);
+    const listed = wallet.listIdentities();
+    assert(listed.length === 2 && listed.some((entry) => entry.alias === 'wallet-alice' && entry.pub === aliceKeys.pub), 'Concurrently created identities kept in the wallet');
+    assert(listed.filter((entry) => entry.active).length === 1, 'One identity is active');
+
+    wallet.useIdentity('wallet-alice');
+    assert(wallet.getPublicKeys().pub === aliceKeys.pub, 'useIdentity switches the active identity');
+    assert(wallet.getPublicKeys('wallet-bob').pub === bobKeys.pub, 'Public keys of other identities available');
+
+    const [aliceSignature, bobSignature] = await Promise.all([
+      wallet.sign('wallet message'),
+      wallet.sign('wallet message', 'wallet-bob')
+    ]);
+    assert(await wallet.verify('wallet message', aliceSignature, aliceKeys.pub), 'Active identity signs by default');
+    assert(await wallet.verify('wallet message', bobSignature, bobKeys.pub), 'Per-call alias signs with that identity');
+
+    const bobToken = await wallet.generateAuthToken({ scope: 'service' }, 3600, { alias: 'wallet-bob' });
+    const bobJws = await wallet.generateAuthToken({}, 3600, { format: 'jws', alias: 'wallet-bob' });
+    assert(bobToken.claims.iss === bobKeys.pub && (await wallet.verifyAuthToken(bobToken)).valid, 'Token issued as another identity');
+    assert((await wallet.verifyAuthToken(bobJws)).claims.iss === bobKeys.pub, 'JWS issued as another identity');
+
+    const forBob = await wallet.encrypt('for bob', null, 'wallet-bob');
+    assert(await wallet.decrypt(forBob, 'wallet-bob') === 'for bob', 'Encrypt and decrypt with a per-call alias');
+    let walletDecryptError = null;
+    try {
+      await wallet.decrypt(forBob);
+    } catch (error) {
+      walletDecryptError = error;
+    }
+    assert(walletDecryptError !== null, 'Active identity cannot decrypt another identity\'s message');
+
+    let unknownAliasError = null;
+    try {
+      await wallet.sign('x', 'wallet-nobody');
+    } catch (error) {
+      unknownAliasError = error;
+    }
+    assert(unknownAliasError?.message === "Identity 'wallet-nobody' is not in the wallet", 'Unknown alias rejected');
+
+    await wallet.registerIdentity({ username: 'bob' }, { alias: 'wallet-bob' });
+    assert((await wallet.lookupIdentity(bobKeys.pub))?.profile.username === 'bob', 'Identity registered with a per-call alias');
+    assert((await wallet.revokeToken(bobToken, { alias: 'wallet-bob' })).jti === bobToken.claims.jti &&
+      (await wallet.verifyAuthToken(bobToken)).error === 'Token revoked', 'Token revoked with a per-call alias');
+    assert((await wallet.getPublicJwk('wallet-bob')).x === bobKeys.pub.split('.')[0] &&
+      (await wallet.exportKeys('wallet-bob')).pub === bobKeys.pub, 'JWK and exported keys of another identity');
+
+    const bobNextKeys = await wallet.rotateKeys({ alias: 'wallet-bob' });
+    assert(await wallet.getSuccessor(bobKeys.pub) === bobNextKeys.pub && wallet.getPublicKeys('wallet-bob').pub === bobNextKeys.pub,
+      'rotateKeys rotates the aliased identity');
+    assert(wallet.getPublicKeys().pub === aliceKeys.pub && await wallet.getSuccessor(aliceKeys.pub) === null, 'Active identity untouched by rotating another');
+    assert((await wallet.lookupIdentity(bobKeys.pub))?.pub === bobNextKeys.pub, 'Rotated identity\'s profile re-published under its new key');
+
+    await wallet.importKeys(await wallet.exportKeys(), 'wallet-alice-copy');
+    assert(wallet.listIdentities().length === 3 && wallet.getPublicKeys().pub === aliceKeys.pub, 'Imported keys added to the wallet');
+    await wallet.disconnect();
+
+    // Test 23: Alias lookup
+    console.log('\nTest 23: Alias lookup');
+    const owner = new PigeonIdP({ namespace: 'alias-test', successionCacheTtl: 0 });
+    await owner.init();
+    const ownerKeys = await owner.createIdentity('carol');
+    const finder = new PigeonIdP({ namespace: 'alias-finder', successionCacheTtl: 0 });
+    await finder.init();
+    finder.webDHT = owner.webDHT;
+
+    const byAlias = await finder.lookupByAlias('carol', 'alias-test');
+    assert(byAlias?.pub === ownerKeys.pub && byAlias.epub === ownerKeys.epub, 'Alias found from another namespace');
+    assert(await finder.lookupByAlias('carol') === null, 'Aliases are per namespace');
+    assert(await finder.lookupByAlias('nobody', 'alias-test') === null, 'Unclaimed alias not found');
+
+    const squatter = new PigeonIdP({ namespace: 'alias-test' });
+    await squatter.init();
+    squatter.webDHT = owner.webDHT;
+    await squatter.createIdentity('squatter');
+    let claimError = null;
+    try {
+      await squatter.claimAlias('carol');
+    } catch (error) {
+      claimError = error;
+    }
+    assert(claimError?.message === "Alias 'carol' is already claimed in namespace alias-test", 'First claim wins');
+    const squatterActive = squatter.getPublicKeys().pub;
+    const createError = await squatter.createIdentity('carol').then(() => null, (error) => error);
+    assert(createError?.message === "Alias 'carol' is already claimed in namespace alias-test", 'createIdentity fails for an alias claimed by another key');
+    assert(squatter.getPublicKeys().pub === squatterActive && squatter.getPublicKeys('carol') === null, 'Failed identity not kept in the wallet');
+    assert((await finder.lookupByAlias('carol', 'alias-test')).pub === ownerKeys.pub, 'createIdentity leaves a claimed alias alone');
+    const walletOnly = await squatter.createIdentity('carol', null, { claim: false });
+    assert(squatter.getPublicKeys('carol').pub === walletOnly.pub && (await finder.lookupByAlias('carol', 'alias-test')).pub === ownerKeys.pub, 'Wallet-only aliases are not claimed');
+    squatter.useIdentity('squatter');
+
+    const aliasRecord = await owner.webDHT.get('identity:carol:alias-test');
+    const squatterKeys = squatter.getPublicKeys();
+    await owner.webDHT.put('identity:carol:alias-test', {
+      ...aliasRecord,
+      payload: { ...aliasRecord.payload, pub: squatterKeys.pub, epub: squatterKeys.epub }
+    });
+    const stranger = new PigeonIdP({ namespace: 'alias-test' });
+    await stranger.init();
+    stranger.webDHT = owner.webDHT;
+    assert(await stranger.lookupByAlias('carol') === null, 'Forged claim ignored');
+
+    await squatter.putRecord('identity:carol:alias-test',
+      { alias: 'carol', pub: squatterKeys.pub, epub: squatterKeys.epub, namespace: 'alias-test', created: 1 });
+    assert((await finder.lookupByAlias('carol', 'alias-test')).pub === ownerKeys.pub, 'Overwritten claim ignored once the alias has been seen');
+
+    await owner.webDHT.put('identity:carol:alias-test', aliasRecord);
+    await owner.registerIdentity({ name: 'Carol' });
+    const rotatedOwner = await owner.rotateKeys();
+    const afterRotation = await finder.lookupByAlias('carol', 'alias-test');
+    assert(afterRotation.pub === rotatedOwner.pub && afterRotation.epub === rotatedOwner.epub, 'Alias follows key rotation');
+    assert(afterRotation.previousKeys[0] === ownerKeys.pub, 'Rotated keys listed');
+    const reclaimed = await owner.claimAlias('carol');
+    assert(reclaimed.pub === rotatedOwner.pub && reclaimed.created === aliasRecord.payload.created, 'New key re-claims the alias');
+    const crossNamespace = await finder.lookupIdentity(ownerKeys.pub, 'alias-test');
+    assert(crossNamespace?.pub === rotatedOwner.pub && crossNamespace.profile.name === 'Carol', 'lookupIdentity searches another namespace');
+
+    await stranger.disconnect();
+    await squatter.disconnect();
+    await finder.disconnect();
+    await owner.disconnect();
+
+    // Test 24: Record envelopes
+    console.log('\nTest 24: Record envelopes');
+    const writer = new PigeonIdP({ namespace: 'record-test' });
+    await writer.init();
+    const writerKeys = await writer.createIdentity('writer');
+    const reader = new PigeonIdP({ namespace: 'record-test' });
+    await reader.init();
+    reader.webDHT = writer.webDHT;
+
+    await writer.registerIdentity({ name: 'First' });
+    const first = await writer.webDHT.get(`user:${writerKeys.pub}:record-test`);
+    await writer.registerIdentity({ name: 'Second' });
+    const second = await reader.lookupIdentity(writerKeys.pub);
+    assert(second.profile.name === 'Second' && second.record.seq === first.seq + 1, 'Sequence number grows with each write');
+    assert(second.record.signer === writerKeys.pub && second.record.expires === null, 'lookupIdentity returns record metadata');
+
+    await writer.webDHT.put(`user:${writerKeys.pub}:record-test`, first);
+    assert((await reader.lookupIdentity(writerKeys.pub)).profile.name === 'Second', 'Replayed older record ignored');
+
+    const tamperedRecord = { ...first, seq: second.record.seq + 1 };
+    await writer.webDHT.put(`user:${writerKeys.pub}:record-test`, tamperedRecord);
+    let tamperedError = null;
+    try {
+      await reader.lookupIdentity(writerKeys.pub);
+    } catch (error) {
+      tamperedError = error;
+    }
+    assert(tamperedError?.message === 'Identity data signature verification failed', 'Sequence number is signed');
+
+    await writer.registerIdentity({ name: 'Short-lived' }, { expiresIn: 1 });
+    const shortLived = await reader.lookupIdentity(writerKeys.pub);
+    assert(shortLived.record.seq === second.record.seq + 1 && shortLived.record.expires > Date.now(), 'Expiry recorded');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert(await reader.lookupIdentity(writerKeys.pub) === null, 'Expired record ignored');
+
+    // Another key's record under the writer's key neither pushes its seq nor hides its records
+    const intruder = new PigeonIdP({ namespace: 'record-test' });
+    await intruder.init();
+    intruder.webDHT = writer.webDHT;
+    await intruder.createIdentity('intruder', null, { claim: false });
+    const userKey = `user:${writerKeys.pub}:record-test`;
+    const highRecord = { seq: Number.MAX_SAFE_INTEGER, payload: { pub: writerKeys.pub }, timestamp: Date.now(), expires: null, signer: intruder.keys.pub };
+    highRecord.signature = await intruder.sign(JSON.stringify(highRecord));
+    await intruder.webDHT.put(userKey, highRecord);
+    assert((await reader.openRecord(userKey, highRecord)).seq === Number.MAX_SAFE_INTEGER, 'Unrestricted read accepts the intruder record');
+
+    await writer.registerIdentity({ name: 'After intrusion' });
+    const afterIntrusion = await reader.lookupIdentity(writerKeys.pub);
+    assert(afterIntrusion.profile.name === 'After intrusion' && afterIntrusion.record.seq === shortLived.record.seq + 1,
+      'Writer continues its own sequence and readers accept it');
+
+    await intruder.disconnect();
+    await reader.disconnect();
+    await writer.disconnect();
+
     console.log('\n=== Test Summary ===');
     console.log(`Passed: ${testsPassed}`);
     console.log(`Failed: ${testsFailed}`);
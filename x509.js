@@ -0,0 +1,263 @@
+/**
+ * X.509 Certificate Support for PigeonIdP
+ *
+ * Creates self-signed certificates bound to an IdP signing key so SAML
+ * service providers can consume the key through standard metadata.
+ */
+
+import crypto from 'crypto';
+
+const OID = {
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  commonName: '2.5.4.3',
+  countryName: '2.5.4.6',
+  localityName: '2.5.4.7',
+  stateOrProvinceName: '2.5.4.8',
+  organizationName: '2.5.4.10',
+  organizationalUnitName: '2.5.4.11',
+  subjectKeyIdentifier: '2.5.29.14',
+  keyUsage: '2.5.29.15',
+  basicConstraints: '2.5.29.19'
+};
+
+/**
+ * Create a self-signed X.509 v3 certificate for a signing key
+ * @param {Object} options - Certificate options
+ * @param {crypto.KeyObject|string} options.privateKey - Signing key (P-256 or RSA, KeyObject or PEM)
+ * @param {Object} [options.subject] - Subject (and issuer) name attributes:
+ *   commonName, organizationName, organizationalUnitName, countryName, stateOrProvinceName, localityName
+ * @param {number} [options.validityDays=365] - Validity period in days
+ * @param {Date} [options.notBefore] - Start of validity (default: now)
+ * @returns {string} PEM encoded certificate
+ */
+export function createSelfSignedCertificate(options) {
+  const {
+    subject = { commonName: 'PigeonIdP' },
+    validityDays = 365,
+    notBefore = new Date()
+  } = options;
+
+  const privateKey = toPrivateKey(options.privateKey);
+  const publicKey = crypto.createPublicKey(privateKey);
+  const spki = publicKey.export({ type: 'spki', format: 'der' });
+
+  const signatureAlgorithm = algorithmIdentifier(privateKey);
+  const name = encodeName(subject);
+  const notAfter = new Date(notBefore.getTime() + validityDays * 24 * 60 * 60 * 1000);
+
+  // Positive, non-zero 128-bit serial number
+  const serial = crypto.randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) | 0x01;
+
+  const keyIdentifier = crypto.createHash('sha1').update(subjectPublicKeyBits(spki)).digest();
+
+  const tbsCertificate = sequence(
+    der(0xa0, integer(Buffer.from([2]))), // v3
+    integer(serial),
+    signatureAlgorithm,
+    name,
+    sequence(encodeTime(notBefore), encodeTime(notAfter)),
+    name,
+    spki,
+    der(0xa3, sequence(
+      extension(OID.basicConstraints, true, sequence()),
+      extension(OID.keyUsage, true, der(0x03, Buffer.from([0x07, 0x80]))), // digitalSignature
+      extension(OID.subjectKeyIdentifier, false, der(0x04, keyIdentifier))
+    ))
+  );
+
+  const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+  const certificate = sequence(
+    tbsCertificate,
+    signatureAlgorithm,
+    der(0x03, Buffer.concat([Buffer.from([0]), signature]))
+  );
+
+  return toPem(certificate);
+}
+
+/**
+ * Check whether a certificate belongs to a private key
+ * @param {string} certificate - PEM encoded certificate
+ * @param {crypto.KeyObject|string} privateKey - Private key (KeyObject or PEM)
+ * @returns {boolean} True if the certificate's public key matches the private key
+ */
+export function certificateMatchesKey(certificate, privateKey) {
+  try {
+    return new crypto.X509Certificate(certificate).checkPrivateKey(toPrivateKey(privateKey));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a certificate expires within the given number of days
+ * @param {string} certificate - PEM encoded certificate
+ * @param {number} [days=0] - Renewal window in days
+ * @returns {boolean} True if the certificate is expired or expires within `days`
+ */
+export function certificateExpiresWithin(certificate, days = 0) {
+  const validTo = new Date(new crypto.X509Certificate(certificate).validTo);
+  return validTo.getTime() - Date.now() <= days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Strip PEM armor and whitespace from a certificate
+ * @param {string} certificate - PEM encoded certificate
+ * @returns {string} Base64 DER, as used in ds:X509Certificate
+ */
+export function certificateToBase64(certificate) {
+  return certificate
+    .replace(/-----(BEGIN|END) CERTIFICATE-----/g, '')
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Helper: Accept KeyObjects or PEM strings
+ */
+function toPrivateKey(key) {
+  if (!key) {
+    throw new Error('A private key is required');
+  }
+  return key instanceof crypto.KeyObject ? key : crypto.createPrivateKey(key);
+}
+
+/**
+ * Helper: AlgorithmIdentifier for SHA-256 signatures with the given key
+ */
+function algorithmIdentifier(privateKey) {
+  switch (privateKey.asymmetricKeyType) {
+    case 'ec':
+      return sequence(oid(OID.ecdsaWithSHA256));
+    case 'rsa':
+      return sequence(oid(OID.sha256WithRSAEncryption), der(0x05, Buffer.alloc(0)));
+    default:
+      throw new Error(`Unsupported key type for certificates: ${privateKey.asymmetricKeyType}`);
+  }
+}
+
+/**
+ * Helper: Encode an X.500 distinguished name
+ */
+function encodeName(subject) {
+  const order = [
+    'countryName',
+    'stateOrProvinceName',
+    'localityName',
+    'organizationName',
+    'organizationalUnitName',
+    'commonName'
+  ];
+
+  const rdns = order
+    .filter((attribute) => subject[attribute])
+    .map((attribute) => {
+      const value = Buffer.from(String(subject[attribute]), 'utf-8');
+      // countryName must be a PrintableString
+      const tag = attribute === 'countryName' ? 0x13 : 0x0c;
+      return der(0x31, sequence(oid(OID[attribute]), der(tag, value)));
+    });
+
+  if (rdns.length === 0) {
+    throw new Error('Certificate subject must contain at least one attribute');
+  }
+
+  return sequence(...rdns);
+}
+
+/**
+ * Helper: Encode a certificate extension
+ */
+function extension(extensionOid, critical, value) {
+  const parts = [oid(extensionOid)];
+  if (critical) {
+    parts.push(der(0x01, Buffer.from([0xff])));
+  }
+  parts.push(der(0x04, value));
+  return sequence(...parts);
+}
+
+/**
+ * Helper: UTCTime before 2050, GeneralizedTime afterwards (RFC 5280)
+ */
+function encodeTime(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+  if (date.getUTCFullYear() < 2050) {
+    return der(0x17, Buffer.from(iso.slice(2), 'ascii'));
+  }
+  return der(0x18, Buffer.from(iso, 'ascii'));
+}
+
+/**
+ * Helper: Extract the subjectPublicKey BIT STRING contents from an SPKI
+ */
+function subjectPublicKeyBits(spki) {
+  // SPKI = SEQUENCE { AlgorithmIdentifier, BIT STRING }; skip the outer header and the algorithm
+  let offset = headerLength(spki, 0);
+  offset += headerLength(spki, offset) + contentLength(spki, offset);
+  const bitsOffset = offset + headerLength(spki, offset);
+  return spki.subarray(bitsOffset + 1, bitsOffset + contentLength(spki, offset));
+}
+
+function headerLength(buffer, offset) {
+  const first = buffer[offset + 1];
+  return first < 0x80 ? 2 : 2 + (first & 0x7f);
+}
+
+function contentLength(buffer, offset) {
+  const first = buffer[offset + 1];
+  if (first < 0x80) {
+    return first;
+  }
+  let length = 0;
+  for (let i = 0; i < (first & 0x7f); i++) {
+    length = length * 256 + buffer[offset + 2 + i];
+  }
+  return length;
+}
+
+/**
+ * Helper: DER TLV encoding
+ */
+function der(tag, content) {
+  const length = content.length;
+  let header;
+  if (length < 0x80) {
+    header = Buffer.from([tag, length]);
+  } else {
+    const bytes = [];
+    for (let n = length; n > 0; n = Math.floor(n / 256)) {
+      bytes.unshift(n & 0xff);
+    }
+    header = Buffer.from([tag, 0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([header, content]);
+}
+
+function sequence(...items) {
+  return der(0x30, Buffer.concat(items));
+}
+
+function integer(bytes) {
+  // Prepend a zero byte when the high bit is set so the value stays positive
+  return der(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+function oid(dotted) {
+  const parts = dotted.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+  for (const part of parts.slice(2)) {
+    const chunk = [part & 0x7f];
+    for (let n = Math.floor(part / 128); n > 0; n = Math.floor(n / 128)) {
+      chunk.unshift((n & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function toPem(derBuffer) {
+  const base64 = derBuffer.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`;
+}